@@ -1,12 +1,20 @@
 const retailAiService = require('../services/retailAi');
 const voiceCallService = require('../services/database');
 const calcomService = require('../services/calcom');
+const phoneService = require('../services/phone');
 const { supabase } = require('../config/supabase');
 
 const callController = {
     async createCall(req, res) {
-        const { phoneNumber } = req.body;
-        if (!phoneNumber) return res.status(400).json({ error: 'Phone number is required' });
+        const { phoneNumber: rawPhoneNumber } = req.body;
+        if (!rawPhoneNumber) return res.status(400).json({ error: 'Phone number is required' });
+
+        let phoneNumber;
+        try {
+            phoneNumber = await phoneService.toE164(rawPhoneNumber);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
 
         try {
             const callData = await retailAiService.initiateCall(phoneNumber);
@@ -132,7 +140,16 @@ const callController = {
             });
 
             // Also create an appointment record in Supabase using details collected by the voice agent
+            let normalizedPhone = null;
             if (supabase && intent === 'book' && patient_name && phone) {
+                try {
+                    normalizedPhone = await phoneService.toE164(phone);
+                } catch (phoneError) {
+                    console.error(`Not creating an appointment for call ${call_id}: ${phoneError.message} ("${phone}")`);
+                }
+            }
+
+            if (normalizedPhone) {
                 try {
                     const { data, error } = await supabase
                         .from('appointments')
@@ -140,7 +157,7 @@ const callController = {
                             patient_name,
                             age: age ? parseInt(age, 10) : null,
                             disease: disease || null,
-                            phone,
+                            phone: normalizedPhone,
                             email: email || null,
                             appointment_date: new Date().toISOString(),
                             doctor_id: doctor_id || null,
@@ -0,0 +1,18 @@
+// Phone numbers are checked with the main backend's phone module
+// (backend/utils/phone.js), so calls and bookings store them in the same
+// E.164 form as appointments booked anywhere else. It is an ES module, hence
+// import().
+const loadPhoneModule = () => import('../../../backend/utils/phone.js');
+
+const phoneService = {
+    /**
+     * E.164 form of a phone number ("+919876543210"). Throws a PhoneError
+     * saying what is wrong with the number.
+     */
+    async toE164(raw) {
+        const { toE164 } = await loadPhoneModule();
+        return toE164(raw);
+    }
+};
+
+module.exports = phoneService;
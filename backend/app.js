@@ -7,10 +7,19 @@ import helmet from "helmet";
 import appointmentRoutes from "./routes/appointments.js";
 import chatbotRoutes from "./routes/chatBot.js";
 import smsRoutes from "./routes/sms.js";
+import notificationRoutes from "./routes/notifications.js";
 import telegramRoutes from "./routes/telegramRoutes.js";
+import jobRoutes from "./routes/jobs.js";
+import bedRoutes from "./routes/beds.js";
 import { errorHandler } from "./middleware/errorHandler.js";
 import telegramBotManager from "./services/telegramBotManager.js";
 import hospitalRoutes from "./routes/hospitalRoutes.js";
+import schemaService from "./services/schemaService.js";
+import chatbotCache from "./services/chatbotCache.js";
+import notificationRetryQueue from "./services/notifications/retryQueue.js";
+import jobScheduler from "./services/jobScheduler.js";
+import rollingPlanner from "./services/scheduling/rollingPlanner.js";
+import aiRoutes from "./routes/aiRoutes.js";
 
 dotenv.config();
 
@@ -19,6 +28,8 @@ const app = express();
 // Middleware
 app.use(helmet());
 app.use(cors());
+// Health updates send report images inline, so allow larger bodies there
+app.use("/api/ai", express.json({ limit: "20mb" }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -29,20 +40,58 @@ app.use("/api/appointments", appointmentRoutes);
 app.use("/api/chatbot", chatbotRoutes);
 app.use("/api/telegram", telegramRoutes);
 app.use("/api/sms", smsRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/beds", bedRoutes);
 app.use("/api/hospitals", hospitalRoutes);
+app.use("/api/ai", aiRoutes);
 
 // error handling middleware
 app.use(errorHandler); 
 
 const PORT = process.env.PORT || 5000;
 
-// Initialize Telegram bot
-telegramBotManager.initializeBot().then(success => {
-  if (success) {
-    console.log('🚀 Telegram bot is ready to receive messages');
+// Build the chatbot prompt from the live schema catalog
+schemaService.initialize();
+// Drop cached chatbot results when the tables they read change
+chatbotCache.startListening();
+// Retry patient messages that failed or were never delivered
+notificationRetryQueue.start();
+// Appointment reminders, discharge notices and overdue-round nudges
+jobScheduler.start();
+// Keep the committed ICU plan in step with the live queue
+rollingPlanner.start();
+
+// Initialize Telegram bots
+telegramBotManager.initializeBots().then(running => {
+  if (running > 0) {
+    console.log(`🚀 ${running} Telegram bot(s) ready to receive messages`);
   }
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
+
+// Graceful shutdown: stop taking requests, stop bot polling so a restarted
+// instance doesn't get 409 Conflict, then exit. Webhooks stay registered.
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down`);
+
+  // Give in-flight requests a few seconds, then exit regardless
+  setTimeout(() => process.exit(1), 10000).unref();
+  notificationRetryQueue.stop();
+  jobScheduler.stop();
+  rollingPlanner.stop();
+  await Promise.all([
+    new Promise((resolve) => server.close(resolve)),
+    telegramBotManager.shutdown(),
+  ]);
+  process.exit(0);
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -0,0 +1,155 @@
+// Structured description of the database for the chatbot's system prompt.
+// Columns, types, enum values and foreign keys come from the live schema
+// catalog (see services/schemaService.js); this file only holds what the
+// catalog cannot tell us: what each table is for and how to query it.
+export const CHATBOT_SCHEMA = {
+  INTRO: `You are a helpful hospital assistant for querying patient data.
+Convert natural language questions into SQL queries for Supabase PostgreSQL database.`,
+
+  // Never shown to the chatbot, even though they exist in the database
+  HIDDEN_TABLES: [
+    "admissions", // the committed ICU schedule plan
+    "chatbot_action_audit", // audit trail of chatbot write actions
+    "icu_transfers", // audit trail of automatic ICU step-downs
+    "notification_deliveries", // log of messages sent to patients
+    "notification_outbox", // pending Telegram notifications
+    "patients_new", // scheduler simulation input
+    "queues", // unused stage queue from the first schema
+    "schedule_plan_commits", // audit trail of ICU schedule commits
+    "schedule_plans", // saved ICU schedule plans
+    "scheduled_jobs", // reminders and nudges waiting to be sent
+    "telegram_link_codes", // one-time codes for linking Telegram chats
+    "telegram_links", // Telegram chat to patient bindings
+    "telegram_notification_settings", // Telegram notification opt-ins
+    "voice_calls", // call transcripts and caller phone numbers
+  ],
+
+  // Column names treated as PII for tables without an explicit entry in
+  // APP_CONSTANTS.ACCESS_POLICY.PII_COLUMNS
+  PII_COLUMN_NAMES: [
+    "phone",
+    "phone_number",
+    "email",
+    "street",
+    "city",
+    "state",
+    "zip_code",
+    "country",
+    "latitude",
+    "longitude",
+  ],
+
+  // Columns that hold a patient token number
+  TOKEN_COLUMNS: ["token_number", "patient_token"],
+
+  TABLES: {
+    appointments: {
+      description: "Primary patient appointment record with contact details",
+      hints: [
+        "Default table for patient counts, patient info, contact details and appointment queries",
+        "token_number usually starts with 'OPD-', 'APT' or 'TOK' followed by numbers",
+      ],
+    },
+    opd_queue: {
+      description: "Outpatient department queue, one row per appointment waiting for a doctor",
+      hints: ["Use for queue status, waiting times and queue positions"],
+    },
+    bed_queue: {
+      description: "Patients admitted from OPD waiting for or occupying a ward bed",
+      hints: ["Use for bed assignments, admissions and discharges"],
+    },
+    beds: {
+      description: "Hospital ward beds",
+      hints: ["Use for bed availability and bed types"],
+    },
+    icu_queue: {
+      description: "Patients waiting for or occupying an ICU bed",
+      hints: [
+        "patient_token holds the patient's token number (not token_number)",
+        "Use for ICU waiting lists, ICU admissions and emergency cases",
+      ],
+    },
+    icu_beds: {
+      description: "ICU beds and their equipment",
+      hints: ["Use for ICU bed availability, ventilator and dialysis capacity"],
+    },
+    daily_rounds: {
+      description: "Vitals and condition recorded on doctor rounds for admitted patients",
+      hints: ["Linked to bed_queue (ward) or icu_queue (ICU) patients"],
+    },
+    medical_reports: {
+      description: "Reports attached to rounds, with an AI summary",
+    },
+    discharge_predictions: {
+      description: "AI discharge date predictions made after each round",
+      hints: ["Order by created_at DESC to get the latest prediction"],
+    },
+    patient_health_updates: {
+      description: "Health status updates recorded by ward staff, with AI discharge estimates",
+    },
+    medical_records: {
+      description: "Files uploaded for admitted patients (lab reports, scans, prescriptions)",
+    },
+    patient_visit_history: {
+      description: "Previous visits of a patient with diagnosis, treatment and medications",
+    },
+    patients: {
+      description: "Patient registry with address details; beds.patient_id refers to it",
+      hints: ["Does NOT have an email column; use 'appointments' for contact details"],
+    },
+    callback_requests: {
+      description: "Callback requests patients made through the chatbot",
+    },
+    user_profiles: {
+      description: "Doctor and patient accounts",
+      hints: ["Filter role = 'doctor' to list doctors"],
+    },
+  },
+
+  RULES: [
+    "DEFAULT TABLE: Use 'appointments' table for most patient-related queries (counts, lists, contact info)",
+    "For patient contact info (email, phone, name) with token_number: Query 'appointments' table",
+    "For appointment status/queue: Query 'opd_queue' table",
+    "For bed/admission info: Query 'bed_queue' table; for ICU patients query 'icu_queue'",
+    "Always use single quotes for string values in SQL",
+    "Use proper table joins when needed",
+    "Return ONLY the SQL query, no explanations or markdown",
+    "For patient queries using token_number, always filter by token_number",
+    "Use ILIKE for case-insensitive text searches",
+    "Token numbers are TEXT type, not integers",
+    "For COUNT queries, use COUNT(*) or COUNT(id)",
+    "Only compare enum-like columns against the allowed values listed above",
+    `Only use this SQL subset: SELECT [DISTINCT] ... FROM table [JOIN table ON a.col = b.col] [WHERE ...] [GROUP BY ...] [ORDER BY ...] [LIMIT n] [OFFSET n]
+   - WHERE may use =, !=, <, >, <=, >=, AND, OR, NOT, IN (...), IS [NOT] NULL, BETWEEN, LIKE, ILIKE and DATE(column)
+   - Aggregates: COUNT, SUM, AVG, MIN, MAX
+   - Dates: CURRENT_DATE, NOW(), optionally +/- INTERVAL '7 days'
+   - Do NOT use subqueries, HAVING, UNION, CASE, window functions or other functions`,
+  ],
+
+  EXAMPLES: [
+    {
+      question: "Give total number of patients",
+      sql: "SELECT COUNT(*) FROM appointments;",
+    },
+    {
+      question: "Show me email for token OPD-1059",
+      sql: "SELECT email FROM appointments WHERE token_number = 'OPD-1059';",
+    },
+    {
+      question: "What is my appointment status? (token: ABC123)",
+      sql: "SELECT * FROM opd_queue WHERE token_number = 'ABC123' ORDER BY entered_queue_at DESC LIMIT 1;",
+    },
+    {
+      question: "Show my bed assignment (token: OPD-1059)",
+      sql: "SELECT * FROM bed_queue WHERE token_number = 'OPD-1059' ORDER BY created_at DESC LIMIT 1;",
+    },
+    {
+      question: "List all patients",
+      sql: "SELECT patient_name, token_number, disease, appointment_date FROM appointments ORDER BY created_at DESC;",
+    },
+    {
+      question: "How many appointments today?",
+      sql: "SELECT COUNT(*) FROM appointments WHERE DATE(appointment_date) = CURRENT_DATE;",
+    },
+  ],
+};
@@ -1,3 +1,9 @@
+// Parents of per-stay tables (rounds, reports, discharge predictions)
+const STAY_PARENTS = [
+  { table: "bed_queue", column: "bed_queue_id", references: "id" },
+  { table: "icu_queue", column: "icu_queue_id", references: "id" },
+];
+
 export const APP_CONSTANTS = {
   APPOINTMENT_STATUS: {
     SCHEDULED: "scheduled",
@@ -11,73 +17,223 @@ export const APP_CONSTANTS = {
     DR_JOHNSON: "00000000-0000-0000-0000-000000000002",
     DR_WILLIAMS: "00000000-0000-0000-0000-000000000003",
   },
-  SYSTEM_PROMPT: `You are a helpful hospital assistant for querying patient data.
-  Convert natural language questions into SQL queries for Supabase PostgreSQL database.
-  
-  Available tables and their key columns:
-  
-  1. appointments (PRIMARY TABLE - main patient appointment data):
-     - id, patient_name, age, disease, phone, email, appointment_date, doctor_id, status, notes, token_number, created_at, updated_at
-     - token_number format: Usually starts with 'OPD-', 'APT', or 'TOK' followed by numbers
-     - USE THIS TABLE FOR: patient counts, patient info, contact details, appointment queries
-  
-  2. patients (legacy patient registry - rarely used):
-     - id, name, age, phone, token_number, current_stage, priority_level, created_at, updated_at
-     - Note: Does NOT have email field. Use 'appointments' table instead.
-  
-  3. opd_queue (outpatient department queue):
-     - id, appointment_id, patient_name, disease, token_number, doctor_id, queue_position, status, entered_queue_at, consultation_started_at, completed_at
-     - USE THIS TABLE FOR: queue status, waiting times, queue positions
-  
-  4. bed_queue (bed assignment queue):
-     - id, token_number, patient_name, bed_type, status, admitted_from_opd_at, bed_assigned_at, admitted_at, discharged_at
-     - USE THIS TABLE FOR: bed assignments, admissions, discharges
-  
-  5. beds (hospital beds):
-     - id, bed_number, bed_type, status, patient_id, doctor_id
-     - USE THIS TABLE FOR: bed availability, bed types
-  
-  6. daily_rounds (patient daily checkups):
-     - id, bed_queue_id, round_date, temperature, heart_rate, blood_pressure, oxygen_level, condition_status, doctor_notes
-  
-  7. medical_reports (patient reports):
-     - id, bed_queue_id, file_url, report_type, ai_summary, created_at
-  
-  8. discharge_predictions (AI discharge predictions):
-     - id, bed_queue_id, predicted_discharge_date, remaining_days, confidence, reasoning
-  
-  9. user_profiles (doctor/patient profiles):
-     - id, email, role, created_at, updated_at
-  
-  IMPORTANT RULES:
-  1. DEFAULT TABLE: Use 'appointments' table for most patient-related queries (counts, lists, contact info)
-  2. For patient contact info (email, phone, name) with token_number: Query 'appointments' table
-  3. For appointment status/queue: Query 'opd_queue' table
-  4. For bed/admission info: Query 'bed_queue' table
-  5. Always use single quotes for string values in SQL
-  6. Use proper table joins when needed
-  7. Return ONLY the SQL query, no explanations or markdown
-  8. For patient queries using token_number, always filter by token_number
-  9. Use ILIKE for case-insensitive text searches
-  10. Token numbers are TEXT type, not integers
-  11. For COUNT queries, use COUNT(*) or COUNT(id)
-  
-  Examples:
-  User: "Give total number of patients"
-  SQL: SELECT COUNT(*) FROM appointments;
-  
-  User: "Show me email for token OPD-1059"
-  SQL: SELECT email FROM appointments WHERE token_number = 'OPD-1059';
-  
-  User: "What is my appointment status?" (token: ABC123)
-  SQL: SELECT * FROM opd_queue WHERE token_number = 'ABC123' ORDER BY entered_queue_at DESC LIMIT 1;
-  
-  User: "Show my bed assignment" (token: OPD-1059)
-  SQL: SELECT * FROM bed_queue WHERE token_number = 'OPD-1059' ORDER BY created_at DESC LIMIT 1;
-  
-  User: "List all patients"
-  SQL: SELECT patient_name, token_number, disease, appointment_date FROM appointments ORDER BY created_at DESC;
-  
-  User: "How many appointments today?"
-  SQL: SELECT COUNT(*) FROM appointments WHERE DATE(appointment_date) = CURRENT_DATE;`,
+  // Conversation memory for the chatbot and Telegram bot
+  CONVERSATION: {
+    TTL_MINUTES: 30, // forget a session after this much inactivity
+    MAX_TURNS: 6, // recent question/answer pairs fed back into the prompt
+    MAX_RESULT_ROWS: 5, // rows of the last result kept for follow-ups
+    MAX_SESSIONS: 5000, // least recently used sessions are dropped past this
+  },
+  // NL-to-SQL caches. Generated SQL is keyed on the normalized question,
+  // token and schema version; results are kept briefly per caller and dropped
+  // when a table they read changes
+  CHATBOT_CACHE: {
+    SQL_TTL_MINUTES: 24 * 60,
+    SQL_MAX_ENTRIES: 500,
+    RESULT_TTL_SECONDS: 30,
+    RESULT_MAX_ENTRIES: 200,
+  },
+  CHATBOT_METRICS: {
+    RECENT_REQUESTS: 50, // per-request records kept for /api/chatbot/metrics
+  },
+  // Write actions the chatbot may propose; each runs only after the user
+  // replies with the confirmation code
+  CHAT_ACTIONS: {
+    ALLOWED: ["cancel_appointment", "reschedule_appointment", "request_callback", "book_appointment"],
+    CODE_TTL_MINUTES: 10,
+    MAX_ATTEMPTS: 3, // wrong codes before the pending action is dropped
+  },
+  // Binding a Telegram chat to a patient with a one-time code
+  TELEGRAM_LINK: {
+    CODE_TTL_MINUTES: 10,
+    MAX_FAILED_ATTEMPTS: 5, // wrong codes per chat before a lockout
+    MAX_CODE_REQUESTS: 3, // WhatsApp codes per chat per lockout window
+    LOCKOUT_MINUTES: 15,
+    CACHE_SECONDS: 300, // how long a chat's linked appointments are reused
+  },
+  // Queue and bed events pushed to linked Telegram chats that opted in. The
+  // keys are the names used with /notify
+  TELEGRAM_NOTIFICATIONS: {
+    EVENTS: {
+      queue: ["queue_position", "queue_next"],
+      bed: ["bed_assigned"],
+      icu: ["icu_transfer"],
+      discharge: ["discharge_prediction"],
+      cancellation: ["cancellation"],
+    },
+    POLL_SECONDS: 15,
+    BATCH_SIZE: 50, // outbox rows sent per poll
+    MAX_ATTEMPTS: 5, // failed lookups before an event is given up
+    QUEUE_EVENT_MAX_AGE_MINUTES: 30, // older queue updates are out of date and skipped
+  },
+  // Languages a patient can choose for messages (ISO 639-1 codes). Templates
+  // without a translation are sent in DEFAULT.
+  LANGUAGES: {
+    DEFAULT: "en",
+    SUPPORTED: {
+      en: "English",
+      hi: "Hindi",
+      mr: "Marathi",
+      ta: "Tamil",
+      bn: "Bengali",
+      gu: "Gujarati",
+      te: "Telugu",
+      kn: "Kannada",
+      ml: "Malayalam",
+      pa: "Punjabi",
+    },
+  },
+  // Retries of patient messages that failed or were never delivered
+  NOTIFICATION_RETRY: {
+    POLL_SECONDS: 30,
+    BATCH_SIZE: 20,
+    BACKOFF_SECONDS: [60, 300, 900], // wait before the 2nd, 3rd, 4th attempt
+    // Channel for each retry after the first attempt's channel; the list
+    // length is the number of retries
+    FALLBACK: {
+      whatsapp: ["whatsapp", "sms", "telegram"],
+      sms: ["sms", "whatsapp", "telegram"],
+      telegram: ["telegram", "whatsapp"],
+      email: ["email", "whatsapp"],
+    },
+    // Twilio messages still queued this long after sending are treated as
+    // undelivered (usually a missing WhatsApp sandbox opt-in). Only used
+    // when status callbacks are configured.
+    STUCK_MINUTES: 30,
+  },
+  // Reminders and nudges run by services/jobScheduler.js
+  SCHEDULED_JOBS: {
+    POLL_SECONDS: 60,
+    BATCH_SIZE: 50, // due jobs run per poll
+    // Jobs are planned this far ahead, so they can be listed and cancelled
+    // before they run
+    LOOKAHEAD_HOURS: 48,
+    APPOINTMENT_REMINDER_HOURS: [24, 2], // before appointment_date
+    DISCHARGE_NOTICE_HOUR: 10, // local time, the day before the predicted discharge
+    ROUNDS_OVERDUE_HOURS: 24, // doctor is nudged after this long without a daily round
+    ROUNDS_NUDGE_CHANNEL: "email",
+    MAX_ATTEMPTS: 3,
+    RETRY_MINUTES: 10,
+    // A job still running after this long was cut off by a restart and is
+    // run again
+    STALE_MINUTES: 10,
+  },
+  // General ward bed assignment (services/bedAssignmentService.js)
+  BED_ASSIGNMENT: {
+    DEFAULT_STAY_DAYS: 4, // initial discharge prediction for a new admission
+    DEFAULT_CONFIDENCE: 0.8,
+    WAIT_MINUTES_PER_PATIENT: 30, // estimate when no bed of the type is occupied
+  },
+  // Emergency ICU beds (services/icuAllocationService.js)
+  ICU_ALLOCATION: {
+    DEFAULT_STAY_DAYS: 7, // when the ICU queue entry has no predicted_stay_days
+    // Latest daily round conditions that let an ICU patient be moved to a
+    // general bed to make room for an emergency
+    STEP_DOWN_CONDITIONS: ["improving", "stable"],
+    TRANSFER_STAY_DAYS: 4, // initial discharge prediction after a step-down
+    TRANSFER_CONFIDENCE: 0.75,
+    GENERAL_BED_CHOICES: 5, // free general beds tried if another request takes the first
+  },
+  // ICU admission scheduling (services/scheduling/)
+  SCHEDULING: {
+    DEFAULT_STRATEGY: "severity_priority",
+    DEFAULT_STAY_DAYS: 3, // when a patient has no predicted_stay_days
+    RANDOM_KEY_ITERATIONS: 30,
+    MAX_ITERATIONS: 500,
+    DEFAULT_OBJECTIVE: "balanced", // services/scheduling/objective.js
+    COMPARE_MAX_OBJECTIVES: 4,
+    // Searches share the event loop with every other request: they let it
+    // run other work this often (services/scheduling/eventLoop.js), and no
+    // request spends longer than REQUEST_TIME_BUDGET_MS searching, however
+    // many objectives it compares. Runs given a seed stop by iterations only.
+    YIELD_EVERY_MS: 20,
+    REQUEST_TIME_BUDGET_MS: 5000,
+    // Simulated annealing (services/scheduling/annealing.js)
+    ANNEALING: {
+      ITERATIONS: 3000,
+      MAX_ITERATIONS: 50000,
+      TIME_BUDGET_MS: 2000,
+      MAX_TIME_BUDGET_MS: 5000,
+      // Temperatures as a fraction of the starting plan's score
+      INITIAL_TEMPERATURE: 0.05,
+      FINAL_TEMPERATURE: 0.0005,
+      TRACE_POINTS: 50, // convergence trace entries returned
+    },
+    // Monte Carlo wait time prediction
+    // (services/scheduling/waitTimePrediction.js)
+    PREDICTION: {
+      ITERATIONS: 200, // simulated futures per prediction
+      TIME_BUDGET_MS: 5000, // stops early, with fewer runs, past this
+      STRATEGY: "earliest_fit",
+      // Stays are log-normal around the prediction. Spread (sigma of the
+      // log) at discharge_predictions.confidence 1 and 0; stays with no
+      // prediction get DEFAULT_CONFIDENCE
+      STAY_SPREAD: { MIN: 0.1, MAX: 0.8 },
+      DEFAULT_CONFIDENCE: 0.5,
+      // Emergency ICU admissions not yet in the queue, as a Poisson process
+      EMERGENCY_ARRIVALS_PER_DAY: 1,
+      MAX_EMERGENCY_ARRIVALS_PER_DAY: 48,
+      EMERGENCY_SEVERITY: "Critical",
+      HORIZON_HOURS: 168, // emergencies are sampled this far ahead
+      PERCENTILES: [50, 80, 95],
+    },
+    // Rolling-horizon re-planning of the live ICU queue
+    // (services/scheduling/rollingPlanner.js)
+    ROLLING: {
+      // Committed admissions starting this soon are kept when re-planning
+      LOCK_IN_HOURS: 6,
+      MAX_LOCK_IN_HOURS: 72,
+      DEBOUNCE_SECONDS: 15, // changes arriving together trigger one re-plan
+      // Re-planned this often even without changes, so the lock-in window
+      // moves with the clock
+      INTERVAL_MINUTES: 30,
+      STRATEGY: "severity_priority",
+      OBJECTIVE: "balanced",
+      SEED: "rolling", // fixed, so unchanged data gives an unchanged plan
+      // Off: a re-plan that changes something is saved as a draft for staff
+      // to review and commit. On: it is committed straight away.
+      AUTO_COMMIT: false,
+      // A re-plan whose starts only moved by less than this, like a free
+      // bed's "now", counts as unchanged
+      START_TOLERANCE_MINUTES: 15,
+      // Changes to these tables re-plan: admissions, discharges, new
+      // patients, beds and updated discharge predictions
+      WATCHED_TABLES: ["icu_queue", "icu_beds", "discharge_predictions"],
+    },
+  },
+  // Button-driven Telegram flows (/book, /queue, /discharge)
+  TELEGRAM_FLOWS: {
+    TTL_MINUTES: 15, // an unfinished flow is dropped after this long
+    BOOKING_DAYS: 7, // dates offered, starting today
+    BOOKING_SLOTS: ["09:00", "10:00", "11:00", "12:00", "14:00", "15:00", "16:00"],
+  },
+  // Row-level scoping for chatbot queries. `token` and `doctor` name the
+  // columns that tie a row to a patient token or a doctor, `via` scopes a
+  // table through its parent row, `self` limits a signed-in user to their
+  // own profile and `public` tables are readable by anyone. Tables missing
+  // here get a rule inferred from the schema catalog.
+  ACCESS_POLICY: {
+    TABLES: {
+      appointments: { token: "token_number", doctor: "doctor_id" },
+      opd_queue: { token: "token_number", doctor: "doctor_id" },
+      bed_queue: { token: "token_number", doctor: "doctor_id" },
+      patients: { token: "token_number" },
+      // Ward stays link through bed_queue_id, ICU stays through icu_queue_id
+      daily_rounds: { via: STAY_PARENTS },
+      medical_reports: { via: STAY_PARENTS },
+      discharge_predictions: { via: STAY_PARENTS },
+      icu_queue: { token: "patient_token", doctor: "doctor_id" },
+      beds: { public: true },
+      icu_beds: { public: true },
+      user_profiles: { self: "id" },
+    },
+    // Withheld from callers who have not signed in (other tables fall back
+    // to CHATBOT_SCHEMA.PII_COLUMN_NAMES)
+    PII_COLUMNS: {
+      appointments: ["phone", "email", "notes"],
+      bed_queue: ["phone", "notes"],
+      patients: ["phone", "street", "city", "state", "zip_code", "country"],
+      user_profiles: ["email", "street", "city", "state", "zip_code", "country", "latitude", "longitude"],
+    },
+  },
 };
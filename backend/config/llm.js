@@ -0,0 +1,51 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// LLM providers and which one each feature uses.
+//
+// A feature uses LLM_PROVIDER_<FEATURE> (e.g. LLM_PROVIDER_DISCHARGE_PREDICTION=groq)
+// if set, otherwise LLM_PROVIDER, otherwise its entry in FEATURES, otherwise
+// Gemini. LLM_MODEL_<FEATURE> overrides the model. Set LLM_PROVIDER=fixture
+// to run everything offline from recorded responses in LLM_FIXTURE_DIR.
+export const LLM_CONFIG = {
+  DEFAULT_PROVIDER: process.env.LLM_PROVIDER || null,
+  FALLBACK_PROVIDER: "gemini",
+
+  PROVIDERS: {
+    gemini: {
+      type: "gemini",
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || "gemini-3-flash-preview",
+    },
+    groq: {
+      type: "openai",
+      baseUrl: process.env.GROQ_BASE_URL || "https://api.groq.com/openai/v1",
+      apiKey: process.env.GROQ_API_KEY,
+      model: process.env.GROQ_MODEL || "meta-llama/llama-4-scout-17b-16e-instruct",
+    },
+    openai: {
+      type: "openai",
+      baseUrl: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    },
+    fixture: {
+      type: "fixture",
+      dir: process.env.LLM_FIXTURE_DIR || "fixtures/llm",
+      // Name of a real provider to call (and record) when a fixture is missing
+      record: process.env.LLM_FIXTURE_RECORD || null,
+    },
+  },
+
+  // Feature name -> provider used when neither env variable is set
+  FEATURES: {
+    chatbot_sql: { provider: null },
+    chatbot_response: { provider: null },
+    discharge_prediction: { provider: null },
+    report_summary: { provider: "groq" },
+    health_update: { provider: "groq" },
+    // feedback_backend's bed policy compiler
+    policy_compiler: { provider: null },
+  },
+};
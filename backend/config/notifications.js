@@ -0,0 +1,48 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Channels patient notifications can go out on (see services/notifications).
+//
+// A send names its channel; without one, NOTIFICATION_CHANNEL (default
+// WhatsApp) is used. NOTIFICATION_SINK=file or console sends everything to
+// that local sink instead, for development and tests; the delivery log still
+// records the channel that was asked for.
+export const NOTIFICATION_CONFIG = {
+  DEFAULT_CHANNEL: process.env.NOTIFICATION_CHANNEL || "whatsapp",
+  SINK: process.env.NOTIFICATION_SINK || null,
+  // Public URL of POST /api/notifications/twilio/status. Twilio reports
+  // delivered / undelivered / failed there; without it the log only has the
+  // status Twilio gave when the message was accepted.
+  STATUS_CALLBACK_URL: process.env.TWILIO_STATUS_CALLBACK_URL || null,
+
+  CHANNELS: {
+    whatsapp: {
+      type: "twilio",
+      whatsapp: true,
+      // Sandbox number, e.g. +14155238886
+      from: process.env.TWILIO_FROM_NUMBER,
+    },
+    sms: {
+      type: "twilio",
+      whatsapp: false,
+      from: process.env.TWILIO_SMS_FROM_NUMBER || process.env.TWILIO_FROM_NUMBER,
+    },
+    telegram: {
+      type: "telegram",
+    },
+    email: {
+      type: "sendgrid",
+      apiKey: process.env.SENDGRID_API_KEY,
+      from: process.env.NOTIFICATION_EMAIL_FROM,
+    },
+    file: {
+      type: "log",
+      path: process.env.NOTIFICATION_FILE || "logs/notifications.log",
+    },
+    console: {
+      type: "log",
+      path: null,
+    },
+  },
+};
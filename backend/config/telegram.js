@@ -0,0 +1,50 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Telegram bots hosted by this backend and how they receive updates.
+//
+// TELEGRAM_BOT_TOKEN configures the "default" bot. More hospital bots can be
+// added with TELEGRAM_BOTS, a JSON array such as
+//   [{"id":"city","name":"City Hospital Assistant","token":"123:abc","webhookSecret":"..."}]
+// Each bot has its own token, webhook secret, mode and conversation memory.
+//
+// TELEGRAM_MODE=webhook has Telegram POST updates to
+// <TELEGRAM_WEBHOOK_BASE_URL>/api/telegram/webhook/<bot id>, so any number of
+// backend instances can serve the same bot. Polling (the default, for local
+// development) only works with one instance per token; a second one gets 409
+// Conflict from Telegram.
+export const TELEGRAM_CONFIG = {
+  MODE: process.env.TELEGRAM_MODE || "polling",
+  WEBHOOK_BASE_URL: process.env.TELEGRAM_WEBHOOK_BASE_URL || null,
+  DEFAULT_BOT_NAME: "MedCare Medical Assistant Bot",
+  BOTS: [
+    ...(process.env.TELEGRAM_BOT_TOKEN
+      ? [
+          {
+            id: "default",
+            token: process.env.TELEGRAM_BOT_TOKEN,
+            webhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET || null,
+          },
+        ]
+      : []),
+    ...parseBots(process.env.TELEGRAM_BOTS),
+  ],
+};
+
+function parseBots(value) {
+  if (!value) return [];
+
+  try {
+    const bots = JSON.parse(value);
+    if (!Array.isArray(bots)) throw new Error("expected a JSON array");
+    return bots.filter((bot) => {
+      if (bot?.id && bot?.token) return true;
+      console.warn("⚠️  Ignoring TELEGRAM_BOTS entry without an id and token");
+      return false;
+    });
+  } catch (error) {
+    console.warn(`⚠️  Ignoring TELEGRAM_BOTS: ${error.message}`);
+    return [];
+  }
+}
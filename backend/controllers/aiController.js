@@ -0,0 +1,69 @@
+import clinicalAIService from "../services/clinicalAiService.js";
+import { describeProviders } from "../services/llm/index.js";
+
+/**
+ * POST /api/ai/discharge-prediction
+ * Body: { patientContext }
+ */
+export const predictDischarge = async (req, res, next) => {
+  try {
+    const { patientContext } = req.body;
+
+    if (!patientContext) {
+      return res.status(400).json({ success: false, error: "patientContext is required." });
+    }
+
+    const prediction = await clinicalAIService.predictDischarge(patientContext);
+    res.json({ success: true, data: prediction });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/ai/report-summary
+ * Body: { fileUrl, reportType }
+ */
+export const summarizeReport = async (req, res, next) => {
+  try {
+    const { fileUrl, reportType } = req.body;
+
+    if (!fileUrl) {
+      return res.status(400).json({ success: false, error: "fileUrl is required." });
+    }
+
+    const result = await clinicalAIService.summarizeReport(fileUrl, reportType || "medical");
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/ai/health-update
+ * Body: { patientName, disease, healthData, previousVisits, documentsText, images }
+ */
+export const estimateHealthUpdate = async (req, res, next) => {
+  try {
+    if (!req.body.healthData) {
+      return res.status(400).json({ success: false, error: "healthData is required." });
+    }
+
+    const estimate = await clinicalAIService.estimateHealthUpdate(req.body);
+    res.json({ success: true, data: estimate });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/ai/providers
+ * Which LLM provider and model each feature is configured to use.
+ */
+export const getProviders = (req, res, next) => {
+  try {
+    res.json({ success: true, data: describeProviders() });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -15,6 +15,7 @@ export const bookAppointment = async (req, res, next) => {
       doctorId,
       notes,
       isEmergency,
+      preferredLanguage,
     } = req.body;
 
     console.log("Received appointment booking request:", {
@@ -48,6 +49,7 @@ export const bookAppointment = async (req, res, next) => {
       doctorId,
       notes,
       isEmergency: isEmergency || false,
+      preferredLanguage,
     });
 
     // If emergency, return ICU queue info
@@ -0,0 +1,52 @@
+import bedAssignmentService from "../services/bedAssignmentService.js";
+
+// Beds are assigned from the given doctor's beds, else the signed-in
+// doctor's
+const doctorFor = (req) => req.body?.doctorId || req.caller.userId || null;
+
+/**
+ * POST /api/beds/assign
+ * Body: { queueEntryId, bedType?, doctorId?, bedId? }. bedId assigns a bed
+ * picked by staff instead of the first free one. Safe to repeat: an entry
+ * that already has a bed gets the same bed back with alreadyAssigned: true.
+ */
+export const assignBed = async (req, res) => {
+  try {
+    const { queueEntryId, bedType, bedId } = req.body || {};
+    const result = await bedAssignmentService.assignBed({
+      queueEntryId,
+      bedType: bedType || undefined,
+      doctorId: doctorFor(req),
+      bedId: bedId || null,
+    });
+    return res.json({ success: true, data: result });
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * POST /api/beds/assign/next
+ * Body: { doctorId? }. Gives the longest-waiting patient a free bed.
+ */
+export const assignNextWaiting = async (req, res) => {
+  try {
+    const result = await bedAssignmentService.assignNextWaiting({ doctorId: doctorFor(req) });
+    return res.json({ success: true, data: result });
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * POST /api/beds/assign/queue
+ * Body: { doctorId? }. Fills free beds from the waiting list.
+ */
+export const processWaitingQueue = async (req, res) => {
+  try {
+    const result = await bedAssignmentService.processWaitingQueue({ doctorId: doctorFor(req) });
+    return res.json({ success: true, data: result });
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
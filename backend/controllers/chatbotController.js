@@ -1,29 +1,223 @@
 import { GeminiService } from "../services/geminiService.js";
 import { SupabaseService } from "../services/supabaseService.js";
-import { supabase } from "../db/supabaseClient.js"; // Add this import
+import { UnsupportedQueryError } from "../services/sqlParser.js";
+import { AccessDeniedError, identityPrompt } from "../services/accessScope.js";
+import schemaService from "../services/schemaService.js";
+import conversationStore from "../services/conversationStore.js";
+import chatbotCache from "../services/chatbotCache.js";
+import chatbotMetrics from "../services/chatbotMetrics.js";
+import { detectLanguage } from "../utils/language.js";
+import { IntentRouter, OPEN_QUESTION } from "../services/intentRouter.js";
+import {
+  ChatActionService,
+  ChatActionError,
+  CONFIRM_COMMAND,
+  DISCARD_COMMAND,
+} from "../services/chatActionService.js";
 
 const geminiService = new GeminiService();
 const supabaseService = new SupabaseService();
+const chatActions = new ChatActionService(supabaseService);
+const intentRouter = new IntentRouter(supabaseService, chatActions);
 
-export const processChatbotQuery = async (req, res, next) => {
+const FORGET_COMMAND = /^\s*\/?(forget|reset|clear)(\s+(me|context|conversation|chat))?\s*[.!]?\s*$/i;
+
+// Every query is accounted for in /api/chatbot/metrics
+export const processChatbotQuery = (req, res, next) =>
+  chatbotMetrics.track(req.channel || "api", () =>
+    answerQuery(req, observeResponse(res), (error) => {
+      chatbotMetrics.annotate({ status: error?.status || 500 });
+      next(error);
+    })
+  );
+
+/**
+ * Wrap res so the metrics record picks up the status and intent of whatever
+ * the handler sends. The Telegram bot passes its own res stand-in.
+ */
+function observeResponse(res) {
+  return {
+    status: (code) => {
+      chatbotMetrics.annotate({ status: code });
+      return observeResponse(res.status(code));
+    },
+    json: (body) => {
+      chatbotMetrics.annotate({ intent: body?.intent || null });
+      return res.json(body);
+    },
+  };
+}
+
+const answerQuery = async (req, res, next) => {
   try {
-    const { query, tokenNumber } = req.body;
+    const { query } = req.body;
 
     if (!query) {
       return res.status(400).json({ error: "Query is required" });
     }
 
-    console.log(`Processing query: "${query}" with token: ${tokenNumber}`);
+    // Answers are given in the language the question was asked in
+    const language = detectLanguage(query);
+    const localize = (text) => geminiService.translateResponse(text, language);
+
+    const askedToken = req.body.tokenNumber || intentRouter.extractToken(query) || null;
+    const resolveCaller = (tokenNumber) =>
+      supabaseService.resolveCaller({
+        authorization: req.headers?.authorization,
+        tokenNumber,
+        channel: req.channel || "api",
+        // Set by the Telegram bot: chats must be linked to see patient data
+        requireLink: Boolean(req.requireLink),
+        linkedAccount: req.linkedAccount || null,
+      });
 
-    // Generate SQL from natural language
-    let sqlQuery;
+    // Identify the caller so the query can be scoped to their rows. This
+    // comes first: REST sessions belong to the caller who opened them, so
+    // the session and the token it remembers depend on it.
+    // Conversation memory is opt-in: the Telegram bot passes its own key,
+    // REST clients send the sessionId of an earlier response.
+    let caller;
+    let sessionId = null;
+    let sessionKey = req.sessionKey || null;
+    let context = null;
+    let tokenNumber = askedToken;
     try {
-      sqlQuery = await geminiService.generateSQLQuery(query, tokenNumber);
-      console.log(`Generated SQL: ${sqlQuery}`);
+      caller = await resolveCaller(askedToken);
+      if (!sessionKey && req.body.sessionId) {
+        ({ sessionId, sessionKey } = conversationStore.openApiSession(caller, req.body.sessionId));
+      }
+
+      context = conversationStore.getContext(sessionKey);
+      if (!askedToken && context?.activeToken) {
+        tokenNumber = context.activeToken;
+        caller = await resolveCaller(tokenNumber);
+      }
+    } catch (authError) {
+      if (authError instanceof AccessDeniedError) {
+        return res.status(authError.status).json({ error: authError.message });
+      }
+      throw authError;
+    }
+
+    if (sessionKey && FORGET_COMMAND.test(query)) {
+      conversationStore.forget(sessionKey);
+      return res.json({
+        success: true,
+        data: [],
+        response: await localize("I've cleared our conversation. Ask me anything to start again."),
+        intent: "forget",
+        language,
+        sessionId,
+      });
+    }
+
+    console.log(`Processing query: "${query}" with token: ${tokenNumber}${sessionKey ? ` (session ${sessionKey})` : ""}`);
+
+    // Replies to a proposed action: "CONFIRM 123456" or "DISCARD"
+    const confirmMatch = query.match(CONFIRM_COMMAND);
+    if (confirmMatch) {
+      try {
+        const outcome = await chatActions.confirm(confirmMatch[1], { caller, sessionKey });
+        const response = await localize(outcome.response);
+        conversationStore.recordTurn(sessionKey, {
+          question: query,
+          sql: null,
+          response,
+          data: outcome.result,
+          tokenNumber,
+        });
+        return res.json({
+          success: true,
+          intent: "confirm_action",
+          data: outcome.result ? [outcome.result] : [],
+          response,
+          language,
+          action: { name: outcome.action, status: "executed" },
+          ...(sessionKey && { sessionId, activeToken: tokenNumber }),
+        });
+      } catch (actionError) {
+        if (actionError instanceof ChatActionError) {
+          return res.status(actionError.status).json({ error: actionError.message, intent: "confirm_action" });
+        }
+        throw actionError;
+      }
+    }
+
+    const discardMatch = query.match(DISCARD_COMMAND);
+    if (discardMatch) {
+      const discarded = await chatActions.discard(discardMatch[3], { caller, sessionKey });
+      return res.json({
+        success: true,
+        intent: "discard_action",
+        data: [],
+        response: await localize(
+          discarded ? "Okay, I won't make that change." : "There is nothing waiting for confirmation."
+        ),
+        language,
+        ...(sessionKey && { sessionId, activeToken: tokenNumber }),
+      });
+    }
+
+    // Common questions are answered by deterministic handlers
+    let routed;
+    try {
+      routed = await intentRouter.route(query, { tokenNumber, caller, sessionKey });
+    } catch (intentError) {
+      if (intentError instanceof ChatActionError) {
+        return res.status(intentError.status).json({
+          error: intentError.message,
+          intent: intentRouter.classify(query, tokenNumber),
+        });
+      }
+      if (intentError instanceof AccessDeniedError) {
+        return res.status(intentError.status).json({
+          error: intentError.message,
+          reason: intentError.reason,
+          intent: intentRouter.classify(query, tokenNumber),
+        });
+      }
+      throw intentError;
+    }
+
+    if (routed) {
+      console.log(`Answered by intent: ${routed.intent}`);
+      const response = await localize(routed.response);
+      conversationStore.recordTurn(sessionKey, {
+        question: query,
+        sql: routed.sql,
+        response,
+        data: routed.data,
+        tokenNumber,
+      });
+
+      return res.json({
+        success: true,
+        intent: routed.intent,
+        data: routed.data,
+        response,
+        language,
+        sql: routed.sql,
+        ...(routed.action && { action: routed.action }),
+        ...(sessionKey && { sessionId, activeToken: tokenNumber }),
+      });
+    }
+
+    // Generate SQL from natural language. Follow-ups depend on the
+    // conversation, so only standalone questions use the SQL cache
+    const cacheable = !context?.turns?.length;
+    let sqlQuery = cacheable ? chatbotCache.getSQL(query, tokenNumber, schemaService.version) : null;
+    try {
+      if (sqlQuery) {
+        console.log(`Cached SQL: ${sqlQuery}`);
+      } else {
+        sqlQuery = await geminiService.generateSQLQuery(query, tokenNumber, context);
+        console.log(`Generated SQL: ${sqlQuery}`);
+      }
     } catch (sqlError) {
       console.error("Error generating SQL:", sqlError);
       return res.status(500).json({ 
         error: "Failed to generate SQL query. Please try rephrasing your question.",
+        intent: OPEN_QUESTION,
         details: sqlError.message 
       });
     }
@@ -31,44 +225,76 @@ export const processChatbotQuery = async (req, res, next) => {
     // Execute the query
     let data;
     try {
-      data = await supabaseService.executeQuery(sqlQuery);
+      data = await supabaseService.executeQuery(sqlQuery, caller);
       console.log(`Query executed successfully. Results:`, data);
+      // Only SQL that ran is worth reusing
+      if (cacheable) {
+        chatbotCache.setSQL(query, tokenNumber, schemaService.version, sqlQuery);
+      }
     } catch (dbError) {
-      console.error("Database query failed:", dbError);
-      // If query fails, try to use pre-defined functions
-      try {
-        data = await handleSpecialQueries(query, tokenNumber);
-        console.log(`Used special query handler. Results:`, data);
-      } catch (specialError) {
-        console.error("Special query handler also failed:", specialError);
-        return res.status(500).json({ 
-          error: "Failed to execute query. Please check your token number or try a different query.",
-          details: dbError.message 
+      if (dbError instanceof AccessDeniedError) {
+        return res.status(dbError.status).json({
+          error: dbError.message,
+          reason: dbError.reason,
+          intent: OPEN_QUESTION,
+        });
+      }
+
+      // Report unsupported SQL instead of answering a different question
+      if (dbError instanceof UnsupportedQueryError) {
+        return res.status(dbError.status).json({
+          error: "This question needs a query the assistant cannot run yet. Please try rephrasing it.",
+          details: dbError.message,
+          unsupported: dbError.clause,
+          intent: OPEN_QUESTION,
+          sql: sqlQuery,
         });
       }
+
+      console.error("Database query failed:", dbError);
+      return res.status(500).json({
+        error: "Failed to execute query. Please check your token number or try a different query.",
+        intent: OPEN_QUESTION,
+        details: dbError.message,
+      });
     }
 
-    // Generate natural language response
+    // Generate natural language response, checked against the rows
     let response;
+    let citations = [];
+    let grounded = true;
     try {
-      response = await geminiService.generateNaturalLanguageResponse(
+      ({ response, citations, grounded } = await geminiService.generateGroundedResponse(
         data,
-        query
-      );
+        query,
+        language
+      ));
       console.log(`Generated response: ${response}`);
     } catch (responseError) {
       console.error("Error generating natural language response:", responseError);
-      // Fallback to basic response
-      response = data && data.length > 0 
-        ? `Query executed successfully. Found ${data.length} result(s).`
-        : "No results found for your query.";
+      // Fallback to the rows themselves, in the question's language
+      response = await geminiService.localizedFallback(data, language);
+      grounded = false;
     }
 
+    conversationStore.recordTurn(sessionKey, {
+      question: query,
+      sql: sqlQuery,
+      response,
+      data,
+      tokenNumber,
+    });
+
     res.json({
       success: true,
+      intent: OPEN_QUESTION,
       data,
       response,
+      language,
+      citations,
+      grounded,
       sql: sqlQuery, // Optional: for debugging
+      ...(sessionKey && { sessionId, activeToken: tokenNumber }),
     });
   } catch (error) {
     console.error("Unexpected error in processChatbotQuery:", error);
@@ -80,15 +306,40 @@ export const getPatientSummary = async (req, res, next) => {
   try {
     const { tokenNumber } = req.params;
 
+    // The full history includes contact details and notes: signed-in
+    // patients (or linked Telegram chats) get their own, doctors their own
+    // patients'
+    let caller;
+    try {
+      caller = await supabaseService.resolveCaller({
+        authorization: req.headers?.authorization,
+        tokenNumber,
+        channel: req.channel || "api",
+        requireLink: Boolean(req.requireLink),
+        linkedAccount: req.linkedAccount || null,
+      });
+    } catch (authError) {
+      if (authError instanceof AccessDeniedError) {
+        return res.status(authError.status).json({ error: authError.message });
+      }
+      throw authError;
+    }
+
+    if (!caller.authenticated) {
+      return res.status(401).json({ error: identityPrompt(caller, "to see a patient summary") });
+    }
+
     // Get comprehensive patient data
-    const history = await supabaseService.getPatientHistory(tokenNumber);
+    const rows = await supabaseService.getPatientHistory(tokenNumber);
+    const history =
+      caller.role === "doctor" ? (rows || []).filter((row) => row.doctor_id === caller.userId) : rows;
 
     if (!history || history.length === 0) {
       return res.status(404).json({ error: "Patient not found" });
     }
 
     // Use Gemini to generate a summary
-    const summary = await geminiService.generateNaturalLanguageResponse(
+    const { response: summary, citations, grounded } = await geminiService.generateGroundedResponse(
       history,
       "Provide a comprehensive summary of this patient's medical history"
     );
@@ -96,6 +347,8 @@ export const getPatientSummary = async (req, res, next) => {
     res.json({
       success: true,
       summary,
+      citations,
+      grounded,
       data: history,
     });
   } catch (error) {
@@ -103,57 +356,39 @@ export const getPatientSummary = async (req, res, next) => {
   }
 };
 
-// Special handlers for common queries
-async function handleSpecialQueries(query, tokenNumber) {
-  const queryLower = query.toLowerCase();
-
-  if (queryLower.includes("appointment") && queryLower.includes("status")) {
-    const { data } = await supabase
-      .from("appointments")
-      .select(
-        `
-        *,
-        opd_queue(queue_position, status)
-      `
-      )
-      .eq("token_number", tokenNumber)
-      .order("created_at", { ascending: false })
-      .limit(1);
-
-    return data;
-  }
+// GET /api/chatbot/prompt[?refresh=true]
+// Shows the system prompt rendered from the schema catalog
+export const getSystemPrompt = async (req, res, next) => {
+  try {
+    if (req.query.refresh === "true") {
+      await schemaService.refresh();
+    }
 
-  if (queryLower.includes("bed") || queryLower.includes("admission")) {
-    const { data } = await supabase
-      .from("bed_queue")
-      .select(
-        `
-        *,
-        beds(*),
-        daily_rounds(*)
-      `
-      )
-      .eq("token_number", tokenNumber);
-
-    return data;
+    res.json({
+      success: true,
+      data: {
+        ...schemaService.getStatus(),
+        prompt: schemaService.getSystemPrompt(),
+      },
+    });
+  } catch (error) {
+    next(error);
   }
+};
 
-  if (queryLower.includes("report") || queryLower.includes("test")) {
-    const { data } = await supabase
-      .from("medical_reports")
-      .select(
-        `
-        *,
-        daily_rounds(*)
-      `
-      )
-      .eq(
-        "bed_queue_id",
-        supabase.from("bed_queue").select("id").eq("token_number", tokenNumber)
-      );
-
-    return data;
+// GET /api/chatbot/metrics
+// LLM tokens and latency, cache hit rates and recent requests
+export const getMetrics = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...chatbotMetrics.getSummary(),
+        cache: chatbotCache.getStatus(),
+        schemaVersion: schemaService.version,
+      },
+    });
+  } catch (error) {
+    next(error);
   }
-
-  return [];
-}
+};
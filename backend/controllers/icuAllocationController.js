@@ -0,0 +1,70 @@
+import icuAllocationService from "../services/icuAllocationService.js";
+
+// Patients booking an emergency see that a bed was found, not who was moved
+// to make room
+const forPatient = (result) => ({
+  success: result.success,
+  bedFreed: Boolean(result.bedFreed),
+  bed: result.bed ? { id: result.bed.id, bed_id: result.bed.bed_id } : null,
+  message: result.success
+    ? `ICU bed ${result.bed.bed_id} assigned`
+    : "No ICU beds available right now; you are in the ICU queue",
+});
+
+/**
+ * POST /icu/emergency/allocate
+ * Body: { icuQueueId, dryRun? }. A dry run (staff only) reports which bed
+ * would be used and which patient would be stepped down, changing nothing.
+ * A patient can only allocate for their own emergency booking, since a real
+ * run may step another patient down.
+ */
+export const allocateEmergencyBed = async (req, res) => {
+  try {
+    const { icuQueueId, dryRun } = req.body || {};
+    const isStaff = req.caller.role === "doctor";
+
+    if (dryRun && !isStaff) {
+      return res.status(403).json({ success: false, error: "Only hospital staff can do this" });
+    }
+
+    const result = await icuAllocationService.allocate({
+      icuQueueId,
+      dryRun: Boolean(dryRun),
+      initiatedBy: req.caller.userId,
+      ownTokens: isStaff ? null : req.caller.tokenNumbers,
+    });
+    return res.json({ success: true, data: isStaff ? result : forPatient(result) });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.transferId && { transferId: error.transferId }),
+    });
+  }
+};
+
+/**
+ * GET /icu/transfers?status=&limit=
+ * Automatic ICU step-downs, newest first.
+ */
+export const listTransfers = async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    const transfers = await icuAllocationService.listTransfers({ status, limit });
+    return res.json({ success: true, data: transfers });
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * GET /icu/transfers/:id
+ */
+export const getTransfer = async (req, res) => {
+  try {
+    const transfer = await icuAllocationService.getTransfer(req.params.id);
+    return res.json({ success: true, data: transfer });
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
@@ -1,11 +1,14 @@
-import { runBaselineScheduler } from "../services/icuScheduler.js";
+import { runSchedule } from "../services/scheduling/index.js";
+import { scheduleOptions } from "./schedulerController.js";
 import { sendSuccess, sendError } from "../views/icuView.js";
 
+// POST /icu/run-baseline runs severity_priority unless the body names
+// another strategy
 export async function runScheduler(req, res) {
   try {
-    const result = await runBaselineScheduler();
+    const result = await runSchedule(scheduleOptions(req, { strategy: "severity_priority" }));
     sendSuccess(res, result);
   } catch (error) {
-    sendError(res, error.message);
+    sendError(res, error.message, error.status);
   }
 }
@@ -0,0 +1,39 @@
+import jobScheduler from "../services/jobScheduler.js";
+
+/**
+ * GET /api/jobs?status=&type=&limit=
+ */
+export const listJobs = async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+    const jobs = await jobScheduler.listJobs({ status, type, limit });
+    return res.json({ success: true, data: jobs });
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * GET /api/jobs/:id
+ */
+export const getJob = async (req, res) => {
+  try {
+    const job = await jobScheduler.getJob(req.params.id);
+    return res.json({ success: true, data: job });
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Body: { reason? }. Only pending jobs can be cancelled.
+ */
+export const cancelJob = async (req, res) => {
+  try {
+    const job = await jobScheduler.cancelJob(req.params.id, req.body?.reason || null);
+    return res.json({ success: true, data: job });
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
@@ -0,0 +1,137 @@
+import notificationService, { describeTemplates } from "../services/notifications/index.js";
+import { NOTIFICATION_CONFIG } from "../config/notifications.js";
+import { validateTwilioSignature } from "../services/twilioService.js";
+
+/**
+ * POST /api/notifications/send
+ * Body: { template, version?, channel?, recipient: { tokenNumber | appointmentId | phone | email, name? }, variables? }
+ */
+export const sendNotification = async (req, res) => {
+  try {
+    const { template, version, channel, recipient, variables } = req.body;
+
+    if (!template || !recipient) {
+      return res.status(400).json({
+        success: false,
+        error: "template and recipient are required",
+      });
+    }
+
+    const delivery = await notificationService.send({ template, version, channel, recipient, variables });
+    return res.status(delivery.status === "sent" ? 200 : 502).json({
+      success: delivery.status === "sent",
+      data: delivery,
+      ...(delivery.error && { error: delivery.error }),
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * POST /api/notifications/bed-assigned
+ * Body: { appointmentId?, tokenNumber?, patientName?, phone?, bedNumber, bedType }
+ *
+ * The patient's contact details are looked up here rather than in the
+ * browser.
+ */
+export const sendBedAssigned = async (req, res) => {
+  try {
+    const { appointmentId, tokenNumber, patientName, phone, bedNumber, bedType, channel } = req.body;
+
+    if (!appointmentId && !tokenNumber && !patientName && !phone) {
+      return res.status(400).json({
+        success: false,
+        error: "appointmentId, tokenNumber, patientName or phone is required",
+      });
+    }
+
+    const delivery = await notificationService.send({
+      template: bedType?.toLowerCase() === "icu" ? "icu_bed_assigned" : "bed_assigned",
+      channel,
+      recipient: { appointmentId, tokenNumber, name: patientName, phone },
+      variables: { bedNumber, bedType },
+    });
+
+    return res.status(delivery.status === "sent" ? 200 : 502).json({
+      success: delivery.status === "sent",
+      data: delivery,
+      ...(delivery.error && { error: delivery.error }),
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * GET /api/notifications/deliveries?tokenNumber=&status=&channel=&limit=
+ */
+export const listDeliveries = async (req, res) => {
+  try {
+    const { tokenNumber, status, channel, limit } = req.query;
+    const deliveries = await notificationService.listDeliveries({ tokenNumber, status, channel, limit });
+    return res.json({ success: true, data: deliveries });
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * GET /api/notifications/unreached
+ * Messages that never reached the patient and have no retries left.
+ */
+export const listUnreached = async (req, res) => {
+  try {
+    const deliveries = await notificationService.listUnreached({ limit: req.query.limit });
+    return res.json({ success: true, data: deliveries });
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * POST /api/notifications/deliveries/:id/follow-up
+ * The patient was contacted another way; take the delivery off the list.
+ */
+export const markFollowedUp = async (req, res) => {
+  try {
+    const delivery = await notificationService.markFollowedUp(req.params.id, req.caller.userId);
+    return res.json({ success: true, data: delivery });
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * POST /api/notifications/twilio/status
+ * Twilio status callback (form-encoded MessageSid, MessageStatus, ErrorCode,
+ * ErrorMessage), signed with the account's auth token.
+ */
+export const twilioStatusCallback = async (req, res) => {
+  const url = NOTIFICATION_CONFIG.STATUS_CALLBACK_URL;
+  if (!url) {
+    return res.status(503).json({ success: false, error: "Status callbacks are not configured" });
+  }
+  if (!validateTwilioSignature(req.headers["x-twilio-signature"], url, req.body)) {
+    return res.status(403).json({ success: false, error: "Invalid Twilio signature" });
+  }
+
+  try {
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+    if (MessageSid && MessageStatus) {
+      const providerError = ErrorCode ? `Twilio error ${ErrorCode}${ErrorMessage ? `: ${ErrorMessage}` : ""}` : null;
+      await notificationService.recordProviderStatus(MessageSid, MessageStatus, providerError);
+    }
+    return res.status(204).end();
+  } catch (error) {
+    console.error("[Notification] Error recording Twilio status:", error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * GET /api/notifications/templates
+ */
+export const listTemplates = (req, res) => {
+  res.json({ success: true, data: describeTemplates() });
+};
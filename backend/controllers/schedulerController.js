@@ -1,44 +1,133 @@
-import { runBaselineScheduler } from "../services/icuScheduler.js";
-import { runOptimizedScheduler, predictQueueWaitTime } from "../services/optimizedScheduler.js";
+import {
+  runSchedule,
+  compareObjectives,
+  listStrategies,
+  listObjectives,
+  predictQueueWaitTime,
+  predictQueueWaitTimes,
+  getPlan,
+  listPlans,
+  listCommits,
+  commitPlan,
+  diffPlans,
+} from "../services/scheduling/index.js";
+import rollingPlanner from "../services/scheduling/rollingPlanner.js";
+import { APP_CONSTANTS } from "../config/constants.js";
+
+const { SCHEDULING } = APP_CONSTANTS;
+
+// Each route has a default strategy; the body can pick another by name.
+// Runs plan the live ICU queue unless source is "simulation", and save a
+// draft plan, or with dryRun: true only return it. Runs are staff only, and
+// the draft records who made it.
+export function scheduleOptions(req, defaults) {
+  const { source, lockInHours, strategy, seed, iterations, timeBudgetMs, objective, dryRun } = req.body || {};
+  return {
+    source: source || undefined,
+    lockInHours,
+    strategy: strategy || defaults.strategy,
+    seed,
+    iterations: iterations ?? defaults.iterations,
+    timeBudgetMs,
+    objective: objective ?? undefined,
+    dryRun: dryRun === true,
+    createdBy: req.caller?.userId ?? null,
+  };
+}
+
+function sendScheduleError(res, error) {
+  res.status(error.status || 500).json({
+    status: "error",
+    message: error.message,
+  });
+}
+
+// GET https://hackgenx-backend.onrender.com/api/schedule/strategies
+export function getStrategies(req, res) {
+  res.json({
+    status: "success",
+    data: listStrategies(),
+  });
+}
+
+// GET https://hackgenx-backend.onrender.com/api/schedule/objectives
+export function getObjectives(req, res) {
+  res.json({
+    status: "success",
+    data: listObjectives(),
+  });
+}
+
+// POST https://hackgenx-backend.onrender.com/api/schedule/run
+export async function runNamedSchedule(req, res) {
+  try {
+    const result = await runSchedule(scheduleOptions(req, { strategy: SCHEDULING.DEFAULT_STRATEGY }));
+
+    res.json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+}
 
 // POST https://hackgenx-backend.onrender.com/api/schedule/baseline
 export async function baselineSchedule(req, res) {
   try {
-    const result = await runBaselineScheduler();
+    const result = await runSchedule(scheduleOptions(req, { strategy: "severity_priority" }));
 
     res.json({
       status: "success",
       data: result,
     });
   } catch (error) {
-    res.status(500).json({
-      status: "error",
-      message: error.message,
-    });
+    sendScheduleError(res, error);
   }
 }
 
 // POST https://hackgenx-backend.onrender.com/api/schedule/optimize
 export async function optimizedSchedule(req, res) {
   try {
-    const result = await runOptimizedScheduler(30);
+    const result = await runSchedule(scheduleOptions(req, { strategy: "annealing" }));
 
     res.json({
       status: "success",
       data: result,
     });
   } catch (error) {
-    res.status(500).json({
-      status: "error",
-      message: error.message,
+    sendScheduleError(res, error);
+  }
+}
+
+// POST https://hackgenx-backend.onrender.com/api/schedule/compare
+export async function compareSchedules(req, res) {
+  try {
+    const { objectives, strategy, baseline, seed, iterations, timeBudgetMs, source, lockInHours } = req.body || {};
+    const result = await compareObjectives({
+      objectives,
+      source: source || undefined,
+      lockInHours,
+      strategy: strategy || undefined,
+      baseline: baseline || undefined,
+      seed,
+      iterations,
+      timeBudgetMs,
     });
+
+    res.json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    sendScheduleError(res, error);
   }
 }
 
 // POST https://hackgenx-backend.onrender.com/api/schedule/predict-wait-time
 export async function predictWaitTime(req, res) {
   try {
-    const { patient_token, iterations } = req.body;
+    const { patient_token, iterations, strategy, seed, arrivalsPerDay } = req.body || {};
 
     if (!patient_token) {
       return res.status(400).json({
@@ -47,16 +136,137 @@ export async function predictWaitTime(req, res) {
       });
     }
 
-    const result = await predictQueueWaitTime(patient_token, iterations || 20);
+    const result = await predictQueueWaitTime(patient_token, {
+      iterations,
+      strategy: strategy || undefined,
+      seed,
+      arrivalsPerDay,
+    });
+
+    res.json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+}
+
+// POST https://hackgenx-backend.onrender.com/api/schedule/predict-wait-times
+// P50/P80/P95 waits for the whole ICU queue from one simulation
+export async function predictWaitTimes(req, res) {
+  try {
+    const { iterations, strategy, seed, arrivalsPerDay } = req.body || {};
+    const result = await predictQueueWaitTimes({ iterations, strategy: strategy || undefined, seed, arrivalsPerDay });
+
+    res.json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+}
+
+// GET https://hackgenx-backend.onrender.com/api/schedule/plans?status=draft&limit=20
+export async function getPlans(req, res) {
+  try {
+    const { status, limit } = req.query;
+    const plans = await listPlans({ status, limit });
+
+    res.json({
+      status: "success",
+      data: plans,
+    });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+}
+
+// GET https://hackgenx-backend.onrender.com/api/schedule/plans/:id
+export async function getPlanById(req, res) {
+  try {
+    const plan = await getPlan(req.params.id);
+
+    res.json({
+      status: "success",
+      data: plan,
+    });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+}
+
+// GET https://hackgenx-backend.onrender.com/api/schedule/diff?from=current&to=<planId>
+export async function getPlanDiff(req, res) {
+  try {
+    const { from = "current", to } = req.query;
+
+    if (!to) {
+      return res.status(400).json({
+        status: "error",
+        message: "to (a plan id) is required",
+      });
+    }
+
+    const diff = await diffPlans(from, to);
+
+    res.json({
+      status: "success",
+      data: diff,
+    });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+}
+
+// POST https://hackgenx-backend.onrender.com/api/schedule/plans/:id/commit
+export async function commitPlanById(req, res) {
+  try {
+    const { note, force } = req.body || {};
+    const result = await commitPlan(req.params.id, {
+      committedBy: req.caller.userId,
+      note: note || null,
+      force: force === true,
+    });
 
     res.json({
       status: "success",
       data: result,
     });
   } catch (error) {
-    res.status(500).json({
-      status: "error",
-      message: error.message,
+    sendScheduleError(res, error);
+  }
+}
+
+// GET https://hackgenx-backend.onrender.com/api/schedule/commits
+export async function getCommits(req, res) {
+  try {
+    const commits = await listCommits({ limit: req.query.limit });
+
+    res.json({
+      status: "success",
+      data: commits,
     });
+  } catch (error) {
+    sendScheduleError(res, error);
   }
 }
+
+// GET https://hackgenx-backend.onrender.com/api/schedule/rolling
+export function getRollingStatus(req, res) {
+  res.json({
+    status: "success",
+    data: rollingPlanner.getStatus(),
+  });
+}
+
+// POST https://hackgenx-backend.onrender.com/api/schedule/rolling/replan
+export async function replanNow(req, res) {
+  const result = await rollingPlanner.replan("requested by staff");
+
+  res.json({
+    status: "success",
+    data: result || rollingPlanner.getStatus().lastRun,
+  });
+}
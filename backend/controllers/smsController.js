@@ -1,8 +1,11 @@
-import { sendAppointmentSMS } from "../services/twilioService.js";
+import notificationService from "../services/notifications/index.js";
 
 /**
  * POST /api/sms/send
  * Body: { phone, patientName, token, queuePosition, estimatedWait, isEmergency }
+ *
+ * Kept for older clients; the dashboard now uses
+ * POST /api/notifications/send.
  */
 export const sendSMS = async (req, res) => {
     try {
@@ -12,44 +15,23 @@ export const sendSMS = async (req, res) => {
             return res.status(400).json({ success: false, error: "Phone number is required." });
         }
 
-        // Build the message body shown on the dashboard
-        let messageBody;
-
-        if (isEmergency) {
-            messageBody =
-                `🚨 *EMERGENCY Appointment Confirmed* 🚨\n\n` +
-                `Hello ${patientName || "Patient"},\n\n` +
-                `Your emergency appointment has been successfully booked.\n\n` +
-                `📋 *Details:*\n` +
-                `• Patient Token : ${token}\n` +
-                `• Queue Type    : ICU (Emergency)\n` +
-                `• Priority      : EMERGENCY\n\n` +
-                `Please report to the ICU reception immediately.\n\n` +
-                `– Hospital Management System`;
-        } else {
-            messageBody =
-                `✅ *Appointment Confirmed!*\n\n` +
-                `Hello ${patientName || "Patient"},\n\n` +
-                `Your appointment has been successfully booked.\n\n` +
-                `📋 *Details:*\n` +
-                `• Patient Token    : ${token}\n` +
-                `• Queue Position   : #${queuePosition}\n` +
-                `• Est. Wait Time   : ~${estimatedWait} minutes\n` +
-                `• Queue Type       : OPD\n\n` +
-                `Please arrive on time and keep this token handy.\n\n` +
-                `– Hospital Management System`;
+        const delivery = await notificationService.send({
+            template: isEmergency ? "emergency_appointment_confirmed" : "appointment_confirmed",
+            recipient: { phone, name: patientName, tokenNumber: token },
+            variables: { token, queuePosition, estimatedWait },
+        });
+        if (delivery.status !== "sent") {
+            throw new Error(delivery.error);
         }
 
-        const message = await sendAppointmentSMS(phone, messageBody);
-
         return res.status(200).json({
             success: true,
             message: "SMS sent successfully.",
-            sid: message.sid,
+            sid: delivery.provider_id,
         });
     } catch (error) {
         console.error("[SMS Controller] Error sending SMS:", error.message);
-        return res.status(500).json({
+        return res.status(error.status || 500).json({
             success: false,
             error: "Failed to send SMS.",
             details: error.message,
@@ -60,6 +42,9 @@ export const sendSMS = async (req, res) => {
 /**
  * POST /api/sms/send-bed-notification
  * Body: { phone, patientName, bedNumber, bedType }
+ *
+ * Kept for older clients; the dashboard now uses
+ * POST /api/notifications/bed-assigned.
  */
 export const sendBedSMS = async (req, res) => {
     try {
@@ -69,39 +54,23 @@ export const sendBedSMS = async (req, res) => {
             return res.status(400).json({ success: false, error: "Phone number is required." });
         }
 
-        let messageBody;
-        if (bedType?.toLowerCase() === 'icu') {
-            messageBody =
-                `🚨 *ICU Bed Assigned* 🚨\n\n` +
-                `Hello ${patientName || "Patient"},\n\n` +
-                `An ICU bed has been assigned and is ready for you.\n\n` +
-                `📋 *Details:*\n` +
-                `• Bed ID   : ${bedNumber || "N/A"}\n` +
-                `• Unit Type : ICU (Intensive Care Unit)\n\n` +
-                `Please report to the ICU reception immediately. Our staff is ready to assist you.\n\n` +
-                `– Hospital Management System`;
-        } else {
-            messageBody =
-                `🏨 *Bed Assigned Successfully* 🏨\n\n` +
-                `Hello ${patientName || "Patient"},\n\n` +
-                `A bed has been assigned to you in the General Ward.\n\n` +
-                `📋 *Details:*\n` +
-                `• Bed Number : ${bedNumber || "N/A"}\n` +
-                `• Bed Type   : ${bedType || "General"}\n\n` +
-                `Please proceed to the ward reception for further assistance.\n\n` +
-                `– Hospital Management System`;
+        const delivery = await notificationService.send({
+            template: bedType?.toLowerCase() === "icu" ? "icu_bed_assigned" : "bed_assigned",
+            recipient: { phone, name: patientName },
+            variables: { bedNumber, bedType },
+        });
+        if (delivery.status !== "sent") {
+            throw new Error(delivery.error);
         }
 
-        const message = await sendAppointmentSMS(phone, messageBody);
-
         return res.status(200).json({
             success: true,
             message: "Bed assignment notification sent successfully.",
-            sid: message.sid,
+            sid: delivery.provider_id,
         });
     } catch (error) {
         console.error("[SMS Controller] Error sending Bed SMS:", error.message);
-        return res.status(500).json({
+        return res.status(error.status || 500).json({
             success: false,
             error: "Failed to send bed assignment notification.",
             details: error.message,
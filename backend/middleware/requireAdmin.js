@@ -0,0 +1,34 @@
+import crypto from "crypto";
+
+// Operations endpoints (starting and stopping bots, ...) need the
+// ADMIN_API_KEY from the environment in an X-Admin-Key header. Without a
+// configured key they are disabled.
+export const requireAdmin = (req, res, next) => {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      error: "Admin endpoints are disabled. Set ADMIN_API_KEY to enable them.",
+    });
+  }
+
+  if (!safeEqual(req.headers["x-admin-key"], expected)) {
+    return res.status(401).json({
+      success: false,
+      error: "A valid X-Admin-Key header is required",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Constant-time comparison of a request header with a secret.
+ */
+export function safeEqual(provided, expected) {
+  if (typeof provided !== "string" || !expected) return false;
+
+  const a = crypto.createHash("sha256").update(provided).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,30 @@
+import { SupabaseService } from "../services/supabaseService.js";
+
+const supabaseService = new SupabaseService();
+
+// Endpoints patients use from the web app as well as staff need a Supabase
+// session in the Authorization header. The resolved caller is left on
+// req.caller.
+export const requireSignedIn = async (req, res, next) => {
+  try {
+    const caller = await supabaseService.resolveCaller({
+      authorization: req.headers.authorization,
+      channel: "dashboard",
+    });
+
+    if (!caller.authenticated) {
+      return res.status(401).json({
+        success: false,
+        error: "Please sign in to continue",
+      });
+    }
+
+    req.caller = caller;
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
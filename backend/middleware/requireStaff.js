@@ -0,0 +1,36 @@
+import { SupabaseService } from "../services/supabaseService.js";
+
+const supabaseService = new SupabaseService();
+
+// Dashboard endpoints for hospital staff need a signed-in doctor's Supabase
+// session in the Authorization header. The resolved caller is left on
+// req.caller.
+export const requireStaff = async (req, res, next) => {
+  try {
+    const caller = await supabaseService.resolveCaller({
+      authorization: req.headers.authorization,
+      channel: "dashboard",
+    });
+
+    if (!caller.authenticated) {
+      return res.status(401).json({
+        success: false,
+        error: "Please sign in to continue",
+      });
+    }
+    if (caller.role !== "doctor") {
+      return res.status(403).json({
+        success: false,
+        error: "Only hospital staff can do this",
+      });
+    }
+
+    req.caller = caller;
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,26 @@
+import express from "express";
+import {
+  predictDischarge,
+  summarizeReport,
+  estimateHealthUpdate,
+  getProviders,
+} from "../controllers/aiController.js";
+import { requireStaff } from "../middleware/requireStaff.js";
+
+const router = express.Router();
+
+// The clinical endpoints send patient records to the LLM: staff only
+
+// POST /api/ai/discharge-prediction
+router.post("/discharge-prediction", requireStaff, predictDischarge);
+
+// POST /api/ai/report-summary
+router.post("/report-summary", requireStaff, summarizeReport);
+
+// POST /api/ai/health-update
+router.post("/health-update", requireStaff, estimateHealthUpdate);
+
+// GET /api/ai/providers
+router.get("/providers", getProviders);
+
+export default router;
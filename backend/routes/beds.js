@@ -0,0 +1,12 @@
+import express from "express";
+import { assignBed, assignNextWaiting, processWaitingQueue } from "../controllers/bedController.js";
+import { requireStaff } from "../middleware/requireStaff.js";
+
+const router = express.Router();
+
+// General ward bed assignment (staff only)
+router.post("/assign", requireStaff, assignBed);
+router.post("/assign/next", requireStaff, assignNextWaiting);
+router.post("/assign/queue", requireStaff, processWaitingQueue);
+
+export default router;
@@ -2,11 +2,16 @@ import express from "express";
 import {
   processChatbotQuery,
   getPatientSummary,
+  getSystemPrompt,
+  getMetrics,
 } from "../controllers/chatbotController.js";
+import { requireAdmin } from "../middleware/requireAdmin.js";
 
 const router = express.Router();
 
 router.post("/query", processChatbotQuery);
 router.get("/summary/:tokenNumber", getPatientSummary);
+router.get("/prompt", requireAdmin, getSystemPrompt);
+router.get("/metrics", requireAdmin, getMetrics);
 
 export default router;
@@ -1,9 +1,18 @@
 import express from "express";
 import { runScheduler } from "../controllers/icuController.js";
-import { optimizedSchedule } from "../controllers/schedulerController.js";
+import { optimizedSchedule, runNamedSchedule } from "../controllers/schedulerController.js";
+import { allocateEmergencyBed, listTransfers, getTransfer } from "../controllers/icuAllocationController.js";
+import { requireSignedIn } from "../middleware/requireSignedIn.js";
+import { requireStaff } from "../middleware/requireStaff.js";
 const router = express.Router();
 
-router.post("/run-baseline", runScheduler);
-router.post("/optimize", optimizedSchedule);
+router.post("/run-baseline", requireStaff, runScheduler);
+router.post("/optimize", requireStaff, optimizedSchedule);
+router.post("/run", requireStaff, runNamedSchedule);
+
+// Emergency ICU beds, stepping a stable patient down if needed
+router.post("/emergency/allocate", requireSignedIn, allocateEmergencyBed);
+router.get("/transfers", requireStaff, listTransfers);
+router.get("/transfers/:id", requireStaff, getTransfer);
 
 export default router;
@@ -0,0 +1,12 @@
+import express from "express";
+import { listJobs, getJob, cancelJob } from "../controllers/jobController.js";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+
+const router = express.Router();
+
+// Reminders and nudges planned by the job scheduler (admin only)
+router.get("/", requireAdmin, listJobs);
+router.get("/:id", requireAdmin, getJob);
+router.post("/:id/cancel", requireAdmin, cancelJob);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+import {
+  sendNotification,
+  sendBedAssigned,
+  listDeliveries,
+  listTemplates,
+  listUnreached,
+  markFollowedUp,
+  twilioStatusCallback,
+} from "../controllers/notificationController.js";
+import { requireStaff } from "../middleware/requireStaff.js";
+
+const router = express.Router();
+
+// GET endpoints first
+router.get("/templates", listTemplates);
+router.get("/deliveries", requireStaff, listDeliveries);
+router.get("/unreached", requireStaff, listUnreached);
+
+// POST endpoints
+router.post("/send", requireStaff, sendNotification);
+router.post("/bed-assigned", requireStaff, sendBedAssigned);
+router.post("/deliveries/:id/follow-up", requireStaff, markFollowedUp);
+
+// Twilio delivery receipts (checked against the Twilio signature)
+router.post("/twilio/status", twilioStatusCallback);
+
+export default router;
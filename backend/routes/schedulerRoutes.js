@@ -1,22 +1,81 @@
 import express from "express";
 import {
+  getStrategies,
+  getObjectives,
+  runNamedSchedule,
+  compareSchedules,
   baselineSchedule,
   optimizedSchedule,
   predictWaitTime,
+  predictWaitTimes,
+  getPlans,
+  getPlanById,
+  getPlanDiff,
+  commitPlanById,
+  getCommits,
+  getRollingStatus,
+  replanNow,
 } from "../controllers/schedulerController.js";
+import { requireStaff } from "../middleware/requireStaff.js";
 
 const router = express.Router();
 
-// 🔹 Baseline Scheduling
+// 🔹 Available Strategies
+// GET /api/schedule/strategies
+router.get("/strategies", getStrategies);
+
+// 🔹 Optimizer Objectives
+// GET /api/schedule/objectives
+router.get("/objectives", getObjectives);
+
+// Everything below plans from or reads patient data, and a search takes up
+// to SCHEDULING.REQUEST_TIME_BUDGET_MS of server time: staff only
+router.use(requireStaff);
+
+// 🔹 Run a Strategy by Name
+// ({ source, lockInHours, strategy, seed, iterations, timeBudgetMs, objective, dryRun })
+// POST /api/schedule/run
+router.post("/run", runNamedSchedule);
+
+// 🔹 Baseline Scheduling (severity_priority)
 // POST /api/schedule/baseline
 router.post("/baseline", baselineSchedule);
 
-// 🔹 Optimized Scheduling
+// 🔹 Optimized Scheduling (annealing)
 // POST /api/schedule/optimize
 router.post("/optimize", optimizedSchedule);
 
+// 🔹 Compare Objectives Against the Baseline (saves nothing)
+// POST /api/schedule/compare
+router.post("/compare", compareSchedules);
+
 // 🔹 Predict Wait Time for Queue Patient
 // POST /api/schedule/predict-wait-time
 router.post("/predict-wait-time", predictWaitTime);
 
+// POST /api/schedule/predict-wait-times
+router.post("/predict-wait-times", predictWaitTimes);
+
+// 🔹 Saved Plans (every run above saves a draft unless dryRun is set)
+// GET /api/schedule/plans, GET /api/schedule/plans/:id
+router.get("/plans", getPlans);
+router.get("/plans/:id", getPlanById);
+
+// 🔹 What Changes Between Two Plans
+// GET /api/schedule/diff?from=current&to=<planId>
+router.get("/diff", getPlanDiff);
+
+// 🔹 Commit a Plan to Admissions (logged with the committing doctor)
+// POST /api/schedule/plans/:id/commit
+router.post("/plans/:id/commit", commitPlanById);
+
+// 🔹 Commit History
+// GET /api/schedule/commits
+router.get("/commits", getCommits);
+
+// 🔹 Automatic Re-planning of the Live Queue
+// GET /api/schedule/rolling, POST /api/schedule/rolling/replan
+router.get("/rolling", getRollingStatus);
+router.post("/rolling/replan", replanNow);
+
 export default router;
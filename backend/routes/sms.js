@@ -1,12 +1,17 @@
 import express from "express";
 import { sendSMS, sendBedSMS } from "../controllers/smsController.js";
+import { requireStaff } from "../middleware/requireStaff.js";
 
 const router = express.Router();
 
+// Kept for older dashboard builds; new callers use /api/notifications/send
+// and /api/notifications/bed-assigned. Both send to any number given, so
+// they need a staff session like the notification routes.
+
 // POST /api/sms/send
-router.post("/send", sendSMS);
+router.post("/send", requireStaff, sendSMS);
 
 // POST /api/sms/send-bed-notification
-router.post("/send-bed-notification", sendBedSMS);
+router.post("/send-bed-notification", requireStaff, sendBedSMS);
 
 export default router;
@@ -1,61 +1,92 @@
 import express from "express";
-import TelegramBotService from "../services/telegramBotService.js";
+import telegramBotManager from "../services/telegramBotManager.js";
+import telegramLinkService from "../services/telegramLinkService.js";
+import { SupabaseService } from "../services/supabaseService.js";
+import { requireAdmin } from "../middleware/requireAdmin.js";
 
 const router = express.Router();
-const telegramBotService = new TelegramBotService();
+const supabaseService = new SupabaseService();
 
-// Initialize Telegram bot
-router.post("/initialize", (req, res) => {
+// Updates from Telegram in webhook mode. Telegram sends the bot's webhook
+// secret in X-Telegram-Bot-Api-Secret-Token; the update is handled after the
+// reply so Telegram doesn't retry slow answers.
+router.post("/webhook/:botId", (req, res) => {
   try {
-    const { token } = req.body;
-    
-    if (!token) {
-      return res.status(400).json({ 
-        success: false, 
-        error: "Telegram bot token is required" 
-      });
-    }
-    
-    telegramBotService.initialize(token);
-    
+    telegramBotManager.handleWebhook(
+      req.params.botId,
+      req.headers["x-telegram-bot-api-secret-token"],
+      req.body
+    );
+    res.sendStatus(200);
+  } catch (error) {
+    res.status(error.status || 500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Status of every configured bot
+router.get("/bots", requireAdmin, (req, res) => {
+  res.json({ 
+    success: true, 
+    data: telegramBotManager.getStatus() 
+  });
+});
+
+// Start a configured bot (tokens only come from the environment)
+router.post("/bots/:botId/start", requireAdmin, async (req, res) => {
+  try {
+    const bot = await telegramBotManager.startBot(req.params.botId);
     res.json({ 
       success: true, 
-      message: "Telegram bot initialized successfully" 
+      data: bot 
     });
   } catch (error) {
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       success: false, 
       error: error.message 
     });
   }
 });
 
-// Get bot info
-router.get("/info", async (req, res) => {
+// Stop a bot on this instance; { "removeWebhook": true } also unregisters
+// its webhook, stopping it everywhere
+router.post("/bots/:botId/stop", requireAdmin, async (req, res) => {
   try {
-    const botInfo = await telegramBotService.getBotInfo();
+    const bot = await telegramBotManager.stopBot(req.params.botId, {
+      removeWebhook: req.body?.removeWebhook === true,
+    });
     res.json({ 
       success: true, 
-      data: botInfo 
+      data: bot 
     });
   } catch (error) {
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       success: false, 
       error: error.message 
     });
   }
 });
 
-// Stop bot
-router.post("/stop", (req, res) => {
+// One-time code for the patient dashboard's "Connect Telegram"; the patient
+// sends "/link <code>" to the bot ({ botId }, "default" if omitted) and the
+// code works with no other bot. Requires the patient's Supabase session.
+router.post("/link-code", async (req, res) => {
   try {
-    telegramBotService.stop();
-    res.json({ 
-      success: true, 
-      message: "Telegram bot stopped successfully" 
+    const caller = await supabaseService.resolveCaller({
+      authorization: req.headers.authorization,
+      channel: "dashboard",
+    });
+    const bot = telegramBotManager.describe(telegramBotManager.getEntry(req.body?.botId || "default"));
+    const { code, expiresAt } = await telegramLinkService.createDashboardCode(caller, bot.id);
+
+    res.json({
+      success: true,
+      data: { code, expiresAt, command: `/link ${code}`, bot: { id: bot.id, name: bot.name, username: bot.username } },
     });
   } catch (error) {
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       success: false, 
       error: error.message 
     });
@@ -67,6 +98,7 @@ router.get("/health", (req, res) => {
   res.json({ 
     success: true, 
     message: "Telegram bot service is running",
+    bots: telegramBotManager.getStatus().filter((bot) => bot.status === "running").length,
     timestamp: new Date().toISOString()
   });
 });
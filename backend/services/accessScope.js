@@ -0,0 +1,360 @@
+/**
+ * Row-level access scoping for chatbot queries.
+ *
+ * Sits between the generated SQL and its execution: the parsed statement is
+ * rewritten so every table it touches is filtered down to what the caller may
+ * see (their own token for patients, their own patients for doctors), and
+ * PII columns are withheld from callers who have not signed in.
+ */
+
+import { APP_CONSTANTS } from "../config/constants.js";
+
+export class AccessDeniedError extends Error {
+  constructor(message, reason = null) {
+    super(message);
+    this.name = "AccessDeniedError";
+    this.status = 403;
+    this.reason = reason;
+  }
+}
+
+/**
+ * What an anonymous caller should do to identify themselves. A caller who
+ * only gave a token number is asked to sign in, since anyone can type one.
+ * @param {string} purpose - e.g. "so I can look that up for you"
+ */
+export function identityPrompt(caller, purpose) {
+  if (caller.role === "patient" && !caller.authenticated) {
+    return `Please sign in to your account, or message us from your linked Telegram chat, ${purpose}.`;
+  }
+  return caller.linkRequired
+    ? `Please link your account first with /link <your token number> ${purpose}.`
+    : `Please provide your token number (for example OPD-1059) ${purpose}.`;
+}
+
+/**
+ * Parent tables a via-scoped table can be reached through; `via` is one
+ * { table, column, references } or a list of them.
+ */
+export function viaParents(config) {
+  return config?.via ? [].concat(config.via) : [];
+}
+
+export class AccessScope {
+  /**
+   * @param {object} client - Supabase client
+   * @param {object} [policy] - explicit table rules and PII columns
+   * @param {object} [schema] - schemaService, used to infer rules for
+   *   tables the policy does not list
+   */
+  constructor(client, policy = APP_CONSTANTS.ACCESS_POLICY, schema = null) {
+    this.client = client;
+    this.tables = policy.TABLES;
+    this.piiColumns = policy.PII_COLUMNS;
+    this.schema = schema;
+  }
+
+  tableConfig(table) {
+    return this.tables[table] || this.schema?.inferAccessRule(table, this.tables) || null;
+  }
+
+  piiColumnsFor(table) {
+    return this.piiColumns[table] || this.schema?.inferPiiColumns(table) || [];
+  }
+
+  /**
+   * Work out who is asking. A Supabase access token (Authorization: Bearer)
+   * identifies a signed-in doctor or patient; a bare token number is treated
+   * as an unauthenticated patient; anything else is anonymous.
+   *
+   * Channels that set requireLink (the Telegram bot) don't accept bare token
+   * numbers: the caller is the patient the chat was linked to (linkedAccount
+   * from telegramLinkService), or anonymous.
+   */
+  async resolveCaller({ authorization, tokenNumber, channel = "api", requireLink = false, linkedAccount = null } = {}) {
+    const caller = {
+      role: "anonymous",
+      authenticated: false,
+      userId: null,
+      email: null,
+      tokenNumbers: tokenNumber ? [tokenNumber] : [],
+      channel,
+      linkRequired: false,
+    };
+
+    if (requireLink) {
+      if (!linkedAccount) {
+        caller.tokenNumbers = [];
+        caller.linkRequired = true;
+        return caller;
+      }
+
+      caller.role = "patient";
+      caller.authenticated = true;
+      caller.userId = linkedAccount.userId || null;
+      caller.email = linkedAccount.email || null;
+      if (tokenNumber && !linkedAccount.tokenNumbers.includes(tokenNumber)) {
+        this.deny(caller, "token_not_owned", `Token ${tokenNumber} is not linked to this chat`);
+      }
+      caller.tokenNumbers = tokenNumber ? [tokenNumber] : linkedAccount.tokenNumbers;
+      return caller;
+    }
+
+    const accessToken = authorization?.startsWith("Bearer ")
+      ? authorization.slice("Bearer ".length).trim()
+      : null;
+
+    if (!accessToken) {
+      if (tokenNumber) caller.role = "patient";
+      return caller;
+    }
+
+    const { data, error } = await this.client.auth.getUser(accessToken);
+    if (error || !data?.user) {
+      throw new AccessDeniedError("Invalid or expired session", "invalid_session");
+    }
+
+    const { data: profile } = await this.client
+      .from("user_profiles")
+      .select("role")
+      .eq("id", data.user.id)
+      .maybeSingle();
+
+    caller.authenticated = true;
+    caller.userId = data.user.id;
+    caller.email = data.user.email?.toLowerCase() || null;
+    caller.role = profile?.role === "doctor" ? "doctor" : "patient";
+
+    if (caller.role === "patient") {
+      const { data: appointments } = await this.client
+        .from("appointments")
+        .select("token_number")
+        .eq("email", data.user.email?.toLowerCase());
+
+      const ownTokens = (appointments || []).map((a) => a.token_number).filter(Boolean);
+      if (tokenNumber && !ownTokens.includes(tokenNumber)) {
+        this.deny(caller, "token_not_owned", `Token ${tokenNumber} does not belong to this account`);
+      }
+      caller.tokenNumbers = tokenNumber ? [tokenNumber] : ownTokens;
+    }
+
+    return caller;
+  }
+
+  /**
+   * Return a copy of the statement with the caller's mandatory filters
+   * injected. Throws AccessDeniedError when the query cannot be scoped.
+   */
+  apply(statement, caller) {
+    const scoped = {
+      ...statement,
+      joins: statement.joins.map((join) => ({ ...join })),
+    };
+    const base = statement.from.table;
+    const conditions = [];
+
+    this.checkColumns(statement, caller);
+    this.checkCrossPatientFilters(statement, caller);
+
+    const baseRule = this.ruleFor(base, caller, statement.joins);
+    if (baseRule.via) {
+      const via = baseRule.parent;
+      let join = scoped.joins.find((j) => j.table === via.table);
+      if (!join) {
+        join = {
+          type: "inner",
+          table: via.table,
+          alias: null,
+          on: {
+            left: { type: "column", table: base, name: via.column },
+            right: { type: "column", table: via.table, name: via.references },
+          },
+        };
+        scoped.joins.push(join);
+      }
+      // The parent row decides visibility, so it must exist
+      join.type = "inner";
+      conditions.push(this.condition(join.alias || via.table, baseRule.via, caller));
+    } else if (baseRule.column) {
+      conditions.push(this.condition(null, baseRule, caller));
+    }
+
+    for (const join of statement.joins) {
+      // Already filtered above as the base table's parent
+      if (join.table === baseRule.parent?.table) continue;
+
+      const rule = this.ruleFor(join.table, caller);
+      if (rule.via) {
+        // Rows of a child table are in scope when its parent is the scoped base
+        if (!viaParents(this.tableConfig(join.table)).some((parent) => parent.table === base)) {
+          this.deny(caller, "unscoped_join", `Cannot verify access to ${join.table} in this query`);
+        }
+      } else if (rule.column) {
+        conditions.push(this.condition(join.alias || join.table, rule, caller));
+      }
+    }
+
+    if (conditions.length > 0) {
+      const existing = statement.where ? [statement.where] : [];
+      const all = [...conditions, ...existing];
+      scoped.where = all.length === 1 ? all[0] : { type: "and", conditions: all };
+    }
+
+    return scoped;
+  }
+
+  /**
+   * How a table is scoped for this caller: { column, values } for a direct
+   * filter, { via: { column, values }, parent } when scoped through a parent
+   * table, or {} when unrestricted. Denies tables the caller may not read at
+   * all. A table with several parents is scoped through the one the query
+   * joins (e.g. icu_queue for ICU rounds), else the first.
+   */
+  ruleFor(table, caller, joins = []) {
+    const config = this.tableConfig(table);
+    if (!config) {
+      this.deny(caller, "table_not_scoped", `Table ${table} is not available to the chatbot`);
+    }
+
+    if (config.public) return {};
+
+    if (config.via) {
+      const parents = viaParents(config);
+      const via = parents.find((parent) => joins.some((join) => join.table === parent.table)) || parents[0];
+      const parent = this.ruleFor(via.table, caller);
+      return parent.column ? { via: parent, parent: via } : {};
+    }
+
+    // Doctors see their own patients; tables without a doctor column are
+    // staff-wide (e.g. the doctor directory in user_profiles)
+    if (caller.role === "doctor") {
+      return config.doctor ? { column: config.doctor, values: [caller.userId] } : {};
+    }
+
+    if (caller.role === "patient") {
+      if (config.token && caller.tokenNumbers.length > 0) {
+        return { column: config.token, values: caller.tokenNumbers };
+      }
+      if (config.self && caller.authenticated && caller.userId) {
+        return { column: config.self, values: [caller.userId] };
+      }
+    }
+
+    this.deny(
+      caller,
+      "no_identity",
+      caller.role === "anonymous"
+        ? identityPrompt(caller, "to ask about patient records")
+        : `You do not have access to ${table}`
+    );
+  }
+
+  condition(table, rule, caller) {
+    const left = { type: "column", table, name: rule.column };
+    if (rule.values.length === 0) {
+      this.deny(caller, "no_identity", "No patient records are linked to this account");
+    }
+    if (rule.values.length === 1) {
+      return { type: "comparison", operator: "=", left, right: { type: "literal", value: rule.values[0] } };
+    }
+    return {
+      type: "in",
+      left,
+      values: rule.values.map((value) => ({ type: "literal", value })),
+      negated: false,
+    };
+  }
+
+  /**
+   * Unauthenticated callers may not ask for PII columns by name; SELECT *
+   * is allowed and the columns are stripped from the result by redact().
+   */
+  checkColumns(statement, caller) {
+    if (caller.authenticated) return;
+
+    const aliases = this.aliasMap(statement);
+    const references = [
+      ...statement.columns.filter((c) => c.type === "column"),
+      ...statement.columns.filter((c) => c.type === "aggregate" && c.argument).map((c) => c.argument),
+    ];
+
+    for (const reference of references) {
+      const table = reference.table ? aliases[reference.table] : statement.from.table;
+      if (this.piiColumnsFor(table).includes(reference.name)) {
+        this.deny(caller, "pii_column", `Sign in to view ${reference.name} details`);
+      }
+    }
+  }
+
+  /**
+   * Filtering on another patient's token is an explicit cross-patient read;
+   * refuse it rather than silently returning nothing.
+   */
+  checkCrossPatientFilters(statement, caller) {
+    if (caller.role !== "patient" || !statement.where) return;
+
+    const aliases = this.aliasMap(statement);
+    const visit = (node) => {
+      if (node.conditions) return node.conditions.forEach(visit);
+      if (node.type === "not") return visit(node.condition);
+      if (node.left?.type !== "column") return;
+
+      const table = node.left.table ? aliases[node.left.table] : statement.from.table;
+      if (this.tableConfig(table)?.token !== node.left.name) return;
+
+      const values = node.type === "in" ? node.values : node.type === "comparison" ? [node.right] : [];
+      for (const value of values) {
+        if (value.type === "literal" && !caller.tokenNumbers.includes(String(value.value))) {
+          this.deny(caller, "cross_patient", "You can only ask about your own records");
+        }
+      }
+    };
+    visit(statement.where);
+  }
+
+  aliasMap(statement) {
+    const aliases = {};
+    for (const reference of [statement.from, ...statement.joins]) {
+      aliases[reference.table] = reference.table;
+      if (reference.alias) aliases[reference.alias] = reference.table;
+    }
+    return aliases;
+  }
+
+  /**
+   * Strip PII columns from rows (and embedded rows) for unauthenticated
+   * callers.
+   */
+  redact(rows, statement, caller) {
+    if (caller.authenticated) return rows;
+
+    const strip = (row, table) => {
+      if (!row || typeof row !== "object") return row;
+      const copy = { ...row };
+      for (const column of this.piiColumnsFor(table)) {
+        delete copy[column];
+      }
+      for (const key of Object.keys(copy)) {
+        if (this.tableConfig(key)) {
+          copy[key] = Array.isArray(copy[key])
+            ? copy[key].map((child) => strip(child, key))
+            : strip(copy[key], key);
+        }
+      }
+      return copy;
+    };
+
+    return rows.map((row) => strip(row, statement.from.table));
+  }
+
+  deny(caller, reason, message) {
+    console.warn("[AccessScope] Denied chatbot query:", {
+      reason,
+      role: caller.role,
+      channel: caller.channel,
+      tokenNumbers: caller.tokenNumbers,
+      userId: caller.userId,
+    });
+    throw new AccessDeniedError(message, reason);
+  }
+}
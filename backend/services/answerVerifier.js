@@ -0,0 +1,235 @@
+/**
+ * Post-generation check for chatbot answers.
+ *
+ * The LLM writes the answer from the query result, so every number, token or
+ * name it mentions should be traceable to a row field. The verifier pulls
+ * those claims out of the answer, looks each one up in the rows and returns a
+ * citation per claim. Anything it cannot find marks the answer as ungrounded.
+ */
+
+import dayjs from "dayjs";
+
+// Hospital identifiers: OPD-1059, APT-12, ICU-3, B-12A
+const IDENTIFIER_PATTERN = /\b[A-Za-z]{1,6}-\d+[A-Za-z]?\b/g;
+// 1,250 / 98.6 / 85%
+const NUMBER_PATTERN = /\d+(?:,\d{3})*(?:\.\d+)?%?/g;
+const CAPITALIZED_PATTERN = /\b[A-Z][a-zA-Z']+\b/g;
+// Words in other scripts (आशा, ராஜேஷ்) and digits other than 0-9, which the
+// patterns above can't read. Answers are checked before translation, so
+// these can only come from the rows as written.
+const NON_LATIN_PATTERN = /(?:(?![\p{Script=Latin}0-9])[\p{L}\p{M}\p{Nd}])+/gu;
+// Text before a word that starts a sentence, heading, label value or list item
+const SENTENCE_START = /(^|[.!?:\n])[\s*_#>\-•\d.)]*$/;
+const TITLE_BEFORE = /\b(dr|mr|mrs|ms)\.\s*$/i;
+const LIST_MARKER = /(^|\n)[\s*_#>-]*$/;
+
+// Capitalized words that say nothing about the data
+const COMMON_WORDS = new Set([
+  "i", "dr", "mr", "mrs", "ms", "am", "pm", "ist", "utc", "id", "opd", "icu",
+  "bed", "beds", "ward", "token", "hospital", "patient", "doctor", "appointment",
+  "status", "queue", "please", "note", "general", "emergency", "discharge",
+  "admission", "room", "department", "report", "reports", "name", "date", "time",
+  "january", "february", "march", "april", "may", "june", "july", "august",
+  "september", "october", "november", "december", "jan", "feb", "mar", "apr",
+  "jun", "jul", "aug", "sep", "sept", "oct", "nov", "dec",
+  "monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday",
+  "the", "a", "an", "yes", "no", "you", "your", "he", "she", "his", "her", "they",
+  "their", "we", "our", "it", "this", "that", "there", "here", "also", "if", "in",
+  "on", "at", "for", "based", "according", "currently", "unfortunately",
+]);
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+class AnswerVerifier {
+  /**
+   * @param {string} answer - text produced by the LLM
+   * @param {Array<object>} rows - result set the answer was written from
+   * @param {string} [question] - the user's question; claims it already
+   *   contains are not checked
+   * @returns {{ grounded: boolean, citations: Array<object>, unsupported: Array<object> }}
+   *   citations: [{ claim, type, row, field, value }], row is the index into
+   *   rows (null for the row count)
+   */
+  verify(answer, rows, question = "") {
+    const fields = this.collectFields(Array.isArray(rows) ? rows : [rows]);
+    const rowCount = Array.isArray(rows) ? rows.length : 1;
+    const asked = question.toLowerCase();
+    const askedNumbers = new Set(question.match(NUMBER_PATTERN) || []);
+
+    const citations = [];
+    const unsupported = [];
+    const record = (claim, type, citation) => {
+      if (citation) {
+        citations.push({ claim, type, ...citation });
+      } else {
+        unsupported.push({ claim, type });
+      }
+    };
+
+    // Identifiers first, then blank them so their digits aren't read as numbers
+    let remaining = answer;
+    for (const match of answer.matchAll(IDENTIFIER_PATTERN)) {
+      const claim = match[0];
+      remaining = remaining.replace(claim, " ".repeat(claim.length));
+      if (asked.includes(claim.toLowerCase())) continue;
+      record(claim, "identifier", this.findIdentifier(claim, fields));
+    }
+
+    for (const match of remaining.matchAll(NUMBER_PATTERN)) {
+      const claim = match[0];
+      if (LIST_MARKER.test(remaining.slice(0, match.index)) && /^[.)]/.test(remaining.slice(match.index + claim.length))) {
+        continue;
+      }
+      if (askedNumbers.has(claim)) continue;
+      record(claim, "number", this.findNumber(claim, fields, rowCount));
+    }
+
+    for (const claim of this.extractNames(remaining)) {
+      if (asked.includes(claim.toLowerCase())) continue;
+      record(claim, "entity", this.findName(claim, fields));
+    }
+
+    for (const claim of new Set(remaining.match(NON_LATIN_PATTERN) || [])) {
+      record(claim, "entity", this.findName(claim, fields));
+    }
+
+    return { grounded: unsupported.length === 0, citations, unsupported };
+  }
+
+  /**
+   * Flatten rows to { row, field, value, text, numbers } entries; nested
+   * JSON columns become dotted field names.
+   */
+  collectFields(rows) {
+    const fields = [];
+
+    const visit = (row, field, value) => {
+      if (value === null || value === undefined || typeof value === "boolean") return;
+
+      if (typeof value === "object") {
+        Object.entries(value).forEach(([key, nested]) => visit(row, field ? `${field}.${key}` : key, nested));
+        return;
+      }
+
+      const text = String(value);
+      fields.push({ row, field, value, text: text.toLowerCase(), numbers: this.numbersIn(value) });
+    };
+
+    rows.forEach((row, index) => visit(index, "", row));
+    return fields;
+  }
+
+  /**
+   * Every number a field can back up. Timestamps also yield their date and
+   * time parts, in UTC as stored and in server local time.
+   */
+  numbersIn(value) {
+    if (typeof value === "number") return [value];
+
+    const text = String(value);
+    const numbers = (text.match(/\d+(?:\.\d+)?/g) || []).map(Number);
+
+    if (ISO_DATE.test(text)) {
+      const date = dayjs(text);
+      if (date.isValid()) {
+        numbers.push(date.year(), date.month() + 1, date.date(), date.hour(), date.hour() % 12 || 12, date.minute());
+      }
+    }
+
+    return numbers;
+  }
+
+  findIdentifier(claim, fields) {
+    const normalized = claim.toLowerCase().replace(/-/g, "");
+    const field = fields.find((f) => f.text.replace(/-/g, "").includes(normalized));
+    return field ? this.cite(field) : null;
+  }
+
+  findNumber(claim, fields, rowCount) {
+    const isPercent = claim.endsWith("%");
+    const value = Number(claim.replace(/[,%]/g, ""));
+    const decimals = (claim.split(".")[1] || "").replace("%", "").length;
+
+    // Values the answer may have rounded or written as a percentage
+    const matches = (candidate) =>
+      Number(candidate.toFixed(decimals)) === value ||
+      (isPercent && Number((candidate * 100).toFixed(decimals)) === value);
+
+    const exact = fields.find((f) => f.numbers.includes(value));
+    if (exact) return this.cite(exact);
+
+    if (value === rowCount) {
+      return { row: null, field: "row_count", value: rowCount };
+    }
+
+    const field = fields.find((f) => f.numbers.some(matches));
+    return field ? this.cite(field) : null;
+  }
+
+  findName(claim, fields) {
+    const phrase = claim.toLowerCase();
+    const field = fields.find((f) => f.text.includes(phrase));
+    if (field) return this.cite(field);
+
+    // "Rajesh Kumar" may come from first_name and last_name
+    const words = phrase.split(/\s+/);
+    const first = fields.find((f) => containsWord(f.text, words[0]));
+    if (first && words.every((word) => fields.some((f) => containsWord(f.text, word)))) {
+      return this.cite(first);
+    }
+    return null;
+  }
+
+  /**
+   * Capitalized words that aren't just starting a sentence, grouped into
+   * phrases ("Rajesh Kumar").
+   */
+  extractNames(text) {
+    const names = [];
+    let phrase = [];
+    let held = null;
+    let lastEnd = -1;
+
+    const flush = () => {
+      if (phrase.length > 0) names.push(phrase.join(" "));
+      phrase = [];
+      held = null;
+    };
+
+    for (const match of text.matchAll(CAPITALIZED_PATTERN)) {
+      const word = match[0].replace(/'s$/, "");
+
+      // Only words separated by plain spaces belong to the same phrase
+      if (lastEnd < 0 || !/^ +$/.test(text.slice(lastEnd, match.index))) flush();
+      lastEnd = match.index + match[0].length;
+
+      if (COMMON_WORDS.has(word.toLowerCase())) {
+        flush();
+      } else if (phrase.length === 0 && !held && this.startsSentence(text.slice(0, match.index))) {
+        // Kept only if the next word is capitalized too ("Rajesh Kumar is...")
+        held = word;
+      } else {
+        if (held) phrase.push(held);
+        held = null;
+        phrase.push(word);
+      }
+    }
+    flush();
+
+    return [...new Set(names)];
+  }
+
+  startsSentence(before) {
+    return SENTENCE_START.test(before) && !TITLE_BEFORE.test(before);
+  }
+
+  cite(field) {
+    return { row: field.row, field: field.field, value: field.value };
+  }
+}
+
+function containsWord(text, word) {
+  return new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`).test(text);
+}
+
+export default new AnswerVerifier();
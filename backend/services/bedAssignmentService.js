@@ -0,0 +1,283 @@
+/**
+ * General ward bed assignment. The assignment itself is done by the
+ * assign_bed and assign_next_waiting_bed database functions
+ * (supabase/migration_bed_assignment.sql), which lock the queue entry and
+ * the bed in one transaction, so two staff screens can't hand the same bed
+ * to two patients. Asking again for an entry that already has a bed returns
+ * that bed without changing anything.
+ *
+ * This service adds what happens around it: the patient is told about their
+ * bed, and a patient left waiting gets an estimated wait.
+ */
+
+import { supabase } from "../db/supabaseClient.js";
+import { APP_CONSTANTS } from "../config/constants.js";
+import notificationService from "./notifications/index.js";
+
+const { DEFAULT_STAY_DAYS, DEFAULT_CONFIDENCE, WAIT_MINUTES_PER_PATIENT } = APP_CONSTANTS.BED_ASSIGNMENT;
+
+export const BED_TYPES = ["icu", "emergency", "general", "private", "maternity"];
+
+export class BedAssignmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "BedAssignmentError";
+    this.status = status;
+  }
+}
+
+class BedAssignmentService {
+  /**
+   * Give a waiting queue entry a free bed of the type needed, or record its
+   * estimated wait when none is free. With bedId, that bed is assigned if it
+   * is still free.
+   *
+   * @returns {Promise<{success, bedAssigned, alreadyAssigned?, bed?, waitTimeMinutes?, message}>}
+   */
+  async assignBed({ queueEntryId, bedType = "general", doctorId = null, bedId = null }) {
+    if (!queueEntryId) {
+      throw new BedAssignmentError("queueEntryId is required");
+    }
+    if (!bedId && !BED_TYPES.includes(bedType)) {
+      throw new BedAssignmentError(`bedType must be one of: ${BED_TYPES.join(", ")}`);
+    }
+
+    const result = await this.callAssign("assign_bed", {
+      p_queue_entry_id: queueEntryId,
+      p_bed_type: bedId ? null : bedType,
+      p_doctor_id: bedId ? null : doctorId,
+      p_bed_id: bedId,
+    });
+    const entry = result.queue_entry;
+    const name = entry?.patient_name || "Patient";
+
+    switch (result.outcome) {
+      case "assigned":
+        this.notifyAssigned(entry, result.bed);
+        return {
+          success: true,
+          bedAssigned: true,
+          bed: result.bed,
+          message: `${name} auto-assigned to Bed ${result.bed.bed_number}`,
+        };
+      case "already_assigned":
+        return {
+          success: true,
+          bedAssigned: true,
+          alreadyAssigned: true,
+          bed: result.bed,
+          message: `${name} is already in Bed ${result.bed.bed_number}`,
+        };
+      case "no_bed": {
+        const waitTimeMinutes = await this.recordWaitTime(entry, bedType);
+        return {
+          success: true,
+          bedAssigned: false,
+          waitTimeMinutes,
+          message: `No ${bedType} bed available. Estimated wait: ${formatWaitTime(waitTimeMinutes)}`,
+        };
+      }
+      case "bed_taken":
+        throw new BedAssignmentError("That bed is no longer available", 409);
+      case "not_waiting":
+        throw new BedAssignmentError(`${name} is ${entry.status.replace(/_/g, " ")}, not waiting for a bed`, 409);
+      default:
+        throw new BedAssignmentError("Queue entry not found", 404);
+    }
+  }
+
+  /**
+   * Give the patient who has waited longest a free bed of any type.
+   *
+   * @returns {Promise<{assigned, patient?, bed?, message}>}
+   */
+  async assignNextWaiting({ doctorId = null } = {}) {
+    const result = await this.callAssign("assign_next_waiting_bed", { p_doctor_id: doctorId });
+
+    if (result.outcome === "no_patient") {
+      return { assigned: 0, message: "No waiting patients" };
+    }
+    if (result.outcome !== "assigned") {
+      return { assigned: 0, message: "No beds available" };
+    }
+
+    const { queue_entry: entry, bed } = result;
+    this.notifyAssigned(entry, bed);
+    return {
+      assigned: 1,
+      patient: entry.patient_name,
+      bed: bed.bed_number,
+      message: `${entry.patient_name} auto-assigned to Bed ${bed.bed_number}`,
+    };
+  }
+
+  /**
+   * Fill free beds from the waiting list, longest wait first, until either
+   * runs out. Each assignment is its own transaction.
+   *
+   * @returns {Promise<{processed, assigned, assignments, message}>}
+   */
+  async processWaitingQueue({ doctorId = null } = {}) {
+    let query = supabase
+      .from("bed_queue")
+      .select("id")
+      .eq("status", "waiting_for_bed");
+    if (doctorId) {
+      query = query.eq("doctor_id", doctorId);
+    }
+    const { data, error } = await query;
+    if (error) throw new BedAssignmentError(error.message, 500);
+
+    const waiting = data?.length || 0;
+    if (waiting === 0) {
+      return { processed: 0, assigned: 0, assignments: [], message: "No waiting patients" };
+    }
+
+    const assignments = [];
+    while (assignments.length < waiting) {
+      const result = await this.assignNextWaiting({ doctorId });
+      if (!result.assigned) break;
+      assignments.push({ patient: result.patient, bed: result.bed });
+    }
+
+    return {
+      processed: waiting,
+      assigned: assignments.length,
+      assignments,
+      message: assignments.length
+        ? `Assigned ${assignments.length} of ${waiting} waiting patients`
+        : "No beds available",
+    };
+  }
+
+  async callAssign(fn, params) {
+    const { data, error } = await supabase.rpc(fn, {
+      ...params,
+      p_stay_days: DEFAULT_STAY_DAYS,
+      p_confidence: DEFAULT_CONFIDENCE,
+    });
+    if (error) throw new BedAssignmentError(error.message, 500);
+    return data || {};
+  }
+
+  // Sent after the assignment is committed; a failed message doesn't undo it
+  notifyAssigned(entry, bed) {
+    notificationService
+      .send({
+        template: bed.bed_type === "icu" ? "icu_bed_assigned" : "bed_assigned",
+        recipient: {
+          appointmentId: entry.appointment_id,
+          tokenNumber: entry.token_number,
+          name: entry.patient_name,
+          phone: entry.phone,
+        },
+        variables: { bedNumber: bed.bed_number, bedType: bed.bed_type },
+      })
+      .catch((error) => console.error("Bed assignment notification failed:", error.message));
+  }
+
+  /**
+   * Estimate how long a waiting entry will wait from its place in the queue
+   * and the predicted discharges of occupied beds of its type, and save it
+   * on the entry.
+   */
+  async recordWaitTime(entry, bedType) {
+    const { data: waiting } = await supabase
+      .from("bed_queue")
+      .select("id, admitted_from_opd_at")
+      .eq("status", "waiting_for_bed")
+      .order("admitted_from_opd_at", { ascending: true });
+
+    let position = waiting?.findIndex((row) => row.id === entry.id) ?? 0;
+    if (position === -1) position = waiting?.length || 0;
+
+    const waitTimeMinutes = await this.estimateWaitMinutes(bedType, position);
+
+    const { error } = await supabase
+      .from("bed_queue")
+      .update({
+        estimated_wait_minutes: Math.ceil(waitTimeMinutes),
+        notes: `Waiting for bed. Estimated wait: ${formatWaitTime(waitTimeMinutes)}`,
+      })
+      .eq("id", entry.id);
+    if (error) {
+      console.error("Failed to save estimated wait:", error.message);
+    }
+    return waitTimeMinutes;
+  }
+
+  /**
+   * Minutes until a bed of this type frees up for the patient at `position`
+   * (0 = next in line). Each occupied bed frees up at its latest predicted
+   * discharge, or DEFAULT_STAY_DAYS after admission without one.
+   */
+  async estimateWaitMinutes(bedType, position) {
+    const fallback = WAIT_MINUTES_PER_PATIENT * (position + 1);
+    try {
+      const { data: beds, error } = await supabase
+        .from("beds")
+        .select("bed_id")
+        .eq("status", "occupied")
+        .eq("bed_type", bedType);
+      if (error || !beds?.length) return fallback;
+
+      const { data: stays } = await supabase
+        .from("bed_queue")
+        .select("id, bed_id, admitted_at, bed_assigned_at")
+        .in("bed_id", beds.map((bed) => bed.bed_id))
+        .in("status", ["bed_assigned", "admitted"]);
+
+      const { data: predictions } = stays?.length
+        ? await supabase
+          .from("discharge_predictions")
+          .select("bed_queue_id, predicted_discharge_date, remaining_days, created_at")
+          .in("bed_queue_id", stays.map((stay) => stay.id))
+          .order("created_at", { ascending: false })
+        : { data: [] };
+
+      const now = Date.now();
+      const releaseTimes = beds.map((bed) => {
+        const stay = stays?.find((row) => row.bed_id === bed.bed_id);
+        const latest = stay && predictions?.find((row) => row.bed_queue_id === stay.id);
+
+        if (latest?.remaining_days != null) {
+          return latest.remaining_days * 24 * 60;
+        }
+        if (latest?.predicted_discharge_date) {
+          const dischargeAt = new Date(`${latest.predicted_discharge_date}T00:00:00`).getTime();
+          return Math.max(0, Math.ceil((dischargeAt - now) / 60000));
+        }
+        const admittedAt = new Date(stay?.bed_assigned_at || stay?.admitted_at || now).getTime();
+        return Math.max(0, DEFAULT_STAY_DAYS * 24 * 60 - (now - admittedAt) / 60000);
+      });
+
+      releaseTimes.sort((a, b) => a - b);
+      if (position < releaseTimes.length) {
+        return Math.ceil(releaseTimes[position]);
+      }
+      // More patients ahead than beds: after the average stay, one more per interval
+      const average = releaseTimes.reduce((sum, minutes) => sum + minutes, 0) / releaseTimes.length;
+      return Math.ceil(average + (position - releaseTimes.length + 1) * WAIT_MINUTES_PER_PATIENT);
+    } catch (error) {
+      console.error("Error estimating bed wait:", error.message);
+      return fallback;
+    }
+  }
+}
+
+/** "45 min", "3h 20m", "2d 4h" */
+export function formatWaitTime(minutes) {
+  if (minutes < 60) {
+    return `${Math.ceil(minutes)} min`;
+  }
+  if (minutes < 24 * 60) {
+    const hours = Math.floor(minutes / 60);
+    const mins = Math.ceil(minutes % 60);
+    return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+  }
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+}
+
+export default new BedAssignmentService();
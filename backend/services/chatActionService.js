@@ -0,0 +1,346 @@
+/**
+ * Write actions for the chatbot and Telegram bot.
+ *
+ * The bot never writes on the first message: it proposes an allow-listed
+ * action, shows a summary and a one-time confirmation code, and executes it
+ * only when the same caller replies "CONFIRM <code>". Every proposal,
+ * execution, failure and discard is written to chatbot_action_audit with the
+ * originating channel and token.
+ */
+
+import crypto from "crypto";
+import dayjs from "dayjs";
+import { supabase } from "../db/supabaseClient.js";
+import { APP_CONSTANTS } from "../config/constants.js";
+import { identityPrompt } from "./accessScope.js";
+
+const { ALLOWED, CODE_TTL_MINUTES, MAX_ATTEMPTS } = APP_CONSTANTS.CHAT_ACTIONS;
+
+export const CONFIRM_COMMAND = /^\s*\/?confirm\s+(\d{6})\s*[.!]?\s*$/i;
+export const DISCARD_COMMAND = /^\s*\/?(discard|abort)(\s+(\d{6}))?\s*[.!]?\s*$/i;
+
+export class ChatActionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ChatActionError";
+    this.status = status;
+  }
+}
+
+export class ChatActionService {
+  /**
+   * @param {object} supabaseService - SupabaseService instance
+   */
+  constructor(supabaseService) {
+    this.supabaseService = supabaseService;
+    this.pending = new Map();
+    this.ttlMs = CODE_TTL_MINUTES * 60 * 1000;
+
+    // Expire unconfirmed actions; unref so the timer never keeps the process alive
+    this.sweepTimer = setInterval(() => this.sweep(), this.ttlMs);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Check an action can run for this caller and hold it until confirmed.
+   * @param {string} action - one of APP_CONSTANTS.CHAT_ACTIONS.ALLOWED
+   * @param {object} params - action parameters (tokenNumber, appointmentDate, ...)
+   * @returns {Promise<object>} { action, code, summary, expiresAt }
+   */
+  async propose(action, params, { caller, sessionKey = null }) {
+    if (!ALLOWED.includes(action)) {
+      throw new ChatActionError(`Action ${action} is not available in chat`, 403);
+    }
+
+    const tokenNumber = this.ownToken(params.tokenNumber, caller);
+    const appointment = await this.supabaseService.getPatientByToken(tokenNumber);
+    if (!appointment) {
+      throw new ChatActionError(`I couldn't find an appointment for token ${tokenNumber}.`, 404);
+    }
+
+    const prepared = this.prepare(action, { ...params, tokenNumber }, appointment);
+    const ownerKey = this.ownerKey(caller, sessionKey);
+
+    const previous = this.pending.get(ownerKey);
+    if (previous) {
+      await this.audit(previous, "discarded", { error: "Replaced by a new request" });
+    }
+
+    const entry = {
+      action,
+      code: crypto.randomInt(0, 1000000).toString().padStart(6, "0"),
+      params: prepared.params,
+      summary: prepared.summary,
+      tokenNumber,
+      channel: caller.channel,
+      userId: caller.userId,
+      sessionKey,
+      attempts: 0,
+      expiresAt: Date.now() + this.ttlMs,
+    };
+    this.pending.set(ownerKey, entry);
+    await this.audit(entry, "proposed");
+
+    return {
+      action,
+      code: entry.code,
+      summary: entry.summary,
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+    };
+  }
+
+  /**
+   * Execute the caller's pending action if the code matches.
+   * @returns {Promise<object>} { action, result, response }
+   */
+  async confirm(code, { caller, sessionKey = null }) {
+    this.requireIdentity(caller);
+    const ownerKey = this.ownerKey(caller, sessionKey);
+    const entry = this.pending.get(ownerKey);
+
+    if (!entry) {
+      throw new ChatActionError("There is nothing waiting for confirmation. Tell me what you'd like to do first.", 404);
+    }
+
+    if (Date.now() > entry.expiresAt) {
+      this.pending.delete(ownerKey);
+      await this.audit(entry, "expired");
+      throw new ChatActionError("That confirmation code has expired. Please ask again.", 410);
+    }
+
+    if (entry.code !== code) {
+      entry.attempts += 1;
+      if (entry.attempts >= MAX_ATTEMPTS) {
+        this.pending.delete(ownerKey);
+        await this.audit(entry, "discarded", { error: "Too many wrong confirmation codes" });
+        throw new ChatActionError("Too many wrong codes. The request was cancelled; please ask again.", 403);
+      }
+      throw new ChatActionError("That code doesn't match. Please check it and try again.", 403);
+    }
+
+    // The token must still belong to whoever is confirming
+    this.ownToken(entry.tokenNumber, caller);
+    this.pending.delete(ownerKey);
+
+    try {
+      const result = await this.execute(entry);
+      await this.audit(entry, "executed", { result });
+      return { action: entry.action, result, response: this.describeResult(entry, result) };
+    } catch (error) {
+      await this.audit(entry, "failed", { error: error.message });
+      throw new ChatActionError(`Sorry, I couldn't complete that: ${error.message}`, 500);
+    }
+  }
+
+  async discard(code, { caller, sessionKey = null }) {
+    const ownerKey = this.ownerKey(caller, sessionKey);
+    const entry = this.pending.get(ownerKey);
+    if (!entry || (code && entry.code !== code)) {
+      return false;
+    }
+
+    this.pending.delete(ownerKey);
+    await this.audit(entry, "discarded");
+    return true;
+  }
+
+  async sweep() {
+    const now = Date.now();
+    for (const [ownerKey, entry] of this.pending) {
+      if (now > entry.expiresAt) {
+        this.pending.delete(ownerKey);
+        await this.audit(entry, "expired");
+      }
+    }
+  }
+
+  /**
+   * Validate parameters against the current appointment and build the
+   * summary shown to the user.
+   */
+  prepare(action, params, appointment) {
+    const { tokenNumber } = params;
+
+    switch (action) {
+      case "cancel_appointment":
+        this.requireScheduled(appointment);
+        return {
+          params: { tokenNumber },
+          summary: `Cancel appointment ${tokenNumber} for ${appointment.patient_name} (${appointment.disease})${formatWhen(appointment.appointment_date)}.`,
+        };
+
+      case "reschedule_appointment": {
+        this.requireScheduled(appointment);
+        const date = this.requireFutureDate(params.appointmentDate);
+        return {
+          params: { tokenNumber, appointmentDate: date.toISOString() },
+          summary: `Move appointment ${tokenNumber} for ${appointment.patient_name}${formatWhen(appointment.appointment_date, "from")} to ${formatDate(date)}.`,
+        };
+      }
+
+      case "request_callback": {
+        const preferredTime = params.preferredTime ? this.requireFutureDate(params.preferredTime) : null;
+        return {
+          params: { tokenNumber, preferredTime: preferredTime?.toISOString() || null, reason: params.reason || null },
+          summary: `Ask the hospital to call ${appointment.patient_name} back on the number registered with ${tokenNumber}${preferredTime ? ` around ${formatDate(preferredTime)}` : ""}.`,
+        };
+      }
+
+      case "book_appointment": {
+        const date = this.requireFutureDate(params.appointmentDate);
+        const disease = params.disease || appointment.disease;
+        // The Telegram booking flow picks a doctor; otherwise the previous one is kept
+        const doctor = params.doctorId ? { doctorId: params.doctorId, doctorName: params.doctorName || null } : {};
+        return {
+          params: { tokenNumber, appointmentDate: date.toISOString(), disease, ...doctor },
+          summary: `Book a new OPD appointment for ${appointment.patient_name} (${disease})${doctor.doctorName ? ` with Dr. ${doctor.doctorName}` : ""} on ${formatDate(date)}, using the details registered with ${tokenNumber}.`,
+        };
+      }
+
+      default:
+        throw new ChatActionError(`Action ${action} is not available in chat`, 403);
+    }
+  }
+
+  async execute(entry) {
+    const { tokenNumber } = entry.params;
+
+    switch (entry.action) {
+      case "cancel_appointment":
+        return this.supabaseService.cancelAppointment(tokenNumber);
+
+      case "reschedule_appointment":
+        return this.supabaseService.rescheduleAppointment(tokenNumber, entry.params.appointmentDate);
+
+      case "request_callback": {
+        const appointment = await this.supabaseService.getPatientByToken(tokenNumber);
+        return this.supabaseService.requestCallback({
+          tokenNumber,
+          patientName: appointment?.patient_name,
+          phone: appointment?.phone,
+          preferredTime: entry.params.preferredTime,
+          reason: entry.params.reason,
+          channel: entry.channel,
+        });
+      }
+
+      case "book_appointment": {
+        const appointment = await this.supabaseService.getPatientByToken(tokenNumber);
+        return this.supabaseService.bookAppointment({
+          name: appointment.patient_name,
+          age: appointment.age,
+          phone: appointment.phone,
+          email: appointment.email,
+          disease: entry.params.disease,
+          appointmentDate: entry.params.appointmentDate,
+          doctorId: entry.params.doctorId || appointment.doctor_id,
+          preferredLanguage: appointment.preferred_language,
+          notes: `Booked via ${entry.channel} chatbot from ${tokenNumber}`,
+        });
+      }
+
+      default:
+        throw new ChatActionError(`Action ${entry.action} is not available in chat`, 403);
+    }
+  }
+
+  describeResult(entry, result) {
+    switch (entry.action) {
+      case "cancel_appointment":
+        return `Done. Appointment ${entry.tokenNumber} has been cancelled.`;
+      case "reschedule_appointment":
+        return `Done. Appointment ${entry.tokenNumber} is now on ${formatDate(dayjs(result.appointment_date))}.`;
+      case "request_callback":
+        return "Done. The hospital will call you back on your registered number.";
+      case "book_appointment":
+        return `Done. Your new appointment is booked for ${formatDate(dayjs(result.appointment_date))}. Your new token number is ${result.token_number}.`;
+      default:
+        return "Done.";
+    }
+  }
+
+  /**
+   * Actions only ever touch the caller's own appointment.
+   */
+  ownToken(tokenNumber, caller) {
+    this.requireIdentity(caller);
+
+    const token = tokenNumber || (caller.tokenNumbers.length === 1 ? caller.tokenNumbers[0] : null);
+    if (!token) {
+      throw new ChatActionError("Which appointment do you mean? Please include its token number.");
+    }
+    if (!caller.tokenNumbers.includes(token)) {
+      throw new ChatActionError("You can only make changes to your own appointments.", 403);
+    }
+    return token;
+  }
+
+  /**
+   * Only a caller who proved who they are can propose or confirm: a signed-in
+   * session or a linked Telegram chat. A bare token number is guessable, and
+   * the confirmation code goes back to the same caller, so it proves nothing.
+   */
+  requireIdentity(caller) {
+    if (caller.role !== "patient") {
+      throw new ChatActionError(
+        caller.role === "doctor"
+          ? "Doctors can manage appointments from the dashboard."
+          : identityPrompt(caller, "first"),
+        403
+      );
+    }
+    if (!caller.authenticated) {
+      throw new ChatActionError(identityPrompt(caller, "before making changes to an appointment"), 403);
+    }
+  }
+
+  ownerKey(caller, sessionKey) {
+    return `${caller.channel}:${sessionKey || caller.userId || caller.tokenNumbers.join(",")}`;
+  }
+
+  requireScheduled(appointment) {
+    if (appointment.status !== APP_CONSTANTS.APPOINTMENT_STATUS.SCHEDULED) {
+      throw new ChatActionError(`Appointment ${appointment.token_number} is already ${appointment.status}.`, 409);
+    }
+  }
+
+  requireFutureDate(value) {
+    if (!value) {
+      throw new ChatActionError("Please tell me the date and time, for example \"tomorrow at 11am\" or \"25 Oct 10:30\".");
+    }
+    const date = dayjs(value);
+    if (!date.isValid() || date.isBefore(dayjs())) {
+      throw new ChatActionError("Please choose a date and time in the future.");
+    }
+    return date;
+  }
+
+  async audit(entry, status, { result = null, error = null } = {}) {
+    const { error: insertError } = await supabase.from("chatbot_action_audit").insert([
+      {
+        action: entry.action,
+        status,
+        channel: entry.channel,
+        token_number: entry.tokenNumber,
+        user_id: entry.userId || null,
+        session_key: entry.sessionKey,
+        confirmation_code: entry.code,
+        params: entry.params,
+        result,
+        error,
+      },
+    ]);
+
+    if (insertError) {
+      console.error("Failed to write chatbot action audit:", insertError.message, { action: entry.action, status });
+    }
+  }
+}
+
+function formatDate(date) {
+  return dayjs(date).format("ddd D MMM YYYY, h:mm A");
+}
+
+function formatWhen(date, preposition = "on") {
+  return date ? ` ${preposition} ${formatDate(date)}` : "";
+}
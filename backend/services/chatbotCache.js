@@ -0,0 +1,186 @@
+/**
+ * Caches for the chatbot's NL-to-SQL pipeline.
+ *
+ * - Generated SQL, keyed on the normalized question, token number and schema
+ *   version, so a repeated question skips the SQL generation call and a
+ *   schema change never reuses SQL written for the old tables.
+ * - Query results, keyed on the SQL and the caller's access scope, kept for a
+ *   few seconds and dropped as soon as a table they read changes.
+ *
+ * Table changes come from backend writes (invalidateTables) and, when
+ * Supabase Realtime is reachable, from postgres_changes on the public schema.
+ */
+
+import crypto from "crypto";
+import { supabase } from "../db/supabaseClient.js";
+import { APP_CONSTANTS } from "../config/constants.js";
+import chatbotMetrics from "./chatbotMetrics.js";
+
+const { SQL_TTL_MINUTES, SQL_MAX_ENTRIES, RESULT_TTL_SECONDS, RESULT_MAX_ENTRIES } =
+  APP_CONSTANTS.CHATBOT_CACHE;
+
+class ChatbotCache {
+  constructor() {
+    this.sql = new Map();
+    this.results = new Map();
+    this.channel = null;
+    this.listenerStatus = "off";
+    this.stats = {
+      sql: { hits: 0, misses: 0 },
+      result: { hits: 0, misses: 0, invalidations: 0 },
+    };
+  }
+
+  /**
+   * "How many appointments today?" and "how many appointments today" share
+   * an entry.
+   */
+  normalizeQuestion(question) {
+    return question
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s-]/gu, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  sqlKey(question, tokenNumber, schemaVersion) {
+    return hash([this.normalizeQuestion(question), tokenNumber || "", schemaVersion || ""]);
+  }
+
+  getSQL(question, tokenNumber, schemaVersion) {
+    const sql = this.read(this.sql, this.sqlKey(question, tokenNumber, schemaVersion));
+    this.count("sql", sql !== null);
+    return sql;
+  }
+
+  setSQL(question, tokenNumber, schemaVersion, sql) {
+    this.write(this.sql, this.sqlKey(question, tokenNumber, schemaVersion), sql, {
+      ttlMs: SQL_TTL_MINUTES * 60 * 1000,
+      maxEntries: SQL_MAX_ENTRIES,
+    });
+  }
+
+  /**
+   * Results depend on who is asking, since AccessScope filters and redacts
+   * them per caller.
+   */
+  resultKey(sql, caller) {
+    return hash([
+      sql,
+      caller ? [caller.role, caller.authenticated, caller.userId, [...caller.tokenNumbers].sort()] : null,
+    ]);
+  }
+
+  getResult(sql, caller) {
+    const entry = this.read(this.results, this.resultKey(sql, caller));
+    this.count("result", entry !== null);
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * @param {string[]} tables - every table the query read, for invalidation
+   */
+  setResult(sql, caller, data, tables) {
+    this.write(this.results, this.resultKey(sql, caller), { data, tables }, {
+      ttlMs: RESULT_TTL_SECONDS * 1000,
+      maxEntries: RESULT_MAX_ENTRIES,
+    });
+  }
+
+  /**
+   * Drop cached results that read any of these tables.
+   */
+  invalidateTables(tables) {
+    for (const [key, entry] of this.results) {
+      if (entry.value.tables.some((table) => tables.includes(table))) {
+        this.results.delete(key);
+        this.stats.result.invalidations += 1;
+      }
+    }
+  }
+
+  clear() {
+    this.sql.clear();
+    this.results.clear();
+  }
+
+  /**
+   * Invalidate on database changes made outside this process. Needs the
+   * tables in the supabase_realtime publication (see
+   * supabase/migration_chatbot_cache.sql); without it results simply expire
+   * after RESULT_TTL_SECONDS.
+   */
+  startListening() {
+    if (this.channel) return;
+
+    try {
+      this.channel = supabase
+        .channel("chatbot_cache")
+        .on("postgres_changes", { event: "*", schema: "public" }, (payload) => {
+          this.invalidateTables([payload.table]);
+        })
+        .subscribe((status, error) => {
+          this.listenerStatus = status.toLowerCase();
+          if (status === "SUBSCRIBED") {
+            console.log("🔄 Chatbot cache listening for table changes");
+          } else if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
+            console.warn(`Chatbot cache change listener ${status.toLowerCase()}:`, error?.message || "");
+          }
+        });
+    } catch (error) {
+      // Realtime needs a WebSocket implementation (Node 22+)
+      console.warn("Chatbot cache change listener unavailable:", error.message);
+      this.channel = null;
+      this.listenerStatus = "unavailable";
+    }
+  }
+
+  getStatus() {
+    const rate = ({ hits, misses }) => (hits + misses > 0 ? Number((hits / (hits + misses)).toFixed(3)) : null);
+    return {
+      listener: this.listenerStatus,
+      sql: { ...this.stats.sql, hitRate: rate(this.stats.sql), size: this.sql.size, ttlMinutes: SQL_TTL_MINUTES },
+      result: {
+        ...this.stats.result,
+        hitRate: rate(this.stats.result),
+        size: this.results.size,
+        ttlSeconds: RESULT_TTL_SECONDS,
+      },
+    };
+  }
+
+  count(kind, hit) {
+    this.stats[kind][hit ? "hits" : "misses"] += 1;
+    chatbotMetrics.recordCache(kind, hit);
+  }
+
+  read(store, key) {
+    const entry = store.get(key);
+    if (!entry) return null;
+
+    if (Date.now() > entry.expiresAt) {
+      store.delete(key);
+      return null;
+    }
+
+    // Map keeps insertion order; re-inserting marks the entry recently used
+    store.delete(key);
+    store.set(key, entry);
+    return entry.value;
+  }
+
+  write(store, key, value, { ttlMs, maxEntries }) {
+    store.delete(key);
+    store.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (store.size > maxEntries) {
+      store.delete(store.keys().next().value);
+    }
+  }
+}
+
+function hash(parts) {
+  return crypto.createHash("sha1").update(JSON.stringify(parts)).digest("hex");
+}
+
+export default new ChatbotCache();
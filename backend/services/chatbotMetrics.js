@@ -0,0 +1,146 @@
+/**
+ * Per-request accounting for the chatbot: LLM calls (tokens, latency), cache
+ * hits and total time, plus running totals for /api/chatbot/metrics. Cache
+ * totals live in chatbotCache.
+ *
+ * A request is tracked by running its handler inside track(); LLM usage and
+ * cache lookups made anywhere below it are attributed to that request through
+ * AsyncLocalStorage, so services don't need to pass a context around.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import { onUsage } from "./llm/index.js";
+import { APP_CONSTANTS } from "../config/constants.js";
+
+const { RECENT_REQUESTS } = APP_CONSTANTS.CHATBOT_METRICS;
+
+class ChatbotMetrics {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+    this.startedAt = new Date().toISOString();
+    this.recent = [];
+    this.totals = {
+      requests: 0,
+      errors: 0,
+      totalLatencyMs: 0,
+      byIntent: {},
+      llm: {},
+    };
+
+    onUsage((usage) => this.recordLLM(usage));
+  }
+
+  /**
+   * Run a request handler with accounting. The record is finished when the
+   * handler settles.
+   * @param {string} channel - "api", "telegram", ...
+   */
+  async track(channel, handler) {
+    const record = {
+      channel,
+      startedAt: Date.now(),
+      intent: null,
+      status: 200,
+      llm: [],
+      cache: {},
+    };
+
+    try {
+      return await this.storage.run(record, handler);
+    } finally {
+      this.finish(record);
+    }
+  }
+
+  /**
+   * Label the current request, e.g. with its intent and HTTP status.
+   */
+  annotate(fields) {
+    const record = this.storage.getStore();
+    if (record) Object.assign(record, fields);
+  }
+
+  recordLLM(usage) {
+    const feature = usage.feature || "unknown";
+    const totals = (this.totals.llm[feature] ||= {
+      calls: 0,
+      errors: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalLatencyMs: 0,
+    });
+    totals.calls += 1;
+    totals.errors += usage.error ? 1 : 0;
+    totals.promptTokens += usage.promptTokens;
+    totals.completionTokens += usage.completionTokens;
+    totals.totalLatencyMs += usage.latencyMs;
+
+    this.storage.getStore()?.llm.push(usage);
+  }
+
+  /**
+   * @param {string} kind - "sql" or "result"
+   */
+  recordCache(kind, hit) {
+    const record = this.storage.getStore();
+    if (record) record.cache[kind] = hit ? "hit" : "miss";
+  }
+
+  finish(record) {
+    const latencyMs = Date.now() - record.startedAt;
+    const intent = record.intent || "unknown";
+    const failed = record.status >= 400;
+
+    this.totals.requests += 1;
+    this.totals.errors += failed ? 1 : 0;
+    this.totals.totalLatencyMs += latencyMs;
+    this.totals.byIntent[intent] = (this.totals.byIntent[intent] || 0) + 1;
+
+    this.recent.unshift({
+      at: new Date(record.startedAt).toISOString(),
+      channel: record.channel,
+      intent,
+      status: record.status,
+      latencyMs,
+      llmCalls: record.llm.length,
+      llmLatencyMs: sum(record.llm, "latencyMs"),
+      promptTokens: sum(record.llm, "promptTokens"),
+      completionTokens: sum(record.llm, "completionTokens"),
+      cache: record.cache,
+    });
+    this.recent.length = Math.min(this.recent.length, RECENT_REQUESTS);
+  }
+
+  getSummary() {
+    const { requests, errors, totalLatencyMs, byIntent, llm } = this.totals;
+
+    return {
+      since: this.startedAt,
+      requests: {
+        total: requests,
+        errors,
+        avgLatencyMs: requests > 0 ? Math.round(totalLatencyMs / requests) : null,
+        byIntent,
+      },
+      llm: Object.fromEntries(
+        Object.entries(llm).map(([feature, totals]) => [
+          feature,
+          {
+            calls: totals.calls,
+            errors: totals.errors,
+            promptTokens: totals.promptTokens,
+            completionTokens: totals.completionTokens,
+            avgLatencyMs: Math.round(totals.totalLatencyMs / totals.calls),
+          },
+        ])
+      ),
+      recent: this.recent,
+    };
+  }
+}
+
+function sum(items, key) {
+  return items.reduce((total, item) => total + (item[key] || 0), 0);
+}
+
+export default new ChatbotMetrics();
@@ -0,0 +1,153 @@
+import { getLLMProvider } from "./llm/index.js";
+
+const DISCHARGE_PREDICTION_SCHEMA = {
+  type: "object",
+  required: ["predicted_discharge_date", "remaining_days", "confidence", "reasoning"],
+  properties: {
+    predicted_discharge_date: { type: "string" },
+    remaining_days: { type: "number" },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+    reasoning: { type: "string" },
+  },
+};
+
+const HEALTH_UPDATE_SCHEMA = {
+  type: "object",
+  required: ["estimatedDischargeDate", "carePlan", "riskLevel", "warnings"],
+  properties: {
+    estimatedDischargeDate: { type: "string" },
+    carePlan: { type: "string" },
+    riskLevel: { type: "string" },
+    warnings: { type: "string" },
+  },
+};
+
+// Groq accepts at most 5 images per request
+const MAX_IMAGES = 5;
+
+/**
+ * Clinical AI features used by the dashboard: discharge prediction after a
+ * daily round, medical report summaries and the ward staff's discharge
+ * estimate. These used to call Gemini/Groq from the browser.
+ */
+class ClinicalAIService {
+  /**
+   * @param {object} patientContext - patient details and clinical timeline
+   *   built by the dashboard from daily_rounds and medical_reports
+   * @returns {Promise<object>} { predicted_discharge_date, remaining_days, confidence, reasoning }
+   */
+  async predictDischarge(patientContext) {
+    const prompt = `You are a clinical decision-support AI specializing in predicting Remaining Length of Stay (RLOS) for hospitalized patients.
+
+CRITICAL DEFINITION:
+- You are predicting REMAINING Length of Stay FROM NOW — NOT total hospital stay.
+- If a patient was admitted 3 days ago and will likely need 3 more days, remaining_days = 3.
+- predicted_discharge_date must be a FUTURE date relative to current_datetime.
+- Reflect the patient's CURRENT trend, not just admission diagnosis.
+
+PATIENT DATA:
+${JSON.stringify(patientContext, null, 2)}
+
+ANALYSIS INSTRUCTIONS:
+1. Examine the clinical_timeline chronologically for trends in vitals (temperature, heart rate, BP, oxygen), condition status (improving/stable/critical), and doctor notes.
+2. Consider AI summaries from lab/radiology reports as objective clinical evidence.
+3. Account for days_since_admission — this patient is already ${patientContext.days_since_admission} day(s) into their stay.
+4. Base remaining_days on realistic REMAINING recovery time starting from the provided current_local_date (${patientContext.current_local_date}).
+5. Confidence: 0.0–1.0. Higher when trend is clear and multiple rounds exist; lower when data is sparse.
+
+RESPOND WITH ONLY THIS JSON OBJECT (no markdown, no explanation, just raw JSON):
+{
+  "predicted_discharge_date": "YYYY-MM-DD",
+  "remaining_days": <integer, days remaining from today>,
+  "confidence": <float 0.0-1.0>,
+  "reasoning": "<concise 2-3 sentence clinical reasoning explaining the estimate>"
+}`;
+
+    const prediction = await getLLMProvider("discharge_prediction").generateJSON({
+      prompt,
+      schema: DISCHARGE_PREDICTION_SCHEMA,
+      temperature: 0.2,
+    });
+
+    // Safety: remaining_days must be >= 0
+    if (prediction.remaining_days < 0) prediction.remaining_days = 0;
+
+    return prediction;
+  }
+
+  /**
+   * Two-line summary of a report image stored in Supabase storage.
+   */
+  async summarizeReport(fileUrl, reportType) {
+    const summary = await getLLMProvider("report_summary").vision({
+      system: "You are a medical assistant AI. Analyze the provided medical report and provide a concise, 2-line summary of key insights. Be professional and accurate.",
+      prompt: `Analyze this ${reportType} report and summarize the findings in exactly 2 lines.`,
+      images: [fileUrl],
+      temperature: 0.2,
+      maxTokens: 150,
+    });
+
+    return { summary: summary || "No summary generated." };
+  }
+
+  /**
+   * Discharge estimate for the ward staff's health update form.
+   * @param {object} input - { patientName, disease, healthData, previousVisits,
+   *   documentsText, images: [{ url, type }] }
+   */
+  async estimateHealthUpdate({ patientName, disease, healthData, previousVisits = [], documentsText = "", images = [] }) {
+    const attached = images.slice(0, MAX_IMAGES);
+    const vitals = healthData.vitalSigns || {};
+
+    const visitsText = previousVisits.length > 0
+      ? previousVisits.map((v, i) => `Visit ${i + 1} (${v.visit_date ? new Date(v.visit_date).toLocaleDateString() : "N/A"}): Diagnosis: ${v.diagnosis || "N/A"}; Treatment: ${v.treatment || "N/A"}; Medications: ${v.medications || "N/A"}; Doctor: ${v.doctor_name || "N/A"}`).join("\n")
+      : "No previous visit data available.";
+
+    const documentsSection = (documentsText || attached.length > 0)
+      ? `\n\nUploaded documents (use this to inform discharge estimate):\n${documentsText ? "Extracted text from PDFs:" + documentsText : ""}${attached.length > 0 ? `\n[${attached.length} image(s) attached: ${attached.map((i) => i.type).join(", ")}]` : ""}`
+      : "";
+
+    const today = new Date();
+    const todayStr = today.toISOString().slice(0, 10) + " " + today.getHours() + ":" + String(today.getMinutes()).padStart(2, "0");
+
+    const prompt = `You are a hospital discharge planning AI. Your task is to estimate when this INPATIENT can be safely discharged based on their condition, vitals, history, and any reports.
+
+RULES FOR ESTIMATED DISCHARGE DATE:
+- Today is: ${todayStr}. Use this as reference.
+- Inpatients are rarely discharged within 24 hours. Only estimate same-day or next-day discharge if the condition is clearly minor (e.g. observation only, stable vitals, no ongoing treatment).
+- For most admissions (infection, surgery, acute illness): estimate 2–7+ days from today depending on severity. For example: uncomplicated pneumonia often 3–5 days; post-surgery depends on procedure; critical/ICU patients typically need several days minimum.
+- estimatedDischargeDate MUST be in the future (after today). Use format YYYY-MM-DD 14:00 (use 14:00 as default time for discharge).
+- Base the date on: (1) typical recovery for the stated disease, (2) current vitals and condition, (3) previous visits and any lab/imaging findings in the documents. When in doubt, prefer a conservative (later) date rather than too early.
+
+Patient Information:
+- Name: ${patientName}
+- Disease/Condition: ${disease}
+- Current Condition: ${healthData.healthCondition}
+- Vital Signs: BP: ${vitals.bloodPressure}, HR: ${vitals.heartRate}, Temp: ${vitals.temperature}°F, O2: ${vitals.oxygenLevel}%, RR: ${vitals.respiratoryRate}
+- Symptoms: ${healthData.symptoms}
+- Additional Info: ${healthData.additionalInfo}
+
+Previous doctor visits and history:
+${visitsText}
+${documentsSection}
+
+Respond with ONLY this JSON object, no other text:
+{
+  "estimatedDischargeDate": "YYYY-MM-DD 14:00",
+  "carePlan": "brief care recommendations",
+  "riskLevel": "low, moderate, or high",
+  "warnings": "any concerns or warnings"
+}`;
+
+    return getLLMProvider("health_update").vision({
+      system: "You are a medical discharge planning AI. Respond only with valid JSON. estimatedDischargeDate must be a future date in YYYY-MM-DD 14:00 format, typically 2–7 days from today for inpatients, not within a few hours.",
+      prompt,
+      images: attached.map((image) => image.url),
+      schema: HEALTH_UPDATE_SCHEMA,
+      temperature: 0.3,
+      maxTokens: 500,
+    });
+  }
+}
+
+export default new ClinicalAIService();
@@ -0,0 +1,162 @@
+/**
+ * In-memory conversation memory for the chatbot and Telegram bot.
+ *
+ * Sessions are keyed by channel ("telegram:<botId>:<chatId>",
+ * "api:<userId|anon>:<sessionId>") and remember the active token number, the
+ * last result set and the most recent turns so follow-up questions ("what
+ * about his bed?") can be resolved.
+ * A session expires after a period of inactivity; past MAX_SESSIONS the
+ * least recently used one is dropped.
+ */
+
+import crypto from "crypto";
+import { APP_CONSTANTS } from "../config/constants.js";
+
+const { TTL_MINUTES, MAX_TURNS, MAX_RESULT_ROWS, MAX_SESSIONS } = APP_CONSTANTS.CONVERSATION;
+
+export class ConversationStore {
+  /**
+   * @param {number} [maxSessions] - sessions kept before the least recently
+   *   used is dropped
+   */
+  constructor(maxSessions = MAX_SESSIONS) {
+    this.sessions = new Map();
+    this.maxSessions = maxSessions;
+    this.ttlMs = TTL_MINUTES * 60 * 1000;
+
+    // Sweep expired sessions; unref so the timer never keeps the process alive
+    this.sweepTimer = setInterval(() => this.sweep(), this.ttlMs);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Return the live session for a key, or null if it never existed or has
+   * expired.
+   */
+  get(sessionKey) {
+    if (!sessionKey) return null;
+
+    const session = this.sessions.get(sessionKey);
+    if (!session) return null;
+
+    if (Date.now() - session.lastActiveAt > this.ttlMs) {
+      this.sessions.delete(sessionKey);
+      return null;
+    }
+
+    // Keep the map in least recently used order
+    this.sessions.delete(sessionKey);
+    this.sessions.set(sessionKey, session);
+    return session;
+  }
+
+  /**
+   * Session of a REST client. Session ids are issued here and bound to the
+   * caller: an id this caller was not given (or whose session has expired)
+   * starts a new session under a new id, so a guessed or leaked id never
+   * reaches someone else's conversation.
+   * @param {object} caller - from AccessScope.resolveCaller
+   * @param {string} [sessionId] - id from an earlier response
+   * @returns {{ sessionId: string, sessionKey: string }}
+   */
+  openApiSession(caller, sessionId) {
+    const owner = caller.userId || "anon";
+    if (sessionId && this.get(`api:${owner}:${sessionId}`)) {
+      return { sessionId, sessionKey: `api:${owner}:${sessionId}` };
+    }
+
+    const issued = crypto.randomUUID();
+    const sessionKey = `api:${owner}:${issued}`;
+    this.getOrCreate(sessionKey);
+    return { sessionId: issued, sessionKey };
+  }
+
+  getOrCreate(sessionKey) {
+    let session = this.get(sessionKey);
+    if (!session) {
+      session = {
+        key: sessionKey,
+        activeToken: null,
+        lastResult: null,
+        turns: [],
+        createdAt: Date.now(),
+        lastActiveAt: Date.now(),
+      };
+      if (this.sessions.size >= this.maxSessions) this.evict();
+      this.sessions.set(sessionKey, session);
+    }
+    return session;
+  }
+
+  setActiveToken(sessionKey, tokenNumber) {
+    if (!sessionKey || !tokenNumber) return;
+    const session = this.getOrCreate(sessionKey);
+    session.activeToken = tokenNumber;
+    session.lastActiveAt = Date.now();
+  }
+
+  /**
+   * Remember a completed question/answer and the rows it was based on.
+   */
+  recordTurn(sessionKey, { question, sql, response, data, tokenNumber }) {
+    if (!sessionKey) return;
+
+    const session = this.getOrCreate(sessionKey);
+    if (tokenNumber) session.activeToken = tokenNumber;
+
+    session.turns.push({ question, sql, response, at: new Date().toISOString() });
+    if (session.turns.length > MAX_TURNS) {
+      session.turns.splice(0, session.turns.length - MAX_TURNS);
+    }
+
+    const rows = Array.isArray(data) ? data : data ? [data] : [];
+    session.lastResult = {
+      rowCount: rows.length,
+      rows: rows.slice(0, MAX_RESULT_ROWS),
+    };
+    session.lastActiveAt = Date.now();
+  }
+
+  /**
+   * Context for GeminiService.buildPrompt, or null when there is nothing to
+   * remember yet.
+   */
+  getContext(sessionKey) {
+    const session = this.get(sessionKey);
+    if (!session || (session.turns.length === 0 && !session.activeToken)) {
+      return null;
+    }
+
+    return {
+      activeToken: session.activeToken,
+      turns: session.turns,
+      lastResult: session.lastResult,
+    };
+  }
+
+  forget(sessionKey) {
+    return this.sessions.delete(sessionKey);
+  }
+
+  /**
+   * Make room for a new session: drop expired sessions, then the least
+   * recently used one if that wasn't enough.
+   */
+  evict() {
+    this.sweep();
+    if (this.sessions.size >= this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, session] of this.sessions) {
+      if (now - session.lastActiveAt > this.ttlMs) {
+        this.sessions.delete(key);
+      }
+    }
+  }
+}
+
+export default new ConversationStore();
@@ -1,36 +1,47 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import dotenv from "dotenv";
+import schemaService from "./schemaService.js";
+import answerVerifier from "./answerVerifier.js";
+import { getLLMProvider } from "./llm/index.js";
 import { APP_CONSTANTS } from "../config/constants.js";
+import { languageName } from "../utils/language.js";
 
-dotenv.config();
+// Numbers and hospital identifiers (OPD-1059) that a translation must keep
+const LITERAL_PATTERN = /\b[A-Za-z]{1,6}-\d+[A-Za-z]?\b|\d+(?:[.:,]\d+)*/g;
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Rows listed in a fallback answer; the rest are only counted
+const FALLBACK_ROWS = 5;
 
+// Chatbot LLM calls. Gemini by default; the provider for each step is picked
+// in config/llm.js (features "chatbot_sql" and "chatbot_response").
 export class GeminiService {
   constructor() {
-    this.model = genAI.getGenerativeModel({ model: "gemini-3-flash-preview" });
+    this.sqlProvider = getLLMProvider("chatbot_sql");
+    this.responseProvider = getLLMProvider("chatbot_response");
   }
 
-  async generateSQLQuery(userQuery, tokenNumber = null) {
+  async generateSQLQuery(userQuery, tokenNumber = null, context = null) {
     try {
-      const prompt = this.buildPrompt(userQuery, tokenNumber);
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const prompt = this.buildPrompt(userQuery, tokenNumber, context);
+      const text = await this.sqlProvider.generateText({ prompt });
 
       // Extract SQL query from response
       return this.extractSQL(text);
     } catch (error) {
-      console.error("Gemini API Error:", error);
+      console.error(`LLM error (${this.sqlProvider.name}):`, error);
       throw new Error("Failed to generate SQL query");
     }
   }
 
-  async generateNaturalLanguageResponse(data, userQuery) {
+  /**
+   * @param {string} [language] - language to answer in (utils/language.js)
+   */
+  async generateNaturalLanguageResponse(data, userQuery, language = APP_CONSTANTS.LANGUAGES.DEFAULT) {
     try {
       // Handle empty or null data
       if (!data || (Array.isArray(data) && data.length === 0)) {
-        return "No results found for your query. Please check the token number or try a different query.";
+        return this.translateResponse(
+          "No results found for your query. Please check the token number or try a different query.",
+          language
+        );
       }
 
       const prompt = `
@@ -41,59 +52,143 @@ export class GeminiService {
         If no data found, politely inform the user.
         Format the response in a user-friendly way.
         Keep the response clear and professional.
+        Only mention names, numbers, dates and token numbers that appear in the results; do not estimate or add details.
+        Reply in ${languageName(language)}, even if the User Query is in another language, but write numbers with the digits 0-9 and keep names and token numbers exactly as in the results.
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
+      const text = await this.responseProvider.generateText({ prompt });
+
       // Validate response
       if (!text || text.trim().length === 0) {
-        return this.formatFallbackResponse(data, userQuery);
+        return this.localizedFallback(data, language);
       }
       
       return text;
     } catch (error) {
-      console.error("Gemini API Error generating response:", error);
+      console.error(`LLM error generating response (${this.responseProvider.name}):`, error);
       // Return formatted data instead of generic error
-      return this.formatFallbackResponse(data, userQuery);
+      return this.localizedFallback(data, language);
+    }
+  }
+
+  /**
+   * Answer in English from the rows, check every number, token and name in
+   * the answer against them, then translate it into the question's language.
+   * The verifier only reads English, so a translated answer is never what
+   * gets checked. An answer the rows don't support is replaced by
+   * formatFallbackResponse.
+   * @returns {Promise<object>} { response, citations, grounded } where
+   *   grounded is false when the LLM's answer was rejected; citations refer
+   *   to the English answer
+   */
+  async generateGroundedResponse(data, userQuery, language = APP_CONSTANTS.LANGUAGES.DEFAULT) {
+    const rows = Array.isArray(data) ? data : data ? [data] : [];
+    if (rows.length === 0) {
+      const response = await this.generateNaturalLanguageResponse(data, userQuery, language);
+      return { response, citations: [], grounded: true };
     }
+
+    const answer = await this.generateNaturalLanguageResponse(data, userQuery, APP_CONSTANTS.LANGUAGES.DEFAULT);
+    const check = answerVerifier.verify(answer, rows, userQuery);
+    if (check.grounded) {
+      return { response: await this.translateResponse(answer, language), citations: check.citations, grounded: true };
+    }
+
+    console.warn(
+      "Chatbot answer mentions values not in the results, using fallback:",
+      check.unsupported.map((claim) => claim.claim)
+    );
+    const fallback = this.formatFallbackResponse(data);
+    return {
+      response: await this.translateResponse(fallback, language),
+      citations: answerVerifier.verify(fallback, rows, userQuery).citations,
+      grounded: false,
+    };
   }
 
-  formatFallbackResponse(data, userQuery) {
+  /**
+   * Translate a fixed English reply (intent answers, confirmations) into the
+   * language of the question. The English text is returned when the
+   * translation fails or changes any number or token number.
+   * @param {string} language - a supported language code
+   */
+  async translateResponse(text, language) {
+    if (!text || !language || language === APP_CONSTANTS.LANGUAGES.DEFAULT) {
+      return text;
+    }
+
     try {
-      // Provide a basic formatted response when Gemini fails
-      if (!data || (Array.isArray(data) && data.length === 0)) {
-        return "No results found for your query.";
-      }
+      const prompt = `
+        Translate this hospital assistant reply into ${languageName(language)}.
+        Keep every number, date, time, name and token number (like OPD-1059) exactly as written, with the digits 0-9.
+        Keep the line breaks. Reply with the translation only.
 
-      if (Array.isArray(data)) {
-        if (data.length === 1) {
-          const item = data[0];
-          const fields = Object.entries(item)
-            .filter(([key, value]) => value !== null && value !== undefined)
-            .map(([key, value]) => `${key}: ${value}`)
-            .join('\n');
-          return `Found 1 result:\n\n${fields}`;
-        } else {
-          return `Found ${data.length} results:\n\n${JSON.stringify(data, null, 2)}`;
-        }
-      }
+        ${text}
+      `;
+      const translated = (await this.responseProvider.generateText({ prompt }))?.trim();
 
-      return `Result:\n\n${JSON.stringify(data, null, 2)}`;
+      const literals = (value) => (value.match(LITERAL_PATTERN) || []).sort().join(" ");
+      if (!translated || literals(translated) !== literals(text)) {
+        console.warn(`Translation to ${language} changed the reply's numbers, answering in English`);
+        return text;
+      }
+      return translated;
     } catch (error) {
-      console.error("Error formatting fallback response:", error);
-      return "Query executed successfully. Please check the data in the response.";
+      console.error(`LLM error translating response (${this.responseProvider.name}):`, error);
+      return text;
     }
   }
 
-  buildPrompt(userQuery, tokenNumber) {
-    let prompt = APP_CONSTANTS.SYSTEM_PROMPT;
+  /**
+   * Plain English summary of the rows for when the LLM's answer is missing
+   * or rejected: every field of a single row, or the first few rows one per
+   * line. Ids and empty fields are left out.
+   */
+  formatFallbackResponse(data) {
+    const rows = Array.isArray(data) ? data : data ? [data] : [];
+    if (rows.length === 0) {
+      return "No results found for your query.";
+    }
+
+    if (rows.length === 1) {
+      return `Found 1 result:\n\n${describeFields(rows[0]).join("\n")}`;
+    }
+
+    const lines = rows.slice(0, FALLBACK_ROWS).map((row) => `• ${describeFields(row).join(", ")}`);
+    const more = rows.length > FALLBACK_ROWS ? `\n…and ${rows.length - FALLBACK_ROWS} more.` : "";
+    return `Found ${rows.length} results:\n\n${lines.join("\n")}${more}`;
+  }
+
+  /**
+   * formatFallbackResponse in the language of the question.
+   */
+  async localizedFallback(data, language) {
+    return this.translateResponse(this.formatFallbackResponse(data), language);
+  }
+
+  /**
+   * @param {object} [context] - conversation memory from conversationStore:
+   *   recent turns and the last result set, used to resolve follow-ups
+   */
+  buildPrompt(userQuery, tokenNumber, context = null) {
+    let prompt = schemaService.getSystemPrompt();
 
     if (tokenNumber) {
       prompt += `\n\nThe patient's token number is: ${tokenNumber}`;
     }
 
+    if (context?.turns?.length) {
+      prompt += "\n\nConversation so far (oldest first):";
+      context.turns.forEach((turn) => {
+        prompt += `\nUser: ${turn.question}\nSQL: ${turn.sql}`;
+      });
+    }
+
+    if (context?.lastResult?.rows?.length) {
+      prompt += `\n\nRows returned for the previous question (${context.lastResult.rowCount} total, first ${context.lastResult.rows.length} shown):\n${JSON.stringify(context.lastResult.rows)}`;
+      prompt += "\nResolve references like \"he\", \"his\", \"that patient\" or \"it\" using the conversation and rows above.";
+    }
+
     prompt += `\n\nUser Query: ${userQuery}\nSQL:`;
 
     return prompt;
@@ -112,3 +207,25 @@ export class GeminiService {
     return text.trim();
   }
 }
+
+// "Label: value" for each field of a row, embedded rows included
+function describeFields(row) {
+  return Object.entries(row).flatMap(([key, value]) => {
+    if (value === null || value === undefined || value === "" || key === "id" || key.endsWith("_id")) {
+      return [];
+    }
+    if (Array.isArray(value)) {
+      return value.flatMap((item) => (item && typeof item === "object" ? describeFields(item) : [`${label(key)}: ${item}`]));
+    }
+    if (typeof value === "object") {
+      return describeFields(value);
+    }
+    return [`${label(key)}: ${value}`];
+  });
+}
+
+// patient_name -> Patient name
+function label(key) {
+  const words = key.replace(/_/g, " ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
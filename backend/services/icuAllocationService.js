@@ -0,0 +1,493 @@
+/**
+ * ICU beds for emergency patients. A free ICU bed that suits the patient
+ * (ventilator, dialysis) is taken first. Without one, a stable or improving
+ * ICU patient is stepped down to a general bed and their ICU bed goes to the
+ * emergency patient.
+ *
+ * The step-down touches five rows in four tables, so it runs as a saga: each
+ * step claims its row with a conditional update (a bed only if still free, a
+ * patient only if still in the state we planned on) and has an undo. When a
+ * step fails, the steps before it are undone in reverse order, so a failure
+ * never leaves two patients on one bed or a patient with none. The ICU bed
+ * stays occupied throughout and is never briefly free for someone else.
+ *
+ * Every step-down, including rolled-back ones, is written to icu_transfers.
+ * A dry run plans the same way and reports who would be moved, changing
+ * nothing.
+ */
+
+import { supabase } from "../db/supabaseClient.js";
+import { APP_CONSTANTS } from "../config/constants.js";
+import notificationService from "./notifications/index.js";
+import { isCompatible, rankBeds } from "./scheduling/rules.js";
+import rollingPlanner from "./scheduling/rollingPlanner.js";
+
+const { DEFAULT_STAY_DAYS, STEP_DOWN_CONDITIONS, TRANSFER_STAY_DAYS, TRANSFER_CONFIDENCE, GENERAL_BED_CHOICES } =
+  APP_CONSTANTS.ICU_ALLOCATION;
+
+export class IcuAllocationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "IcuAllocationError";
+    this.status = status;
+  }
+}
+
+const now = () => new Date().toISOString();
+
+function must({ data, error }) {
+  if (error) throw new IcuAllocationError(error.message, 500);
+  return data;
+}
+
+/**
+ * Run steps in order. If one throws, undo the completed ones in reverse
+ * and rethrow with `compensated` set to whether every undo worked. `log`
+ * gets an entry per step and undo.
+ */
+async function runSaga(steps, log) {
+  const completed = [];
+  for (const step of steps) {
+    try {
+      await step.run();
+      completed.push(step);
+      log.push({ step: step.name, status: "done", at: now() });
+    } catch (error) {
+      log.push({ step: step.name, status: "failed", at: now(), error: error.message });
+
+      let compensated = true;
+      for (const done of completed.reverse()) {
+        try {
+          await done.undo();
+          log.push({ step: done.name, status: "undone", at: now() });
+        } catch (undoError) {
+          compensated = false;
+          log.push({ step: done.name, status: "undo_failed", at: now(), error: undoError.message });
+        }
+      }
+      error.compensated = compensated;
+      throw error;
+    }
+  }
+}
+
+class IcuAllocationService {
+  /**
+   * Find an ICU bed for a waiting emergency patient, stepping a stable
+   * patient down if needed.
+   *
+   * @param {string} options.icuQueueId - the emergency patient's icu_queue entry
+   * @param {boolean} [options.dryRun] - only report what would happen
+   * @param {string} [options.initiatedBy] - user id, for the transfer audit
+   * @param {string[]} [options.ownTokens] - for a patient caller, their own
+   *   token numbers; the entry must be one of theirs. Staff pass none.
+   * @returns {Promise<{success, bedFreed?, transferredPatient?, bed?, transferId?, message}>} or, for a dry run, the plan
+   */
+  async allocate({ icuQueueId, dryRun = false, initiatedBy = null, ownTokens = null }) {
+    const patient = await this.loadEmergencyPatient(icuQueueId, ownTokens);
+    const plan = await this.plan(patient);
+
+    if (dryRun) {
+      return this.preview(plan);
+    }
+    if (plan.action === "none") {
+      return { success: false, message: plan.reason };
+    }
+    if (plan.action === "assign") {
+      return this.assignFreeBed(patient, plan);
+    }
+    return this.stepDown(patient, plan, initiatedBy);
+  }
+
+  async loadEmergencyPatient(icuQueueId, ownTokens = null) {
+    if (!icuQueueId) {
+      throw new IcuAllocationError("icuQueueId is required");
+    }
+    const patient = must(await supabase.from("icu_queue").select("*").eq("id", icuQueueId).maybeSingle());
+    if (!patient) {
+      throw new IcuAllocationError("ICU queue entry not found", 404);
+    }
+    if (ownTokens && !ownTokens.includes(patient.patient_token)) {
+      throw new IcuAllocationError("You can only request an ICU bed for your own appointment", 403);
+    }
+    if (!patient.is_emergency) {
+      throw new IcuAllocationError(`${patient.patient_name} is not an emergency patient`);
+    }
+    if (patient.status !== "waiting") {
+      throw new IcuAllocationError(`${patient.patient_name} is ${patient.status}, not waiting for an ICU bed`, 409);
+    }
+    return patient;
+  }
+
+  /**
+   * What allocate would do now: `assign` a free bed (beds, best first),
+   * `step_down` a stable patient, or `none` with a reason.
+   */
+  async plan(patient) {
+    let bedQuery = supabase.from("icu_beds").select("*").order("bed_id", { ascending: true });
+    if (patient.doctor_id) bedQuery = bedQuery.eq("doctor_id", patient.doctor_id);
+    const icuBeds = must(await bedQuery) || [];
+
+    const freeBeds = rankBeds(icuBeds.filter((bed) => bed.is_available), patient);
+    if (freeBeds.length > 0) {
+      return { action: "assign", beds: freeBeds };
+    }
+
+    const candidate = await this.findStepDownCandidate(patient, icuBeds);
+    if (!candidate) {
+      return { action: "none", reason: "No ICU beds available and no stable patients to transfer" };
+    }
+
+    let generalQuery = supabase
+      .from("beds")
+      .select("*")
+      .eq("status", "available")
+      .eq("bed_type", "general")
+      .order("bed_number", { ascending: true })
+      .limit(GENERAL_BED_CHOICES);
+    if (patient.doctor_id) generalQuery = generalQuery.eq("doctor_id", patient.doctor_id);
+    const generalBeds = must(await generalQuery) || [];
+
+    if (generalBeds.length === 0) {
+      return {
+        action: "none",
+        reason: `No ICU beds available and no general bed free to move ${candidate.stay.patient_name} to`,
+      };
+    }
+    return { action: "step_down", ...candidate, generalBeds };
+  }
+
+  /**
+   * The ICU patient who has been in longest whose latest daily round is in
+   * STEP_DOWN_CONDITIONS and whose bed suits the emergency patient.
+   */
+  async findStepDownCandidate(patient, icuBeds) {
+    let stayQuery = supabase
+      .from("icu_queue")
+      .select("*")
+      .eq("status", "assigned")
+      .not("assigned_bed_id", "is", null)
+      .order("admission_time", { ascending: true });
+    if (patient.doctor_id) stayQuery = stayQuery.eq("doctor_id", patient.doctor_id);
+    const stays = must(await stayQuery) || [];
+    if (stays.length === 0) return null;
+
+    const rounds = must(
+      await supabase
+        .from("daily_rounds")
+        .select("id, icu_queue_id, condition_status, round_date")
+        .in("icu_queue_id", stays.map((stay) => stay.id))
+        .order("round_date", { ascending: false })
+    ) || [];
+
+    for (const stay of stays) {
+      const round = rounds.find((row) => row.icu_queue_id === stay.id);
+      const bed = icuBeds.find((row) => String(row.id) === String(stay.assigned_bed_id));
+      if (round && STEP_DOWN_CONDITIONS.includes(round.condition_status) && bed && isCompatible(bed, patient)) {
+        return { stay, round, icuBed: bed };
+      }
+    }
+    return null;
+  }
+
+  preview(plan) {
+    const steps = {
+      assign: ["claim_icu_bed", "assign_icu_bed"],
+      step_down: ["claim_general_bed", "admit_to_ward", "predict_discharge", "release_icu_place", "assign_icu_bed"],
+      none: [],
+    }[plan.action];
+
+    const result = { dryRun: true, success: plan.action !== "none", action: plan.action, steps };
+    if (plan.action === "none") {
+      return { ...result, message: plan.reason };
+    }
+    if (plan.action === "assign") {
+      return { ...result, bed: plan.beds[0], message: `ICU bed ${plan.beds[0].bed_id} would be assigned` };
+    }
+    return {
+      ...result,
+      bed: plan.icuBed,
+      transfer: {
+        icuQueueId: plan.stay.id,
+        patientName: plan.stay.patient_name,
+        token: plan.stay.patient_token,
+        conditionStatus: plan.round.condition_status,
+        roundDate: plan.round.round_date,
+        toBed: plan.generalBeds[0].bed_number,
+      },
+      message: `ICU bed ${plan.icuBed.bed_id} would be freed by moving ${plan.stay.patient_name} (${plan.round.condition_status}) to general bed ${plan.generalBeds[0].bed_number}`,
+    };
+  }
+
+  async assignFreeBed(patient, plan) {
+    const context = {};
+    const steps = [
+      {
+        name: "claim_icu_bed",
+        run: async () => {
+          for (const bed of plan.beds) {
+            const claimed = must(
+              await supabase.from("icu_beds").update({ is_available: false }).eq("id", bed.id).eq("is_available", true).select()
+            );
+            if (claimed?.length) {
+              context.bed = claimed[0];
+              return;
+            }
+          }
+          throw new IcuAllocationError("The free ICU beds were taken by other patients", 409);
+        },
+        undo: async () => must(await supabase.from("icu_beds").update({ is_available: true }).eq("id", context.bed.id)),
+      },
+      this.assignIcuBedStep(patient, () => context.bed),
+    ];
+
+    await runSaga(steps, []);
+    this.notify(patient, context.bed, "icu");
+    rollingPlanner.requestReplan("emergency ICU allocation");
+    return {
+      success: true,
+      bedFreed: false,
+      transferredPatient: null,
+      bed: context.bed,
+      message: `ICU bed ${context.bed.bed_id} assigned successfully`,
+    };
+  }
+
+  async stepDown(patient, plan, initiatedBy) {
+    const { stay, round, icuBed } = plan;
+    const context = {};
+    const log = [];
+
+    const steps = [
+      {
+        name: "claim_general_bed",
+        run: async () => {
+          for (const bed of plan.generalBeds) {
+            const claimed = must(
+              await supabase.from("beds").update({ status: "occupied" }).eq("bed_id", bed.bed_id).eq("status", "available").select()
+            );
+            if (claimed?.length) {
+              context.generalBed = claimed[0];
+              return;
+            }
+          }
+          throw new IcuAllocationError(`No general bed is free any more to move ${stay.patient_name} to`, 409);
+        },
+        undo: async () =>
+          must(await supabase.from("beds").update({ status: "available" }).eq("bed_id", context.generalBed.bed_id)),
+      },
+      {
+        name: "admit_to_ward",
+        run: async () => {
+          const at = now();
+          const [entry] = must(
+            await supabase
+              .from("bed_queue")
+              .insert([{
+                patient_name: stay.patient_name,
+                disease: stay.diseases,
+                token_number: stay.patient_token,
+                doctor_id: stay.doctor_id,
+                bed_type: "general",
+                bed_id: context.generalBed.bed_id,
+                status: "admitted",
+                bed_assigned_at: at,
+                admitted_at: at,
+                admitted_from_opd_at: at,
+                notes: `Transferred from ICU to accommodate emergency patient at ${at}`,
+              }])
+              .select()
+          );
+          context.bedQueueId = entry.id;
+        },
+        undo: async () => must(await supabase.from("bed_queue").delete().eq("id", context.bedQueueId)),
+      },
+      {
+        name: "predict_discharge",
+        run: async () => {
+          const discharge = new Date();
+          discharge.setDate(discharge.getDate() + TRANSFER_STAY_DAYS);
+          const [prediction] = must(
+            await supabase
+              .from("discharge_predictions")
+              .insert([{
+                bed_queue_id: context.bedQueueId,
+                predicted_discharge_date: discharge.toISOString().split("T")[0],
+                remaining_days: TRANSFER_STAY_DAYS,
+                confidence: TRANSFER_CONFIDENCE,
+                reasoning: "Stable patient transferred from ICU to general ward. Estimated recovery time based on improved condition.",
+              }])
+              .select()
+          );
+          context.predictionId = prediction.id;
+        },
+        undo: async () => must(await supabase.from("discharge_predictions").delete().eq("id", context.predictionId)),
+      },
+      {
+        name: "release_icu_place",
+        run: async () => {
+          const released = must(
+            await supabase
+              .from("icu_queue")
+              .update({ status: "discharged", discharged_at: now() })
+              .eq("id", stay.id)
+              .eq("status", "assigned")
+              .eq("assigned_bed_id", stay.assigned_bed_id)
+              .select()
+          );
+          if (!released?.length) {
+            throw new IcuAllocationError(`${stay.patient_name} is no longer in ICU bed ${icuBed.bed_id}`, 409);
+          }
+        },
+        undo: async () =>
+          must(await supabase.from("icu_queue").update({ status: "assigned", discharged_at: null }).eq("id", stay.id)),
+      },
+      this.assignIcuBedStep(patient, () => icuBed),
+    ];
+
+    let failure = null;
+    try {
+      await runSaga(steps, log);
+    } catch (error) {
+      failure = error;
+    }
+
+    const transferId = await this.recordTransfer({
+      status: !failure ? "completed" : failure.compensated ? "rolled_back" : "failed",
+      patient,
+      plan,
+      context,
+      steps: log,
+      error: failure?.message || null,
+      initiatedBy,
+    });
+
+    if (failure) {
+      failure.transferId = transferId;
+      throw failure;
+    }
+
+    this.notify(stay, context.generalBed, "general");
+    this.notify(patient, icuBed, "icu");
+    rollingPlanner.requestReplan("emergency ICU step-down");
+
+    return {
+      success: true,
+      bedFreed: true,
+      transferredPatient: stay.patient_name,
+      bed: icuBed,
+      transferId,
+      message: `ICU bed ${icuBed.bed_id} assigned (transferred ${stay.patient_name} to general ward, ${round.condition_status} on last round)`,
+    };
+  }
+
+  // Gives the emergency patient the bed, as long as they are still waiting
+  assignIcuBedStep(patient, getBed) {
+    return {
+      name: "assign_icu_bed",
+      run: async () => {
+        const bed = getBed();
+        const admission = new Date();
+        const discharge = new Date(admission);
+        discharge.setDate(discharge.getDate() + (patient.predicted_stay_days || DEFAULT_STAY_DAYS));
+
+        const assigned = must(
+          await supabase
+            .from("icu_queue")
+            .update({
+              status: "assigned",
+              assigned_bed_id: bed.id,
+              assigned_bed_label: bed.bed_id,
+              admission_time: admission.toISOString(),
+              discharge_time: discharge.toISOString(),
+            })
+            .eq("id", patient.id)
+            .eq("status", "waiting")
+            .select()
+        );
+        if (!assigned?.length) {
+          throw new IcuAllocationError(`${patient.patient_name} is no longer waiting for an ICU bed`, 409);
+        }
+      },
+      undo: async () =>
+        must(
+          await supabase
+            .from("icu_queue")
+            .update({
+              status: "waiting",
+              assigned_bed_id: null,
+              assigned_bed_label: null,
+              admission_time: null,
+              discharge_time: null,
+            })
+            .eq("id", patient.id)
+        ),
+    };
+  }
+
+  // An audit entry that can't be written is logged but doesn't undo the move
+  async recordTransfer({ status, patient, plan, context, steps, error, initiatedBy }) {
+    const { data, error: insertError } = await supabase
+      .from("icu_transfers")
+      .insert([{
+        status,
+        emergency_icu_queue_id: patient.id,
+        emergency_patient_name: patient.patient_name,
+        emergency_token: patient.patient_token,
+        transferred_icu_queue_id: plan.stay.id,
+        transferred_patient_name: plan.stay.patient_name,
+        transferred_token: plan.stay.patient_token,
+        icu_bed_id: String(plan.icuBed.id),
+        icu_bed_label: plan.icuBed.bed_id,
+        general_bed_id: context.generalBed?.bed_id || null,
+        general_bed_number: context.generalBed?.bed_number || null,
+        bed_queue_id: status === "completed" ? context.bedQueueId : null,
+        round_id: plan.round.id,
+        round_date: plan.round.round_date,
+        condition_status: plan.round.condition_status,
+        steps,
+        error,
+        initiated_by: initiatedBy,
+      }])
+      .select("id");
+
+    if (insertError) {
+      console.error("Failed to record ICU transfer:", insertError.message, JSON.stringify(steps));
+      return null;
+    }
+    return data?.[0]?.id || null;
+  }
+
+  notify(stay, bed, bedType) {
+    notificationService
+      .send({
+        template: bedType === "icu" ? "icu_bed_assigned" : "bed_assigned",
+        recipient: { tokenNumber: stay.patient_token, name: stay.patient_name },
+        variables: { bedNumber: bed.bed_number || bed.bed_id, bedType },
+      })
+      .catch((error) => console.error("ICU allocation notification failed:", error.message));
+  }
+
+  /**
+   * Recorded step-downs, newest first.
+   */
+  async listTransfers({ status, limit = 50 } = {}) {
+    let query = supabase
+      .from("icu_transfers")
+      .select("*")
+      .order("created_at", { ascending: false })
+      .limit(Math.min(Number(limit) || 50, 200));
+    if (status) query = query.eq("status", status);
+    return must(await query) || [];
+  }
+
+  async getTransfer(id) {
+    const transfer = must(await supabase.from("icu_transfers").select("*").eq("id", id).maybeSingle());
+    if (!transfer) {
+      throw new IcuAllocationError("Transfer not found", 404);
+    }
+    return transfer;
+  }
+}
+
+export default new IcuAllocationService();
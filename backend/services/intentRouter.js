@@ -0,0 +1,402 @@
+/**
+ * Intent router for the chatbot.
+ *
+ * Common patient questions (appointment status, queue position, bed,
+ * reports, discharge estimate, doctor list) are recognised up front and
+ * answered by fixed queries and response templates. Only questions that
+ * match no intent go to the LLM for NL-to-SQL. Handler queries run through
+ * SupabaseService.executeQuery, so they are access-scoped exactly like
+ * generated SQL. Requests to change something (cancel, reschedule, callback,
+ * booking) are proposed through ChatActionService and wait for a
+ * confirmation code.
+ */
+
+import dayjs from "dayjs";
+import { APP_CONSTANTS } from "../config/constants.js";
+import { parseDateTime } from "../utils/dateParser.js";
+import { identityPrompt } from "./accessScope.js";
+
+// Token numbers as issued by the booking flow: OPD-1059, APT123456, TOK-42
+const TOKEN_PATTERN = /\b((?:OPD|APT|TOK)-?\d+)\b/i;
+
+// Questions about the asker's own records
+const PERSONAL_PATTERN = /\b(my|me|mine|i'm|i am|am i|will i|do i|have i|was i)\b/i;
+
+// Questions about many rows, which stay open even with a known token
+const AGGREGATE_PATTERN = /\b(all|every|how many|list|total|count)\b/i;
+
+export const OPEN_QUESTION = "open_question";
+
+// Checked in order; the first match wins
+export const INTENTS = [
+  {
+    name: "reschedule_appointment",
+    pattern: /\breschedul\w*\b|\b(move|change|shift|postpone|prepone)\b.*\bappointment\b/i,
+    personal: true,
+    action: true,
+    handler: "proposeReschedule",
+  },
+  {
+    name: "cancel_appointment",
+    pattern: /\bcancel(l?ing|l?ed|lation)?\b/i,
+    personal: true,
+    action: true,
+    handler: "proposeCancel",
+  },
+  {
+    name: "request_callback",
+    pattern: /\bcall\s?-?back\b|\b(call|phone|ring) me\b/i,
+    personal: true,
+    action: true,
+    handler: "proposeCallback",
+  },
+  {
+    name: "book_appointment",
+    pattern: /\bbook\b.*\b(appointment|slot|visit|consultation|opd)\b|\bnew appointment\b|\b(make|schedule) an? (new )?appointment\b/i,
+    personal: true,
+    action: true,
+    handler: "proposeBooking",
+  },
+  {
+    name: "discharge_estimate",
+    pattern: /\bdischarg(e|ed|ing)\b|\bgo(ing)? home\b|\bhow (many|much) (more )?(days|longer)\b/i,
+    personal: true,
+    handler: "dischargeEstimate",
+  },
+  {
+    name: "reports",
+    pattern: /\breports?\b|\btest results?\b|\blab\b|\bx-?rays?\b|\bscans?\b|\bblood (test|work)\b/i,
+    personal: true,
+    handler: "reports",
+  },
+  {
+    name: "bed_assignment",
+    pattern: /\bbeds?\b|\bward\b|\bicu\b|\badmi(tted|ssion)\b/i,
+    personal: true,
+    handler: "bedAssignment",
+  },
+  {
+    name: "queue_position",
+    pattern: /\bqueue\b|\bposition\b|\bmy turn\b|\bhow long\b.*\bwait|\bwait(ing)? time\b|\bahead of me\b/i,
+    personal: true,
+    handler: "queuePosition",
+  },
+  {
+    name: "appointment_status",
+    pattern: /\bappointment\b/i,
+    personal: true,
+    handler: "appointmentStatus",
+  },
+  {
+    name: "doctor_list",
+    pattern: /\b(list|show|available|which|what|all|who are)\b.*\bdoctors\b|\bdoctors?\b.*\b(list|available)\b/i,
+    personal: false,
+    handler: "doctorList",
+  },
+];
+
+export class IntentRouter {
+  /**
+   * @param {object} supabaseService - SupabaseService instance
+   * @param {object} chatActions - ChatActionService for write requests
+   */
+  constructor(supabaseService, chatActions) {
+    this.supabaseService = supabaseService;
+    this.chatActions = chatActions;
+  }
+
+  /**
+   * Token number mentioned in the question itself, if any.
+   */
+  extractToken(query) {
+    const match = query.match(TOKEN_PATTERN);
+    return match ? match[1].toUpperCase() : null;
+  }
+
+  /**
+   * Name of the intent a question matches, or OPEN_QUESTION. Personal
+   * intents only match questions about the asker ("my bed"), a specific
+   * token, or the session's token, so "how many beds are free?" stays an
+   * open question.
+   */
+  classify(query, tokenNumber = null) {
+    const aboutPatient =
+      PERSONAL_PATTERN.test(query) ||
+      Boolean(this.extractToken(query)) ||
+      Boolean(tokenNumber && !AGGREGATE_PATTERN.test(query));
+
+    const intent = INTENTS.find((candidate) =>
+      candidate.pattern.test(query) && (!candidate.personal || aboutPatient)
+    );
+    return intent ? intent.name : OPEN_QUESTION;
+  }
+
+  /**
+   * Answer a question with a deterministic handler.
+   * @returns {Promise<object|null>} { intent, data, response, sql, action? },
+   *   or null when the question should go to NL-to-SQL
+   */
+  async route(query, { tokenNumber = null, caller, sessionKey = null }) {
+    const name = this.classify(query, tokenNumber);
+    if (name === OPEN_QUESTION) return null;
+
+    const intent = INTENTS.find((candidate) => candidate.name === name);
+    const token = this.extractToken(query) || tokenNumber;
+
+    if (intent.personal && !token) {
+      // Doctors asking about "my patients" need a real query
+      if (caller.role === "doctor" && !intent.action) return null;
+      if (caller.role === "anonymous") {
+        return {
+          intent: name,
+          data: [],
+          sql: null,
+          response: identityPrompt(caller, "so I can look that up for you"),
+        };
+      }
+    }
+
+    const result = await this[intent.handler](token, caller, { query, sessionKey });
+    return { intent: name, sql: null, ...result };
+  }
+
+  async propose(action, params, caller, sessionKey) {
+    const proposal = await this.chatActions.propose(action, params, { caller, sessionKey });
+    return {
+      data: [],
+      response: `${proposal.summary}\n\nReply CONFIRM ${proposal.code} within ${APP_CONSTANTS.CHAT_ACTIONS.CODE_TTL_MINUTES} minutes to go ahead, or DISCARD to leave it.`,
+      action: { name: action, status: "pending_confirmation", code: proposal.code, expiresAt: proposal.expiresAt },
+    };
+  }
+
+  async proposeCancel(token, caller, { sessionKey }) {
+    return this.propose("cancel_appointment", { tokenNumber: token }, caller, sessionKey);
+  }
+
+  async proposeReschedule(token, caller, { query, sessionKey }) {
+    const when = parseDateTime(query);
+    return this.propose(
+      "reschedule_appointment",
+      { tokenNumber: token, appointmentDate: when?.date.toISOString() },
+      caller,
+      sessionKey
+    );
+  }
+
+  async proposeCallback(token, caller, { query, sessionKey }) {
+    const when = parseDateTime(query);
+    return this.propose(
+      "request_callback",
+      { tokenNumber: token, preferredTime: when?.date.toISOString(), reason: query },
+      caller,
+      sessionKey
+    );
+  }
+
+  async proposeBooking(token, caller, { query, sessionKey }) {
+    const when = parseDateTime(query);
+    return this.propose(
+      "book_appointment",
+      { tokenNumber: token, appointmentDate: when?.date.toISOString() },
+      caller,
+      sessionKey
+    );
+  }
+
+  async run(sql, caller) {
+    const data = await this.supabaseService.executeQuery(sql, caller);
+    return { data, sql };
+  }
+
+  /**
+   * Latest rows of a per-stay table (reports, discharge predictions) for the
+   * patient's ward stay, falling back to their ICU stay: ICU rows carry
+   * icu_queue_id instead of bed_queue_id.
+   */
+  async stayRows(table, columns, token, limit, caller) {
+    const select = columns.map((column) => `${table}.${column}`).join(", ");
+    const ward = await this.run(
+      `SELECT ${select} FROM ${table} JOIN bed_queue ON ${table}.bed_queue_id = bed_queue.id${whereToken("bed_queue.token_number", token)} ORDER BY ${table}.created_at DESC LIMIT ${limit}`,
+      caller
+    );
+    if (ward.data.length > 0) return ward;
+
+    return this.run(
+      `SELECT ${select} FROM ${table} JOIN icu_queue ON ${table}.icu_queue_id = icu_queue.id${whereToken("icu_queue.patient_token", token)} ORDER BY ${table}.created_at DESC LIMIT ${limit}`,
+      caller
+    );
+  }
+
+  async appointmentStatus(token, caller) {
+    const { data, sql } = await this.run(
+      `SELECT token_number, patient_name, disease, status, appointment_date FROM appointments${whereToken("token_number", token)} ORDER BY created_at DESC LIMIT 1`,
+      caller
+    );
+
+    const appointment = data[0];
+    if (!appointment) {
+      return { data, sql, response: notFound("appointment", token) };
+    }
+
+    const when = appointment.appointment_date
+      ? ` on ${formatDate(appointment.appointment_date)}`
+      : "";
+    return {
+      data,
+      sql,
+      response: `Appointment ${appointment.token_number} for ${appointment.patient_name} (${appointment.disease}) is ${appointment.status}${when}.`,
+    };
+  }
+
+  async queuePosition(token, caller) {
+    const { data, sql } = await this.run(
+      `SELECT token_number, patient_name, queue_position, status, estimated_wait_minutes FROM opd_queue WHERE status IN ('waiting', 'in_progress')${andToken("token_number", token)} ORDER BY entered_queue_at DESC LIMIT 1`,
+      caller
+    );
+
+    const entry = data[0];
+    if (!entry) {
+      return { data, sql, response: `${subject(token)} not waiting in the OPD queue right now.` };
+    }
+    if (entry.status === "in_progress") {
+      return { data, sql, response: `${entry.patient_name} (${entry.token_number}) is with the doctor now.` };
+    }
+
+    const wait = entry.estimated_wait_minutes != null
+      ? ` Estimated wait: about ${Math.round(entry.estimated_wait_minutes)} minutes.`
+      : "";
+    return {
+      data,
+      sql,
+      response: `${entry.patient_name} (${entry.token_number}) is number ${entry.queue_position} in the OPD queue.${wait}`,
+    };
+  }
+
+  async bedAssignment(token, caller) {
+    const ward = await this.run(
+      `SELECT bed_queue.token_number, bed_queue.patient_name, bed_queue.status, bed_queue.bed_type, bed_queue.bed_assigned_at, beds.bed_number FROM bed_queue LEFT JOIN beds ON bed_queue.bed_id = beds.bed_id${whereToken("bed_queue.token_number", token)} ORDER BY bed_queue.created_at DESC LIMIT 1`,
+      caller
+    );
+
+    const entry = ward.data[0];
+    if (entry) {
+      const who = `${entry.patient_name} (${entry.token_number})`;
+      const bedNumber = entry.beds?.bed_number || entry.bed_number;
+      let response;
+      if (entry.status === "discharged") {
+        response = `${who} has been discharged.`;
+      } else if (bedNumber) {
+        response = `${who} is in ${entry.bed_type} bed ${bedNumber}${entry.bed_assigned_at ? `, assigned on ${formatDate(entry.bed_assigned_at)}` : ""}.`;
+      } else {
+        response = `${who} is waiting for a ${entry.bed_type} bed.`;
+      }
+      return { ...ward, response };
+    }
+
+    const icu = await this.run(
+      `SELECT patient_token, patient_name, status, assigned_bed_label, admission_time FROM icu_queue${whereToken("patient_token", token)} ORDER BY created_at DESC LIMIT 1`,
+      caller
+    );
+
+    const icuEntry = icu.data[0];
+    if (!icuEntry) {
+      return { ...icu, response: `${subject(token)} not admitted and not waiting for a bed.` };
+    }
+
+    const who = `${icuEntry.patient_name} (${icuEntry.patient_token})`;
+    let response;
+    if (icuEntry.status === "discharged" || icuEntry.status === "cancelled") {
+      response = `${who} has no active ICU bed (${icuEntry.status}).`;
+    } else if (icuEntry.assigned_bed_label) {
+      response = `${who} is in ICU bed ${icuEntry.assigned_bed_label}.`;
+    } else {
+      response = `${who} is waiting for an ICU bed.`;
+    }
+    return { ...icu, response };
+  }
+
+  async reports(token, caller) {
+    const { data, sql } = await this.stayRows(
+      "medical_reports",
+      ["report_type", "ai_summary", "created_at"],
+      token,
+      5,
+      caller
+    );
+
+    if (data.length === 0) {
+      return { data, sql, response: `No medical reports have been uploaded${token ? ` for ${token}` : ""} yet.` };
+    }
+
+    const lines = data.map((report) =>
+      `• ${report.report_type} (${formatDate(report.created_at)}): ${report.ai_summary || "summary not available yet"}`
+    );
+    return { data, sql, response: `Latest reports:\n${lines.join("\n")}` };
+  }
+
+  async dischargeEstimate(token, caller) {
+    const { data, sql } = await this.stayRows(
+      "discharge_predictions",
+      ["predicted_discharge_date", "remaining_days", "confidence", "reasoning", "created_at"],
+      token,
+      1,
+      caller
+    );
+
+    const prediction = data[0];
+    if (!prediction?.predicted_discharge_date) {
+      return { data, sql, response: `There is no discharge estimate${token ? ` for ${token}` : ""} yet. One is made after each doctor's round.` };
+    }
+
+    const days = prediction.remaining_days != null
+      ? ` (about ${prediction.remaining_days} more day${prediction.remaining_days === 1 ? "" : "s"})`
+      : "";
+    const confidence = prediction.confidence != null
+      ? ` Confidence: ${Math.round(prediction.confidence * 100)}%.`
+      : "";
+    return {
+      data,
+      sql,
+      response: `Estimated discharge: ${dayjs(prediction.predicted_discharge_date).format("D MMM YYYY")}${days}.${confidence}${prediction.reasoning ? `\n${prediction.reasoning}` : ""}`,
+    };
+  }
+
+  async doctorList() {
+    const doctors = await this.supabaseService.getDoctors();
+    const data = doctors.map((doctor) => ({ id: doctor.id, name: doctor.name }));
+
+    if (data.length === 0) {
+      return { data, response: "No doctors are listed at the moment." };
+    }
+    return {
+      data,
+      response: `Our doctors:\n${data.map((doctor) => `• Dr. ${doctor.name}`).join("\n")}`,
+    };
+  }
+}
+
+function quote(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function whereToken(column, token) {
+  return token ? ` WHERE ${column} = ${quote(token)}` : "";
+}
+
+function andToken(column, token) {
+  return token ? ` AND ${column} = ${quote(token)}` : "";
+}
+
+function subject(token) {
+  return token ? `Token ${token} is` : "You are";
+}
+
+function notFound(what, token) {
+  return token
+    ? `I couldn't find an ${what} for token ${token}. Please check the token number.`
+    : `I couldn't find an ${what} linked to your account.`;
+}
+
+function formatDate(value) {
+  return dayjs(value).format("D MMM YYYY, h:mm A");
+}
@@ -0,0 +1,553 @@
+/**
+ * Scheduled reminders and nudges, kept in scheduled_jobs:
+ *
+ *   appointment_reminder  patient, APPOINTMENT_REMINDER_HOURS before appointment_date
+ *   discharge_notice      family, the day before the latest predicted discharge date
+ *   rounds_nudge          doctor, after ROUNDS_OVERDUE_HOURS without a daily round
+ *
+ * Each poll plans the jobs due within LOOKAHEAD_HOURS from the current
+ * appointments, predictions and rounds, then runs the jobs that are due.
+ * A job's dedupe_key names what it is for (appointment, offset and time), so
+ * planning again after a restart adds nothing, and a cancelled job is not
+ * planned again. Jobs are claimed by moving them from pending to running, so
+ * two backend instances never run the same one. When a job comes due its
+ * source is checked again; a job that no longer applies (appointment moved,
+ * patient discharged, round recorded) is skipped instead of sent.
+ *
+ * A backend that stops mid-job leaves it running; after STALE_MINUTES it is
+ * run again, so a message sent just before a crash can go out twice.
+ */
+
+import dayjs from "dayjs";
+import { supabase } from "../db/supabaseClient.js";
+import { APP_CONSTANTS } from "../config/constants.js";
+import notificationService from "./notifications/index.js";
+
+const {
+  POLL_SECONDS,
+  BATCH_SIZE,
+  LOOKAHEAD_HOURS,
+  APPOINTMENT_REMINDER_HOURS,
+  DISCHARGE_NOTICE_HOUR,
+  ROUNDS_OVERDUE_HOURS,
+  ROUNDS_NUDGE_CHANNEL,
+  MAX_ATTEMPTS,
+  RETRY_MINUTES,
+  STALE_MINUTES,
+} = APP_CONSTANTS.SCHEDULED_JOBS;
+
+export const JOB_TYPES = ["appointment_reminder", "discharge_notice", "rounds_nudge"];
+export const JOB_STATUSES = ["pending", "running", "done", "skipped", "failed", "cancelled"];
+
+// Numeric dates read the same in every message language
+const DATE_FORMAT = "DD-MM-YYYY";
+const DATE_TIME_FORMAT = "DD-MM-YYYY HH:mm";
+
+// Where admitted patients are, and how their rounds and predictions refer to them
+const WARDS = {
+  bed_queue: {
+    label: "General Ward",
+    reference: "bed_queue_id",
+    token: "token_number",
+    statuses: ["bed_assigned", "admitted"],
+    admittedAt: (stay) => stay.admitted_at || stay.bed_assigned_at || stay.created_at,
+  },
+  icu_queue: {
+    label: "ICU",
+    reference: "icu_queue_id",
+    token: "patient_token",
+    statuses: ["assigned", "admitted"],
+    admittedAt: (stay) => stay.admission_time || stay.updated_at || stay.created_at,
+  },
+};
+
+export class JobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "JobError";
+    this.status = status;
+  }
+}
+
+class JobScheduler {
+  constructor() {
+    this.timer = null;
+    this.polling = false;
+    this.handlers = {
+      appointment_reminder: (job, now) => this.sendAppointmentReminder(job, now),
+      discharge_notice: (job) => this.sendDischargeNotice(job),
+      rounds_nudge: (job, now) => this.sendRoundsNudge(job, now),
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), POLL_SECONDS * 1000);
+    this.timer.unref();
+    this.poll();
+    console.log(`⏰ Scheduled jobs checked every ${POLL_SECONDS}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Plan new jobs, then run the due ones. Overlapping polls are skipped.
+   * @returns {Promise<number>} jobs run
+   */
+  async poll() {
+    if (this.polling) return 0;
+    this.polling = true;
+
+    try {
+      await this.plan();
+      await this.releaseStale();
+      return await this.runDue();
+    } catch (error) {
+      console.error("Error polling scheduled jobs:", error.message);
+      return 0;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Add the jobs due within LOOKAHEAD_HOURS that aren't planned yet.
+   * @returns {Promise<number>} jobs added
+   */
+  async plan(now = dayjs()) {
+    const admitted = await this.loadAdmitted();
+    const jobs = [
+      ...(await this.planAppointmentReminders(now)),
+      ...(await this.planDischargeNotices(now, admitted)),
+      ...(await this.planRoundsNudges(now, admitted)),
+    ];
+    if (jobs.length === 0) return 0;
+
+    const { data, error } = await supabase
+      .from("scheduled_jobs")
+      .upsert(jobs, { onConflict: "dedupe_key", ignoreDuplicates: true })
+      .select("id");
+
+    if (error) {
+      throw new Error(`Failed to plan scheduled jobs: ${error.message}`);
+    }
+    return (data || []).length;
+  }
+
+  async planAppointmentReminders(now) {
+    const horizon = now.add(LOOKAHEAD_HOURS, "hour");
+    const { data, error } = await supabase
+      .from("appointments")
+      .select("id, token_number, appointment_date, created_at")
+      .eq("status", APP_CONSTANTS.APPOINTMENT_STATUS.SCHEDULED)
+      .gt("appointment_date", now.toISOString())
+      .lte("appointment_date", horizon.add(Math.max(...APPOINTMENT_REMINDER_HOURS), "hour").toISOString());
+
+    if (error) {
+      throw new Error(`Failed to load appointments: ${error.message}`);
+    }
+
+    const jobs = [];
+    for (const appointment of data || []) {
+      const at = dayjs(appointment.appointment_date);
+      for (const hours of APPOINTMENT_REMINDER_HOURS) {
+        const runAt = at.subtract(hours, "hour");
+        // Booked after this reminder was due: the confirmation covers it
+        if (runAt.isAfter(horizon) || runAt.isBefore(dayjs(appointment.created_at))) continue;
+
+        jobs.push(newJob("appointment_reminder", `${appointment.id}:${hours}h:${at.toISOString()}`, runAt, {
+          appointmentId: appointment.id,
+          tokenNumber: appointment.token_number,
+          appointmentDate: at.toISOString(),
+          hours,
+        }));
+      }
+    }
+    return jobs;
+  }
+
+  async planDischargeNotices(now, admitted) {
+    const jobs = [];
+    for (const [table, stays] of Object.entries(admitted)) {
+      const predictions = await this.latestPerStay(table, stays, "discharge_predictions", "created_at", "predicted_discharge_date");
+
+      for (const stay of stays) {
+        const predicted = predictions.get(stay.id)?.predicted_discharge_date;
+        if (!predicted) continue;
+
+        const date = dayjs(predicted);
+        const runAt = date.subtract(1, "day").hour(DISCHARGE_NOTICE_HOUR).startOf("hour");
+        // Too late for a day-before notice, or not yet within the lookahead
+        if (!date.isAfter(now, "day") || runAt.isAfter(now.add(LOOKAHEAD_HOURS, "hour"))) continue;
+
+        jobs.push(newJob("discharge_notice", `${stay.id}:${predicted}`, runAt, {
+          ward: table,
+          stayId: stay.id,
+          tokenNumber: stay[WARDS[table].token],
+          patientName: stay.patient_name,
+          dischargeDate: predicted,
+        }));
+      }
+    }
+    return jobs;
+  }
+
+  async planRoundsNudges(now, admitted) {
+    const jobs = [];
+    for (const [table, stays] of Object.entries(admitted)) {
+      const rounds = await this.latestPerStay(table, stays, "daily_rounds", "round_date", "round_date");
+
+      for (const stay of stays) {
+        if (!stay.doctor_id) continue;
+
+        const lastRound = rounds.get(stay.id)?.round_date || null;
+        const since = dayjs(lastRound || WARDS[table].admittedAt(stay));
+        // One nudge per ROUNDS_OVERDUE_HOURS without a round
+        const periods = Math.max(1, Math.floor(now.diff(since, "hour", true) / ROUNDS_OVERDUE_HOURS));
+        const runAt = since.add(periods * ROUNDS_OVERDUE_HOURS, "hour");
+        if (runAt.isAfter(now.add(LOOKAHEAD_HOURS, "hour"))) continue;
+
+        jobs.push(newJob("rounds_nudge", `${stay.id}:${since.toISOString()}:${periods}`, runAt, {
+          ward: table,
+          stayId: stay.id,
+          tokenNumber: stay[WARDS[table].token],
+          patientName: stay.patient_name,
+          since: since.toISOString(),
+          lastRound,
+        }));
+      }
+    }
+    return jobs;
+  }
+
+  /**
+   * Admitted patients by ward table.
+   */
+  async loadAdmitted() {
+    const admitted = {};
+    for (const [table, ward] of Object.entries(WARDS)) {
+      const { data, error } = await supabase.from(table).select("*").in("status", ward.statuses);
+      if (error) {
+        throw new Error(`Failed to load ${table}: ${error.message}`);
+      }
+      admitted[table] = data || [];
+    }
+    return admitted;
+  }
+
+  /**
+   * The newest row of `source` (daily_rounds, discharge_predictions) for
+   * each stay, by stay id.
+   */
+  async latestPerStay(table, stays, source, orderColumn, columns) {
+    const latest = new Map();
+    if (stays.length === 0) return latest;
+
+    const { reference } = WARDS[table];
+    const { data, error } = await supabase
+      .from(source)
+      .select(`${reference}, ${columns}`)
+      .in(reference, stays.map((stay) => stay.id))
+      .order(orderColumn, { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to load ${source}: ${error.message}`);
+    }
+    for (const row of data || []) {
+      if (!latest.has(row[reference])) latest.set(row[reference], row);
+    }
+    return latest;
+  }
+
+  /**
+   * Put jobs left running by a stopped backend back in the queue.
+   */
+  async releaseStale() {
+    const cutoff = dayjs().subtract(STALE_MINUTES, "minute").toISOString();
+    const { error } = await supabase
+      .from("scheduled_jobs")
+      .update({ status: "pending", last_error: "Interrupted while running" })
+      .eq("status", "running")
+      .lt("started_at", cutoff);
+
+    if (error) {
+      throw new Error(`Failed to release stale jobs: ${error.message}`);
+    }
+  }
+
+  async runDue() {
+    const { data: due, error } = await supabase
+      .from("scheduled_jobs")
+      .select("*")
+      .eq("status", "pending")
+      .lte("run_at", new Date().toISOString())
+      .order("run_at", { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    let ran = 0;
+    for (const job of due || []) {
+      const claimed = await this.claim(job);
+      if (claimed) {
+        await this.run(claimed);
+        ran += 1;
+      }
+    }
+    return ran;
+  }
+
+  /**
+   * @returns {Promise<object|null>} the job, now running, or null if
+   *   another instance took it first
+   */
+  async claim(job) {
+    const { data } = await supabase
+      .from("scheduled_jobs")
+      .update({ status: "running", started_at: new Date().toISOString(), attempts: job.attempts + 1 })
+      .eq("id", job.id)
+      .eq("status", "pending")
+      .select();
+
+    return data?.[0] || null;
+  }
+
+  async run(job) {
+    const { attempts } = job;
+    try {
+      const result = await this.handlers[job.type](job, dayjs());
+      if (result.skipped) {
+        console.log(`[Jobs] ${job.type} ${job.dedupe_key} skipped: ${result.skipped}`);
+        await this.finish(job, { status: "skipped", last_error: result.skipped });
+      } else {
+        console.log(`[Jobs] ${job.type} ${job.dedupe_key} sent via ${result.channel}: ${result.status}`);
+        await this.finish(job, { status: "done", delivery_id: result.id || null, last_error: null });
+      }
+    } catch (error) {
+      console.error(`[Jobs] ${job.type} ${job.dedupe_key} failed (attempt ${attempts}):`, error.message);
+      await this.finish(
+        job,
+        attempts >= MAX_ATTEMPTS
+          ? { status: "failed", last_error: error.message }
+          : {
+              status: "pending",
+              run_at: dayjs().add(RETRY_MINUTES, "minute").toISOString(),
+              last_error: error.message,
+            }
+      );
+    }
+  }
+
+  async finish(job, changes) {
+    const { error } = await supabase
+      .from("scheduled_jobs")
+      .update({ ...changes, finished_at: changes.status === "pending" ? null : new Date().toISOString() })
+      .eq("id", job.id)
+      .eq("status", "running");
+
+    if (error) {
+      console.error(`[Jobs] Failed to record the result of ${job.id}:`, error.message);
+    }
+  }
+
+  async sendAppointmentReminder(job, now) {
+    const { appointmentId, appointmentDate, hours } = job.payload;
+    const { data: appointment, error } = await supabase
+      .from("appointments")
+      .select("id, status, appointment_date")
+      .eq("id", appointmentId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load appointment: ${error.message}`);
+    }
+    if (appointment?.status !== APP_CONSTANTS.APPOINTMENT_STATUS.SCHEDULED) {
+      return { skipped: "Appointment is no longer scheduled" };
+    }
+
+    const at = dayjs(appointment.appointment_date);
+    if (!at.isSame(dayjs(appointmentDate))) {
+      return { skipped: "Appointment was moved" };
+    }
+    if (!at.isAfter(now)) {
+      return { skipped: "Appointment time has passed" };
+    }
+    // After downtime only the latest of the overdue reminders goes out
+    if (APPOINTMENT_REMINDER_HOURS.some((later) => later < hours && !at.subtract(later, "hour").isAfter(now))) {
+      return { skipped: `The ${Math.min(...APPOINTMENT_REMINDER_HOURS)}h reminder is due instead` };
+    }
+
+    return notificationService.send({
+      template: "appointment_reminder",
+      recipient: { appointmentId },
+      variables: { appointmentTime: at.format(DATE_TIME_FORMAT) },
+    });
+  }
+
+  async sendDischargeNotice(job) {
+    const { ward: table, stayId, dischargeDate } = job.payload;
+    const stay = await this.loadStay(table, stayId);
+    if (!stay) {
+      return { skipped: "Patient is no longer admitted" };
+    }
+
+    const { data: latest, error } = await supabase
+      .from("discharge_predictions")
+      .select("predicted_discharge_date")
+      .eq(WARDS[table].reference, stayId)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load discharge prediction: ${error.message}`);
+    }
+    if (latest?.predicted_discharge_date !== dischargeDate) {
+      return { skipped: "Predicted discharge date changed" };
+    }
+
+    return notificationService.send({
+      template: "discharge_reminder",
+      recipient: {
+        appointmentId: stay.appointment_id,
+        tokenNumber: stay[WARDS[table].token],
+        name: stay.patient_name,
+        phone: stay.phone,
+      },
+      variables: { dischargeDate: dayjs(dischargeDate).format(DATE_FORMAT) },
+    });
+  }
+
+  async sendRoundsNudge(job, now) {
+    const { ward: table, stayId, since, lastRound } = job.payload;
+    const stay = await this.loadStay(table, stayId);
+    if (!stay) {
+      return { skipped: "Patient is no longer admitted" };
+    }
+
+    const { data: rounds, error } = await supabase
+      .from("daily_rounds")
+      .select("id")
+      .eq(WARDS[table].reference, stayId)
+      .gt("round_date", since)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to load daily rounds: ${error.message}`);
+    }
+    if (rounds?.length) {
+      return { skipped: "A round has been recorded since" };
+    }
+
+    const { data: doctor } = await supabase
+      .from("user_profiles")
+      .select("email")
+      .eq("id", stay.doctor_id)
+      .maybeSingle();
+    if (!doctor?.email) {
+      throw new Error("The patient's doctor has no email address on their profile");
+    }
+
+    return notificationService.send({
+      template: "rounds_overdue",
+      channel: ROUNDS_NUDGE_CHANNEL,
+      recipient: { email: doctor.email },
+      variables: {
+        patientName: stay.patient_name,
+        tokenNumber: stay[WARDS[table].token],
+        ward: WARDS[table].label,
+        hours: Math.floor(now.diff(dayjs(since), "hour")),
+        lastRound: lastRound ? dayjs(lastRound).format(DATE_TIME_FORMAT) : null,
+      },
+    });
+  }
+
+  /**
+   * The stay, or null when the patient is no longer admitted.
+   */
+  async loadStay(table, id) {
+    const { data, error } = await supabase.from(table).select("*").eq("id", id).maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load ${table}: ${error.message}`);
+    }
+    return data && WARDS[table].statuses.includes(data.status) ? data : null;
+  }
+
+  /**
+   * Jobs for the admin API. Pending jobs are listed soonest first, others
+   * latest first.
+   * @param {object} [filters] - { status, type, limit }
+   */
+  async listJobs({ status = null, type = null, limit = 50 } = {}) {
+    if (status && !JOB_STATUSES.includes(status)) {
+      throw new JobError(`status must be one of ${JOB_STATUSES.join(", ")}`);
+    }
+    if (type && !JOB_TYPES.includes(type)) {
+      throw new JobError(`type must be one of ${JOB_TYPES.join(", ")}`);
+    }
+
+    let query = supabase
+      .from("scheduled_jobs")
+      .select("*")
+      .order("run_at", { ascending: status === "pending" })
+      .limit(Math.min(Number(limit) || 50, 200));
+
+    if (status) query = query.eq("status", status);
+    if (type) query = query.eq("type", type);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load scheduled jobs: ${error.message}`);
+    }
+    return data;
+  }
+
+  async getJob(id) {
+    const { data, error } = await supabase.from("scheduled_jobs").select("*").eq("id", id).maybeSingle();
+    if (error) {
+      throw new Error(`Failed to load scheduled job: ${error.message}`);
+    }
+    if (!data) {
+      throw new JobError("Job not found", 404);
+    }
+    return data;
+  }
+
+  /**
+   * Cancel a pending job. It keeps its dedupe key, so it isn't planned again.
+   */
+  async cancelJob(id, reason = null) {
+    const { data, error } = await supabase
+      .from("scheduled_jobs")
+      .update({ status: "cancelled", cancelled_at: new Date().toISOString(), cancel_reason: reason })
+      .eq("id", id)
+      .eq("status", "pending")
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to cancel job: ${error.message}`);
+    }
+    if (data?.[0]) return data[0];
+
+    const job = await this.getJob(id);
+    throw new JobError(`Job is ${job.status} and can no longer be cancelled`, 409);
+  }
+}
+
+function newJob(type, key, runAt, payload) {
+  return {
+    type,
+    dedupe_key: `${type}:${key}`,
+    run_at: runAt.toISOString(),
+    payload,
+    status: "pending",
+  };
+}
+
+export default new JobScheduler();
@@ -0,0 +1,95 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { LLMError, LLMProvider } from "./llmProvider.js";
+
+/**
+ * Offline provider that replays recorded responses, so features can run
+ * deterministically without network access or API keys.
+ *
+ * Fixtures live in <dir>/<feature>/*.json as
+ *   { "match": "optional prompt substring", "response": "text" | {json} }
+ * A request is answered by, in order: the fixture recorded for its exact
+ * request hash (<hash>.json), the first fixture whose "match" appears in the
+ * prompt, then <feature>/default.json. When a recorder provider is given,
+ * misses are forwarded to it and the answer is saved under the request hash.
+ * Recorded files keep the full prompt, patient data included, so git
+ * ignores them; copy the response into a named fixture to share it.
+ */
+export class FixtureProvider extends LLMProvider {
+  constructor(name, { dir, feature, recorder = null }) {
+    super(name, { model: "fixture", feature });
+    this.dir = path.join(dir, feature);
+    this.feature = feature;
+    this.recorder = recorder;
+    this.fixtures = null;
+  }
+
+  async complete(request) {
+    const hash = this.hashRequest(request);
+    const fixture = this.find(hash, request.prompt);
+    if (fixture) {
+      return typeof fixture.response === "string"
+        ? fixture.response
+        : JSON.stringify(fixture.response);
+    }
+
+    if (!this.recorder) {
+      throw new LLMError(
+        `No ${this.feature} fixture for request ${hash}; add ${path.join(this.dir, `${hash}.json`)} or a default.json`,
+        this.name
+      );
+    }
+
+    const result = await this.recorder.complete(request);
+    this.record(hash, request, typeof result === "string" ? result : result.text);
+    return result;
+  }
+
+  hashRequest({ system, prompt, images = [], json }) {
+    return crypto
+      .createHash("sha1")
+      .update(JSON.stringify({ system: system || null, prompt, images, json: Boolean(json) }))
+      .digest("hex")
+      .slice(0, 16);
+  }
+
+  find(hash, prompt) {
+    const fixtures = this.load();
+    return (
+      fixtures.byName[hash] ||
+      fixtures.matchers.find((fixture) => prompt.includes(fixture.match)) ||
+      fixtures.byName.default ||
+      null
+    );
+  }
+
+  load() {
+    if (this.fixtures) return this.fixtures;
+
+    const byName = {};
+    const matchers = [];
+    if (fs.existsSync(this.dir)) {
+      for (const file of fs.readdirSync(this.dir).filter((f) => f.endsWith(".json")).sort()) {
+        const fixture = JSON.parse(fs.readFileSync(path.join(this.dir, file), "utf8"));
+        byName[path.basename(file, ".json")] = fixture;
+        if (fixture.match) matchers.push(fixture);
+      }
+    }
+
+    this.fixtures = { byName, matchers };
+    return this.fixtures;
+  }
+
+  record(hash, request, response) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const fixture = {
+      recordedAt: new Date().toISOString(),
+      recordedWith: this.recorder.name,
+      request: { system: request.system || null, prompt: request.prompt, images: request.images?.length || 0 },
+      response,
+    };
+    fs.writeFileSync(path.join(this.dir, `${hash}.json`), `${JSON.stringify(fixture, null, 2)}\n`);
+    this.fixtures = null;
+  }
+}
@@ -0,0 +1,61 @@
+import { Buffer } from "buffer";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { LLMError, LLMProvider } from "./llmProvider.js";
+
+export class GeminiProvider extends LLMProvider {
+  constructor(name, { apiKey, model, feature }) {
+    super(name, { model, feature });
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  async complete({ system, prompt, images = [], json, temperature, maxTokens }) {
+    const model = this.client.getGenerativeModel({
+      model: this.model,
+      ...(system && { systemInstruction: system }),
+      generationConfig: {
+        ...(temperature !== undefined && { temperature }),
+        ...(maxTokens && { maxOutputTokens: maxTokens }),
+        ...(json && { responseMimeType: "application/json" }),
+      },
+    });
+
+    const parts = [{ text: prompt }];
+    for (const url of images) {
+      parts.push({ inlineData: await this.loadImage(url) });
+    }
+
+    try {
+      const result = await model.generateContent(parts);
+      const usage = result.response.usageMetadata;
+      return {
+        text: result.response.text(),
+        usage: {
+          promptTokens: usage?.promptTokenCount || 0,
+          completionTokens: usage?.candidatesTokenCount || 0,
+        },
+      };
+    } catch (error) {
+      throw new LLMError(`Gemini request failed: ${error.message}`, this.name);
+    }
+  }
+
+  /**
+   * Gemini takes images inline, so links are downloaded first.
+   */
+  async loadImage(url) {
+    const dataUrl = url.match(/^data:([^;]+);base64,(.*)$/);
+    if (dataUrl) {
+      return { mimeType: dataUrl[1], data: dataUrl[2] };
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new LLMError(`Could not download image (status ${response.status})`, this.name);
+    }
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return {
+      mimeType: response.headers.get("content-type") || "image/jpeg",
+      data: buffer.toString("base64"),
+    };
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Entry point for LLM access: getLLMProvider(feature) returns the provider
+ * configured for that feature in config/llm.js.
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { LLM_CONFIG } from "../../config/llm.js";
+import { LLMError } from "./llmProvider.js";
+import { GeminiProvider } from "./geminiProvider.js";
+import { OpenAICompatibleProvider } from "./openAICompatibleProvider.js";
+import { FixtureProvider } from "./fixtureProvider.js";
+
+export { LLMError, LLMProvider, onUsage, validateSchema } from "./llmProvider.js";
+
+const backendRoot = path.join(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const providers = new Map();
+
+/**
+ * Provider name for a feature: LLM_PROVIDER_<FEATURE>, then LLM_PROVIDER,
+ * then the feature's configured default.
+ */
+export function resolveProviderName(feature) {
+  const envKey = `LLM_PROVIDER_${feature.toUpperCase()}`;
+  return (
+    process.env[envKey] ||
+    LLM_CONFIG.DEFAULT_PROVIDER ||
+    LLM_CONFIG.FEATURES[feature]?.provider ||
+    LLM_CONFIG.FALLBACK_PROVIDER
+  );
+}
+
+export function getLLMProvider(feature) {
+  const name = resolveProviderName(feature);
+  const model = process.env[`LLM_MODEL_${feature.toUpperCase()}`] || null;
+  const key = `${feature}:${name}:${model || ""}`;
+
+  if (!providers.has(key)) {
+    providers.set(key, createProvider(name, feature, model));
+  }
+  return providers.get(key);
+}
+
+function createProvider(name, feature, model = null) {
+  const config = LLM_CONFIG.PROVIDERS[name];
+  if (!config) {
+    throw new LLMError(`Unknown LLM provider "${name}" for ${feature}`);
+  }
+
+  switch (config.type) {
+    case "gemini":
+      return new GeminiProvider(name, { ...config, feature, model: model || config.model });
+    case "openai":
+      return new OpenAICompatibleProvider(name, { ...config, feature, model: model || config.model });
+    case "fixture":
+      return new FixtureProvider(name, {
+        dir: path.resolve(backendRoot, config.dir),
+        feature,
+        recorder: config.record ? createProvider(config.record, feature, model) : null,
+      });
+    default:
+      throw new LLMError(`Unsupported LLM provider type "${config.type}"`);
+  }
+}
+
+/**
+ * Which provider and model each feature is using, for diagnostics.
+ */
+export function describeProviders() {
+  return Object.keys(LLM_CONFIG.FEATURES).map((feature) => {
+    const provider = getLLMProvider(feature);
+    return { feature, provider: provider.name, model: provider.model };
+  });
+}
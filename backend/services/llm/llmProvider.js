@@ -0,0 +1,179 @@
+/**
+ * Common interface for LLM providers.
+ *
+ * Every provider implements complete(); the base class builds the three
+ * operations features use on top of it:
+ *   - generateText({ system, prompt })            -> string
+ *   - generateJSON({ system, prompt, schema })    -> parsed, validated object
+ *   - vision({ system, prompt, images, schema })  -> string, or object when a
+ *                                                    schema is given
+ * Images are URLs: http(s) links or data: URLs.
+ *
+ * complete() may return the text alone or { text, usage } with token counts;
+ * each call's latency and usage is passed to listeners registered with
+ * onUsage().
+ */
+
+const usageListeners = new Set();
+
+/**
+ * @param {Function} listener - called with { feature, provider, model,
+ *   latencyMs, promptTokens, completionTokens, error }
+ * @returns {Function} unsubscribe
+ */
+export function onUsage(listener) {
+  usageListeners.add(listener);
+  return () => usageListeners.delete(listener);
+}
+
+export class LLMError extends Error {
+  constructor(message, provider = null) {
+    super(message);
+    this.name = "LLMError";
+    this.status = 502;
+    this.provider = provider;
+  }
+}
+
+export class LLMProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.model = options.model || null;
+    // Set by getLLMProvider(); reported with usage
+    this.feature = options.feature || null;
+  }
+
+  /**
+   * Send one request to the model and return its raw text.
+   * @param {object} request - { system, prompt, images, json, temperature, maxTokens }
+   * @returns {Promise<string|{ text: string, usage: object }>} usage is
+   *   { promptTokens, completionTokens }
+   */
+  async complete() {
+    throw new LLMError(`${this.name} does not implement complete()`, this.name);
+  }
+
+  /**
+   * complete() with timing and usage reporting.
+   */
+  async run(request) {
+    const startedAt = Date.now();
+    const report = (usage, error = null) => {
+      const entry = {
+        feature: this.feature,
+        provider: this.name,
+        model: this.model,
+        latencyMs: Date.now() - startedAt,
+        promptTokens: usage?.promptTokens || 0,
+        completionTokens: usage?.completionTokens || 0,
+        error,
+      };
+      usageListeners.forEach((listener) => listener(entry));
+    };
+
+    let result;
+    try {
+      result = await this.complete(request);
+    } catch (error) {
+      report(null, error.message);
+      throw error;
+    }
+
+    const { text, usage } = typeof result === "string" || !result ? { text: result, usage: null } : result;
+    report(usage);
+    return text;
+  }
+
+  async generateText({ system = null, prompt, temperature, maxTokens } = {}) {
+    const text = await this.run({ system, prompt, images: [], json: false, temperature, maxTokens });
+    return (text || "").trim();
+  }
+
+  async generateJSON({ system = null, prompt, schema = null, temperature, maxTokens } = {}) {
+    const text = await this.run({ system, prompt, images: [], json: true, schema, temperature, maxTokens });
+    return this.parseJSON(text, schema);
+  }
+
+  async vision({ system = null, prompt, images = [], schema = null, temperature, maxTokens } = {}) {
+    const json = Boolean(schema);
+    const text = await this.run({ system, prompt, images, json, schema, temperature, maxTokens });
+    return json ? this.parseJSON(text, schema) : (text || "").trim();
+  }
+
+  parseJSON(text, schema) {
+    let parsed;
+    try {
+      // Models sometimes wrap JSON in markdown fences despite being asked not to
+      parsed = JSON.parse((text || "").replace(/```json|```/g, "").trim());
+    } catch {
+      throw new LLMError(`${this.name} returned invalid JSON`, this.name);
+    }
+
+    if (schema) {
+      const problems = validateSchema(parsed, schema);
+      if (problems.length > 0) {
+        throw new LLMError(`${this.name} response does not match schema: ${problems.join("; ")}`, this.name);
+      }
+    }
+    return parsed;
+  }
+}
+
+/**
+ * Minimal JSON Schema check covering what our prompts ask for: type,
+ * required, properties, items, enum, minimum and maximum. Returns a list of
+ * problems, empty when the value matches.
+ */
+export function validateSchema(value, schema, path = "$") {
+  const problems = [];
+  const types = [].concat(schema.type || []);
+
+  if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+    return [`${path} should be ${types.join(" or ")}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${path} should be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) problems.push(`${path}.${key} is required`);
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (key in value) problems.push(...validateSchema(value[key], property, `${path}.${key}`));
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return problems;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
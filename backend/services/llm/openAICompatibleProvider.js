@@ -0,0 +1,59 @@
+import { LLMError, LLMProvider } from "./llmProvider.js";
+
+/**
+ * Chat Completions API, as served by Groq, OpenAI and other compatible
+ * endpoints.
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  constructor(name, { baseUrl, apiKey, model, feature }) {
+    super(name, { model, feature });
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+    this.apiKey = apiKey;
+  }
+
+  async complete({ system, prompt, images = [], json, temperature, maxTokens }) {
+    if (!this.apiKey) {
+      throw new LLMError(`${this.name} API key not configured`, this.name);
+    }
+
+    const content = images.length > 0
+      ? [
+          { type: "text", text: prompt },
+          ...images.map((url) => ({ type: "image_url", image_url: { url } })),
+        ]
+      : prompt;
+
+    const messages = [];
+    if (system) messages.push({ role: "system", content: system });
+    messages.push({ role: "user", content });
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages,
+        ...(temperature !== undefined && { temperature }),
+        ...(maxTokens && { max_tokens: maxTokens }),
+        ...(json && { response_format: { type: "json_object" } }),
+      }),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new LLMError(`${this.name} request failed (${response.status}): ${body.slice(0, 200)}`, this.name);
+    }
+
+    const data = await response.json();
+    return {
+      text: data.choices?.[0]?.message?.content || "",
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0,
+      },
+    };
+  }
+}
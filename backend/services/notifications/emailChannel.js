@@ -0,0 +1,44 @@
+import { NotificationChannel, NotificationError } from "./notificationChannel.js";
+
+const SENDGRID_URL = "https://api.sendgrid.com/v3/mail/send";
+
+/**
+ * Plain-text email through the SendGrid v3 API.
+ */
+export class EmailChannel extends NotificationChannel {
+  constructor(name, { apiKey, from }) {
+    super(name);
+    this.apiKey = apiKey;
+    this.from = from;
+  }
+
+  address(recipient) {
+    return recipient.email || null;
+  }
+
+  async send({ to, subject, text }) {
+    if (!this.apiKey || !this.from) {
+      throw new NotificationError("Email is not configured (SENDGRID_API_KEY, NOTIFICATION_EMAIL_FROM)", 500);
+    }
+
+    const response = await fetch(SENDGRID_URL, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: to }] }],
+        from: { email: this.from },
+        subject,
+        content: [{ type: "text/plain", value: text }],
+      }),
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => "");
+      throw new NotificationError(`SendGrid returned ${response.status}: ${detail.slice(0, 200)}`, 502);
+    }
+    return { providerId: response.headers.get("x-message-id"), providerStatus: "accepted" };
+  }
+}
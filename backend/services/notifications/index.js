@@ -0,0 +1,419 @@
+/**
+ * Patient notifications: render a named template, send it on a channel and
+ * record the attempt in notification_deliveries.
+ *
+ *   notificationService.send({
+ *     template: "bed_assigned",
+ *     recipient: { tokenNumber: "OPD-1059" },
+ *     variables: { bedNumber: "GEN-04" },
+ *   })
+ *
+ * Channels are configured in config/notifications.js. The recipient's phone,
+ * email and name are looked up from their appointment when only a token
+ * number or appointment id is given.
+ *
+ * A delivery that fails, is skipped or is later reported undelivered gets a
+ * retry scheduled with backoff, on the next channel of
+ * NOTIFICATION_RETRY.FALLBACK; retryQueue.js makes the retries. Deliveries
+ * with no retries left are listed by listUnreached() so staff can call the
+ * patient instead.
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { supabase } from "../../db/supabaseClient.js";
+import { APP_CONSTANTS } from "../../config/constants.js";
+import { NOTIFICATION_CONFIG } from "../../config/notifications.js";
+import { NotificationError } from "./notificationChannel.js";
+import { TwilioChannel } from "./twilioChannel.js";
+import { TelegramChannel } from "./telegramChannel.js";
+import { EmailChannel } from "./emailChannel.js";
+import { LogChannel } from "./logChannel.js";
+import { getTemplate, renderTemplate } from "./templates.js";
+import { normalizeLanguage } from "../../utils/language.js";
+import { normalizePhone } from "../../utils/phone.js";
+
+export { NotificationError } from "./notificationChannel.js";
+export { describeTemplates } from "./templates.js";
+
+const backendRoot = path.join(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+const { BACKOFF_SECONDS, FALLBACK } = APP_CONSTANTS.NOTIFICATION_RETRY;
+
+// Twilio message statuses that end a delivery
+const TWILIO_FINAL_STATUSES = {
+  delivered: "delivered",
+  read: "delivered",
+  undelivered: "undelivered",
+  failed: "failed",
+};
+
+class NotificationService {
+  constructor() {
+    this.channels = new Map();
+  }
+
+  /**
+   * Render a template and send it to one recipient.
+   * @param {object} options
+   * @param {string} options.template - template name (see templates.js)
+   * @param {number} [options.version] - latest when omitted
+   * @param {object} options.recipient - { name, phone, email, tokenNumber, appointmentId, language }
+   *   language defaults to the patient's preferred language
+   * @param {object} [options.variables] - template variables; patientName and
+   *   tokenNumber default to the recipient's
+   * @param {string} [options.channel] - default NOTIFICATION_CHANNEL
+   * @returns {Promise<object>} the notification_deliveries row
+   */
+  async send({ template, version = null, recipient = {}, variables = {}, channel = null }) {
+    const channelName = channel || NOTIFICATION_CONFIG.DEFAULT_CHANNEL;
+    return this.deliver({
+      template,
+      version,
+      recipient,
+      variables,
+      channelName,
+      attempt: 1,
+      retryOf: null,
+      retryChannels: FALLBACK[channelName] || [],
+    });
+  }
+
+  /**
+   * Make the retry scheduled on a delivery (see retryQueue.js), on the next
+   * channel of its plan.
+   * @param {object} previous - the notification_deliveries row being retried
+   * @returns {Promise<object>} the new delivery
+   */
+  async retry(previous) {
+    const [channelName, ...retryChannels] = previous.retry_channels;
+    const delivery = await this.deliver({
+      template: previous.template,
+      version: previous.template_version,
+      recipient: previous.recipient_ref,
+      variables: previous.variables,
+      channelName,
+      attempt: previous.attempt + 1,
+      retryOf: previous.id,
+      retryChannels,
+    });
+
+    if (delivery.id) {
+      await supabase.from("notification_deliveries").update({ retried_by: delivery.id }).eq("id", previous.id);
+    }
+    return delivery;
+  }
+
+  async deliver({ template: name, version, recipient, variables, channelName, attempt, retryOf, retryChannels }) {
+    const template = getTemplate(name, version);
+    const channel = this.getChannel(channelName);
+    const patient = await this.resolveRecipient(recipient, channel.name);
+    const { subject, text, language } = renderTemplate(
+      template,
+      { patientName: patient.name, tokenNumber: patient.tokenNumber, ...variables },
+      patient.language
+    );
+
+    const delivery = {
+      template: template.name,
+      template_version: template.version,
+      channel: channel.name,
+      recipient: channel.address(patient),
+      token_number: patient.tokenNumber || null,
+      patient_name: patient.name || null,
+      subject,
+      body: channel.format(text),
+      language,
+      status: "sent",
+      provider_status: null,
+      provider_id: null,
+      error: null,
+      variables,
+      recipient_ref: pick(patient, ["appointmentId", "tokenNumber", "name", "phone", "email", "language"]),
+      attempt,
+      retry_of: retryOf,
+    };
+
+    if (!delivery.recipient) {
+      delivery.status = "skipped";
+      delivery.error = `No ${channel.name} address for this patient`;
+    } else {
+      // NOTIFICATION_SINK sends to a local sink instead of the real channel
+      const transport = NOTIFICATION_CONFIG.SINK ? this.getChannel(NOTIFICATION_CONFIG.SINK) : channel;
+      try {
+        const result = await transport.send({
+          to: delivery.recipient,
+          subject,
+          text: delivery.body,
+          channel: channel.name,
+        });
+        delivery.provider_id = result.providerId || null;
+        delivery.provider_status = result.providerStatus || null;
+      } catch (error) {
+        console.error(`[Notification] ${template.name} via ${channel.name} failed:`, error.message);
+        delivery.status = "failed";
+        delivery.error = error.message;
+      }
+    }
+
+    Object.assign(delivery, planRetry(delivery.status, channel.name, attempt, retryChannels));
+    return this.record(delivery);
+  }
+
+  /**
+   * Apply a Twilio status callback to the delivery with that SID. Final
+   * statuses (delivered, undelivered, failed) are kept even if an earlier
+   * status arrives after them; undelivered and failed schedule a retry.
+   * @returns {Promise<object|null>} the updated delivery, or null if unknown or unchanged
+   */
+  async recordProviderStatus(providerId, providerStatus, providerError = null) {
+    const { data: delivery, error } = await supabase
+      .from("notification_deliveries")
+      .select("*")
+      .eq("provider_id", providerId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load delivery ${providerId}: ${error.message}`);
+    }
+    if (!delivery || delivery.status !== "sent") return null;
+
+    const status = TWILIO_FINAL_STATUSES[providerStatus];
+    const changes = { provider_status: providerStatus };
+    if (status) {
+      changes.status = status;
+      if (status === "delivered") {
+        changes.delivered_at = new Date().toISOString();
+      } else {
+        changes.error = providerError || `Twilio reported the message ${providerStatus}`;
+        Object.assign(changes, planRetry(status, delivery.channel, delivery.attempt, delivery.retry_channels));
+      }
+    }
+
+    // Only while still "sent", so racing callbacks can't undo a final status
+    const { data: updated } = await supabase
+      .from("notification_deliveries")
+      .update(changes)
+      .eq("id", delivery.id)
+      .eq("status", "sent")
+      .select();
+
+    return updated?.[0] || null;
+  }
+
+  /**
+   * Deliveries that never reached the patient and have no retries left,
+   * oldest first, until someone follows up.
+   */
+  async listUnreached({ limit = 100 } = {}) {
+    const { data, error } = await supabase
+      .from("notification_deliveries")
+      .select("*")
+      .in("status", ["failed", "undelivered", "skipped"])
+      .is("retried_by", null)
+      .is("next_retry_at", null)
+      .is("followed_up_at", null)
+      .order("created_at", { ascending: true })
+      .limit(Math.min(Number(limit) || 100, 200));
+
+    if (error) {
+      throw new Error(`Failed to load undelivered notifications: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Take a delivery off the unreached list once staff have contacted the
+   * patient another way.
+   * @param {string} userId - staff member who followed up
+   */
+  async markFollowedUp(id, userId) {
+    const { data, error } = await supabase
+      .from("notification_deliveries")
+      .update({ followed_up_at: new Date().toISOString(), followed_up_by: userId })
+      .eq("id", id)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to update delivery: ${error.message}`);
+    }
+    if (!data?.[0]) {
+      throw new NotificationError("Delivery not found", 404);
+    }
+    return data[0];
+  }
+
+  /**
+   * What staff can see of the messages sent, newest first.
+   * @param {object} [filters] - { tokenNumber, status, channel, limit }
+   */
+  async listDeliveries({ tokenNumber = null, status = null, channel = null, limit = 50 } = {}) {
+    let query = supabase
+      .from("notification_deliveries")
+      .select("*")
+      .order("created_at", { ascending: false })
+      .limit(Math.min(Number(limit) || 50, 200));
+
+    if (tokenNumber) query = query.eq("token_number", tokenNumber);
+    if (status) query = query.eq("status", status);
+    if (channel) query = query.eq("channel", channel);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load notification deliveries: ${error.message}`);
+    }
+    return data;
+  }
+
+  getChannel(name) {
+    if (!this.channels.has(name)) {
+      this.channels.set(name, createChannel(name));
+    }
+    return this.channels.get(name);
+  }
+
+  /**
+   * Fill in the recipient's contact details and preferred language from
+   * their appointment (by id, token number, phone or name), falling back to
+   * their profile's language, and their linked Telegram chat when sending on
+   * Telegram. Phone numbers are put in E.164, as appointments store them; a
+   * number that can't be parsed is kept so the send fails with the reason.
+   */
+  async resolveRecipient(recipient, channelName) {
+    const phone = recipient.phone ? normalizePhone(recipient.phone) : null;
+    const patient = {
+      ...recipient,
+      phone: phone || recipient.phone,
+      language: normalizeLanguage(recipient.language),
+    };
+
+    // A bare name is the last resort, matched to the patient's latest appointment
+    const lookup = patient.appointmentId
+      ? ["id", patient.appointmentId]
+      : patient.tokenNumber
+        ? ["token_number", patient.tokenNumber]
+        : phone
+          ? ["phone", phone]
+          : !patient.phone && !patient.email && patient.name
+            ? ["patient_name", patient.name]
+            : null;
+
+    if (lookup && (!patient.phone || !patient.email || !patient.name || !patient.tokenNumber || !patient.language)) {
+      const query = supabase
+        .from("appointments")
+        .select("token_number, patient_name, phone, email, preferred_language")
+        .eq(lookup[0], lookup[1])
+        .order("created_at", { ascending: false })
+        .limit(1);
+
+      const { data, error } = await query.maybeSingle();
+      if (error) {
+        console.error("[Notification] Error looking up appointment:", error.message);
+      }
+      if (data) {
+        patient.tokenNumber ||= data.token_number;
+        patient.name ||= data.patient_name;
+        patient.phone ||= data.phone;
+        patient.email ||= data.email;
+        patient.language ||= normalizeLanguage(data.preferred_language);
+      }
+    }
+
+    if (!patient.language && patient.email) {
+      const { data: profile } = await supabase
+        .from("user_profiles")
+        .select("preferred_language")
+        .eq("email", patient.email.toLowerCase())
+        .limit(1)
+        .maybeSingle();
+      patient.language = normalizeLanguage(profile?.preferred_language);
+    }
+
+    if (channelName === "telegram" && !patient.telegram) {
+      // The chat linked with the token, else one linked with the email
+      const lookups = [
+        patient.tokenNumber && ["token_number", patient.tokenNumber],
+        patient.email && ["email", patient.email.toLowerCase()],
+      ].filter(Boolean);
+
+      for (const [column, value] of lookups) {
+        const { data } = await supabase
+          .from("telegram_links")
+          .select("chat_id, bot_id")
+          .is("revoked_at", null)
+          .eq(column, value)
+          .limit(1);
+
+        if (data?.[0]) {
+          patient.telegram = { chatId: Number(data[0].chat_id), botId: data[0].bot_id || "default" };
+          break;
+        }
+      }
+    }
+
+    return patient;
+  }
+
+  async record(delivery) {
+    const { data, error } = await supabase
+      .from("notification_deliveries")
+      .insert([delivery])
+      .select()
+      .single();
+
+    if (error) {
+      // The message may have gone out; don't report it as unsent
+      console.error("[Notification] Failed to record delivery:", error.message);
+      return delivery;
+    }
+    return data;
+  }
+}
+
+function createChannel(name) {
+  const config = NOTIFICATION_CONFIG.CHANNELS[name];
+  if (!config) {
+    throw new NotificationError(`Unknown notification channel "${name}"`);
+  }
+
+  switch (config.type) {
+    case "twilio":
+      return new TwilioChannel(name, config);
+    case "telegram":
+      return new TelegramChannel(name);
+    case "sendgrid":
+      return new EmailChannel(name, config);
+    case "log":
+      return new LogChannel(name, { path: config.path ? path.resolve(backendRoot, config.path) : null });
+    default:
+      throw new NotificationError(`Unsupported notification channel type "${config.type}"`, 500);
+  }
+}
+
+/**
+ * When, and on which channels, to retry a delivery that didn't get through.
+ * A skipped delivery moves straight on to a channel other than the one with
+ * no address.
+ */
+function planRetry(status, channelName, attempt, retryChannels = []) {
+  if (status === "sent" || status === "delivered") {
+    return { next_retry_at: null, retry_channels: retryChannels };
+  }
+
+  const remaining = status === "skipped" ? retryChannels.filter((name) => name !== channelName) : retryChannels;
+  if (remaining.length === 0) {
+    return { next_retry_at: null, retry_channels: [] };
+  }
+
+  const delay = status === "skipped" ? 0 : BACKOFF_SECONDS[Math.min(attempt - 1, BACKOFF_SECONDS.length - 1)];
+  return {
+    next_retry_at: new Date(Date.now() + delay * 1000).toISOString(),
+    retry_channels: remaining,
+  };
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter((key) => object[key]).map((key) => [key, object[key]]));
+}
+
+export default new NotificationService();
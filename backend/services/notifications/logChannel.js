@@ -0,0 +1,32 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { NotificationChannel } from "./notificationChannel.js";
+
+/**
+ * Local sink for development and tests: appends each message as a JSON line
+ * to a file, or prints it when no path is set. Accepts any address.
+ */
+export class LogChannel extends NotificationChannel {
+  constructor(name, { path: filePath = null } = {}) {
+    super(name, { markdown: true });
+    this.path = filePath;
+  }
+
+  address(recipient) {
+    return recipient.phone || recipient.email || recipient.tokenNumber || null;
+  }
+
+  async send({ to, subject, text, channel }) {
+    const providerId = `${this.name}-${crypto.randomUUID()}`;
+    const entry = { id: providerId, at: new Date().toISOString(), channel, to, subject, text };
+
+    if (this.path) {
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.promises.appendFile(this.path, `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log(`[Notification] ${channel} → ${to}${subject ? ` (${subject})` : ""}\n${text}`);
+    }
+    return { providerId, providerStatus: "logged" };
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Common interface for notification channels.
+ *
+ * A channel finds the recipient's address on it (phone number, email, chat
+ * id) and sends one rendered message there. Channels that can't show
+ * Markdown get the text with *bold* markers removed.
+ */
+
+export class NotificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "NotificationError";
+    this.status = status;
+  }
+}
+
+export class NotificationChannel {
+  constructor(name, { markdown = false } = {}) {
+    this.name = name;
+    this.markdown = markdown;
+  }
+
+  /**
+   * Where this recipient is reached on the channel, or null.
+   * @param {object} recipient - { name, phone, email, telegram, tokenNumber }
+   */
+  address() {
+    return null;
+  }
+
+  /**
+   * Send one message.
+   * @param {object} message - { to, subject, text }
+   * @returns {Promise<{ providerId: string|null, providerStatus: string|null }>}
+   */
+  async send() {
+    throw new NotificationError(`${this.name} does not implement send()`, 500);
+  }
+
+  format(text) {
+    return this.markdown ? text : text.replace(/\*/g, "");
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * Makes the retries scheduled on notification_deliveries.
+ *
+ * Each poll first gives up waiting on Twilio messages that have been queued
+ * for too long (they count as undelivered and get a retry), then sends the
+ * retries that are due. A retry is claimed by clearing its next_retry_at, so
+ * two backend instances never send the same one. Retries that were due
+ * while the backend was down are sent when it starts again.
+ */
+
+import { supabase } from "../../db/supabaseClient.js";
+import { APP_CONSTANTS } from "../../config/constants.js";
+import { NOTIFICATION_CONFIG } from "../../config/notifications.js";
+import notificationService from "./index.js";
+
+const { POLL_SECONDS, BATCH_SIZE, STUCK_MINUTES } = APP_CONSTANTS.NOTIFICATION_RETRY;
+
+// Twilio statuses of a message that hasn't left Twilio yet
+const QUEUED_STATUSES = ["accepted", "queued"];
+
+class NotificationRetryQueue {
+  constructor() {
+    this.timer = null;
+    this.polling = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), POLL_SECONDS * 1000);
+    this.timer.unref();
+    this.poll();
+    console.log(`🔁 Notification retries checked every ${POLL_SECONDS}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send one batch of due retries. Overlapping polls are skipped.
+   * @returns {Promise<number>} retries made
+   */
+  async poll() {
+    if (this.polling) return 0;
+    this.polling = true;
+
+    try {
+      await this.expireQueued();
+
+      const { data: due, error } = await supabase
+        .from("notification_deliveries")
+        .select("*")
+        .lte("next_retry_at", new Date().toISOString())
+        .order("next_retry_at", { ascending: true })
+        .limit(BATCH_SIZE);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      let retried = 0;
+      for (const delivery of due || []) {
+        if (await this.claim(delivery)) {
+          await this.retry(delivery);
+          retried += 1;
+        }
+      }
+      return retried;
+    } catch (error) {
+      console.error("Error polling notification retries:", error.message);
+      return 0;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Without status callbacks a queued message is never updated, so this
+   * only runs when they are configured.
+   */
+  async expireQueued() {
+    if (!NOTIFICATION_CONFIG.STATUS_CALLBACK_URL) return;
+
+    const cutoff = new Date(Date.now() - STUCK_MINUTES * 60 * 1000).toISOString();
+    const { data: stuck, error } = await supabase
+      .from("notification_deliveries")
+      .select("provider_id, provider_status")
+      .eq("status", "sent")
+      .in("provider_status", QUEUED_STATUSES)
+      .lt("created_at", cutoff)
+      .limit(BATCH_SIZE);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    for (const delivery of stuck || []) {
+      await notificationService.recordProviderStatus(
+        delivery.provider_id,
+        "undelivered",
+        `Still ${delivery.provider_status} after ${STUCK_MINUTES} minutes`
+      );
+    }
+  }
+
+  async claim(delivery) {
+    const { data } = await supabase
+      .from("notification_deliveries")
+      .update({ next_retry_at: null })
+      .eq("id", delivery.id)
+      .eq("next_retry_at", delivery.next_retry_at)
+      .select("id");
+
+    return (data || []).length > 0;
+  }
+
+  async retry(delivery) {
+    try {
+      const next = await notificationService.retry(delivery);
+      console.log(
+        `[Notification] Retry ${next.attempt} of ${delivery.template} for ${delivery.token_number || delivery.patient_name || delivery.id} via ${next.channel}: ${next.status}`
+      );
+    } catch (error) {
+      // Not retried again (e.g. the template or channel no longer exists);
+      // the delivery shows up as unreached
+      console.error(`[Notification] Retry of delivery ${delivery.id} failed:`, error.message);
+      await supabase
+        .from("notification_deliveries")
+        .update({ error: `${delivery.error || ""} (retry failed: ${error.message})`.trim() })
+        .eq("id", delivery.id);
+    }
+  }
+}
+
+export default new NotificationRetryQueue();
@@ -0,0 +1,27 @@
+import { NotificationChannel, NotificationError } from "./notificationChannel.js";
+import telegramBotManager from "../telegramBotManager.js";
+
+/**
+ * Telegram message to the chat linked to the patient, through the bot the
+ * chat was linked with.
+ */
+export class TelegramChannel extends NotificationChannel {
+  constructor(name) {
+    super(name, { markdown: true });
+  }
+
+  address(recipient) {
+    return recipient.telegram ? `${recipient.telegram.botId}:${recipient.telegram.chatId}` : null;
+  }
+
+  async send({ to, text }) {
+    const [botId, chatId] = to.split(":");
+    const bot = telegramBotManager.getRunningBot(botId);
+    if (!bot) {
+      throw new NotificationError(`Telegram bot "${botId}" is not running`, 503);
+    }
+
+    const message = await bot.safeSendMessage(Number(chatId), text);
+    return { providerId: String(message.message_id), providerStatus: "sent" };
+  }
+}
@@ -0,0 +1,310 @@
+/**
+ * Patient message templates.
+ *
+ * Templates are named and versioned. A send uses the latest version of a
+ * template unless it asks for a specific one, and the delivery log records
+ * which version went out, so old wording stays explainable after an edit:
+ * add a new version rather than changing a published one.
+ *
+ * Bodies use {{variable}} placeholders; {{variable|fallback}} is used when the
+ * variable is missing, and any other missing variable is an error. *bold* is
+ * kept on channels that render it and stripped on the others.
+ *
+ * Translations live in translations.js. A template is rendered in the
+ * patient's language when it has a translation and in English otherwise.
+ */
+
+import { APP_CONSTANTS } from "../../config/constants.js";
+import { NotificationError } from "./notificationChannel.js";
+import { TRANSLATIONS } from "./translations.js";
+
+const DEFAULT_LANGUAGE = APP_CONSTANTS.LANGUAGES.DEFAULT;
+const PLACEHOLDER = /\{\{\s*(\w+)(?:\|([^}]*))?\s*\}\}/g;
+
+const SIGNATURE = "– Hospital Management System";
+
+export const TEMPLATES = [
+  {
+    name: "appointment_confirmed",
+    version: 1,
+    subject: "Appointment confirmed - token {{token}}",
+    body:
+      `✅ *Appointment Confirmed!*\n\n` +
+      `Hello {{patientName|Patient}},\n\n` +
+      `Your appointment has been successfully booked.\n\n` +
+      `📋 *Details:*\n` +
+      `• Patient Token    : {{token}}\n` +
+      `• Queue Position   : #{{queuePosition|-}}\n` +
+      `• Est. Wait Time   : ~{{estimatedWait|-}} minutes\n` +
+      `• Queue Type       : OPD\n\n` +
+      `Please arrive on time and keep this token handy.\n\n` +
+      SIGNATURE,
+  },
+  {
+    name: "emergency_appointment_confirmed",
+    version: 1,
+    subject: "Emergency appointment confirmed - token {{token}}",
+    body:
+      `🚨 *EMERGENCY Appointment Confirmed* 🚨\n\n` +
+      `Hello {{patientName|Patient}},\n\n` +
+      `Your emergency appointment has been successfully booked.\n\n` +
+      `📋 *Details:*\n` +
+      `• Patient Token : {{token}}\n` +
+      `• Queue Type    : ICU (Emergency)\n` +
+      `• Priority      : EMERGENCY\n\n` +
+      `Please report to the ICU reception immediately.\n\n` +
+      SIGNATURE,
+  },
+  {
+    name: "bed_assigned",
+    version: 1,
+    subject: "Bed assigned",
+    body:
+      `🏨 *Bed Assigned Successfully* 🏨\n\n` +
+      `Hello {{patientName|Patient}},\n\n` +
+      `A bed has been assigned to you in the General Ward.\n\n` +
+      `📋 *Details:*\n` +
+      `• Bed Number : {{bedNumber|N/A}}\n` +
+      `• Bed Type   : {{bedType|General}}\n\n` +
+      `Please proceed to the ward reception for further assistance.\n\n` +
+      SIGNATURE,
+  },
+  {
+    name: "icu_bed_assigned",
+    version: 1,
+    subject: "ICU bed assigned",
+    body:
+      `🚨 *ICU Bed Assigned* 🚨\n\n` +
+      `Hello {{patientName|Patient}},\n\n` +
+      `An ICU bed has been assigned and is ready for you.\n\n` +
+      `📋 *Details:*\n` +
+      `• Bed ID   : {{bedNumber|N/A}}\n` +
+      `• Unit Type : ICU (Intensive Care Unit)\n\n` +
+      `Please report to the ICU reception immediately. Our staff is ready to assist you.\n\n` +
+      SIGNATURE,
+  },
+  {
+    name: "discharge_reminder",
+    version: 1,
+    subject: "Planned discharge on {{dischargeDate}}",
+    body:
+      `🏠 *Discharge Reminder*\n\n` +
+      `Hello {{patientName|there}},\n\n` +
+      `{{tokenNumber}} is expected to be discharged on *{{dischargeDate}}*.\n\n` +
+      `Please plan for a family member to be present, and bring any documents or medicines you were asked to bring. ` +
+      `The date can change after the doctor's next round.\n\n` +
+      SIGNATURE,
+  },
+  {
+    name: "appointment_reminder",
+    version: 1,
+    subject: "Appointment reminder - {{appointmentTime}}",
+    body:
+      `⏰ *Appointment Reminder*\n\n` +
+      `Hello {{patientName|Patient}},\n\n` +
+      `Your appointment is on *{{appointmentTime}}*.\n\n` +
+      `• Patient Token : {{tokenNumber}}\n\n` +
+      `Please arrive 15 minutes early and keep this token handy. If you can no longer come, please let the hospital know.\n\n` +
+      SIGNATURE,
+  },
+  {
+    // Sent to the doctor, not the patient
+    name: "rounds_overdue",
+    version: 1,
+    subject: "Daily round overdue - {{tokenNumber}}",
+    body:
+      `🩺 *Daily Round Overdue*\n\n` +
+      `Hello Doctor,\n\n` +
+      `{{patientName}} ({{tokenNumber}}, {{ward}}) has had no daily round recorded for {{hours}} hours. ` +
+      `Last round: {{lastRound|none since admission}}.\n\n` +
+      `Please record today's round so the discharge prediction stays up to date.\n\n` +
+      SIGNATURE,
+  },
+
+  // Updates pushed to linked Telegram chats (telegramNotificationService);
+  // short, without a subject or signature
+  {
+    name: "telegram_queue_next",
+    version: 1,
+    body: `🔔 *You're next!* ({{token}})\nPlease be ready near the consultation room.`,
+  },
+  {
+    name: "telegram_queue_position",
+    version: 1,
+    body:
+      `🔢 *Queue update* ({{token}})\n` +
+      `You are now number *{{position|-}}* in line.\n` +
+      `• Est. Wait Time : ~{{estimatedWait|-}} minutes`,
+  },
+  {
+    name: "telegram_bed_assigned",
+    version: 1,
+    body:
+      `🛏️ *Bed assigned* ({{token}})\n` +
+      `A bed has been assigned.\n` +
+      `• Bed Number : {{bedNumber|N/A}}\n` +
+      `• Bed Type   : {{bedType|General}}`,
+  },
+  {
+    name: "telegram_icu_waiting",
+    version: 1,
+    body:
+      `🏥 *ICU transfer* ({{token}})\n` +
+      `The patient has been moved to the ICU queue and will get a bed as soon as one is free.`,
+  },
+  {
+    name: "telegram_icu_bed_assigned",
+    version: 1,
+    body: `🏥 *ICU transfer* ({{token}})\nAn ICU bed has been assigned.\n• Bed : {{bedLabel|N/A}}`,
+  },
+  {
+    name: "telegram_discharge_prediction",
+    version: 1,
+    body:
+      `📅 *Discharge update* ({{token}})\n` +
+      `Expected discharge: *{{dischargeDate|not yet known}}*\n` +
+      `• Days remaining : about {{remainingDays|-}}\n` +
+      `• Confidence     : {{confidence|-}}`,
+  },
+  {
+    name: "telegram_cancellation",
+    version: 1,
+    body: `❌ *Cancelled* ({{token}})\nThe appointment has been cancelled. Contact the hospital if this is unexpected.`,
+  },
+  {
+    name: "telegram_icu_cancellation",
+    version: 1,
+    body: `❌ *Cancelled* ({{token}})\nThe ICU request has been cancelled. Contact the hospital if this is unexpected.`,
+  },
+];
+
+/**
+ * @param {number} [version] - latest when omitted
+ */
+export function getTemplate(name, version = null) {
+  const versions = TEMPLATES.filter((template) => template.name === name);
+  if (versions.length === 0) {
+    throw new NotificationError(`Unknown notification template "${name}"`, 404);
+  }
+
+  const template = version
+    ? versions.find((candidate) => candidate.version === Number(version))
+    : versions.reduce((latest, candidate) => (candidate.version > latest.version ? candidate : latest));
+  if (!template) {
+    throw new NotificationError(`Template "${name}" has no version ${version}`, 404);
+  }
+  return template;
+}
+
+/**
+ * @param {string} [language] - falls back to English without a translation
+ * @returns {{ subject: string, text: string, language: string }} language
+ *   is the one actually used
+ */
+export function renderTemplate(template, variables = {}, language = DEFAULT_LANGUAGE) {
+  const translation = TRANSLATIONS[template.name]?.[template.version]?.[language];
+  const source = translation || template;
+
+  const subject = fillPlaceholders(source.subject || template.name, variables);
+  const body = fillPlaceholders(source.body, variables);
+  const missing = new Set([...subject.missing, ...body.missing]);
+  if (missing.size > 0) {
+    throw new NotificationError(`Template "${template.name}" needs ${[...missing].join(", ")}`);
+  }
+  return {
+    subject: subject.text,
+    text: body.text,
+    language: translation ? language : DEFAULT_LANGUAGE,
+  };
+}
+
+/**
+ * Replace {{variable}} and {{variable|fallback}} placeholders. Missing
+ * variables without a fallback are left empty and reported.
+ * @returns {{ text: string, missing: string[] }}
+ */
+export function fillPlaceholders(text, variables = {}) {
+  const missing = new Set();
+  const filled = text.replace(PLACEHOLDER, (_, key, fallback) => {
+    const value = variables[key];
+    if (value !== undefined && value !== null && value !== "") return String(value);
+    if (fallback !== undefined) return fallback;
+    missing.add(key);
+    return "";
+  });
+  return { text: filled, missing: [...missing] };
+}
+
+/**
+ * Names, versions, variables and languages of every template, for the admin API.
+ */
+export function describeTemplates() {
+  return TEMPLATES.map((template) => ({
+    name: template.name,
+    version: template.version,
+    variables: [...placeholders(template).keys()],
+    languages: [DEFAULT_LANGUAGE, ...Object.keys(TRANSLATIONS[template.name]?.[template.version] || {})],
+  }));
+}
+
+/**
+ * Placeholders of a template or translation: name -> whether it has a fallback.
+ */
+function placeholders({ subject = "", body }) {
+  const found = new Map();
+  for (const [, key, fallback] of `${subject} ${body}`.matchAll(PLACEHOLDER)) {
+    found.set(key, found.get(key) || fallback !== undefined);
+  }
+  return found;
+}
+
+/**
+ * Where a translation's placeholders differ from the English: each must be
+ * used, with a fallback exactly where the English has one, and no others;
+ * otherwise a translated message could drop a detail or fail to render where
+ * the English one works.
+ * @param {object} english - { subject, body }
+ * @param {object} translation - { subject, body }
+ * @returns {string[]} problems, each starting with label
+ */
+export function comparePlaceholders(label, english, translation) {
+  const problems = [];
+  const expected = placeholders(english);
+  const actual = placeholders(translation);
+  for (const [key, hasFallback] of expected) {
+    if (!actual.has(key)) problems.push(`${label} is missing {{${key}}}`);
+    else if (actual.get(key) !== hasFallback) problems.push(`${label} {{${key}}} fallback differs from English`);
+  }
+  for (const key of actual.keys()) {
+    if (!expected.has(key)) problems.push(`${label} has unknown {{${key}}}`);
+  }
+  return problems;
+}
+
+/**
+ * Check every translation against its English template (comparePlaceholders).
+ * Throws when the backend starts rather than when a patient is messaged.
+ */
+export function checkTranslations() {
+  const problems = [];
+
+  for (const [name, versions] of Object.entries(TRANSLATIONS)) {
+    for (const [version, languages] of Object.entries(versions)) {
+      const template = TEMPLATES.find((candidate) => candidate.name === name && candidate.version === Number(version));
+      if (!template) {
+        problems.push(`${name}@${version} has translations but no template`);
+        continue;
+      }
+
+      for (const [language, translation] of Object.entries(languages)) {
+        problems.push(...comparePlaceholders(`${name}@${version} (${language})`, template, translation));
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Notification template translations don't match:\n- ${problems.join("\n- ")}`);
+  }
+}
+
+checkTranslations();
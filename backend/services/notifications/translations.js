@@ -0,0 +1,379 @@
+/**
+ * Translations of the patient message templates, by template name, version
+ * and language code. Each translation must use the same placeholders as the
+ * English template, with a fallback exactly where the English has one;
+ * templates.js checks this when the backend starts. A language with no
+ * translation here gets the English text.
+ *
+ * Token numbers, bed numbers and "OPD"/"ICU" stay in Latin script, as
+ * patients see them on their slips and at the hospital.
+ */
+
+const SIGNATURE = {
+  hi: "– हॉस्पिटल मैनेजमेंट सिस्टम",
+  mr: "– हॉस्पिटल मॅनेजमेंट सिस्टम",
+  ta: "– மருத்துவமனை மேலாண்மை அமைப்பு",
+};
+
+export const TRANSLATIONS = {
+  appointment_confirmed: {
+    1: {
+      hi: {
+        subject: "अपॉइंटमेंट की पुष्टि - टोकन {{token}}",
+        body:
+          `✅ *अपॉइंटमेंट की पुष्टि हो गई!*\n\n` +
+          `नमस्ते {{patientName|मरीज़}},\n\n` +
+          `आपका अपॉइंटमेंट सफलतापूर्वक बुक हो गया है।\n\n` +
+          `📋 *विवरण:*\n` +
+          `• मरीज़ टोकन        : {{token}}\n` +
+          `• कतार में स्थान     : #{{queuePosition|-}}\n` +
+          `• अनुमानित प्रतीक्षा : ~{{estimatedWait|-}} मिनट\n` +
+          `• कतार का प्रकार     : OPD\n\n` +
+          `कृपया समय पर पहुँचें और यह टोकन अपने पास रखें।\n\n` +
+          SIGNATURE.hi,
+      },
+      mr: {
+        subject: "अपॉइंटमेंटची पुष्टी - टोकन {{token}}",
+        body:
+          `✅ *अपॉइंटमेंटची पुष्टी झाली!*\n\n` +
+          `नमस्कार {{patientName|रुग्ण}},\n\n` +
+          `तुमची अपॉइंटमेंट यशस्वीरित्या बुक झाली आहे.\n\n` +
+          `📋 *तपशील:*\n` +
+          `• रुग्ण टोकन       : {{token}}\n` +
+          `• रांगेतील क्रमांक  : #{{queuePosition|-}}\n` +
+          `• अंदाजे प्रतीक्षा  : ~{{estimatedWait|-}} मिनिटे\n` +
+          `• रांगेचा प्रकार    : OPD\n\n` +
+          `कृपया वेळेवर या आणि हे टोकन जवळ ठेवा.\n\n` +
+          SIGNATURE.mr,
+      },
+      ta: {
+        subject: "சந்திப்பு உறுதி செய்யப்பட்டது - டோக்கன் {{token}}",
+        body:
+          `✅ *சந்திப்பு உறுதி செய்யப்பட்டது!*\n\n` +
+          `வணக்கம் {{patientName|நோயாளி}},\n\n` +
+          `உங்கள் சந்திப்பு வெற்றிகரமாக பதிவு செய்யப்பட்டது.\n\n` +
+          `📋 *விவரங்கள்:*\n` +
+          `• நோயாளி டோக்கன்           : {{token}}\n` +
+          `• வரிசை இடம்               : #{{queuePosition|-}}\n` +
+          `• மதிப்பிடப்பட்ட காத்திருப்பு : ~{{estimatedWait|-}} நிமிடங்கள்\n` +
+          `• வரிசை வகை                : OPD\n\n` +
+          `தயவுசெய்து சரியான நேரத்தில் வந்து, இந்த டோக்கனை கையில் வைத்திருங்கள்.\n\n` +
+          SIGNATURE.ta,
+      },
+    },
+  },
+
+  emergency_appointment_confirmed: {
+    1: {
+      hi: {
+        subject: "आपातकालीन अपॉइंटमेंट की पुष्टि - टोकन {{token}}",
+        body:
+          `🚨 *आपातकालीन अपॉइंटमेंट की पुष्टि* 🚨\n\n` +
+          `नमस्ते {{patientName|मरीज़}},\n\n` +
+          `आपका आपातकालीन अपॉइंटमेंट सफलतापूर्वक बुक हो गया है।\n\n` +
+          `📋 *विवरण:*\n` +
+          `• मरीज़ टोकन    : {{token}}\n` +
+          `• कतार का प्रकार : ICU (आपातकालीन)\n` +
+          `• प्राथमिकता     : आपातकालीन\n\n` +
+          `कृपया तुरंत ICU रिसेप्शन पर पहुँचें।\n\n` +
+          SIGNATURE.hi,
+      },
+      mr: {
+        subject: "आपत्कालीन अपॉइंटमेंटची पुष्टी - टोकन {{token}}",
+        body:
+          `🚨 *आपत्कालीन अपॉइंटमेंटची पुष्टी* 🚨\n\n` +
+          `नमस्कार {{patientName|रुग्ण}},\n\n` +
+          `तुमची आपत्कालीन अपॉइंटमेंट यशस्वीरित्या बुक झाली आहे.\n\n` +
+          `📋 *तपशील:*\n` +
+          `• रुग्ण टोकन    : {{token}}\n` +
+          `• रांगेचा प्रकार : ICU (आपत्कालीन)\n` +
+          `• प्राधान्य      : आपत्कालीन\n\n` +
+          `कृपया ताबडतोब ICU रिसेप्शनला या.\n\n` +
+          SIGNATURE.mr,
+      },
+      ta: {
+        subject: "அவசர சந்திப்பு உறுதி செய்யப்பட்டது - டோக்கன் {{token}}",
+        body:
+          `🚨 *அவசர சந்திப்பு உறுதி செய்யப்பட்டது* 🚨\n\n` +
+          `வணக்கம் {{patientName|நோயாளி}},\n\n` +
+          `உங்கள் அவசர சந்திப்பு வெற்றிகரமாக பதிவு செய்யப்பட்டது.\n\n` +
+          `📋 *விவரங்கள்:*\n` +
+          `• நோயாளி டோக்கன் : {{token}}\n` +
+          `• வரிசை வகை      : ICU (அவசரம்)\n` +
+          `• முன்னுரிமை     : அவசரம்\n\n` +
+          `தயவுசெய்து உடனடியாக ICU வரவேற்பு மையத்திற்கு வாருங்கள்.\n\n` +
+          SIGNATURE.ta,
+      },
+    },
+  },
+
+  bed_assigned: {
+    1: {
+      hi: {
+        subject: "बेड आवंटित",
+        body:
+          `🏨 *बेड सफलतापूर्वक आवंटित* 🏨\n\n` +
+          `नमस्ते {{patientName|मरीज़}},\n\n` +
+          `जनरल वार्ड में आपके लिए एक बेड आवंटित किया गया है।\n\n` +
+          `📋 *विवरण:*\n` +
+          `• बेड नंबर      : {{bedNumber|N/A}}\n` +
+          `• बेड का प्रकार : {{bedType|General}}\n\n` +
+          `आगे की सहायता के लिए कृपया वार्ड रिसेप्शन पर जाएँ।\n\n` +
+          SIGNATURE.hi,
+      },
+      mr: {
+        subject: "बेड देण्यात आला",
+        body:
+          `🏨 *बेड यशस्वीरित्या देण्यात आला* 🏨\n\n` +
+          `नमस्कार {{patientName|रुग्ण}},\n\n` +
+          `जनरल वॉर्डमध्ये तुमच्यासाठी एक बेड देण्यात आला आहे.\n\n` +
+          `📋 *तपशील:*\n` +
+          `• बेड क्रमांक  : {{bedNumber|N/A}}\n` +
+          `• बेडचा प्रकार : {{bedType|General}}\n\n` +
+          `पुढील मदतीसाठी कृपया वॉर्ड रिसेप्शनला जा.\n\n` +
+          SIGNATURE.mr,
+      },
+      ta: {
+        subject: "படுக்கை ஒதுக்கப்பட்டது",
+        body:
+          `🏨 *படுக்கை வெற்றிகரமாக ஒதுக்கப்பட்டது* 🏨\n\n` +
+          `வணக்கம் {{patientName|நோயாளி}},\n\n` +
+          `பொது வார்டில் உங்களுக்கு ஒரு படுக்கை ஒதுக்கப்பட்டுள்ளது.\n\n` +
+          `📋 *விவரங்கள்:*\n` +
+          `• படுக்கை எண்  : {{bedNumber|N/A}}\n` +
+          `• படுக்கை வகை : {{bedType|General}}\n\n` +
+          `மேலும் உதவிக்கு தயவுசெய்து வார்டு வரவேற்பு மையத்திற்குச் செல்லுங்கள்.\n\n` +
+          SIGNATURE.ta,
+      },
+    },
+  },
+
+  icu_bed_assigned: {
+    1: {
+      hi: {
+        subject: "ICU बेड आवंटित",
+        body:
+          `🚨 *ICU बेड आवंटित* 🚨\n\n` +
+          `नमस्ते {{patientName|मरीज़}},\n\n` +
+          `आपके लिए एक ICU बेड आवंटित कर दिया गया है और वह तैयार है।\n\n` +
+          `📋 *विवरण:*\n` +
+          `• बेड ID          : {{bedNumber|N/A}}\n` +
+          `• यूनिट का प्रकार : ICU (गहन चिकित्सा इकाई)\n\n` +
+          `कृपया तुरंत ICU रिसेप्शन पर पहुँचें। हमारा स्टाफ़ आपकी सहायता के लिए तैयार है।\n\n` +
+          SIGNATURE.hi,
+      },
+      mr: {
+        subject: "ICU बेड देण्यात आला",
+        body:
+          `🚨 *ICU बेड देण्यात आला* 🚨\n\n` +
+          `नमस्कार {{patientName|रुग्ण}},\n\n` +
+          `तुमच्यासाठी ICU बेड देण्यात आला आहे आणि तो तयार आहे.\n\n` +
+          `📋 *तपशील:*\n` +
+          `• बेड ID         : {{bedNumber|N/A}}\n` +
+          `• युनिटचा प्रकार : ICU (अतिदक्षता विभाग)\n\n` +
+          `कृपया ताबडतोब ICU रिसेप्शनला या. आमचे कर्मचारी तुमच्या मदतीसाठी तयार आहेत.\n\n` +
+          SIGNATURE.mr,
+      },
+      ta: {
+        subject: "ICU படுக்கை ஒதுக்கப்பட்டது",
+        body:
+          `🚨 *ICU படுக்கை ஒதுக்கப்பட்டது* 🚨\n\n` +
+          `வணக்கம் {{patientName|நோயாளி}},\n\n` +
+          `உங்களுக்கு ICU படுக்கை ஒதுக்கப்பட்டு தயாராக உள்ளது.\n\n` +
+          `📋 *விவரங்கள்:*\n` +
+          `• படுக்கை ID : {{bedNumber|N/A}}\n` +
+          `• பிரிவு வகை : ICU (தீவிர சிகிச்சைப் பிரிவு)\n\n` +
+          `தயவுசெய்து உடனடியாக ICU வரவேற்பு மையத்திற்கு வாருங்கள். எங்கள் ஊழியர்கள் உங்களுக்கு உதவத் தயாராக உள்ளனர்.\n\n` +
+          SIGNATURE.ta,
+      },
+    },
+  },
+
+  discharge_reminder: {
+    1: {
+      hi: {
+        subject: "{{dischargeDate}} को संभावित डिस्चार्ज",
+        body:
+          `🏠 *डिस्चार्ज रिमाइंडर*\n\n` +
+          `नमस्ते {{patientName|जी}},\n\n` +
+          `{{tokenNumber}} का डिस्चार्ज *{{dischargeDate}}* को होने की संभावना है।\n\n` +
+          `कृपया परिवार के किसी सदस्य के मौजूद रहने की व्यवस्था करें, और जो दस्तावेज़ या दवाइयाँ लाने को कहा गया था, वे साथ लाएँ। ` +
+          `डॉक्टर के अगले राउंड के बाद यह तारीख बदल सकती है।\n\n` +
+          SIGNATURE.hi,
+      },
+      mr: {
+        subject: "{{dischargeDate}} रोजी संभाव्य डिस्चार्ज",
+        body:
+          `🏠 *डिस्चार्ज स्मरणपत्र*\n\n` +
+          `नमस्कार {{patientName|मंडळी}},\n\n` +
+          `{{tokenNumber}} यांना *{{dischargeDate}}* रोजी डिस्चार्ज मिळण्याची शक्यता आहे.\n\n` +
+          `कृपया कुटुंबातील एखादी व्यक्ती उपस्थित राहील याची व्यवस्था करा, आणि आणायला सांगितलेली कागदपत्रे किंवा औषधे सोबत आणा. ` +
+          `डॉक्टरांच्या पुढील राउंडनंतर ही तारीख बदलू शकते.\n\n` +
+          SIGNATURE.mr,
+      },
+      ta: {
+        subject: "{{dischargeDate}} அன்று எதிர்பார்க்கப்படும் டிஸ்சார்ஜ்",
+        body:
+          `🏠 *டிஸ்சார்ஜ் நினைவூட்டல்*\n\n` +
+          `வணக்கம் {{patientName|நண்பரே}},\n\n` +
+          `{{tokenNumber}} *{{dischargeDate}}* அன்று டிஸ்சார்ஜ் செய்யப்பட வாய்ப்புள்ளது.\n\n` +
+          `தயவுசெய்து குடும்ப உறுப்பினர் ஒருவர் உடனிருக்க ஏற்பாடு செய்யுங்கள், மேலும் கொண்டு வரச் சொல்லப்பட்ட ஆவணங்கள் அல்லது மருந்துகளைக் கொண்டு வாருங்கள். ` +
+          `மருத்துவரின் அடுத்த சுற்றுக்குப் பிறகு இந்தத் தேதி மாறலாம்.\n\n` +
+          SIGNATURE.ta,
+      },
+    },
+  },
+  appointment_reminder: {
+    1: {
+      hi: {
+        subject: "अपॉइंटमेंट रिमाइंडर - {{appointmentTime}}",
+        body:
+          `⏰ *अपॉइंटमेंट रिमाइंडर*\n\n` +
+          `नमस्ते {{patientName|मरीज़}},\n\n` +
+          `आपका अपॉइंटमेंट *{{appointmentTime}}* को है।\n\n` +
+          `• मरीज़ टोकन : {{tokenNumber}}\n\n` +
+          `कृपया 15 मिनट पहले पहुँचें और यह टोकन अपने पास रखें। अगर आप नहीं आ सकते, तो कृपया अस्पताल को बताएँ।\n\n` +
+          SIGNATURE.hi,
+      },
+      mr: {
+        subject: "अपॉइंटमेंट स्मरणपत्र - {{appointmentTime}}",
+        body:
+          `⏰ *अपॉइंटमेंट स्मरणपत्र*\n\n` +
+          `नमस्कार {{patientName|रुग्ण}},\n\n` +
+          `तुमची अपॉइंटमेंट *{{appointmentTime}}* रोजी आहे.\n\n` +
+          `• रुग्ण टोकन : {{tokenNumber}}\n\n` +
+          `कृपया 15 मिनिटे आधी या आणि हे टोकन जवळ ठेवा. तुम्ही येऊ शकत नसाल, तर कृपया रुग्णालयाला कळवा.\n\n` +
+          SIGNATURE.mr,
+      },
+      ta: {
+        subject: "சந்திப்பு நினைவூட்டல் - {{appointmentTime}}",
+        body:
+          `⏰ *சந்திப்பு நினைவூட்டல்*\n\n` +
+          `வணக்கம் {{patientName|நோயாளி}},\n\n` +
+          `உங்கள் சந்திப்பு *{{appointmentTime}}* அன்று உள்ளது.\n\n` +
+          `• நோயாளி டோக்கன் : {{tokenNumber}}\n\n` +
+          `தயவுசெய்து 15 நிமிடங்கள் முன்னதாக வந்து, இந்த டோக்கனை கையில் வைத்திருங்கள். உங்களால் வர முடியாவிட்டால், மருத்துவமனைக்குத் தெரிவிக்கவும்.\n\n` +
+          SIGNATURE.ta,
+      },
+    },
+  },
+  telegram_queue_next: {
+    1: {
+      hi: { body: `🔔 *अब आपकी बारी है!* ({{token}})\nकृपया परामर्श कक्ष के पास तैयार रहें।` },
+      mr: { body: `🔔 *आता तुमचा क्रमांक आहे!* ({{token}})\nकृपया सल्ला कक्षाजवळ तयार राहा.` },
+      ta: { body: `🔔 *அடுத்தது நீங்கள்!* ({{token}})\nதயவுசெய்து ஆலோசனை அறை அருகே தயாராக இருங்கள்.` },
+    },
+  },
+  telegram_queue_position: {
+    1: {
+      hi: {
+        body:
+          `🔢 *कतार अपडेट* ({{token}})\n` +
+          `अब कतार में आपका नंबर *{{position|-}}* है।\n` +
+          `• अनुमानित प्रतीक्षा : ~{{estimatedWait|-}} मिनट`,
+      },
+      mr: {
+        body:
+          `🔢 *रांग अपडेट* ({{token}})\n` +
+          `आता रांगेत तुमचा क्रमांक *{{position|-}}* आहे.\n` +
+          `• अंदाजे प्रतीक्षा : ~{{estimatedWait|-}} मिनिटे`,
+      },
+      ta: {
+        body:
+          `🔢 *வரிசை புதுப்பிப்பு* ({{token}})\n` +
+          `இப்போது வரிசையில் உங்கள் எண் *{{position|-}}*.\n` +
+          `• மதிப்பிடப்பட்ட காத்திருப்பு : ~{{estimatedWait|-}} நிமிடங்கள்`,
+      },
+    },
+  },
+  telegram_bed_assigned: {
+    1: {
+      hi: {
+        body:
+          `🛏️ *बेड आवंटित* ({{token}})\n` +
+          `एक बेड आवंटित कर दिया गया है।\n` +
+          `• बेड नंबर : {{bedNumber|N/A}}\n` +
+          `• बेड प्रकार : {{bedType|सामान्य}}`,
+      },
+      mr: {
+        body:
+          `🛏️ *बेड दिला* ({{token}})\n` +
+          `एक बेड देण्यात आला आहे.\n` +
+          `• बेड क्रमांक : {{bedNumber|N/A}}\n` +
+          `• बेड प्रकार : {{bedType|सामान्य}}`,
+      },
+      ta: {
+        body:
+          `🛏️ *படுக்கை ஒதுக்கப்பட்டது* ({{token}})\n` +
+          `ஒரு படுக்கை ஒதுக்கப்பட்டுள்ளது.\n` +
+          `• படுக்கை எண் : {{bedNumber|N/A}}\n` +
+          `• படுக்கை வகை : {{bedType|பொது}}`,
+      },
+    },
+  },
+  telegram_icu_waiting: {
+    1: {
+      hi: {
+        body:
+          `🏥 *ICU स्थानांतरण* ({{token}})\n` +
+          `मरीज़ को ICU कतार में रखा गया है, और बेड खाली होते ही उन्हें मिल जाएगा।`,
+      },
+      mr: {
+        body:
+          `🏥 *ICU स्थलांतर* ({{token}})\n` +
+          `रुग्णाला ICU रांगेत ठेवले आहे, आणि बेड रिकामा होताच त्यांना मिळेल.`,
+      },
+      ta: {
+        body:
+          `🏥 *ICU மாற்றம்* ({{token}})\n` +
+          `நோயாளி ICU வரிசையில் சேர்க்கப்பட்டுள்ளார்; படுக்கை காலியானதும் வழங்கப்படும்.`,
+      },
+    },
+  },
+  telegram_icu_bed_assigned: {
+    1: {
+      hi: { body: `🏥 *ICU स्थानांतरण* ({{token}})\nICU बेड आवंटित कर दिया गया है।\n• बेड : {{bedLabel|N/A}}` },
+      mr: { body: `🏥 *ICU स्थलांतर* ({{token}})\nICU बेड देण्यात आला आहे.\n• बेड : {{bedLabel|N/A}}` },
+      ta: { body: `🏥 *ICU மாற்றம்* ({{token}})\nICU படுக்கை ஒதுக்கப்பட்டுள்ளது.\n• படுக்கை : {{bedLabel|N/A}}` },
+    },
+  },
+  telegram_discharge_prediction: {
+    1: {
+      hi: {
+        body:
+          `📅 *डिस्चार्ज अपडेट* ({{token}})\n` +
+          `अनुमानित डिस्चार्ज: *{{dischargeDate|अभी पता नहीं}}*\n` +
+          `• बाकी दिन : लगभग {{remainingDays|-}}\n` +
+          `• भरोसा    : {{confidence|-}}`,
+      },
+      mr: {
+        body:
+          `📅 *डिस्चार्ज अपडेट* ({{token}})\n` +
+          `अपेक्षित डिस्चार्ज: *{{dischargeDate|अजून माहीत नाही}}*\n` +
+          `• उरलेले दिवस : सुमारे {{remainingDays|-}}\n` +
+          `• खात्री       : {{confidence|-}}`,
+      },
+      ta: {
+        body:
+          `📅 *டிஸ்சார்ஜ் புதுப்பிப்பு* ({{token}})\n` +
+          `எதிர்பார்க்கப்படும் டிஸ்சார்ஜ்: *{{dischargeDate|இன்னும் தெரியவில்லை}}*\n` +
+          `• மீதமுள்ள நாட்கள் : சுமார் {{remainingDays|-}}\n` +
+          `• நம்பகத்தன்மை     : {{confidence|-}}`,
+      },
+    },
+  },
+  telegram_cancellation: {
+    1: {
+      hi: { body: `❌ *रद्द* ({{token}})\nअपॉइंटमेंट रद्द कर दिया गया है। अगर यह अनपेक्षित है, तो अस्पताल से संपर्क करें।` },
+      mr: { body: `❌ *रद्द* ({{token}})\nअपॉइंटमेंट रद्द करण्यात आली आहे. हे अनपेक्षित असल्यास रुग्णालयाशी संपर्क साधा.` },
+      ta: { body: `❌ *ரத்து செய்யப்பட்டது* ({{token}})\nசந்திப்பு ரத்து செய்யப்பட்டது. இது எதிர்பாராதது என்றால் மருத்துவமனையைத் தொடர்பு கொள்ளுங்கள்.` },
+    },
+  },
+  telegram_icu_cancellation: {
+    1: {
+      hi: { body: `❌ *रद्द* ({{token}})\nICU अनुरोध रद्द कर दिया गया है। अगर यह अनपेक्षित है, तो अस्पताल से संपर्क करें।` },
+      mr: { body: `❌ *रद्द* ({{token}})\nICU विनंती रद्द करण्यात आली आहे. हे अनपेक्षित असल्यास रुग्णालयाशी संपर्क साधा.` },
+      ta: { body: `❌ *ரத்து செய்யப்பட்டது* ({{token}})\nICU கோரிக்கை ரத்து செய்யப்பட்டது. இது எதிர்பாராதது என்றால் மருத்துவமனையைத் தொடர்பு கொள்ளுங்கள்.` },
+    },
+  },
+};
@@ -0,0 +1,34 @@
+import { NotificationChannel, NotificationError } from "./notificationChannel.js";
+import { sendTwilioMessage } from "../twilioService.js";
+import { NOTIFICATION_CONFIG } from "../../config/notifications.js";
+
+/**
+ * WhatsApp (Twilio sandbox) or plain SMS to the recipient's phone number.
+ */
+export class TwilioChannel extends NotificationChannel {
+  constructor(name, { whatsapp, from }) {
+    // WhatsApp renders *bold*; SMS shows the asterisks
+    super(name, { markdown: whatsapp });
+    this.whatsapp = whatsapp;
+    this.from = from;
+  }
+
+  address(recipient) {
+    return recipient.phone || null;
+  }
+
+  async send({ to, text }) {
+    if (!this.from) {
+      throw new NotificationError(`No sender number configured for ${this.name}`, 500);
+    }
+
+    const message = await sendTwilioMessage({
+      to,
+      body: text,
+      whatsapp: this.whatsapp,
+      from: this.from,
+      statusCallback: NOTIFICATION_CONFIG.STATUS_CALLBACK_URL,
+    });
+    return { providerId: message.sid, providerStatus: message.status };
+  }
+}
@@ -0,0 +1,742 @@
+/**
+ * Compiles the AST produced by sqlParser.js onto the Supabase query builder.
+ *
+ * Filters become PostgREST filters (OR groups via `.or()`), joins become
+ * embedded resources, and aggregates that PostgREST cannot run for us are
+ * computed in memory over the filtered rows.
+ */
+
+import dayjs from "dayjs";
+import { UnsupportedQueryError } from "./sqlParser.js";
+
+// Upper bound on rows fetched when aggregating in memory; a query matching
+// more is refused rather than aggregated over part of the table
+export const MAX_AGGREGATE_ROWS = 5000;
+// Rows per request when fetching them (PostgREST's default max-rows)
+export const AGGREGATE_PAGE_SIZE = 1000;
+
+const COMPARISON_TO_POSTGREST = {
+  "=": "eq",
+  "!=": "neq",
+  ">": "gt",
+  ">=": "gte",
+  "<": "lt",
+  "<=": "lte",
+};
+
+const NEGATED_COMPARISON = {
+  "=": "!=",
+  "!=": "=",
+  ">": "<=",
+  ">=": "<",
+  "<": ">=",
+  "<=": ">",
+};
+
+export class QueryPlanner {
+  /**
+   * @param {object} client - Supabase client
+   * @param {object} [options]
+   * @param {string[]|Function} [options.allowedTables] - tables the chatbot
+   *   may read, or a function returning them (read on every plan)
+   */
+  constructor(client, { allowedTables = null } = {}) {
+    this.client = client;
+    this.allowedTables = allowedTables;
+  }
+
+  isAllowed(table) {
+    if (!this.allowedTables) return true;
+    const tables = typeof this.allowedTables === "function"
+      ? this.allowedTables()
+      : this.allowedTables;
+    return tables.includes(table);
+  }
+
+  /**
+   * Turn a statement AST into an executable plan. Throws
+   * UnsupportedQueryError for constructs PostgREST cannot express.
+   */
+  plan(statement) {
+    const tables = this.resolveTables(statement);
+    const aggregates = statement.columns.filter((c) => c.type === "aggregate");
+
+    const plan = {
+      table: statement.from.table,
+      tables,
+      select: null,
+      embeds: this.buildEmbeds(statement, tables),
+      filters: statement.where
+        ? this.compileCondition(this.pushDownNot(statement.where), tables)
+        : null,
+      order: [],
+      limit: statement.limit,
+      offset: statement.offset,
+      mode: "rows",
+      aggregation: null,
+    };
+
+    const isPlainCount =
+      aggregates.length === statement.columns.length &&
+      aggregates.every((a) => a.fn === "count" && !a.distinct) &&
+      statement.groupBy.length === 0 &&
+      !statement.distinct;
+
+    if (isPlainCount) {
+      plan.mode = "count";
+      plan.countColumns = aggregates.map((a) => ({
+        key: a.alias || "count",
+        column: a.argument ? this.resolveColumn(a.argument, tables) : null,
+      }));
+      return plan;
+    }
+
+    if (aggregates.length > 0 || statement.groupBy.length > 0 || statement.distinct) {
+      plan.mode = "aggregate";
+      plan.aggregation = this.buildAggregation(statement, tables);
+      plan.select = plan.aggregation.fetchColumns.join(",");
+      return plan;
+    }
+
+    plan.select = this.buildSelect(statement, tables);
+    plan.order = statement.orderBy.map((item) => this.buildOrder(item, statement, tables));
+    return plan;
+  }
+
+  /**
+   * Map table names and aliases to the base table or a joined table.
+   */
+  resolveTables(statement) {
+    const tables = { base: statement.from.table, byReference: {}, joins: {} };
+
+    const register = (table, alias) => {
+      if (!this.isAllowed(table)) {
+        throw new UnsupportedQueryError(`Table '${table}' is not available to the chatbot`, "FROM");
+      }
+      tables.byReference[table] = table;
+      if (alias) tables.byReference[alias] = table;
+    };
+
+    register(statement.from.table, statement.from.alias);
+
+    for (const join of statement.joins) {
+      if (join.table === statement.from.table) {
+        throw new UnsupportedQueryError("Self-joins are not supported", "JOIN");
+      }
+      register(join.table, join.alias);
+      tables.joins[join.table] = join;
+    }
+
+    for (const join of statement.joins) {
+      const sides = [join.on.left, join.on.right].map((ref) =>
+        this.tableOf(ref, tables)
+      );
+      if (!sides.includes(join.table) || !sides.includes(tables.base)) {
+        throw new UnsupportedQueryError(
+          `JOIN ${join.table} must be joined directly to ${tables.base}`,
+          "JOIN"
+        );
+      }
+    }
+
+    return tables;
+  }
+
+  tableOf(reference, tables) {
+    if (!reference.table) return tables.base;
+    const table = tables.byReference[reference.table];
+    if (!table) {
+      throw new UnsupportedQueryError(`Unknown table or alias '${reference.table}'`);
+    }
+    return table;
+  }
+
+  /**
+   * Column reference as PostgREST expects it in filters: bare for the base
+   * table, "joined_table.column" for embedded resources.
+   */
+  resolveColumn(reference, tables) {
+    const table = this.tableOf(reference, tables);
+    return table === tables.base ? reference.name : `${table}.${reference.name}`;
+  }
+
+  buildEmbeds(statement, tables) {
+    const embeds = {};
+    for (const join of statement.joins) {
+      embeds[join.table] = { join, columns: [] };
+    }
+
+    for (const column of statement.columns) {
+      if (column.type === "star" && column.table) {
+        const table = this.tableOf({ table: column.table }, tables);
+        if (table !== tables.base) embeds[table].columns.push("*");
+      } else if (column.type === "column") {
+        const table = this.tableOf(column, tables);
+        if (table !== tables.base) {
+          embeds[table].columns.push(column.alias ? `${column.alias}:${column.name}` : column.name);
+        }
+      }
+    }
+
+    return embeds;
+  }
+
+  embedSelect(embeds) {
+    return Object.entries(embeds).map(([table, { join, columns }]) => {
+      const hint = join.type === "inner" ? "!inner" : "";
+      return `${table}${hint}(${columns.join(",")})`;
+    });
+  }
+
+  buildSelect(statement, tables) {
+    const parts = [];
+
+    for (const column of statement.columns) {
+      if (column.type === "star") {
+        if (!column.table || this.tableOf({ table: column.table }, tables) === tables.base) {
+          parts.push("*");
+        }
+      } else if (this.tableOf(column, tables) === tables.base) {
+        parts.push(column.alias ? `${column.alias}:${column.name}` : column.name);
+      }
+    }
+
+    const select = [...new Set(parts), ...this.embedSelect(this.buildEmbeds(statement, tables))];
+    return select.length > 0 ? select.join(",") : "*";
+  }
+
+  buildOrder(item, statement, tables) {
+    let reference = item.expression;
+
+    if (reference.type === "position") {
+      reference = statement.columns[reference.index - 1];
+      if (!reference || reference.type !== "column") {
+        throw new UnsupportedQueryError(`ORDER BY ${item.expression.index} does not refer to a column`, "ORDER BY");
+      }
+    }
+
+    if (reference.type === "aggregate") {
+      throw new UnsupportedQueryError("ORDER BY an aggregate requires GROUP BY", "ORDER BY");
+    }
+
+    // ORDER BY may use a select-list alias
+    const aliased = !reference.table &&
+      statement.columns.find((c) => c.type === "column" && c.alias === reference.name);
+    if (aliased) reference = aliased;
+
+    if (this.tableOf(reference, tables) !== tables.base) {
+      throw new UnsupportedQueryError(
+        "Ordering by a column of a joined table is not supported",
+        "ORDER BY"
+      );
+    }
+
+    return {
+      column: reference.name,
+      ascending: item.ascending,
+      nullsFirst: item.nullsFirst,
+    };
+  }
+
+  buildAggregation(statement, tables) {
+    const groupBy = statement.distinct
+      ? statement.columns.map((column) => {
+        if (column.type !== "column") {
+          throw new UnsupportedQueryError("SELECT DISTINCT only supports plain columns", "DISTINCT");
+        }
+        return column;
+      })
+      : statement.groupBy;
+
+    const groupKeys = groupBy.map((ref) => this.baseColumn(ref, tables, "GROUP BY"));
+    const outputs = [];
+
+    statement.columns.forEach((column) => {
+      if (column.type === "star") {
+        throw new UnsupportedQueryError("SELECT * cannot be combined with aggregates or GROUP BY", "GROUP BY");
+      }
+
+      if (column.type === "aggregate") {
+        outputs.push({
+          key: column.alias || (column.argument ? `${column.fn}_${column.argument.name}` : column.fn),
+          fn: column.fn,
+          distinct: column.distinct,
+          column: column.argument ? this.baseColumn(column.argument, tables, column.fn.toUpperCase()) : null,
+        });
+        return;
+      }
+
+      const name = this.baseColumn(column, tables, "SELECT");
+      if (!groupKeys.includes(name)) {
+        throw new UnsupportedQueryError(
+          `Column '${name}' must appear in GROUP BY or be used in an aggregate`,
+          "GROUP BY"
+        );
+      }
+      outputs.push({ key: column.alias || name, column: name });
+    });
+
+    const order = statement.orderBy.map((item) => {
+      const expression = item.expression;
+      let key;
+
+      if (expression.type === "position") {
+        key = outputs[expression.index - 1]?.key;
+      } else if (expression.type === "aggregate") {
+        key = outputs.find((o) =>
+          o.fn === expression.fn &&
+          o.distinct === expression.distinct &&
+          (o.column || null) === (expression.argument?.name || null)
+        )?.key;
+      } else {
+        key = outputs.find((o) => o.key === expression.name)?.key ||
+          outputs.find((o) => !o.fn && o.column === expression.name)?.key;
+      }
+
+      if (!key) {
+        throw new UnsupportedQueryError("ORDER BY must refer to a selected column or aggregate", "ORDER BY");
+      }
+      return { key, ascending: item.ascending, nullsFirst: item.nullsFirst };
+    });
+
+    const fetchColumns = [
+      ...new Set([...groupKeys, ...outputs.filter((o) => o.column).map((o) => o.column)]),
+    ];
+
+    return {
+      groupKeys,
+      outputs,
+      order,
+      fetchColumns: fetchColumns.length > 0 ? fetchColumns : ["*"],
+    };
+  }
+
+  baseColumn(reference, tables, clause) {
+    if (this.tableOf(reference, tables) !== tables.base) {
+      throw new UnsupportedQueryError(
+        `${clause} on columns of a joined table is not supported`,
+        clause
+      );
+    }
+    return reference.name;
+  }
+
+  /**
+   * Push NOT down to the predicates (De Morgan) so every leaf can be
+   * expressed with PostgREST's "not." operator prefix.
+   */
+  pushDownNot(node, negate = false) {
+    switch (node.type) {
+      case "not":
+        return this.pushDownNot(node.condition, !negate);
+      case "and":
+      case "or": {
+        const type = negate ? (node.type === "and" ? "or" : "and") : node.type;
+        return { type, conditions: node.conditions.map((c) => this.pushDownNot(c, negate)) };
+      }
+      case "comparison":
+        return negate ? { ...node, operator: NEGATED_COMPARISON[node.operator] } : node;
+      default:
+        return negate ? { ...node, negated: !node.negated } : node;
+    }
+  }
+
+  /**
+   * Compile a WHERE tree into { type: "and" | "or", conditions } groups whose
+   * leaves are { column, operator, value } PostgREST filters.
+   */
+  compileCondition(node, tables) {
+    if (node.type === "and" || node.type === "or") {
+      return {
+        type: node.type,
+        conditions: node.conditions.map((c) => this.compileCondition(c, tables)),
+      };
+    }
+
+    if (node.left.type === "function") {
+      return this.compileDateCondition(node, tables);
+    }
+
+    const column = this.resolveColumn(node.left, tables);
+    const prefix = node.negated ? "not." : "";
+
+    switch (node.type) {
+      case "comparison": {
+        const value = this.resolveValue(node.right);
+        if (value === null) {
+          return { column, operator: node.operator === "=" ? "is" : "not.is", value: "null" };
+        }
+        return { column, operator: COMPARISON_TO_POSTGREST[node.operator], value };
+      }
+      case "in":
+        return {
+          column,
+          operator: `${prefix}in`,
+          value: `(${node.values.map((v) => this.quote(this.resolveValue(v))).join(",")})`,
+        };
+      case "null":
+        return { column, operator: `${prefix}is`, value: "null" };
+      case "like":
+        return {
+          column,
+          operator: `${prefix}${node.caseInsensitive ? "ilike" : "like"}`,
+          value: this.resolveValue(node.pattern),
+        };
+      case "between": {
+        const low = this.resolveValue(node.low);
+        const high = this.resolveValue(node.high);
+        if (node.negated) {
+          return {
+            type: "or",
+            conditions: [
+              { column, operator: "lt", value: low },
+              { column, operator: "gt", value: high },
+            ],
+          };
+        }
+        return {
+          type: "and",
+          conditions: [
+            { column, operator: "gte", value: low },
+            { column, operator: "lte", value: high },
+          ],
+        };
+      }
+      default:
+        throw new UnsupportedQueryError(`Unsupported condition '${node.type}'`, "WHERE");
+    }
+  }
+
+  /**
+   * DATE(col) is rewritten into a half-open range on the timestamp column so
+   * PostgREST can filter without casting.
+   */
+  compileDateCondition(node, tables) {
+    const column = this.resolveColumn(node.left.argument, tables);
+    const dayStart = (value) => this.toDate(this.resolveValue(value));
+    const range = (from, to) => [
+      { column, operator: "gte", value: from.format("YYYY-MM-DD") },
+      { column, operator: "lt", value: to.format("YYYY-MM-DD") },
+    ];
+
+    if (node.type === "between") {
+      const low = dayStart(node.low);
+      const high = dayStart(node.high).add(1, "day");
+      const [from, to] = range(low, high);
+      return node.negated
+        ? { type: "or", conditions: [{ ...from, operator: "lt" }, { ...to, operator: "gte" }] }
+        : { type: "and", conditions: [from, to] };
+    }
+
+    if (node.type === "in") {
+      return {
+        type: node.negated ? "and" : "or",
+        conditions: node.values.map((right) =>
+          this.compileDateCondition(
+            { type: "comparison", operator: node.negated ? "!=" : "=", left: node.left, right },
+            tables
+          )
+        ),
+      };
+    }
+
+    if (node.type === "null") {
+      return { column, operator: node.negated ? "not.is" : "is", value: "null" };
+    }
+
+    if (node.type !== "comparison") {
+      throw new UnsupportedQueryError(`DATE() cannot be used with ${node.type.toUpperCase()}`, "WHERE");
+    }
+
+    const day = dayStart(node.right);
+    const next = day.add(1, "day");
+    const format = (d) => d.format("YYYY-MM-DD");
+
+    switch (node.operator) {
+      case "=":
+        return { type: "and", conditions: range(day, next) };
+      case "!=":
+        return {
+          type: "or",
+          conditions: [
+            { column, operator: "lt", value: format(day) },
+            { column, operator: "gte", value: format(next) },
+          ],
+        };
+      case ">":
+        return { column, operator: "gte", value: format(next) };
+      case ">=":
+        return { column, operator: "gte", value: format(day) };
+      case "<":
+        return { column, operator: "lt", value: format(day) };
+      case "<=":
+        return { column, operator: "lt", value: format(next) };
+      default:
+        throw new UnsupportedQueryError(`Unsupported DATE() operator '${node.operator}'`, "WHERE");
+    }
+  }
+
+  toDate(value) {
+    const date = dayjs(value);
+    if (!date.isValid()) {
+      throw new UnsupportedQueryError(`'${value}' is not a valid date`, "WHERE");
+    }
+    return date.startOf("day");
+  }
+
+  resolveValue(value) {
+    switch (value.type) {
+      case "literal":
+        return value.value;
+      case "date":
+        return this.toDate(this.resolveValue(value.value)).format("YYYY-MM-DD");
+      case "now": {
+        let moment = value.base === "current_date" ? dayjs().startOf("day") : dayjs();
+        if (value.offset) {
+          moment = moment.add(value.offset.amount, value.offset.unit);
+        }
+        return value.base === "current_date" && (!value.offset || ["day", "week", "month", "year"].includes(value.offset.unit))
+          ? moment.format("YYYY-MM-DD")
+          : moment.toISOString();
+      }
+      default:
+        throw new UnsupportedQueryError(`Unsupported value '${value.type}'`, "WHERE");
+    }
+  }
+
+  /**
+   * Quote a value for use inside PostgREST `in.(...)` lists and `or=(...)`
+   * strings, where commas, dots and parentheses are reserved.
+   */
+  quote(value) {
+    if (value === null) return "null";
+    const text = String(value);
+    if (/^[A-Za-z0-9_@+-]+$/.test(text)) return text;
+    return `"${text.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+  }
+
+  /**
+   * Serialize a filter group for `.or()`. All leaves must live on the same
+   * table, because PostgREST scopes a logic tree to one resource.
+   */
+  serializeGroup(group) {
+    const tableOf = (leaf) => (leaf.column.includes(".") ? leaf.column.split(".")[0] : null);
+    const leaves = [];
+    const collect = (node) => (node.conditions ? node.conditions.forEach(collect) : leaves.push(node));
+    collect(group);
+
+    const referencedTables = new Set(leaves.map(tableOf));
+    if (referencedTables.size > 1) {
+      throw new UnsupportedQueryError(
+        "OR conditions spanning several tables are not supported",
+        "OR"
+      );
+    }
+    const [referencedTable] = referencedTables;
+
+    const serialize = (node) => {
+      if (node.conditions) {
+        return `${node.type}(${node.conditions.map(serialize).join(",")})`;
+      }
+      const column = referencedTable ? node.column.slice(referencedTable.length + 1) : node.column;
+      const value = node.operator.endsWith("in") || node.operator.endsWith("is")
+        ? node.value
+        : this.quote(node.value);
+      return `${column}.${node.operator}.${value}`;
+    };
+
+    return {
+      filter: group.conditions.map(serialize).join(","),
+      referencedTable: referencedTable || undefined,
+    };
+  }
+
+  applyFilters(query, filters) {
+    if (!filters) return query;
+
+    const conjuncts = filters.type === "and" ? filters.conditions : [filters];
+
+    for (const condition of conjuncts) {
+      if (condition.type === "and") {
+        query = this.applyFilters(query, condition);
+      } else if (condition.type === "or") {
+        const { filter, referencedTable } = this.serializeGroup(condition);
+        query = query.or(filter, referencedTable ? { referencedTable } : undefined);
+      } else {
+        query = query.filter(condition.column, condition.operator, condition.value);
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Execute a plan and return rows in the same shape executeQuery always
+   * has: an array of plain objects.
+   */
+  async execute(plan) {
+    if (plan.mode === "count") {
+      return this.executeCount(plan);
+    }
+    if (plan.mode === "aggregate") {
+      return this.aggregate(await this.fetchAggregateRows(plan), plan);
+    }
+
+    let query = this.client.from(plan.table).select(plan.select);
+    query = this.applyFilters(query, plan.filters);
+
+    for (const order of plan.order) {
+      query = query.order(order.column, {
+        ascending: order.ascending,
+        ...(order.nullsFirst !== null && { nullsFirst: order.nullsFirst }),
+      });
+    }
+
+    if (plan.offset !== null) {
+      query = query.range(plan.offset, plan.offset + (plan.limit ?? 1000) - 1);
+    } else if (plan.limit !== null) {
+      query = query.limit(plan.limit);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Every row an aggregate runs over, a page at a time. Throws
+   * UnsupportedQueryError when more than MAX_AGGREGATE_ROWS match, since a
+   * COUNT, SUM or AVG over some of them would be silently wrong.
+   */
+  async fetchAggregateRows(plan) {
+    const select = [plan.select, ...this.embedSelect(this.emptyEmbeds(plan.embeds))].join(",");
+    const tooMany = () =>
+      new UnsupportedQueryError(
+        `That would aggregate over more than ${MAX_AGGREGATE_ROWS} rows of ${plan.table}. Please narrow it down, for example by date`,
+        "SELECT"
+      );
+
+    const rows = [];
+    for (let from = 0; ; from += AGGREGATE_PAGE_SIZE) {
+      let query = this.client.from(plan.table).select(select, from === 0 ? { count: "exact" } : undefined);
+      query = this.applyFilters(query, plan.filters).range(from, from + AGGREGATE_PAGE_SIZE - 1);
+
+      const { data, count, error } = await query;
+      if (error) throw error;
+      if (from === 0 && count > MAX_AGGREGATE_ROWS) throw tooMany();
+
+      rows.push(...(data || []));
+      if (rows.length > MAX_AGGREGATE_ROWS) throw tooMany();
+      if (!data || data.length < AGGREGATE_PAGE_SIZE) return rows;
+    }
+  }
+
+  async executeCount(plan) {
+    const row = {};
+
+    for (const { key, column } of plan.countColumns) {
+      const select = ["*", ...this.embedSelect(this.emptyEmbeds(plan.embeds))].join(",");
+      let query = this.client.from(plan.table).select(select, { count: "exact", head: true });
+      query = this.applyFilters(query, plan.filters);
+      if (column) {
+        query = query.not(column, "is", null);
+      }
+
+      const { count, error } = await query;
+      if (error) throw error;
+      row[key] = count;
+    }
+
+    return [row];
+  }
+
+  /**
+   * Joined tables only used for filtering still need to be embedded (with no
+   * columns) so PostgREST can apply the inner-join filters.
+   */
+  emptyEmbeds(embeds) {
+    return Object.fromEntries(
+      Object.entries(embeds).map(([table, embed]) => [table, { ...embed, columns: [] }])
+    );
+  }
+
+  aggregate(rows, plan) {
+    const { groupKeys, outputs, order } = plan.aggregation;
+    const groups = new Map();
+
+    for (const row of rows) {
+      const key = JSON.stringify(groupKeys.map((k) => row[k]));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+
+    // An aggregate without GROUP BY still yields one row, even over no input
+    if (groupKeys.length === 0 && groups.size === 0) {
+      groups.set("[]", []);
+    }
+
+    let results = [...groups.values()].map((members) => {
+      const result = {};
+      for (const output of outputs) {
+        result[output.key] = output.fn
+          ? this.computeAggregate(output, members)
+          : members[0][output.column];
+      }
+      return result;
+    });
+
+    if (order.length > 0) {
+      results.sort((a, b) => {
+        for (const { key, ascending, nullsFirst } of order) {
+          const comparison = this.compareValues(a[key], b[key], ascending, nullsFirst);
+          if (comparison !== 0) return comparison;
+        }
+        return 0;
+      });
+    }
+
+    const start = plan.offset || 0;
+    const end = plan.limit !== null ? start + plan.limit : undefined;
+    return results.slice(start, end);
+  }
+
+  computeAggregate(output, rows) {
+    let values = output.column
+      ? rows.map((r) => r[output.column]).filter((v) => v !== null && v !== undefined)
+      : rows;
+
+    if (output.distinct) {
+      values = [...new Set(values.map((v) => JSON.stringify(v)))].map((v) => JSON.parse(v));
+    }
+
+    switch (output.fn) {
+      case "count":
+        return values.length;
+      case "sum":
+        return values.length ? values.reduce((sum, v) => sum + Number(v), 0) : null;
+      case "avg":
+        return values.length ? values.reduce((sum, v) => sum + Number(v), 0) / values.length : null;
+      case "min":
+        return values.length ? values.reduce((min, v) => (v < min ? v : min)) : null;
+      case "max":
+        return values.length ? values.reduce((max, v) => (v > max ? v : max)) : null;
+      default:
+        throw new UnsupportedQueryError(`Unsupported aggregate ${output.fn.toUpperCase()}`);
+    }
+  }
+
+  compareValues(a, b, ascending, nullsFirst) {
+    const aNull = a === null || a === undefined;
+    const bNull = b === null || b === undefined;
+    // Postgres default: NULLS LAST for ASC, NULLS FIRST for DESC
+    const nullsGoFirst = nullsFirst ?? !ascending;
+
+    if (aNull || bNull) {
+      if (aNull && bNull) return 0;
+      return aNull === nullsGoFirst ? -1 : 1;
+    }
+
+    const result = a < b ? -1 : a > b ? 1 : 0;
+    return ascending ? result : -result;
+  }
+}
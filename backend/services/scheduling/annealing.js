@@ -0,0 +1,106 @@
+/**
+ * Simulated annealing over admission orders. Starts from the
+ * severity-priority order and tries swapping two patients: a better plan
+ * is always kept, a worse one sometimes, less often as the temperature
+ * falls, so the search can climb out of a local minimum early on and
+ * settles as it cools.
+ *
+ * Stops after `iterations` moves or `timeBudgetMs`, whichever comes first.
+ * A run stopped by the iteration budget is repeatable from its seed; one
+ * cut short by time depends on how fast the server was, so runs that must
+ * repeat a seed pass an unlimited budget (planAdmissions in index.js).
+ * The search yields to the event loop as it goes (eventLoop.js).
+ */
+
+import { APP_CONSTANTS } from "../../config/constants.js";
+import { simulate } from "./engine.js";
+import { createYielder } from "./eventLoop.js";
+
+const { ANNEALING } = APP_CONSTANTS.SCHEDULING;
+
+/**
+ * Swap two patients in a copy of the order. Half the moves swap neighbours,
+ * which fine-tunes, the others swap any two, which can move a patient a
+ * long way at once.
+ */
+function swapMove(order, rng) {
+  const next = [...order];
+  const i = Math.floor(rng() * next.length);
+  let j;
+  if (rng() < 0.5) {
+    j = i === next.length - 1 ? i - 1 : i + 1;
+  } else {
+    j = Math.floor(rng() * (next.length - 1));
+    if (j >= i) j++;
+  }
+  [next[i], next[j]] = [next[j], next[i]];
+  return next;
+}
+
+/**
+ * @param {Object[]} initialOrder - patients in the order to start from
+ * @param {Object} options
+ * @param {Function} options.rng
+ * @param {Object} options.scorer - from createScorer (objective.js)
+ * @param {number} options.iterations
+ * @param {number} options.timeBudgetMs - Infinity to stop by iterations only
+ * @returns {Promise<Object>} engine result of the best plan found, plus runs
+ *   (moves tried), stoppedBy ("iterations" | "time"), acceptedMoves and trace
+ */
+export async function anneal(initialOrder, beds, { rng, scorer, iterations, timeBudgetMs, availability }) {
+  const evaluate = (order) => {
+    const result = simulate(order, beds, { availability });
+    return { order, result, score: scorer.evaluate(result).score };
+  };
+
+  let current = evaluate(initialOrder);
+  let best = current;
+
+  // Temperatures are relative to the starting score, so the same settings
+  // suit a ward of five patients and one of fifty
+  const scale = Math.max(current.score, 1);
+  let temperature = scale * ANNEALING.INITIAL_TEMPERATURE;
+  const cooling = (ANNEALING.FINAL_TEMPERATURE / ANNEALING.INITIAL_TEMPERATURE) ** (1 / Math.max(iterations, 1));
+  const traceEvery = Math.max(1, Math.floor(iterations / ANNEALING.TRACE_POINTS));
+
+  const started = Date.now();
+  const trace = [{ iteration: 0, temperature, currentScore: current.score, bestScore: best.score, elapsedMs: 0 }];
+  let stoppedBy = "iterations";
+  let acceptedMoves = 0;
+  let runs = 0;
+  const yieldToOthers = createYielder();
+
+  while (runs < iterations && initialOrder.length > 1) {
+    await yieldToOthers();
+    if (Date.now() - started >= timeBudgetMs) {
+      stoppedBy = "time";
+      break;
+    }
+    runs++;
+
+    const candidate = evaluate(swapMove(current.order, rng));
+    const delta = candidate.score - current.score;
+    if (delta <= 0 || rng() < Math.exp(-delta / temperature)) {
+      current = candidate;
+      acceptedMoves++;
+      if (current.score < best.score) best = current;
+    }
+    temperature *= cooling;
+
+    if (runs % traceEvery === 0 || runs === iterations) {
+      trace.push({
+        iteration: runs,
+        temperature,
+        currentScore: current.score,
+        bestScore: best.score,
+        elapsedMs: Date.now() - started,
+      });
+    }
+  }
+
+  if (trace[trace.length - 1].iteration !== runs) {
+    trace.push({ iteration: runs, temperature, currentScore: current.score, bestScore: best.score, elapsedMs: Date.now() - started });
+  }
+
+  return { ...best.result, runs, stoppedBy, acceptedMoves, trace };
+}
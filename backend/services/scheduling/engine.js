@@ -0,0 +1,117 @@
+/**
+ * The ICU bed simulation every scheduling strategy runs on. Patients are
+ * admitted one at a time, each to the compatible bed that frees up first
+ * (the earlier bed in bed_id order on a tie), no earlier than they arrived.
+ * A strategy only decides which patient goes next.
+ *
+ * Times are epoch milliseconds while scheduling and ISO strings in the
+ * admissions returned.
+ */
+
+import { isCompatible } from "./rules.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const byId = (key) => (a, b) => String(a[key]).localeCompare(String(b[key]));
+
+/**
+ * Scheduling input from patient rows. Booleans are coerced, a missing stay
+ * gets `defaultStayDays`, and rows are sorted by patient_id so the result
+ * doesn't depend on the order the database returned them in. Patients
+ * without a valid arrival_time can't be scheduled and are returned in
+ * `invalid`.
+ */
+export function normalizePatients(rows, { defaultStayDays }) {
+  const patients = [];
+  const invalid = [];
+
+  for (const row of rows) {
+    const arrival = new Date(row.arrival_time).getTime();
+    if (!row.arrival_time || !Number.isFinite(arrival)) {
+      invalid.push({ patient_id: row.patient_id, reason: "No valid arrival_time" });
+      continue;
+    }
+    patients.push({
+      ...row,
+      arrival,
+      predicted_stay_days: Number(row.predicted_stay_days) > 0 ? Number(row.predicted_stay_days) : defaultStayDays,
+      is_emergency: Boolean(row.is_emergency),
+      ventilator_needed: Boolean(row.ventilator_needed),
+      dialysis_needed: Boolean(row.dialysis_needed),
+    });
+  }
+
+  return { patients: patients.sort(byId("patient_id")), invalid };
+}
+
+export function normalizeBeds(rows) {
+  return rows
+    .map((row) => ({
+      ...row,
+      ventilator_available: Boolean(row.ventilator_available),
+      dialysis_available: Boolean(row.dialysis_available),
+    }))
+    .sort(byId("bed_id"));
+}
+
+/**
+ * @param {Object} [availability] - bed_id -> time the bed frees up, for beds
+ *   already occupied; other beds are free from the start
+ */
+export function createState(beds, availability = {}) {
+  const freeAt = new Map(beds.map((bed) => [bed.bed_id, new Date(availability[bed.bed_id] || 0).getTime()]));
+  return { beds, freeAt, admissions: [], unscheduled: [], totalWaiting: 0 };
+}
+
+/** The compatible bed the patient could start in soonest: { bed, start } or null */
+export function earliestBed(state, patient) {
+  let best = null;
+  for (const bed of state.beds) {
+    if (!isCompatible(bed, patient)) continue;
+
+    const start = Math.max(patient.arrival, state.freeAt.get(bed.bed_id));
+    if (!best || start < best.start) {
+      best = { bed, start };
+    }
+  }
+  return best;
+}
+
+export function admit(state, patient, { bed, start }) {
+  const discharge = start + patient.predicted_stay_days * DAY_MS;
+  const waitingHours = Math.floor((start - patient.arrival) / HOUR_MS);
+
+  state.freeAt.set(bed.bed_id, discharge);
+  state.totalWaiting += waitingHours;
+  state.admissions.push({
+    patient_id: patient.patient_id,
+    bed_id: bed.bed_id,
+    admission_time: new Date(start).toISOString(),
+    discharge_time: new Date(discharge).toISOString(),
+    waiting_hours: waitingHours,
+  });
+}
+
+/** Admit patients in the given order */
+export function simulate(order, beds, { availability } = {}) {
+  const state = createState(beds, availability);
+  for (const patient of order) {
+    const choice = earliestBed(state, patient);
+    if (choice) {
+      admit(state, patient, choice);
+    } else {
+      state.unscheduled.push({ patient_id: patient.patient_id, reason: "No compatible bed" });
+    }
+  }
+  return summarize(state);
+}
+
+export function summarize(state) {
+  return {
+    totalWaiting: state.totalWaiting,
+    admittedCount: state.admissions.length,
+    admissions: state.admissions,
+    unscheduled: state.unscheduled,
+  };
+}
@@ -0,0 +1,7 @@
+export class SchedulingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SchedulingError";
+    this.status = status;
+  }
+}
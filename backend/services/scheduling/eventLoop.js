@@ -0,0 +1,18 @@
+import { setImmediate } from "timers/promises";
+import { APP_CONSTANTS } from "../../config/constants.js";
+
+/**
+ * Searches run in the request's process, next to webhooks, callbacks and
+ * the pollers. A long loop awaits the function createYielder() returns once
+ * per step; every SCHEDULING.YIELD_EVERY_MS it lets whatever is waiting run
+ * before the loop carries on. Yielding never touches the random numbers,
+ * so it doesn't change the result.
+ */
+export function createYielder(intervalMs = APP_CONSTANTS.SCHEDULING.YIELD_EVERY_MS) {
+  let last = Date.now();
+  return async () => {
+    if (Date.now() - last < intervalMs) return;
+    await setImmediate();
+    last = Date.now();
+  };
+}
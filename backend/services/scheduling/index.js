@@ -0,0 +1,268 @@
+/**
+ * Entry point for ICU admission scheduling: runSchedule({ strategy }) plans
+ * ICU admissions with one of the strategies in strategies.js and saves it as
+ * a draft plan (plans.js). admissions only changes when a plan is committed.
+ *
+ * Plans are made for one of two sources:
+ *
+ *   live        the waiting icu_queue, from now, around the beds' current
+ *               occupants (liveState.js). Admissions of the committed plan
+ *               starting within the lock-in window are kept (lockIn.js).
+ *               rollingPlanner.js re-plans this automatically.
+ *   simulation  the patients_new test set on empty beds
+ *
+ * Every run reports the seed it used; passing that seed back reproduces the
+ * same plan from the same data. A run given a seed is therefore only
+ * stopped by its iteration count, never by the time budget; a run without
+ * one that ran out of time reports convergence.reproducible: false. compareObjectives() runs the optimizer once
+ * per objective next to the baseline without saving anything.
+ */
+
+import { APP_CONSTANTS } from "../../config/constants.js";
+import { createRng } from "./random.js";
+import { SchedulingError, getStrategy, hasSeed, resolveIterations, resolveSeed, resolveTimeBudget } from "./strategies.js";
+import { resolveObjective, createScorer } from "./objective.js";
+import { savePlan, currentPlan, pendingAutomaticDraft, diffAdmissions } from "./plans.js";
+import { loadInput } from "./input.js";
+import { withLocked } from "./lockIn.js";
+
+export { SchedulingError, listStrategies } from "./strategies.js";
+export { listObjectives } from "./objective.js";
+export { getPlan, listPlans, listCommits, commitPlan, diffPlans } from "./plans.js";
+export { SOURCES } from "./input.js";
+export { predictQueueWaitTime, predictQueueWaitTimes } from "./waitTimePrediction.js";
+
+const { SCHEDULING } = APP_CONSTANTS;
+
+
+/**
+ * Run a strategy over the given patients and beds without touching the
+ * database. Returns the engine result plus the strategy, seed, the plan's
+ * score under the objective and, for searching strategies, the number of
+ * plans tried.
+ *
+ * `repeatable` (by default: whether a seed was given) ignores the time
+ * budget, so the same seed always gives the same plan.
+ */
+export async function planAdmissions(
+  patients,
+  beds,
+  {
+    strategy: name,
+    seed,
+    iterations,
+    timeBudgetMs,
+    objective,
+    availability,
+    locked = [],
+    lockedPatients = [],
+    repeatable = hasSeed(seed),
+  } = {}
+) {
+  const strategy = getStrategy(name);
+  const runSeed = resolveSeed(seed);
+  const resolvedObjective = resolveObjective(objective);
+  const scorer = createScorer([...patients, ...lockedPatients], beds, resolvedObjective);
+  const { budget } = strategy;
+  const timeBudget = budget?.timed ? resolveTimeBudget(timeBudgetMs) : undefined;
+
+  const result = await strategy.schedule(patients, beds, {
+    rng: createRng(runSeed),
+    scorer,
+    iterations: budget ? resolveIterations(iterations, budget.iterations, budget.maxIterations) : undefined,
+    timeBudgetMs: timeBudget !== undefined && repeatable ? Infinity : timeBudget,
+    availability,
+  });
+  const plan = locked.length > 0 ? withLocked(result, locked) : result;
+  return {
+    ...plan,
+    strategy: name || SCHEDULING.DEFAULT_STRATEGY,
+    seed: runSeed,
+    objective: { ...resolvedObjective, ...scorer.evaluate(plan) },
+  };
+}
+
+function planInput(input, options) {
+  const { patients, beds, availability, locked, lockedPatients } = input;
+  return planAdmissions(patients, beds, { ...options, availability, locked, lockedPatients });
+}
+
+function summaryOf(plan, input) {
+  return {
+    source: input.source,
+    ...(input.source === "live" && {
+      horizonStart: input.horizonStart,
+      lockInHours: input.lockInHours,
+      lockedAdmissions: input.locked.length,
+      releasedLocks: input.released,
+      blockedBeds: input.blockedBeds,
+    }),
+    strategy: plan.strategy,
+    seed: plan.seed,
+    totalWaitingHours: plan.totalWaiting,
+    averageWaitingHours: plan.admittedCount > 0 ? plan.totalWaiting / plan.admittedCount : 0,
+    admittedPatients: plan.admittedCount,
+    ...(plan.runs !== undefined && { optimizationRuns: plan.runs }),
+    objective: plan.objective,
+    ...(plan.trace && {
+      convergence: {
+        stoppedBy: plan.stoppedBy,
+        // A run cut short by time can't be repeated from its seed
+        reproducible: plan.stoppedBy !== "time",
+        acceptedMoves: plan.acceptedMoves,
+        trace: plan.trace,
+      },
+    }),
+    unscheduledPatients: [...input.invalid, ...plan.unscheduled],
+    admissions: plan.admissions,
+  };
+}
+
+// Same patients in the same beds, starting no more than toleranceHours apart
+function sameAdmissions(before, after, toleranceHours = 0) {
+  const diff = diffAdmissions(before || [], after);
+  return (
+    diff.added.length + diff.removed.length === 0 &&
+    diff.changed.every((change) => !change.bedChanged && Math.abs(change.startShiftHours) <= toleranceHours)
+  );
+}
+
+/**
+ * Plan ICU admissions and save the plan as a draft, or with `dryRun` just
+ * return it. Either way admissions is left as it is; see commitPlan().
+ *
+ * @param {Object} [options]
+ * @param {string} [options.source] - "live" (default) or "simulation"
+ * @param {number} [options.lockInHours] - live only; 0 re-plans everyone
+ * @param {string} [options.strategy] - a name from listStrategies()
+ * @param {number|string} [options.seed] - reproduces an earlier run
+ * @param {number} [options.iterations] - plans tried by searching strategies
+ * @param {number} [options.timeBudgetMs] - time limit for annealing
+ * @param {string|Object} [options.objective] - a name from listObjectives()
+ *   or weights; what searching strategies minimise
+ * @param {boolean} [options.dryRun]
+ * @param {boolean} [options.onlyIfChanged] - don't save a plan that admits
+ *   everyone to the same bed at the same time as the committed one, or, for
+ *   an automatic run, as the automatic draft already waiting to replace it
+ * @param {boolean} [options.automatic] - made by rollingPlanner.js, not
+ *   staff; recorded in the plan's parameters
+ * @param {string} [options.createdBy] - user id recorded on the plan
+ */
+export async function runSchedule({
+  source = "live",
+  lockInHours,
+  strategy,
+  seed,
+  iterations,
+  timeBudgetMs,
+  objective,
+  dryRun = false,
+  onlyIfChanged = false,
+  automatic = false,
+  createdBy,
+} = {}) {
+  getStrategy(strategy);
+  resolveObjective(objective);
+
+  const input = await loadInput({ source, lockInHours });
+  const plan = summaryOf(await planInput(input, { strategy, seed, iterations, timeBudgetMs, objective }), input);
+  if (dryRun) {
+    return { ...plan, dryRun: true };
+  }
+
+  if (onlyIfChanged) {
+    const tolerance = automatic ? SCHEDULING.ROLLING.START_TOLERANCE_MINUTES / 60 : 0;
+    const committed = await currentPlan();
+    if (committed && sameAdmissions(committed.admissions, plan.admissions, tolerance)) {
+      return { ...plan, unchanged: true, currentPlanId: committed.id };
+    }
+    const pending = automatic ? await pendingAutomaticDraft(committed?.id ?? null) : null;
+    if (pending && sameAdmissions(pending.admissions, plan.admissions, tolerance)) {
+      return { ...plan, unchanged: true, currentPlanId: committed?.id ?? null, pendingPlanId: pending.id };
+    }
+  }
+
+  const saved = await savePlan(plan, {
+    parameters: {
+      source,
+      lockInHours: input.lockInHours ?? null,
+      iterations: iterations ?? null,
+      timeBudgetMs: timeBudgetMs ?? null,
+      objective: objective ?? plan.objective.name,
+      ...(automatic && { automatic: true }),
+    },
+    createdBy,
+  });
+  return { ...plan, planId: saved.id, status: saved.status, basedOnPlanId: saved.based_on_plan_id };
+}
+
+/**
+ * Optimize the current patients once per objective and score the baseline
+ * plan under each, so objectives can be compared side by side. Nothing is
+ * written to admissions.
+ *
+ * @param {Object} options
+ * @param {Array<string|Object>} options.objectives - preset names or weights
+ * @param {string} [options.strategy] - the optimizer, annealing by default
+ * @param {string} [options.baseline] - the strategy compared against
+ * @param {string} [options.source] - as for runSchedule()
+ */
+export async function compareObjectives({
+  objectives,
+  strategy = "annealing",
+  baseline = SCHEDULING.DEFAULT_STRATEGY,
+  seed,
+  iterations,
+  timeBudgetMs,
+  source = "live",
+  lockInHours,
+} = {}) {
+  if (!Array.isArray(objectives) || objectives.length === 0) {
+    throw new SchedulingError("objectives must be a list of objective names or weights");
+  }
+  if (objectives.length > SCHEDULING.COMPARE_MAX_OBJECTIVES) {
+    throw new SchedulingError(`Compare at most ${SCHEDULING.COMPARE_MAX_OBJECTIVES} objectives at a time`);
+  }
+  objectives.forEach((objective) => resolveObjective(objective));
+  getStrategy(strategy);
+  getStrategy(baseline);
+
+  // One seed for every run, so the objectives are the only difference. The
+  // objectives share the request's time budget, unless the seed was given
+  const runSeed = resolveSeed(seed);
+  const repeatable = hasSeed(seed);
+  const objectiveBudgetMs = Math.min(
+    resolveTimeBudget(timeBudgetMs),
+    Math.floor(SCHEDULING.REQUEST_TIME_BUDGET_MS / objectives.length)
+  );
+  const input = await loadInput({ source, lockInHours });
+  const baselinePlan = await planInput(input, { strategy: baseline, seed: runSeed, repeatable });
+  const everyone = [...input.patients, ...(input.lockedPatients || [])];
+
+  const results = [];
+  for (const objective of objectives) {
+    const resolved = resolveObjective(objective);
+    const plan = await planInput(input, {
+      strategy,
+      seed: runSeed,
+      repeatable,
+      iterations,
+      timeBudgetMs: objectiveBudgetMs,
+      objective,
+    });
+    const baselineScore = createScorer(everyone, input.beds, resolved).evaluate(baselinePlan).score;
+
+    results.push({
+      ...summaryOf(plan, input),
+      baselineScore,
+      improvementPercent: baselineScore > 0 ? ((baselineScore - plan.objective.score) / baselineScore) * 100 : 0,
+    });
+  }
+
+  return {
+    seed: runSeed,
+    timeBudgetMs: repeatable ? null : objectiveBudgetMs,
+    baseline: summaryOf(baselinePlan, input),
+    results,
+  };
+}
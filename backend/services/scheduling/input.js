@@ -0,0 +1,78 @@
+/**
+ * What a scheduling run plans from: patients, beds and when each bed frees
+ * up, for either source (see index.js).
+ */
+
+import { supabase } from "../../db/supabaseClient.js";
+import { APP_CONSTANTS } from "../../config/constants.js";
+import { normalizePatients, normalizeBeds } from "./engine.js";
+import { SchedulingError } from "./errors.js";
+import { currentPlan } from "./plans.js";
+import { loadLiveState } from "./liveState.js";
+import { applyLockIn } from "./lockIn.js";
+
+const { SCHEDULING } = APP_CONSTANTS;
+
+export const SOURCES = ["live", "simulation"];
+
+export function resolveLockInHours(lockInHours) {
+  if (lockInHours === undefined || lockInHours === null) return SCHEDULING.ROLLING.LOCK_IN_HOURS;
+
+  const hours = Number(lockInHours);
+  if (!Number.isFinite(hours) || hours < 0 || hours > SCHEDULING.ROLLING.MAX_LOCK_IN_HOURS) {
+    throw new SchedulingError(`lockInHours must be a number from 0 to ${SCHEDULING.ROLLING.MAX_LOCK_IN_HOURS}`);
+  }
+  return hours;
+}
+
+async function loadSimulation() {
+  const [patientsRes, bedsRes] = await Promise.all([
+    supabase.from("patients_new").select("*"),
+    supabase.from("icu_beds").select("*"),
+  ]);
+  if (patientsRes.error) throw new SchedulingError(patientsRes.error.message, 500);
+  if (bedsRes.error) throw new SchedulingError(bedsRes.error.message, 500);
+
+  if (!patientsRes.data?.length) throw new SchedulingError("No patients found", 404);
+  if (!bedsRes.data?.length) throw new SchedulingError("No beds found", 404);
+
+  const { patients, invalid } = normalizePatients(patientsRes.data, { defaultStayDays: SCHEDULING.DEFAULT_STAY_DAYS });
+  return { source: "simulation", patients, invalid, beds: normalizeBeds(bedsRes.data) };
+}
+
+async function loadLive(lockInHours) {
+  const live = await loadLiveState();
+  const committed = await currentPlan();
+  const { locked, pool, availability, released } = applyLockIn(committed, live, lockInHours);
+  const lockedIds = new Set(locked.map((admission) => String(admission.patient_id)));
+
+  return {
+    source: "live",
+    horizonStart: live.now.toISOString(),
+    lockInHours,
+    patients: pool,
+    lockedPatients: live.patients.filter((patient) => lockedIds.has(String(patient.patient_id))),
+    locked,
+    released,
+    invalid: live.invalid,
+    beds: live.beds,
+    availability,
+    occupiedUntil: live.availability,
+    dischargeConfidence: live.dischargeConfidence,
+    blockedBeds: live.blockedBeds,
+  };
+}
+
+/**
+ * @returns {Promise<Object>} { source, patients, beds, availability?, invalid }
+ *   plus, for live, the locked admissions and their patients, released
+ *   locks, blocked beds and the horizon. `availability` is after the locked
+ *   admissions; `occupiedUntil` is when current occupants leave, and
+ *   `dischargeConfidence` how sure that is (see liveState.js)
+ */
+export async function loadInput({ source = "live", lockInHours } = {}) {
+  if (!SOURCES.includes(source)) {
+    throw new SchedulingError(`source must be one of: ${SOURCES.join(", ")}`);
+  }
+  return source === "live" ? loadLive(resolveLockInHours(lockInHours)) : loadSimulation();
+}
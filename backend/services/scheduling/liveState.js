@@ -0,0 +1,120 @@
+/**
+ * Scheduling input from the live ICU: patients waiting in icu_queue, and
+ * icu_beds free from when their current occupant is expected to leave.
+ *
+ * An occupant's bed frees up at their latest predicted discharge date
+ * (discharge_predictions), else their discharge_time, else admission plus
+ * predicted stay. Times already past count as now: the patient is due out.
+ * An occupied bed with no occupant found in icu_queue can't be planned
+ * around and is left out, reported in `blockedBeds`. The confidence of the
+ * prediction a bed's free time came from is in `dischargeConfidence`, for
+ * wait time prediction to sample around it.
+ */
+
+import { supabase } from "../../db/supabaseClient.js";
+import { APP_CONSTANTS } from "../../config/constants.js";
+import { normalizePatients, normalizeBeds } from "./engine.js";
+import { SchedulingError } from "./errors.js";
+
+const { SCHEDULING } = APP_CONSTANTS;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// icu_queue statuses of patients in a bed
+export const OCCUPANT_STATUSES = ["assigned", "admitted"];
+
+function must({ data, error }) {
+  if (error) throw new SchedulingError(error.message, 500);
+  return data || [];
+}
+
+async function latestPredictions(occupants) {
+  const latest = new Map();
+  if (occupants.length === 0) return latest;
+
+  const rows = must(
+    await supabase
+      .from("discharge_predictions")
+      .select("icu_queue_id, predicted_discharge_date, confidence, created_at")
+      .in("icu_queue_id", occupants.map((occupant) => occupant.id))
+      .order("created_at", { ascending: false })
+  );
+  for (const row of rows) {
+    if (!latest.has(row.icu_queue_id)) latest.set(row.icu_queue_id, row);
+  }
+  return latest;
+}
+
+function expectedDischarge(occupant, prediction) {
+  if (prediction?.predicted_discharge_date) return new Date(prediction.predicted_discharge_date).getTime();
+  if (occupant.discharge_time) return new Date(occupant.discharge_time).getTime();
+
+  const admitted = new Date(occupant.admission_time || occupant.updated_at || occupant.created_at).getTime();
+  const stayDays = Number(occupant.predicted_stay_days) > 0 ? Number(occupant.predicted_stay_days) : SCHEDULING.DEFAULT_STAY_DAYS;
+  return admitted + stayDays * DAY_MS;
+}
+
+/**
+ * @param {Date} [now] - the start of the horizon; nobody is admitted earlier
+ * @returns {Promise<{ now, patients, invalid, beds, availability, dischargeConfidence, blockedBeds }>}
+ *   patients' patient_id is their icu_queue id; availability maps bed_id to
+ *   an ISO time, and dischargeConfidence bed_id to the prediction's
+ *   confidence (0-1), or null when the time isn't from a prediction
+ */
+export async function loadLiveState(now = new Date()) {
+  const [waiting, occupants, bedRows] = await Promise.all([
+    supabase.from("icu_queue").select("*").eq("status", "waiting").then(must),
+    supabase.from("icu_queue").select("*").in("status", OCCUPANT_STATUSES).then(must),
+    supabase.from("icu_beds").select("*").then(must),
+  ]);
+  if (bedRows.length === 0) throw new SchedulingError("No ICU beds found", 404);
+
+  const predictions = await latestPredictions(occupants);
+  const nowMs = now.getTime();
+
+  // Assigned entries point at icu_beds.id; the engine works in bed labels
+  const freeAt = new Map();
+  const confidence = new Map();
+  for (const occupant of occupants) {
+    const bed = bedRows.find((b) => String(b.id) === String(occupant.assigned_bed_id));
+    const label = bed?.bed_id ?? occupant.assigned_bed_label;
+    if (!label) continue;
+
+    const prediction = predictions.get(occupant.id);
+    const leaves = Math.max(nowMs, expectedDischarge(occupant, prediction));
+    if (leaves >= (freeAt.get(label) || 0)) {
+      freeAt.set(label, leaves);
+      confidence.set(label, prediction?.predicted_discharge_date && prediction.confidence != null ? Number(prediction.confidence) : null);
+    }
+  }
+
+  const blockedBeds = [];
+  const plannable = bedRows.filter((bed) => {
+    if (bed.is_available === false && !freeAt.has(bed.bed_id)) {
+      blockedBeds.push({ bed_id: bed.bed_id, reason: "Occupied, but no patient in the ICU queue is assigned to it" });
+      return false;
+    }
+    return true;
+  });
+
+  const beds = normalizeBeds(plannable);
+  const availability = Object.fromEntries(
+    beds.map((bed) => [bed.bed_id, new Date(freeAt.get(bed.bed_id) ?? nowMs).toISOString()])
+  );
+
+  const dischargeConfidence = Object.fromEntries(
+    beds.filter((bed) => freeAt.has(bed.bed_id)).map((bed) => [bed.bed_id, confidence.get(bed.bed_id)])
+  );
+
+  const { patients, invalid } = normalizePatients(
+    waiting.map((entry) => ({
+      ...entry,
+      patient_id: entry.id,
+      arrival_time: entry.time || entry.created_at,
+      severity: entry.severity || "Medium",
+    })),
+    { defaultStayDays: SCHEDULING.DEFAULT_STAY_DAYS }
+  );
+
+  return { now, patients, invalid, beds, availability, dischargeConfidence, blockedBeds };
+}
@@ -0,0 +1,74 @@
+/**
+ * The lock-in window of rolling-horizon scheduling. Admissions in the
+ * committed plan that start within `lockInHours` of now are kept as they
+ * are when the ICU is re-planned, so staff preparing a bed for a patient
+ * aren't told a few hours out that someone else is coming instead. Only
+ * the rest of the queue is planned again.
+ *
+ * A locked admission is released, and its patient planned again, when it
+ * no longer fits: the patient left the queue, the bed is gone, or the bed's
+ * occupant is now expected to stay past the planned start.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @param {Object|null} committedPlan - the current schedule_plans row
+ * @param {Object} live - from loadLiveState()
+ * @param {number} lockInHours
+ * @returns {{ locked, pool, availability, released }} locked admissions as
+ *   they were planned, the patients left to plan, bed availability after
+ *   the locked admissions, and the released ones with a reason
+ */
+export function applyLockIn(committedPlan, { patients, beds, availability, now }, lockInHours) {
+  const result = { locked: [], pool: patients, availability, released: [] };
+  if (!committedPlan || committedPlan.parameters?.source !== "live" || lockInHours <= 0) {
+    return result;
+  }
+
+  const cutoff = now.getTime() + lockInHours * HOUR_MS;
+  const waitingById = new Map(patients.map((patient) => [String(patient.patient_id), patient]));
+  const bedIds = new Set(beds.map((bed) => String(bed.bed_id)));
+  const freeAt = new Map(Object.entries(availability).map(([bedId, time]) => [bedId, new Date(time).getTime()]));
+
+  const candidates = (committedPlan.admissions || [])
+    .filter((admission) => new Date(admission.admission_time).getTime() <= cutoff)
+    .sort((a, b) => new Date(a.admission_time) - new Date(b.admission_time));
+
+  for (const admission of candidates) {
+    const patientId = String(admission.patient_id);
+    const start = new Date(admission.admission_time).getTime();
+
+    if (!waitingById.has(patientId)) {
+      // Admitted or cancelled since; nothing to keep or release
+      continue;
+    }
+    if (!bedIds.has(String(admission.bed_id))) {
+      result.released.push({ patient_id: admission.patient_id, reason: "Bed no longer available for planning" });
+      continue;
+    }
+    // A bed free now takes a patient whose planned start has come
+    if (freeAt.get(String(admission.bed_id)) > Math.max(start, now.getTime())) {
+      result.released.push({ patient_id: admission.patient_id, reason: "Bed not expected to be free in time" });
+      continue;
+    }
+
+    freeAt.set(String(admission.bed_id), new Date(admission.discharge_time).getTime());
+    result.locked.push(admission);
+    waitingById.delete(patientId);
+  }
+
+  result.pool = patients.filter((patient) => waitingById.has(String(patient.patient_id)));
+  result.availability = Object.fromEntries([...freeAt].map(([bedId, time]) => [bedId, new Date(time).toISOString()]));
+  return result;
+}
+
+/** The engine result for the pool with the locked admissions added back */
+export function withLocked(result, locked) {
+  return {
+    ...result,
+    totalWaiting: result.totalWaiting + locked.reduce((sum, admission) => sum + admission.waiting_hours, 0),
+    admittedCount: result.admittedCount + locked.length,
+    admissions: [...locked, ...result.admissions],
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * What a schedule costs. An objective is a set of weights over the plan's
+ * metrics; the score is their weighted sum, lower is better:
+ *
+ *   totalWait        hours waited by every admitted patient
+ *   criticalMaxWait  longest wait of a Critical patient
+ *   emergencyWait    hours waited by emergency patients
+ *   specialtyMisuse  admissions to a ventilator or dialysis bed by a patient
+ *                    who doesn't need it, one per unneeded machine
+ *
+ * Callers pick a preset by name or pass their own weights.
+ */
+
+import { severityRank } from "./rules.js";
+import { APP_CONSTANTS } from "../../config/constants.js";
+import { SchedulingError } from "./errors.js";
+
+const CRITICAL = severityRank("critical");
+
+export const OBJECTIVE_PRESETS = {
+  total_wait: {
+    description: "Least waiting overall, the old optimizer's goal",
+    weights: { totalWait: 1, criticalMaxWait: 0, emergencyWait: 0, specialtyMisuse: 0 },
+  },
+  balanced: {
+    description: "Least waiting overall, without leaving critical or emergency patients behind",
+    weights: { totalWait: 1, criticalMaxWait: 4, emergencyWait: 2, specialtyMisuse: 12 },
+  },
+  critical_first: {
+    description: "Critical and emergency patients in as soon as possible, whatever the others wait",
+    weights: { totalWait: 0.2, criticalMaxWait: 20, emergencyWait: 10, specialtyMisuse: 4 },
+  },
+  bed_stewardship: {
+    description: "Keeps ventilator and dialysis beds for the patients who need them",
+    weights: { totalWait: 1, criticalMaxWait: 2, emergencyWait: 1, specialtyMisuse: 72 },
+  },
+};
+
+const METRICS = Object.keys(OBJECTIVE_PRESETS.balanced.weights);
+
+/**
+ * { name, weights } for a preset name, a weights object (missing metrics
+ * weigh 0) or nothing (the default preset).
+ */
+export function resolveObjective(objective = APP_CONSTANTS.SCHEDULING.DEFAULT_OBJECTIVE) {
+  if (typeof objective === "string") {
+    const preset = OBJECTIVE_PRESETS[objective];
+    if (!preset) {
+      throw new SchedulingError(
+        `Unknown objective "${objective}". Use one of: ${Object.keys(OBJECTIVE_PRESETS).join(", ")}, or an object of weights`
+      );
+    }
+    return { name: objective, weights: { ...preset.weights } };
+  }
+
+  if (!objective || typeof objective !== "object" || Array.isArray(objective)) {
+    throw new SchedulingError("objective must be a preset name or an object of weights");
+  }
+
+  const { name = "custom", ...given } = objective;
+  const weights = Object.fromEntries(METRICS.map((metric) => [metric, 0]));
+  for (const [metric, weight] of Object.entries(given)) {
+    if (!METRICS.includes(metric)) {
+      throw new SchedulingError(`Unknown objective weight "${metric}". Use: ${METRICS.join(", ")}`);
+    }
+    if (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0) {
+      throw new SchedulingError(`Objective weight "${metric}" must be a number of 0 or more`);
+    }
+    weights[metric] = weight;
+  }
+  if (METRICS.every((metric) => weights[metric] === 0)) {
+    throw new SchedulingError("At least one objective weight must be above 0");
+  }
+  return { name: String(name), weights };
+}
+
+export function listObjectives() {
+  return Object.entries(OBJECTIVE_PRESETS).map(([name, { description, weights }]) => ({ name, description, weights }));
+}
+
+/**
+ * Turns engine results into metrics. Built once per run so scoring the
+ * thousands of plans an optimizer tries doesn't look patients and beds up
+ * again each time.
+ */
+export function createScorer(patients, beds, { weights }) {
+  const patientById = new Map(patients.map((patient) => [patient.patient_id, patient]));
+  const bedById = new Map(beds.map((bed) => [bed.bed_id, bed]));
+
+  function measure(result) {
+    const metrics = { totalWait: result.totalWaiting, criticalMaxWait: 0, emergencyWait: 0, specialtyMisuse: 0 };
+
+    for (const admission of result.admissions) {
+      const patient = patientById.get(admission.patient_id);
+      const bed = bedById.get(admission.bed_id);
+
+      if (severityRank(patient.severity) === CRITICAL) {
+        metrics.criticalMaxWait = Math.max(metrics.criticalMaxWait, admission.waiting_hours);
+      }
+      if (patient.is_emergency) {
+        metrics.emergencyWait += admission.waiting_hours;
+      }
+      metrics.specialtyMisuse +=
+        Number(Boolean(bed.ventilator_available) && !patient.ventilator_needed) +
+        Number(Boolean(bed.dialysis_available) && !patient.dialysis_needed);
+    }
+    return metrics;
+  }
+
+  const score = (metrics) => METRICS.reduce((sum, metric) => sum + weights[metric] * metrics[metric], 0);
+
+  return {
+    measure,
+    score,
+    evaluate(result) {
+      const metrics = measure(result);
+      return { metrics, score: score(metrics) };
+    },
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * Versioned schedule plans (supabase/migration_schedule_plans.sql). A run
+ * saves its plan as a draft; admissions only change when a plan is
+ * committed, which is logged with who did it and what it replaced.
+ */
+
+import { supabase } from "../../db/supabaseClient.js";
+import { SchedulingError } from "./errors.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Columns listed when the admissions themselves aren't needed
+const PLAN_SUMMARY_COLUMNS =
+  "id, status, strategy, seed, parameters, metrics, based_on_plan_id, created_by, created_at, committed_by, committed_at";
+
+function must({ data, error }) {
+  if (error) throw new SchedulingError(error.message, 500);
+  return data;
+}
+
+export async function currentPlan() {
+  return must(await supabase.from("schedule_plans").select("*").eq("status", "committed").maybeSingle());
+}
+
+/**
+ * Save a run as a draft plan. `plan` is a summary from runSchedule().
+ *
+ * @param {Object} parameters - what the run was asked for, kept so the plan
+ *   can be reproduced with the same seed
+ */
+export async function savePlan(plan, { parameters, createdBy = null }) {
+  const current = await currentPlan();
+  const { admissions, unscheduledPatients, strategy, seed, ...metrics } = plan;
+
+  return must(
+    await supabase
+      .from("schedule_plans")
+      .insert([
+        {
+          status: "draft",
+          strategy,
+          seed: String(seed),
+          parameters,
+          metrics,
+          admissions,
+          unscheduled: unscheduledPatients,
+          based_on_plan_id: current?.id ?? null,
+          created_by: createdBy,
+        },
+      ])
+      .select(PLAN_SUMMARY_COLUMNS)
+      .single()
+  );
+}
+
+/**
+ * The newest automatic re-plan (rollingPlanner.js) still waiting to replace
+ * the given committed plan, or null.
+ */
+export async function pendingAutomaticDraft(basedOnPlanId) {
+  let query = supabase
+    .from("schedule_plans")
+    .select("*")
+    .eq("status", "draft")
+    .order("created_at", { ascending: false })
+    .limit(20);
+  query = basedOnPlanId ? query.eq("based_on_plan_id", basedOnPlanId) : query.is("based_on_plan_id", null);
+
+  const drafts = must(await query) || [];
+  return drafts.find((draft) => draft.parameters?.automatic) || null;
+}
+
+export async function getPlan(planId) {
+  const plan = must(await supabase.from("schedule_plans").select("*").eq("id", planId).maybeSingle());
+  if (!plan) throw new SchedulingError("Schedule plan not found", 404);
+  return plan;
+}
+
+export async function listPlans({ status, limit = 50 } = {}) {
+  let query = supabase
+    .from("schedule_plans")
+    .select(PLAN_SUMMARY_COLUMNS)
+    .order("created_at", { ascending: false })
+    .limit(Math.min(Number(limit) || 50, 200));
+  if (status) query = query.eq("status", status);
+  return must(await query);
+}
+
+export async function listCommits({ limit = 50 } = {}) {
+  return must(
+    await supabase
+      .from("schedule_plan_commits")
+      .select("*")
+      .order("created_at", { ascending: false })
+      .limit(Math.min(Number(limit) || 50, 200))
+  );
+}
+
+/**
+ * Replace admissions with the plan, in one transaction. A draft made before
+ * another plan was committed is refused (409) unless `force` is set, since
+ * it was planned against beds that have been promised since.
+ */
+export async function commitPlan(planId, { committedBy = null, note = null, force = false } = {}) {
+  const { data, error } = await supabase.rpc("commit_schedule_plan", {
+    p_plan_id: planId,
+    p_committed_by: committedBy,
+    p_note: note,
+    p_force: Boolean(force),
+  });
+  if (error) throw new SchedulingError(error.message, 500);
+  const result = data || {};
+
+  switch (result.outcome) {
+    case "committed":
+    case "already_committed":
+      return { ...result, plan: await getPlan(planId) };
+    case "stale":
+      throw new SchedulingError(
+        "Another plan was committed after this one was made. Run the schedule again, or commit with force to replace it anyway",
+        409
+      );
+    case "not_found":
+      throw new SchedulingError("Schedule plan not found", 404);
+    default:
+      throw new SchedulingError("Could not commit the schedule plan", 500);
+  }
+}
+
+/**
+ * What changes for each patient going from one list of admissions to
+ * another: who is newly scheduled, who drops out, and who moves bed or
+ * start time. Patients whose admission is the same in both are counted.
+ */
+export function diffAdmissions(fromAdmissions, toAdmissions) {
+  const before = new Map(fromAdmissions.map((admission) => [String(admission.patient_id), admission]));
+  const after = new Map(toAdmissions.map((admission) => [String(admission.patient_id), admission]));
+  const slot = ({ bed_id, admission_time, discharge_time, waiting_hours }) => ({
+    bed_id,
+    admission_time,
+    discharge_time,
+    waiting_hours,
+  });
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [patientId, next] of after) {
+    const previous = before.get(patientId);
+    if (!previous) {
+      added.push({ patient_id: next.patient_id, to: slot(next) });
+      continue;
+    }
+
+    const bedChanged = String(previous.bed_id) !== String(next.bed_id);
+    const startShiftHours = (new Date(next.admission_time) - new Date(previous.admission_time)) / HOUR_MS;
+    if (!bedChanged && startShiftHours === 0) {
+      unchanged++;
+      continue;
+    }
+    changed.push({
+      patient_id: next.patient_id,
+      bedChanged,
+      startChanged: startShiftHours !== 0,
+      startShiftHours,
+      from: slot(previous),
+      to: slot(next),
+    });
+  }
+  for (const [patientId, previous] of before) {
+    if (!after.has(patientId)) removed.push({ patient_id: previous.patient_id, from: slot(previous) });
+  }
+
+  const byPatient = (a, b) => String(a.patient_id).localeCompare(String(b.patient_id));
+  return {
+    added: added.sort(byPatient),
+    removed: removed.sort(byPatient),
+    changed: changed.sort(byPatient),
+    unchanged,
+  };
+}
+
+/**
+ * Diff two saved plans. `fromId` may be "current" for the committed plan;
+ * with no plan committed yet, everything in `toId` counts as added.
+ */
+export async function diffPlans(fromId, toId) {
+  const to = await getPlan(toId);
+  const from = fromId === "current" ? await currentPlan() : await getPlan(fromId);
+
+  return {
+    from: from ? { id: from.id, status: from.status, strategy: from.strategy, created_at: from.created_at } : null,
+    to: { id: to.id, status: to.status, strategy: to.strategy, created_at: to.created_at },
+    ...diffAdmissions(from?.admissions || [], to.admissions || []),
+  };
+}
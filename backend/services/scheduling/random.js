@@ -0,0 +1,61 @@
+import crypto from "crypto";
+
+/**
+ * Seeded random numbers, so a scheduling run can be repeated exactly. A seed
+ * may be a number or any string; runs without one get a random seed, which
+ * is returned with the result.
+ */
+
+export function newSeed() {
+  return crypto.randomInt(2 ** 31);
+}
+
+function toUint32(seed) {
+  if (Number.isInteger(Number(seed)) && String(seed).trim() !== "") {
+    return Number(seed) >>> 0;
+  }
+  // FNV-1a hash of the string
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/** mulberry32: a function returning floats in [0, 1) */
+export function createRng(seed) {
+  let state = toUint32(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Standard normal, by Box-Muller */
+export function sampleNormal(rng) {
+  const u = 1 - rng(); // (0, 1], so the log is finite
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+/**
+ * Log-normal with the given median: half the samples fall below it. `sigma`
+ * is the spread of the log; 0 always returns the median.
+ */
+export function sampleLogNormal(rng, median, sigma) {
+  if (median <= 0) return 0;
+  return median * Math.exp(sigma * sampleNormal(rng));
+}
+
+/** Times of a Poisson process with `rate` events per unit, in [0, horizon) */
+export function samplePoissonTimes(rng, rate, horizon) {
+  const times = [];
+  if (rate <= 0) return times;
+  for (let time = -Math.log(1 - rng()) / rate; time < horizon; time += -Math.log(1 - rng()) / rate) {
+    times.push(time);
+  }
+  return times;
+}
@@ -0,0 +1,164 @@
+/**
+ * Keeps the committed ICU plan current. The live queue is re-planned when
+ * a patient joins or leaves the queue, is admitted or discharged, a bed
+ * changes or a discharge prediction is updated (Supabase Realtime on
+ * ROLLING.WATCHED_TABLES), and every INTERVAL_MINUTES regardless, so the
+ * lock-in window moves with the clock and a missed change event is caught.
+ *
+ * A re-plan that changes nobody's bed or start time is dropped. One that
+ * does is saved as a draft marked automatic, based on the committed plan it
+ * would replace, for staff to review and commit like any other plan; a
+ * draft identical to the one already waiting isn't saved again.
+ *
+ * With ROLLING.AUTO_COMMIT on, the draft is committed straight away with an
+ * "Automatic re-plan" note instead. If staff committed a plan in the
+ * meantime the commit is refused as stale and the next re-plan starts from
+ * theirs.
+ */
+
+import { supabase } from "../../db/supabaseClient.js";
+import { APP_CONSTANTS } from "../../config/constants.js";
+import { runSchedule } from "./index.js";
+import { commitPlan } from "./plans.js";
+
+const { DEBOUNCE_SECONDS, INTERVAL_MINUTES, STRATEGY, OBJECTIVE, SEED, WATCHED_TABLES, AUTO_COMMIT } =
+  APP_CONSTANTS.SCHEDULING.ROLLING;
+
+class RollingPlanner {
+  constructor() {
+    this.timer = null;
+    this.debounce = null;
+    this.channel = null;
+    this.running = false;
+    this.pendingReason = null;
+    this.reasons = new Set();
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.replan("scheduled"), INTERVAL_MINUTES * 60 * 1000);
+    this.timer.unref();
+    this.listen();
+    this.replan("startup");
+    console.log(`🛏️ ICU plan re-planned on changes and every ${INTERVAL_MINUTES} min`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.debounce);
+    this.timer = null;
+    this.debounce = null;
+    if (this.channel) {
+      supabase.removeChannel(this.channel);
+      this.channel = null;
+    }
+  }
+
+  listen() {
+    try {
+      let channel = supabase.channel("icu_rolling_plan");
+      for (const table of WATCHED_TABLES) {
+        channel = channel.on("postgres_changes", { event: "*", schema: "public", table }, (payload) => {
+          this.requestReplan(`${payload.table} ${payload.eventType.toLowerCase()}`);
+        });
+      }
+      this.channel = channel.subscribe((status, error) => {
+        if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
+          console.warn(`ICU re-plan listener ${status.toLowerCase()}:`, error?.message || "");
+        }
+      });
+    } catch (error) {
+      // Realtime needs a WebSocket implementation (Node 22+); the interval
+      // still re-plans
+      console.warn("ICU re-plan listener unavailable:", error.message);
+      this.channel = null;
+    }
+  }
+
+  /**
+   * Re-plan soon. Changes within DEBOUNCE_SECONDS of each other, like a
+   * discharge freeing a bed and the next patient being assigned to it,
+   * share one re-plan. Backend code that changes the ICU can call this
+   * directly rather than wait for the change event.
+   */
+  requestReplan(reason) {
+    this.reasons.add(reason);
+    clearTimeout(this.debounce);
+    this.debounce = setTimeout(() => {
+      const reasons = [...this.reasons].join(", ");
+      this.reasons.clear();
+      this.debounce = null;
+      this.replan(reasons);
+    }, DEBOUNCE_SECONDS * 1000);
+    this.debounce.unref();
+  }
+
+  /**
+   * Re-plan the live queue and, if it changed anything, save the draft (or
+   * commit it, with AUTO_COMMIT). A request while a re-plan is running runs
+   * once it finishes.
+   * @returns {Promise<Object|null>} the run, or null if deferred or failed
+   */
+  async replan(reason) {
+    if (this.running) {
+      this.pendingReason = this.pendingReason ? `${this.pendingReason}, ${reason}` : reason;
+      return null;
+    }
+    this.running = true;
+
+    try {
+      const plan = await runSchedule({
+        source: "live",
+        strategy: STRATEGY,
+        objective: OBJECTIVE,
+        seed: SEED,
+        onlyIfChanged: true,
+        automatic: true,
+      });
+
+      let outcome = "unchanged";
+      if (!plan.unchanged) {
+        outcome = "drafted";
+        if (AUTO_COMMIT) {
+          await commitPlan(plan.planId, { note: `Automatic re-plan: ${reason}` });
+          outcome = "committed";
+        }
+      }
+      this.lastRun = {
+        at: new Date().toISOString(),
+        reason,
+        outcome,
+        planId: plan.planId || plan.pendingPlanId || plan.currentPlanId,
+      };
+      return this.lastRun;
+    } catch (error) {
+      console.error(`ICU re-plan (${reason}) failed:`, error.message);
+      this.lastRun = { at: new Date().toISOString(), reason, outcome: "failed", error: error.message };
+      if (error.status === 409) {
+        // Someone committed while this was planning; plan again on top of theirs
+        this.requestReplan("newer plan committed");
+      }
+      return null;
+    } finally {
+      this.running = false;
+      if (this.pendingReason) {
+        const pending = this.pendingReason;
+        this.pendingReason = null;
+        this.replan(pending);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      running: Boolean(this.timer),
+      listening: Boolean(this.channel),
+      autoCommit: AUTO_COMMIT,
+      lastRun: this.lastRun,
+    };
+  }
+}
+
+export default new RollingPlanner();
@@ -0,0 +1,37 @@
+/**
+ * Rules every ICU scheduling strategy and the emergency allocator share:
+ * which beds a patient can use and how urgent a patient is.
+ */
+
+// Severities are stored as "Critical" in patients_new and "critical" in icu_queue
+const SEVERITY_RANK = {
+  critical: 4,
+  high: 3,
+  medium: 2,
+  low: 1,
+};
+
+export function severityRank(severity) {
+  return SEVERITY_RANK[String(severity || "").toLowerCase()] || 0;
+}
+
+/** Whether the bed has the equipment the patient needs */
+export function isCompatible(bed, patient) {
+  return (!patient.ventilator_needed || bed.ventilator_available) && (!patient.dialysis_needed || bed.dialysis_available);
+}
+
+/**
+ * Compatible beds, best first: a bed whose equipment matches the patient's
+ * needs exactly comes before one with equipment the patient doesn't need.
+ */
+export function rankBeds(beds, patient) {
+  const score = (bed) =>
+    Number(Boolean(bed.ventilator_available) === Boolean(patient.ventilator_needed)) +
+    Number(Boolean(bed.dialysis_available) === Boolean(patient.dialysis_needed));
+
+  return beds
+    .filter((bed) => isCompatible(bed, patient))
+    .map((bed, index) => ({ bed, index, score: score(bed) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ bed }) => bed);
+}
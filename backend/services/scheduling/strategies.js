@@ -0,0 +1,190 @@
+/**
+ * Scheduling strategies. Each decides the order patients are admitted in
+ * and runs the shared simulation (engine.js):
+ *
+ *   schedule(patients, beds, { rng, scorer, iterations, timeBudgetMs, availability }) -> result
+ *
+ * The searching strategies return a promise and yield to the event loop
+ * while they search (eventLoop.js); the others return the result itself.
+ * `rng` is seeded, so a strategy that uses randomness gives the same result
+ * for the same seed. Searching strategies try up to `iterations` plans and
+ * keep the one `scorer` (objective.js) rates best; the others ignore all
+ * three.
+ *
+ * getStrategy(name) looks a strategy up for the routes, which take it by
+ * name along with an optional seed, objective and budgets.
+ */
+
+import { APP_CONSTANTS } from "../../config/constants.js";
+import { severityRank } from "./rules.js";
+import { newSeed } from "./random.js";
+import { simulate, createState, earliestBed, admit, summarize } from "./engine.js";
+import { anneal } from "./annealing.js";
+import { createYielder } from "./eventLoop.js";
+import { SchedulingError } from "./errors.js";
+
+export { SchedulingError };
+
+const { SCHEDULING } = APP_CONSTANTS;
+
+export function listStrategies() {
+  return Object.entries(STRATEGIES).map(([name, { description, randomized, budget }]) => ({
+    name,
+    description,
+    randomized,
+    ...(budget && { defaultIterations: budget.iterations, maxIterations: budget.maxIterations }),
+  }));
+}
+
+export function getStrategy(name = SCHEDULING.DEFAULT_STRATEGY) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    throw new SchedulingError(`Unknown scheduling strategy "${name}". Use one of: ${Object.keys(STRATEGIES).join(", ")}`);
+  }
+  return strategy;
+}
+
+export function resolveIterations(iterations, fallback, max = SCHEDULING.MAX_ITERATIONS) {
+  if (iterations === undefined || iterations === null) return fallback;
+
+  const count = Number(iterations);
+  if (!Number.isInteger(count) || count < 1 || count > max) {
+    throw new SchedulingError(`iterations must be a whole number from 1 to ${max}`);
+  }
+  return count;
+}
+
+export function resolveTimeBudget(timeBudgetMs) {
+  const { TIME_BUDGET_MS, MAX_TIME_BUDGET_MS } = SCHEDULING.ANNEALING;
+  if (timeBudgetMs === undefined || timeBudgetMs === null) return TIME_BUDGET_MS;
+
+  const ms = Number(timeBudgetMs);
+  if (!Number.isInteger(ms) || ms < 1 || ms > MAX_TIME_BUDGET_MS) {
+    throw new SchedulingError(`timeBudgetMs must be a whole number from 1 to ${MAX_TIME_BUDGET_MS}`);
+  }
+  return ms;
+}
+
+// Whether the caller chose the seed, to repeat an earlier run
+export function hasSeed(seed) {
+  return seed !== undefined && seed !== null && seed !== "";
+}
+
+export function resolveSeed(seed) {
+  if (!hasSeed(seed)) return newSeed();
+  if (typeof seed !== "number" && typeof seed !== "string") {
+    throw new SchedulingError("seed must be a number or a string");
+  }
+  return seed;
+}
+
+const byArrival = (a, b) => a.arrival - b.arrival || String(a.patient_id).localeCompare(String(b.patient_id));
+
+const byPriority = (a, b) =>
+  Number(b.is_emergency) - Number(a.is_emergency) ||
+  severityRank(b.severity) - severityRank(a.severity) ||
+  byArrival(a, b);
+
+// Random-key weights: urgency sets the rough order, the random part lets
+// patients of similar urgency swap places
+const RANDOM_KEY_WEIGHTS = { random: 0.4, emergency: 0.3, severity: 0.1 };
+
+function fcfs(patients, beds, { availability }) {
+  return simulate([...patients].sort(byArrival), beds, { availability });
+}
+
+function severityPriority(patients, beds, { availability }) {
+  return simulate([...patients].sort(byPriority), beds, { availability });
+}
+
+async function randomKey(patients, beds, { rng, scorer, iterations, availability }) {
+  let best = null;
+  let bestScore = Infinity;
+  const yieldToOthers = createYielder();
+  for (let run = 0; run < iterations; run++) {
+    await yieldToOthers();
+    const keyed = patients.map((patient) => ({
+      patient,
+      key:
+        rng() * RANDOM_KEY_WEIGHTS.random +
+        (patient.is_emergency ? RANDOM_KEY_WEIGHTS.emergency : 0) +
+        severityRank(patient.severity) * RANDOM_KEY_WEIGHTS.severity,
+    }));
+    keyed.sort((a, b) => b.key - a.key);
+
+    const result = simulate(keyed.map(({ patient }) => patient), beds, { availability });
+    const { score } = scorer.evaluate(result);
+    if (!best || score < bestScore) {
+      best = result;
+      bestScore = score;
+    }
+  }
+  return { ...best, runs: iterations };
+}
+
+function annealing(patients, beds, { rng, scorer, iterations, timeBudgetMs, availability }) {
+  return anneal([...patients].sort(byPriority), beds, { rng, scorer, iterations, timeBudgetMs, availability });
+}
+
+// Admit next whichever patient can start soonest, the more urgent first on
+// a tie. Keeps beds busy rather than holding them for a sicker patient
+// who arrives later.
+function earliestFit(patients, beds, { availability }) {
+  const state = createState(beds, availability);
+  const remaining = [...patients].sort(byPriority);
+
+  while (remaining.length > 0) {
+    let next = null;
+    for (let index = 0; index < remaining.length; index++) {
+      const choice = earliestBed(state, remaining[index]);
+      if (!choice) continue;
+      if (!next || choice.start < next.choice.start) {
+        next = { index, choice };
+      }
+    }
+
+    if (!next) {
+      for (const patient of remaining) {
+        state.unscheduled.push({ patient_id: patient.patient_id, reason: "No compatible bed" });
+      }
+      break;
+    }
+    const [patient] = remaining.splice(next.index, 1);
+    admit(state, patient, next.choice);
+  }
+  return summarize(state);
+}
+
+export const STRATEGIES = {
+  fcfs: {
+    description: "First come, first served: patients in arrival order",
+    randomized: false,
+    schedule: fcfs,
+  },
+  severity_priority: {
+    description: "Emergencies first, then by severity, then by arrival",
+    randomized: false,
+    schedule: severityPriority,
+  },
+  random_key: {
+    description: "Random orders weighted towards urgent patients; keeps the one the objective scores best",
+    randomized: true,
+    budget: { iterations: SCHEDULING.RANDOM_KEY_ITERATIONS, maxIterations: SCHEDULING.MAX_ITERATIONS },
+    schedule: randomKey,
+  },
+  annealing: {
+    description: "Simulated annealing: swaps patients in the severity-priority order to improve the objective",
+    randomized: true,
+    budget: {
+      iterations: SCHEDULING.ANNEALING.ITERATIONS,
+      maxIterations: SCHEDULING.ANNEALING.MAX_ITERATIONS,
+      timed: true,
+    },
+    schedule: annealing,
+  },
+  earliest_fit: {
+    description: "Whoever can be admitted soonest goes next, the more urgent first on a tie",
+    randomized: false,
+    schedule: earliestFit,
+  },
+};
@@ -0,0 +1,225 @@
+/**
+ * How long patients in the ICU queue are likely to wait for a bed, by Monte
+ * Carlo simulation of the live ICU state the scheduler uses (input.js). Each
+ * run samples one possible future and plans the queue in it:
+ *
+ * - every stay, of the patients in a bed now and of those waiting, is
+ *   log-normal around its prediction, and wider the less confident the
+ *   discharge prediction behind it (discharge_predictions.confidence);
+ * - emergency patients not in the queue yet arrive as a Poisson process and
+ *   compete for the same beds;
+ * - admissions locked in the committed plan keep their bed, but start late
+ *   if the bed's occupant stays longer than predicted.
+ *
+ * A patient's wait is read off every run and reported as percentiles. Runs
+ * share one seeded rng, so a prediction can be reproduced from its seed, as
+ * long as it finished its runs within PREDICTION.TIME_BUDGET_MS.
+ */
+
+import { APP_CONSTANTS } from "../../config/constants.js";
+import { createRng, sampleLogNormal, samplePoissonTimes } from "./random.js";
+import { SchedulingError, getStrategy, resolveIterations, resolveSeed } from "./strategies.js";
+import { resolveObjective, createScorer } from "./objective.js";
+import { loadInput } from "./input.js";
+import { createYielder } from "./eventLoop.js";
+
+const { SCHEDULING } = APP_CONSTANTS;
+const { PREDICTION } = SCHEDULING;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function confidenceFor(stdDeviation) {
+  if (stdDeviation < 2) return "high";
+  if (stdDeviation > 6) return "low";
+  return "medium";
+}
+
+export function resolveArrivalRate(arrivalsPerDay) {
+  if (arrivalsPerDay === undefined || arrivalsPerDay === null) return PREDICTION.EMERGENCY_ARRIVALS_PER_DAY;
+
+  const rate = Number(arrivalsPerDay);
+  if (!Number.isFinite(rate) || rate < 0 || rate > PREDICTION.MAX_EMERGENCY_ARRIVALS_PER_DAY) {
+    throw new SchedulingError(
+      `arrivalsPerDay must be a number from 0 to ${PREDICTION.MAX_EMERGENCY_ARRIVALS_PER_DAY}`
+    );
+  }
+  return rate;
+}
+
+// Spread of the log of a stay predicted with this confidence (0-1)
+function spreadFor(confidence) {
+  const { MIN, MAX } = PREDICTION.STAY_SPREAD;
+  const value = Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : PREDICTION.DEFAULT_CONFIDENCE;
+  return MAX - (MAX - MIN) * value;
+}
+
+// When each bed frees up in this run. A free bed stays free now; an occupied
+// one when its occupant's sampled remaining stay ends.
+function sampleOccupancy(rng, { beds, occupiedUntil, dischargeConfidence }, nowMs) {
+  return Object.fromEntries(
+    beds.map((bed) => {
+      if (!(bed.bed_id in dischargeConfidence)) return [bed.bed_id, nowMs];
+
+      const remaining = new Date(occupiedUntil[bed.bed_id]).getTime() - nowMs;
+      return [bed.bed_id, nowMs + sampleLogNormal(rng, remaining, spreadFor(dischargeConfidence[bed.bed_id]))];
+    })
+  );
+}
+
+// Locked admissions, in planned order, each starting when planned or once
+// its bed is free. Moves `freeAt` on past them and returns their waits.
+function admitLocked(rng, locked, freeAt) {
+  const waits = new Map();
+  for (const admission of locked) {
+    const planned = new Date(admission.admission_time).getTime();
+    const start = Math.max(planned, freeAt[admission.bed_id]);
+    const stay = sampleLogNormal(rng, new Date(admission.discharge_time).getTime() - planned, spreadFor());
+
+    freeAt[admission.bed_id] = start + stay;
+    waits.set(String(admission.patient_id), admission.waiting_hours + Math.floor((start - planned) / HOUR_MS));
+  }
+  return waits;
+}
+
+function sampleStays(rng, patients) {
+  return patients.map((patient) => ({
+    ...patient,
+    predicted_stay_days: sampleLogNormal(rng, patient.predicted_stay_days, spreadFor()),
+  }));
+}
+
+function sampleEmergencies(rng, arrivalsPerDay, nowMs) {
+  return samplePoissonTimes(rng, arrivalsPerDay / 24, PREDICTION.HORIZON_HOURS).map((hours, index) => ({
+    patient_id: `emergency-${index + 1}`,
+    arrival: nowMs + hours * HOUR_MS,
+    severity: PREDICTION.EMERGENCY_SEVERITY,
+    is_emergency: true,
+    ventilator_needed: false,
+    dialysis_needed: false,
+    predicted_stay_days: sampleLogNormal(rng, SCHEDULING.DEFAULT_STAY_DAYS, spreadFor()),
+  }));
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function summarizeWaits(patient, waits, { position, locked }) {
+  const base = {
+    patient_token: patient.patient_token,
+    patient_id: patient.patient_id,
+    queue_position: position,
+    locked,
+    scheduled_runs: waits.length,
+  };
+  if (waits.length === 0) {
+    return { ...base, unschedulable: true, reason: "No compatible bed in any simulated run" };
+  }
+
+  const sorted = [...waits].sort((a, b) => a - b);
+  const average = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+  const variance = sorted.reduce((sum, value) => sum + (value - average) ** 2, 0) / sorted.length;
+  const percentiles = Object.fromEntries(PREDICTION.PERCENTILES.map((p) => [`p${p}`, percentile(sorted, p)]));
+
+  return {
+    ...base,
+    estimated_wait_hours: percentile(sorted, 50),
+    percentiles,
+    best_case_hours: sorted[0],
+    worst_case_hours: sorted[sorted.length - 1],
+    confidence: confidenceFor(Math.sqrt(variance)),
+  };
+}
+
+/**
+ * Predicted waits for everyone in the ICU queue, in arrival order.
+ * A patient's estimated_wait_hours is the median; `percentiles` has P50,
+ * P80 and P95 (PREDICTION.PERCENTILES).
+ *
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - simulated runs
+ * @param {string} [options.strategy] - how each run orders the queue;
+ *   defaults to earliest fit, which doesn't hold beds for emergencies that
+ *   haven't arrived
+ * @param {number|string} [options.seed] - reproduces an earlier prediction
+ * @param {number} [options.arrivalsPerDay] - emergency arrival rate
+ */
+export async function predictQueueWaitTimes({
+  iterations,
+  strategy: name = PREDICTION.STRATEGY,
+  seed,
+  arrivalsPerDay,
+} = {}) {
+  const strategy = getStrategy(name);
+  const runSeed = resolveSeed(seed);
+  const runs = resolveIterations(iterations, PREDICTION.ITERATIONS);
+  const arrivalRate = resolveArrivalRate(arrivalsPerDay);
+
+  const input = await loadInput({ source: "live" });
+  const { patients, lockedPatients, locked, beds } = input;
+  const queue = [...patients, ...lockedPatients].sort((a, b) => a.arrival - b.arrival);
+  if (queue.length === 0) throw new SchedulingError("No patients in queue", 404);
+  if (beds.length === 0) throw new SchedulingError("No ICU beds available", 404);
+
+  const nowMs = new Date(input.horizonStart).getTime();
+  const objective = resolveObjective();
+  const rng = createRng(runSeed);
+  const waits = new Map(queue.map((patient) => [String(patient.patient_id), []]));
+
+  const started = Date.now();
+  const yieldToOthers = createYielder();
+  let completed = 0;
+  while (completed < runs && (completed === 0 || Date.now() - started < PREDICTION.TIME_BUDGET_MS)) {
+    await yieldToOthers();
+    const availability = sampleOccupancy(rng, input, nowMs);
+    for (const [patientId, wait] of admitLocked(rng, locked, availability)) {
+      waits.get(patientId)?.push(wait);
+    }
+
+    const pool = [...sampleStays(rng, patients), ...sampleEmergencies(rng, arrivalRate, nowMs)];
+    const scorer = createScorer(pool, beds, objective);
+    const result = await strategy.schedule(pool, beds, { rng, scorer, iterations: 1, timeBudgetMs: Infinity, availability });
+    for (const admission of result.admissions) {
+      waits.get(String(admission.patient_id))?.push(admission.waiting_hours);
+    }
+    completed++;
+  }
+
+  const lockedIds = new Set(locked.map((admission) => String(admission.patient_id)));
+  return {
+    horizon_start: input.horizonStart,
+    total_queue_length: queue.length,
+    simulation_runs: completed,
+    stopped_by: completed < runs ? "time_budget" : "runs",
+    emergency_arrivals_per_day: arrivalRate,
+    strategy: name,
+    seed: runSeed,
+    patients: queue.map((patient, index) =>
+      summarizeWaits(patient, waits.get(String(patient.patient_id)), {
+        position: index + 1,
+        locked: lockedIds.has(String(patient.patient_id)),
+      })
+    ),
+  };
+}
+
+/**
+ * One patient's predicted wait, from a prediction for the whole queue.
+ *
+ * @param {string} patientToken - the icu_queue patient_token
+ * @param {Object} [options] - as for predictQueueWaitTimes()
+ */
+export async function predictQueueWaitTime(patientToken, options = {}) {
+  const { patients, ...prediction } = await predictQueueWaitTimes(options);
+
+  const patient = patients.find((entry) => entry.patient_token === patientToken);
+  if (!patient) {
+    throw new SchedulingError(`Patient with token ${patientToken} not found in queue`, 404);
+  }
+  if (patient.unschedulable) {
+    throw new SchedulingError("Could not schedule patient - no compatible beds available", 422);
+  }
+
+  return { ...patient, ...prediction };
+}
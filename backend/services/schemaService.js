@@ -1,88 +1,271 @@
 /**
  * Service to provide database schema context to Gemini
+ *
+ * The chatbot's system prompt is rendered from the live schema catalog
+ * (columns, types, enum check constraints, foreign keys) combined with the
+ * table descriptions in config/chatbotSchema.js, so tables added by new
+ * migrations become queryable without editing the prompt by hand.
  */
 
+import crypto from "crypto";
+import dotenv from "dotenv";
 import { supabase } from "../db/supabaseClient.js";
+import { CHATBOT_SCHEMA } from "../config/chatbotSchema.js";
+
+dotenv.config();
 
 class SchemaService {
   constructor() {
-    this.schemaCache = null;
-    this.cacheTimestamp = null;
-    this.CACHE_DURATION = 3600000; // 1 hour
+    this.catalog = null;
+    this.source = null;
+    this.version = null;
+    this.loadedAt = null;
+    this.promptCache = null;
   }
 
-  async getFormattedSchema() {
-    // Return cached schema if valid
-    if (
-      this.schemaCache &&
-      this.cacheTimestamp &&
-      Date.now() - this.cacheTimestamp < this.CACHE_DURATION
-    ) {
-      return this.schemaCache;
+  /**
+   * Load the catalog and render the prompt. Called once at startup; the
+   * chatbot falls back to the configured table descriptions until it
+   * succeeds.
+   */
+  async initialize() {
+    try {
+      await this.refresh();
+      console.log(
+        `📚 Chatbot schema loaded from ${this.source}: ${this.getQueryableTables().length} tables (version ${this.version})`
+      );
+      return true;
+    } catch (error) {
+      console.error("Error loading schema catalog:", error.message);
+      console.warn("   Chatbot prompt will use configured table descriptions only");
+      return false;
     }
+  }
 
+  async refresh() {
+    let tables;
     try {
-      const tables = [
-        "patients",
-        "user_profiles",
-        "appointments",
-        "opd_queue",
-        "bed_queue",
-        "admissions",
-        "beds",
-        "daily_rounds",
-        "medical_reports",
-        "discharge_predictions",
-        "patients_new",
-        "icu_beds",
-      ];
-
-      const schemaInfo = [];
-
-      for (const table of tables) {
-        const { data, error } = await supabase.from(table).select("*").limit(1);
-
-        if (error) continue;
-
-        if (data && data.length > 0) {
-          const columns = Object.keys(data[0]).map((col) => ({
-            name: col,
-            type: typeof data[0][col],
-            sample: data[0][col],
-          }));
-
-          schemaInfo.push({ table, columns });
+      tables = await this.loadFromCatalogFunction();
+      this.source = "catalog";
+    } catch (error) {
+      console.warn("get_schema_catalog() unavailable, reading the REST schema instead:", error.message);
+      tables = await this.loadFromOpenApi();
+      this.source = "openapi";
+    }
+
+    this.catalog = tables;
+    this.version = crypto
+      .createHash("sha1")
+      .update(JSON.stringify(tables))
+      .digest("hex")
+      .slice(0, 12);
+    this.loadedAt = new Date().toISOString();
+    this.promptCache = null;
+  }
+
+  /**
+   * Preferred source: the get_schema_catalog() RPC from
+   * supabase/migration_schema_catalog.sql.
+   */
+  async loadFromCatalogFunction() {
+    const { data, error } = await supabase.rpc("get_schema_catalog");
+    if (error) throw new Error(error.message);
+
+    const tables = {};
+    for (const entry of data || []) {
+      const enums = this.parseEnumChecks(entry.checks || []);
+      tables[entry.name] = {
+        columns: (entry.columns || []).map((column) => ({
+          name: column.name,
+          type: column.type,
+          nullable: column.nullable,
+          enum: enums[column.name] || null,
+        })),
+        foreignKeys: (entry.foreign_keys || []).map((fk) => ({
+          column: fk.column,
+          table: fk.references_schema === "public"
+            ? fk.references_table
+            : `${fk.references_schema}.${fk.references_table}`,
+          references: fk.references_column,
+        })),
+      };
+    }
+    return tables;
+  }
+
+  /**
+   * Fallback source: PostgREST's OpenAPI description. It lists columns,
+   * types and foreign keys, but not check constraints.
+   */
+  async loadFromOpenApi() {
+    const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/`, {
+      headers: {
+        apikey: process.env.SUPABASE_ANON_KEY,
+        Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      },
+    });
+    if (!response.ok) {
+      throw new Error(`REST schema request failed with status ${response.status}`);
+    }
+
+    const spec = await response.json();
+    const tables = {};
+    for (const [name, definition] of Object.entries(spec.definitions || {})) {
+      const required = new Set(definition.required || []);
+      const columns = [];
+      const foreignKeys = [];
+
+      for (const [column, property] of Object.entries(definition.properties || {})) {
+        columns.push({
+          name: column,
+          type: property.format || property.type,
+          nullable: !required.has(column),
+          enum: property.enum || null,
+        });
+
+        const fk = property.description?.match(/<fk table='([^']+)' column='([^']+)'\/>/);
+        if (fk) {
+          foreignKeys.push({ column, table: fk[1], references: fk[2] });
         }
       }
 
-      const formattedSchema = this.formatSchemaForAI(schemaInfo);
-      this.schemaCache = formattedSchema;
-      this.cacheTimestamp = Date.now();
+      tables[name] = { columns, foreignKeys };
+    }
+    return tables;
+  }
+
+  /**
+   * Extract allowed values from check constraints such as
+   * CHECK ((status = ANY (ARRAY['waiting'::text, 'called'::text])))
+   */
+  parseEnumChecks(checks) {
+    const enums = {};
+    for (const check of checks) {
+      const match = check.match(/\(?\s*"?(\w+)"?\s*=\s*ANY\s*\(\s*(?:\()?ARRAY\[(.*?)\]/i);
+      if (!match) continue;
 
-      return formattedSchema;
-    } catch (error) {
-      console.error("Error fetching schema:", error);
-      return "Database schema unavailable";
+      const values = [...match[2].matchAll(/'((?:[^']|'')*)'/g)].map((m) => m[1].replace(/''/g, "'"));
+      if (values.length > 0) {
+        enums[match[1]] = values;
+      }
+    }
+    return enums;
+  }
+
+  /**
+   * Tables the chatbot may query: everything in the catalog that is not
+   * hidden, or the configured tables when the catalog has not loaded.
+   */
+  getQueryableTables() {
+    const names = this.catalog
+      ? Object.keys(this.catalog)
+      : Object.keys(CHATBOT_SCHEMA.TABLES);
+    return names.filter((name) => !CHATBOT_SCHEMA.HIDDEN_TABLES.includes(name)).sort();
+  }
+
+  getTable(name) {
+    return this.catalog?.[name] || null;
+  }
+
+  /**
+   * Row-scoping rule for a table without an explicit access policy: scope
+   * by its token/doctor columns, or through the parent tables that have one.
+   */
+  inferAccessRule(name, policyTables = {}) {
+    const table = this.getTable(name);
+    if (!table || CHATBOT_SCHEMA.HIDDEN_TABLES.includes(name)) return null;
+
+    const columns = table.columns.map((c) => c.name);
+    const token = CHATBOT_SCHEMA.TOKEN_COLUMNS.find((c) => columns.includes(c));
+    const doctor = columns.includes("doctor_id") ? "doctor_id" : null;
+    if (token || doctor) {
+      return { token, doctor };
     }
+
+    const parents = table.foreignKeys.filter((fk) => {
+      const rule = policyTables[fk.table];
+      return rule && (rule.token || rule.doctor);
+    });
+    if (parents.length > 0) {
+      return { via: parents.map((fk) => ({ table: fk.table, column: fk.column, references: fk.references })) };
+    }
+
+    return null;
   }
 
-  formatSchemaForAI(schemaInfo) {
-    let formatted = "Database Schema:\n\n";
+  inferPiiColumns(name) {
+    const table = this.getTable(name);
+    if (!table) return [];
+    return table.columns
+      .map((c) => c.name)
+      .filter((c) => CHATBOT_SCHEMA.PII_COLUMN_NAMES.includes(c));
+  }
 
-    schemaInfo.forEach((table) => {
-      formatted += `Table: ${table.table}\nColumns:\n`;
-      table.columns.forEach((col) => {
-        formatted += `  - ${col.name} (${col.type})\n`;
+  getSystemPrompt() {
+    if (!this.promptCache) {
+      this.promptCache = this.renderPrompt();
+    }
+    return this.promptCache;
+  }
+
+  renderPrompt() {
+    let prompt = `${CHATBOT_SCHEMA.INTRO}\n\nAvailable tables and their columns:\n`;
+
+    this.getQueryableTables().forEach((name, index) => {
+      const docs = CHATBOT_SCHEMA.TABLES[name] || {};
+      const table = this.getTable(name);
+
+      prompt += `\n${index + 1}. ${name}${docs.description ? ` - ${docs.description}` : ""}\n`;
+
+      if (table) {
+        const foreignKeys = Object.fromEntries(table.foreignKeys.map((fk) => [fk.column, fk]));
+        prompt += "   Columns:\n";
+        table.columns.forEach((column) => {
+          let line = `   - ${column.name} (${column.type})`;
+          if (column.enum) {
+            line += ` one of: ${column.enum.map((v) => `'${v}'`).join(", ")}`;
+          }
+          if (foreignKeys[column.name]) {
+            const fk = foreignKeys[column.name];
+            line += ` -> ${fk.table}.${fk.references}`;
+          }
+          prompt += `${line}\n`;
+        });
+      }
+
+      (docs.hints || []).forEach((hint) => {
+        prompt += `   Note: ${hint}\n`;
       });
-      formatted += "\n";
     });
 
-    return formatted;
+    prompt += "\nIMPORTANT RULES:\n";
+    CHATBOT_SCHEMA.RULES.forEach((rule, index) => {
+      prompt += `${index + 1}. ${rule}\n`;
+    });
+
+    prompt += "\nExamples:\n";
+    CHATBOT_SCHEMA.EXAMPLES.forEach((example) => {
+      prompt += `User: "${example.question}"\nSQL: ${example.sql}\n\n`;
+    });
+
+    return prompt.trimEnd();
+  }
+
+  getStatus() {
+    return {
+      source: this.source || "config",
+      version: this.version,
+      loadedAt: this.loadedAt,
+      tables: this.getQueryableTables(),
+    };
   }
 
   clearCache() {
-    this.schemaCache = null;
-    this.cacheTimestamp = null;
+    this.catalog = null;
+    this.source = null;
+    this.version = null;
+    this.loadedAt = null;
+    this.promptCache = null;
   }
 }
 
@@ -0,0 +1,687 @@
+/**
+ * Parser for the SQL subset the chatbot is allowed to run.
+ *
+ * Gemini's SQL is turned into an AST here and compiled onto the Supabase
+ * query builder by queryPlanner.js. Anything outside the grammar below is
+ * rejected with an UnsupportedQueryError instead of being silently dropped:
+ *
+ *   SELECT [DISTINCT] select_item, ...
+ *   FROM table [[AS] alias]
+ *   [[INNER | LEFT] JOIN table [[AS] alias] ON col = col] ...
+ *   [WHERE condition]
+ *   [GROUP BY col, ...]
+ *   [ORDER BY (col | alias | aggregate) [ASC | DESC] [NULLS FIRST | LAST], ...]
+ *   [LIMIT n] [OFFSET n] [;]
+ */
+
+export class UnsupportedQueryError extends Error {
+  constructor(message, clause = null) {
+    super(message);
+    this.name = "UnsupportedQueryError";
+    this.status = 422;
+    this.clause = clause;
+  }
+}
+
+const KEYWORDS = new Set([
+  "SELECT", "DISTINCT", "FROM", "AS", "JOIN", "INNER", "LEFT", "OUTER", "ON",
+  "WHERE", "AND", "OR", "NOT", "IN", "IS", "NULL", "BETWEEN", "LIKE", "ILIKE",
+  "TRUE", "FALSE", "GROUP", "BY", "ORDER", "ASC", "DESC", "NULLS", "FIRST",
+  "LAST", "LIMIT", "OFFSET", "INTERVAL", "CURRENT_DATE", "CURRENT_TIMESTAMP",
+]);
+
+// Clauses we recognise but deliberately do not run, so the error can name them
+const REJECTED_KEYWORDS = new Set([
+  "INSERT", "UPDATE", "DELETE", "DROP", "ALTER", "CREATE", "TRUNCATE", "GRANT",
+  "REVOKE", "WITH", "UNION", "INTERSECT", "EXCEPT", "HAVING", "RIGHT", "FULL",
+  "CROSS", "NATURAL", "USING", "CASE", "EXISTS", "WINDOW", "OVER", "RETURNING",
+  "INTO", "FETCH", "FOR",
+]);
+
+const AGGREGATES = new Set(["COUNT", "SUM", "AVG", "MIN", "MAX"]);
+const COMPARISON_OPERATORS = new Set(["=", "!=", "<>", "<", ">", "<=", ">="]);
+const INTERVAL_UNITS = {
+  minute: "minute", minutes: "minute",
+  hour: "hour", hours: "hour",
+  day: "day", days: "day",
+  week: "week", weeks: "week",
+  month: "month", months: "month",
+  year: "year", years: "year",
+};
+
+/**
+ * Split a SQL string into tokens: identifiers/keywords, strings, numbers and
+ * punctuation. Comments are refused rather than stripped.
+ */
+export function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (sql.startsWith("--", i) || sql.startsWith("/*", i)) {
+      throw new UnsupportedQueryError("SQL comments are not supported", "comment");
+    }
+
+    if (char === "'") {
+      let value = "";
+      i++;
+      while (true) {
+        if (i >= sql.length) {
+          throw new UnsupportedQueryError("Unterminated string literal");
+        }
+        if (sql[i] === "'") {
+          if (sql[i + 1] === "'") {
+            value += "'";
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += sql[i++];
+      }
+      tokens.push({ type: "string", value });
+      continue;
+    }
+
+    if (char === '"') {
+      const end = sql.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new UnsupportedQueryError("Unterminated quoted identifier");
+      }
+      tokens.push({ type: "identifier", value: sql.slice(i + 1, end), quoted: true });
+      i = end + 1;
+      continue;
+    }
+
+    if (/[0-9]/.test(char)) {
+      const match = sql.slice(i).match(/^[0-9]+(\.[0-9]+)?/);
+      tokens.push({ type: "number", value: Number(match[0]) });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = sql.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      const word = match[0];
+      const upper = word.toUpperCase();
+      if (KEYWORDS.has(upper) || REJECTED_KEYWORDS.has(upper)) {
+        tokens.push({ type: "keyword", value: upper });
+      } else {
+        tokens.push({ type: "identifier", value: word });
+      }
+      i += word.length;
+      continue;
+    }
+
+    const twoChar = sql.slice(i, i + 2);
+    if (["!=", "<>", "<=", ">="].includes(twoChar)) {
+      tokens.push({ type: "operator", value: twoChar });
+      i += 2;
+      continue;
+    }
+
+    if ("=<>".includes(char)) {
+      tokens.push({ type: "operator", value: char });
+      i++;
+      continue;
+    }
+
+    if ("(),.*;+-".includes(char)) {
+      tokens.push({ type: "punctuation", value: char });
+      i++;
+      continue;
+    }
+
+    throw new UnsupportedQueryError(`Unexpected character '${char}' in SQL`);
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset] || null;
+  }
+
+  next() {
+    return this.tokens[this.position++] || null;
+  }
+
+  isKeyword(value, offset = 0) {
+    const token = this.peek(offset);
+    return Boolean(token && token.type === "keyword" && token.value === value);
+  }
+
+  isPunctuation(value, offset = 0) {
+    const token = this.peek(offset);
+    return Boolean(token && token.type === "punctuation" && token.value === value);
+  }
+
+  acceptKeyword(value) {
+    if (this.isKeyword(value)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  acceptPunctuation(value) {
+    if (this.isPunctuation(value)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expectKeyword(value) {
+    if (!this.acceptKeyword(value)) {
+      throw this.unexpected(`Expected ${value}`);
+    }
+  }
+
+  expectPunctuation(value) {
+    if (!this.acceptPunctuation(value)) {
+      throw this.unexpected(`Expected '${value}'`);
+    }
+  }
+
+  unexpected(message) {
+    const token = this.peek();
+    if (!token) {
+      return new UnsupportedQueryError(`${message} but the query ended`);
+    }
+    if (token.type === "keyword" && REJECTED_KEYWORDS.has(token.value)) {
+      return new UnsupportedQueryError(
+        `${token.value} is not supported by the chatbot query engine`,
+        token.value
+      );
+    }
+    const shown = token.type === "string" ? `'${token.value}'` : token.value;
+    return new UnsupportedQueryError(`${message}, found ${shown}`);
+  }
+
+  parseIdentifier() {
+    const token = this.peek();
+    if (token && token.type === "identifier") {
+      this.position++;
+      return token.value;
+    }
+    throw this.unexpected("Expected an identifier");
+  }
+
+  parseStatement() {
+    if (!this.isKeyword("SELECT")) {
+      throw this.unexpected("Only SELECT statements are supported");
+    }
+    this.position++;
+
+    const statement = {
+      type: "select",
+      distinct: this.acceptKeyword("DISTINCT"),
+      columns: this.parseSelectList(),
+      from: null,
+      joins: [],
+      where: null,
+      groupBy: [],
+      orderBy: [],
+      limit: null,
+      offset: null,
+    };
+
+    this.expectKeyword("FROM");
+    statement.from = this.parseTableReference();
+
+    while (this.isKeyword("JOIN") || this.isKeyword("INNER") || this.isKeyword("LEFT")) {
+      statement.joins.push(this.parseJoin());
+    }
+
+    if (this.acceptKeyword("WHERE")) {
+      statement.where = this.parseOr();
+    }
+
+    if (this.acceptKeyword("GROUP")) {
+      this.expectKeyword("BY");
+      do {
+        statement.groupBy.push(this.parseColumnReference());
+      } while (this.acceptPunctuation(","));
+    }
+
+    if (this.acceptKeyword("ORDER")) {
+      this.expectKeyword("BY");
+      do {
+        statement.orderBy.push(this.parseOrderItem());
+      } while (this.acceptPunctuation(","));
+    }
+
+    if (this.acceptKeyword("LIMIT")) {
+      statement.limit = this.parseNonNegativeInteger("LIMIT");
+    }
+
+    if (this.acceptKeyword("OFFSET")) {
+      statement.offset = this.parseNonNegativeInteger("OFFSET");
+    }
+
+    this.acceptPunctuation(";");
+
+    if (this.peek()) {
+      throw this.unexpected("Unsupported clause");
+    }
+
+    return statement;
+  }
+
+  parseSelectList() {
+    const columns = [];
+    do {
+      columns.push(this.parseSelectItem());
+    } while (this.acceptPunctuation(","));
+    return columns;
+  }
+
+  parseSelectItem() {
+    if (this.acceptPunctuation("*")) {
+      return { type: "star", table: null };
+    }
+
+    const token = this.peek();
+    if (token && token.type === "identifier" && this.isPunctuation(".", 1) && this.isPunctuation("*", 2)) {
+      this.position += 3;
+      return { type: "star", table: token.value };
+    }
+
+    let item;
+    if (this.isAggregateCall()) {
+      item = this.parseAggregate();
+    } else if (token && token.type === "identifier" && this.isPunctuation("(", 1)) {
+      throw new UnsupportedQueryError(
+        `Function ${token.value.toUpperCase()}() is not supported in SELECT`,
+        token.value.toUpperCase()
+      );
+    } else {
+      item = { ...this.parseColumnReference(), alias: null };
+    }
+
+    if (this.acceptKeyword("AS")) {
+      item.alias = this.parseIdentifier();
+    } else if (this.peek()?.type === "identifier") {
+      item.alias = this.parseIdentifier();
+    }
+
+    return item;
+  }
+
+  isAggregateCall() {
+    const token = this.peek();
+    return Boolean(
+      token &&
+        token.type === "identifier" &&
+        AGGREGATES.has(token.value.toUpperCase()) &&
+        this.isPunctuation("(", 1)
+    );
+  }
+
+  parseAggregate() {
+    const fn = this.next().value.toLowerCase();
+    this.expectPunctuation("(");
+
+    const distinct = this.acceptKeyword("DISTINCT");
+    let argument = null;
+
+    if (this.acceptPunctuation("*")) {
+      if (fn !== "count" || distinct) {
+        throw new UnsupportedQueryError(`${fn.toUpperCase()}(*) is not valid SQL`);
+      }
+    } else {
+      argument = this.parseColumnReference();
+    }
+
+    this.expectPunctuation(")");
+    return { type: "aggregate", fn, argument, distinct, alias: null };
+  }
+
+  parseColumnReference() {
+    const first = this.parseIdentifier();
+    if (this.acceptPunctuation(".")) {
+      return { type: "column", table: first, name: this.parseIdentifier() };
+    }
+    return { type: "column", table: null, name: first };
+  }
+
+  parseTableReference() {
+    if (this.isPunctuation("(")) {
+      throw new UnsupportedQueryError("Subqueries are not supported", "subquery");
+    }
+
+    let table = this.parseIdentifier();
+    // Accept schema-qualified "public.table" but nothing else
+    if (this.acceptPunctuation(".")) {
+      if (table.toLowerCase() !== "public") {
+        throw new UnsupportedQueryError(`Schema '${table}' is not queryable`);
+      }
+      table = this.parseIdentifier();
+    }
+
+    let alias = null;
+    if (this.acceptKeyword("AS")) {
+      alias = this.parseIdentifier();
+    } else if (this.peek()?.type === "identifier") {
+      alias = this.parseIdentifier();
+    }
+
+    return { table, alias };
+  }
+
+  parseJoin() {
+    let type = "inner";
+    if (this.acceptKeyword("LEFT")) {
+      type = "left";
+      this.acceptKeyword("OUTER");
+    } else {
+      this.acceptKeyword("INNER");
+    }
+    this.expectKeyword("JOIN");
+
+    const reference = this.parseTableReference();
+    this.expectKeyword("ON");
+
+    const left = this.parseColumnReference();
+    const operator = this.next();
+    if (!operator || operator.value !== "=") {
+      throw new UnsupportedQueryError("JOIN conditions must be a single column equality", "JOIN");
+    }
+    const right = this.parseColumnReference();
+
+    if (this.isKeyword("AND") || this.isKeyword("OR")) {
+      throw new UnsupportedQueryError("JOIN conditions must be a single column equality", "JOIN");
+    }
+
+    return { type, ...reference, on: { left, right } };
+  }
+
+  parseOrderItem() {
+    let expression;
+    if (this.isAggregateCall()) {
+      expression = this.parseAggregate();
+    } else if (this.peek()?.type === "number") {
+      expression = { type: "position", index: this.next().value };
+    } else {
+      expression = this.parseColumnReference();
+    }
+
+    let ascending = true;
+    if (this.acceptKeyword("DESC")) {
+      ascending = false;
+    } else {
+      this.acceptKeyword("ASC");
+    }
+
+    let nullsFirst = null;
+    if (this.acceptKeyword("NULLS")) {
+      if (this.acceptKeyword("FIRST")) {
+        nullsFirst = true;
+      } else {
+        this.expectKeyword("LAST");
+        nullsFirst = false;
+      }
+    }
+
+    return { expression, ascending, nullsFirst };
+  }
+
+  parseNonNegativeInteger(clause) {
+    const token = this.next();
+    if (!token || token.type !== "number" || !Number.isInteger(token.value)) {
+      throw new UnsupportedQueryError(`${clause} must be a whole number`, clause);
+    }
+    return token.value;
+  }
+
+  parseOr() {
+    const conditions = [this.parseAnd()];
+    while (this.acceptKeyword("OR")) {
+      conditions.push(this.parseAnd());
+    }
+    return conditions.length === 1 ? conditions[0] : { type: "or", conditions };
+  }
+
+  parseAnd() {
+    const conditions = [this.parseNot()];
+    while (this.acceptKeyword("AND")) {
+      conditions.push(this.parseNot());
+    }
+    return conditions.length === 1 ? conditions[0] : { type: "and", conditions };
+  }
+
+  parseNot() {
+    if (this.acceptKeyword("NOT")) {
+      return { type: "not", condition: this.parseNot() };
+    }
+    return this.parsePredicate();
+  }
+
+  parsePredicate() {
+    if (this.acceptPunctuation("(")) {
+      if (this.isKeyword("SELECT")) {
+        throw new UnsupportedQueryError("Subqueries are not supported", "subquery");
+      }
+      const inner = this.parseOr();
+      this.expectPunctuation(")");
+      return inner;
+    }
+
+    const left = this.parseOperand();
+
+    if (this.acceptKeyword("IS")) {
+      const negated = this.acceptKeyword("NOT");
+      if (this.acceptKeyword("NULL")) {
+        return { type: "null", left, negated };
+      }
+      if (this.acceptKeyword("TRUE")) {
+        return { type: "comparison", operator: negated ? "!=" : "=", left, right: { type: "literal", value: true } };
+      }
+      if (this.acceptKeyword("FALSE")) {
+        return { type: "comparison", operator: negated ? "!=" : "=", left, right: { type: "literal", value: false } };
+      }
+      throw this.unexpected("Expected NULL, TRUE or FALSE after IS");
+    }
+
+    const negated = this.acceptKeyword("NOT");
+
+    if (this.acceptKeyword("IN")) {
+      this.expectPunctuation("(");
+      if (this.isKeyword("SELECT")) {
+        throw new UnsupportedQueryError("Subqueries are not supported", "subquery");
+      }
+      const values = [];
+      do {
+        values.push(this.parseValue());
+      } while (this.acceptPunctuation(","));
+      this.expectPunctuation(")");
+      return { type: "in", left, values, negated };
+    }
+
+    if (this.acceptKeyword("BETWEEN")) {
+      const low = this.parseValue();
+      this.expectKeyword("AND");
+      const high = this.parseValue();
+      return { type: "between", left, low, high, negated };
+    }
+
+    if (this.isKeyword("LIKE") || this.isKeyword("ILIKE")) {
+      const caseInsensitive = this.next().value === "ILIKE";
+      const pattern = this.parseValue();
+      return { type: "like", left, pattern, caseInsensitive, negated };
+    }
+
+    if (negated) {
+      throw this.unexpected("Expected IN, BETWEEN, LIKE or ILIKE after NOT");
+    }
+
+    const operator = this.peek();
+    if (!operator || operator.type !== "operator" || !COMPARISON_OPERATORS.has(operator.value)) {
+      throw this.unexpected("Expected a comparison operator");
+    }
+    this.position++;
+
+    if (this.peek()?.type === "identifier" && !this.isPunctuation("(", 1)) {
+      throw new UnsupportedQueryError(
+        "Comparing two columns is only supported in JOIN ... ON",
+        "column comparison"
+      );
+    }
+
+    const right = this.parseValue();
+    return {
+      type: "comparison",
+      operator: operator.value === "<>" ? "!=" : operator.value,
+      left,
+      right,
+    };
+  }
+
+  /**
+   * The left-hand side of a predicate: a column, optionally wrapped in DATE().
+   */
+  parseOperand() {
+    const token = this.peek();
+    if (
+      token &&
+      token.type === "identifier" &&
+      token.value.toUpperCase() === "DATE" &&
+      this.isPunctuation("(", 1)
+    ) {
+      this.position += 2;
+      const column = this.parseColumnReference();
+      this.expectPunctuation(")");
+      return { type: "function", name: "date", argument: column };
+    }
+
+    if (token && token.type === "identifier" && this.isPunctuation("(", 1)) {
+      throw new UnsupportedQueryError(
+        `Function ${token.value.toUpperCase()}() is not supported in WHERE`,
+        token.value.toUpperCase()
+      );
+    }
+
+    return this.parseColumnReference();
+  }
+
+  /**
+   * Right-hand side values: literals and the handful of date expressions
+   * Gemini uses for "today"/"this week" style questions.
+   */
+  parseValue() {
+    const token = this.peek();
+    if (!token) {
+      throw this.unexpected("Expected a value");
+    }
+
+    if (token.type === "string") {
+      this.position++;
+      return { type: "literal", value: token.value };
+    }
+
+    if (token.type === "number") {
+      this.position++;
+      return { type: "literal", value: token.value };
+    }
+
+    if (this.isPunctuation("-") && this.peek(1)?.type === "number") {
+      this.position++;
+      return { type: "literal", value: -this.next().value };
+    }
+
+    if (this.acceptKeyword("NULL")) {
+      return { type: "literal", value: null };
+    }
+    if (this.acceptKeyword("TRUE")) {
+      return { type: "literal", value: true };
+    }
+    if (this.acceptKeyword("FALSE")) {
+      return { type: "literal", value: false };
+    }
+
+    let base = null;
+    if (this.acceptKeyword("CURRENT_DATE")) {
+      base = "current_date";
+    } else if (this.acceptKeyword("CURRENT_TIMESTAMP")) {
+      base = "now";
+    } else if (
+      token.type === "identifier" &&
+      token.value.toUpperCase() === "NOW" &&
+      this.isPunctuation("(", 1) &&
+      this.isPunctuation(")", 2)
+    ) {
+      this.position += 3;
+      base = "now";
+    } else if (
+      token.type === "identifier" &&
+      token.value.toUpperCase() === "DATE" &&
+      this.isPunctuation("(", 1)
+    ) {
+      this.position += 2;
+      const inner = this.parseValue();
+      this.expectPunctuation(")");
+      return { type: "date", value: inner };
+    }
+
+    if (!base) {
+      throw this.unexpected("Expected a literal value");
+    }
+
+    const value = { type: "now", base, offset: null };
+    if (this.isPunctuation("+") || this.isPunctuation("-")) {
+      const sign = this.next().value === "-" ? -1 : 1;
+      value.offset = this.parseInterval(sign);
+    }
+    return value;
+  }
+
+  parseInterval(sign) {
+    this.expectKeyword("INTERVAL");
+    const token = this.next();
+    if (!token || token.type !== "string") {
+      throw new UnsupportedQueryError("INTERVAL must be followed by a quoted amount such as '7 days'", "INTERVAL");
+    }
+
+    const match = token.value.trim().match(/^(\d+)\s*([A-Za-z]+)$/);
+    const unit = match && INTERVAL_UNITS[match[2].toLowerCase()];
+    if (!unit) {
+      throw new UnsupportedQueryError(`Unsupported interval '${token.value}'`, "INTERVAL");
+    }
+
+    return { amount: sign * Number(match[1]), unit };
+  }
+}
+
+/**
+ * Parse a single SELECT statement into an AST.
+ * @param {string} sql
+ * @returns {object} statement AST
+ * @throws {UnsupportedQueryError} when the query falls outside the grammar
+ */
+export function parseSQL(sql) {
+  if (!sql || typeof sql !== "string") {
+    throw new UnsupportedQueryError("SQL query is empty");
+  }
+
+  const tokens = tokenize(sql);
+  if (tokens.length === 0) {
+    throw new UnsupportedQueryError("SQL query is empty");
+  }
+
+  return new Parser(tokens).parseStatement();
+}
@@ -1,167 +1,83 @@
 import { supabase } from "../db/supabaseClient.js";
+import { APP_CONSTANTS } from "../config/constants.js";
+import schemaService from "./schemaService.js";
+import { parseSQL, UnsupportedQueryError } from "./sqlParser.js";
+import { QueryPlanner } from "./queryPlanner.js";
+import { AccessScope, viaParents } from "./accessScope.js";
+import chatbotCache from "./chatbotCache.js";
+import { normalizeLanguage } from "../utils/language.js";
+import { toE164, normalizePhone } from "../utils/phone.js";
 
 export class SupabaseService {
+  constructor() {
+    this.planner = new QueryPlanner(supabase, {
+      allowedTables: () => schemaService.getQueryableTables(),
+    });
+    this.accessScope = new AccessScope(supabase, APP_CONSTANTS.ACCESS_POLICY, schemaService);
+  }
+
   /**
-   * Execute a SQL query by parsing it and using Supabase query builder
-   * This avoids issues with raw SQL execution and quote handling
+   * Execute a chatbot SQL query by parsing it into an AST and compiling it
+   * onto the Supabase query builder. Queries outside the supported grammar
+   * raise an UnsupportedQueryError instead of being partially applied.
+   *
+   * When a caller (from AccessScope.resolveCaller) is given, the statement is
+   * scoped to the rows that caller may see and PII is redacted.
+   *
+   * Results are cached briefly per caller (see chatbotCache).
    */
-  async executeQuery(sqlQuery) {
-    try {
-      console.log("Parsing and executing SQL query:", sqlQuery);
-
-      // Parse the SQL query to extract table, columns, and conditions
-      const parsed = this.parseSQLQuery(sqlQuery);
-      
-      if (!parsed) {
-        throw new Error("Unable to parse SQL query");
-      }
-
-      console.log("Parsed query:", parsed);
-
-      // Handle COUNT queries specially
-      if (parsed.isCount) {
-        let query = supabase.from(parsed.table).select('*', { count: 'exact', head: true });
-        
-        // Apply WHERE conditions for count
-        if (parsed.where) {
-          parsed.where.forEach(condition => {
-            if (condition.operator === '=') {
-              query = query.eq(condition.column, condition.value);
-            } else if (condition.operator === 'ILIKE' || condition.operator === 'ilike') {
-              query = query.ilike(condition.column, condition.value);
-            } else if (condition.operator === '>') {
-              query = query.gt(condition.column, condition.value);
-            } else if (condition.operator === '<') {
-              query = query.lt(condition.column, condition.value);
-            } else if (condition.operator === '>=') {
-              query = query.gte(condition.column, condition.value);
-            } else if (condition.operator === '<=') {
-              query = query.lte(condition.column, condition.value);
-            }
-          });
-        }
-
-        const { count, error } = await query;
-
-        if (error) {
-          console.error("Count query execution error:", error);
-          throw error;
-        }
-
-        console.log("Count query executed successfully. Count:", count);
-        return [{ count: count }];
-      }
-
-      // Build and execute regular SELECT query using Supabase query builder
-      let query = supabase.from(parsed.table).select(parsed.columns);
-
-      // Apply WHERE conditions
-      if (parsed.where) {
-        parsed.where.forEach(condition => {
-          if (condition.operator === '=') {
-            query = query.eq(condition.column, condition.value);
-          } else if (condition.operator === 'ILIKE' || condition.operator === 'ilike') {
-            query = query.ilike(condition.column, condition.value);
-          } else if (condition.operator === '>') {
-            query = query.gt(condition.column, condition.value);
-          } else if (condition.operator === '<') {
-            query = query.lt(condition.column, condition.value);
-          } else if (condition.operator === '>=') {
-            query = query.gte(condition.column, condition.value);
-          } else if (condition.operator === '<=') {
-            query = query.lte(condition.column, condition.value);
-          }
-        });
-      }
-
-      // Apply ORDER BY
-      if (parsed.orderBy) {
-        query = query.order(parsed.orderBy.column, { ascending: parsed.orderBy.ascending });
-      }
-
-      // Apply LIMIT
-      if (parsed.limit) {
-        query = query.limit(parsed.limit);
-      }
+  async executeQuery(sqlQuery, caller = null) {
+    const cached = chatbotCache.getResult(sqlQuery, caller);
+    if (cached) {
+      console.log("Query result served from cache. Rows returned:", cached.length);
+      return cached;
+    }
 
-      const { data, error } = await query;
+    console.log("Parsing and executing SQL query:", sqlQuery);
 
-      if (error) {
-        console.error("Query execution error:", error);
-        throw error;
+    let statement;
+    let plan;
+    try {
+      statement = parseSQL(sqlQuery);
+      if (caller) {
+        statement = this.accessScope.apply(statement, caller);
       }
+      plan = this.planner.plan(statement);
+    } catch (error) {
+      console.error("Rejected SQL query:", error.message);
+      throw error;
+    }
 
-      console.log("Query executed successfully. Rows returned:", data?.length || 0);
-      return data || [];
+    try {
+      const rows = await this.planner.execute(plan);
+      console.log("Query executed successfully. Rows returned:", rows.length);
+      const data = caller ? this.accessScope.redact(rows, statement, caller) : rows;
+      chatbotCache.setResult(sqlQuery, caller, data, this.tablesRead(statement));
+      return data;
     } catch (error) {
+      if (error instanceof UnsupportedQueryError) throw error;
       console.error("Error in executeQuery:", error);
       throw new Error(`Database query failed: ${error.message}`);
     }
   }
 
   /**
-   * Parse a SQL query string into components for Supabase query builder
+   * Tables a statement reads, including the parents that via-scoped tables
+   * are filtered through.
    */
-  parseSQLQuery(sqlQuery) {
-    try {
-      // Remove extra whitespace and normalize
-      const normalized = sqlQuery.trim().replace(/\s+/g, ' ');
-      
-      // Check if it's a COUNT query
-      const isCount = /SELECT\s+COUNT\s*\(\s*\*?\s*\)/i.test(normalized);
-      
-      // Extract SELECT columns
-      const selectMatch = normalized.match(/SELECT\s+(.*?)\s+FROM/i);
-      if (!selectMatch) return null;
-      const columns = selectMatch[1].trim() === '*' ? '*' : selectMatch[1].trim();
-
-      // Extract table name
-      const tableMatch = normalized.match(/FROM\s+(\w+)/i);
-      if (!tableMatch) return null;
-      const table = tableMatch[1];
-
-      // Extract WHERE conditions
-      const where = [];
-      const whereMatch = normalized.match(/WHERE\s+(.*?)(?:ORDER BY|LIMIT|$)/i);
-      if (whereMatch) {
-        const whereClause = whereMatch[1].trim();
-        // Parse simple conditions (column = 'value' or column operator value)
-        const conditions = whereClause.split(/\s+AND\s+/i);
-        conditions.forEach(condition => {
-          // Match: column operator 'value' or column operator value
-          const condMatch = condition.match(/(\w+)\s*(=|>|<|>=|<=|ILIKE|ilike)\s*'?([^']+)'?/i);
-          if (condMatch) {
-            where.push({
-              column: condMatch[1],
-              operator: condMatch[2],
-              value: condMatch[3].replace(/'/g, '') // Remove quotes from value
-            });
-          }
-        });
-      }
-
-      // Extract ORDER BY
-      let orderBy = null;
-      const orderMatch = normalized.match(/ORDER BY\s+(\w+)\s*(ASC|DESC)?/i);
-      if (orderMatch) {
-        orderBy = {
-          column: orderMatch[1],
-          ascending: !orderMatch[2] || orderMatch[2].toUpperCase() === 'ASC'
-        };
-      }
-
-      // Extract LIMIT
-      let limit = null;
-      const limitMatch = normalized.match(/LIMIT\s+(\d+)/i);
-      if (limitMatch) {
-        limit = parseInt(limitMatch[1]);
-      }
+  tablesRead(statement) {
+    const tables = [statement.from.table, ...statement.joins.map((join) => join.table)];
+    const parents = tables
+      .flatMap((table) => viaParents(APP_CONSTANTS.ACCESS_POLICY.TABLES[table]))
+      .map((parent) => parent.table);
+    return [...new Set([...tables, ...parents])];
+  }
 
-      return { table, columns, where, orderBy, limit, isCount };
-    } catch (error) {
-      console.error("Error parsing SQL query:", error);
-      return null;
-    }
+  /**
+   * Identify the caller of a chatbot request for row-level scoping.
+   */
+  async resolveCaller(identity) {
+    return this.accessScope.resolveCaller(identity);
   }
 
   async bookAppointment(patientDetails) {
@@ -185,7 +101,7 @@ export class SupabaseService {
         patient_name: patientDetails.name.trim(),
         age: parseInt(patientDetails.age),
         disease: patientDetails.disease || "General Checkup",
-        phone: patientDetails.phone.trim(),
+        phone: toE164(patientDetails.phone),
         email: patientDetails.email.trim().toLowerCase(),
         appointment_date:
           patientDetails.appointmentDate || new Date().toISOString(),
@@ -194,6 +110,7 @@ export class SupabaseService {
         token_number: tokenNumber,
         notes: patientDetails.notes || "",
         is_emergency: patientDetails.isEmergency || false,
+        preferred_language: normalizeLanguage(patientDetails.preferredLanguage),
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString(),
       };
@@ -238,6 +155,7 @@ export class SupabaseService {
         // Continue - appointment is still created
       }
 
+      chatbotCache.invalidateTables(["appointments", "opd_queue", "icu_queue"]);
       return appointment;
     } catch (error) {
       console.error("Booking Error in bookAppointment:", error);
@@ -585,6 +503,7 @@ export class SupabaseService {
         .update({ status: status })
         .eq("token_number", tokenNumber);
 
+      chatbotCache.invalidateTables(["appointments", "opd_queue"]);
       return data;
     } catch (error) {
       console.error("Error in updateAppointmentStatus:", error);
@@ -596,11 +515,68 @@ export class SupabaseService {
     return this.updateAppointmentStatus(tokenNumber, "cancelled");
   }
 
+  async rescheduleAppointment(tokenNumber, appointmentDate) {
+    try {
+      const { data, error } = await supabase
+        .from("appointments")
+        .update({
+          appointment_date: appointmentDate,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("token_number", tokenNumber)
+        .eq("status", "scheduled")
+        .select()
+        .single();
+
+      if (error) {
+        console.error("Error rescheduling appointment:", error);
+        throw error;
+      }
+
+      chatbotCache.invalidateTables(["appointments"]);
+      return data;
+    } catch (error) {
+      console.error("Error in rescheduleAppointment:", error);
+      throw error;
+    }
+  }
+
+  async requestCallback({ tokenNumber, patientName, phone, preferredTime, reason, channel }) {
+    try {
+      const { data, error } = await supabase
+        .from("callback_requests")
+        .insert([
+          {
+            token_number: tokenNumber,
+            patient_name: patientName,
+            phone: normalizePhone(phone) || phone,
+            preferred_time: preferredTime || null,
+            reason: reason || null,
+            channel,
+            status: "pending",
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        console.error("Error creating callback request:", error);
+        throw error;
+      }
+
+      chatbotCache.invalidateTables(["callback_requests"]);
+      return data;
+    } catch (error) {
+      console.error("Error in requestCallback:", error);
+      throw error;
+    }
+  }
+
   async getDoctors() {
     try {
       const { data, error } = await supabase
         .from("user_profiles")
-        .select("id, email, role")
+        .select("id, email, role, name")
         .eq("role", "doctor");
 
       if (error) {
@@ -611,7 +587,7 @@ export class SupabaseService {
       return data.map((doctor) => ({
         id: doctor.id,
         email: doctor.email,
-        name: doctor.email.split("@")[0], // Use email prefix as name
+        name: doctor.name || doctor.email.split("@")[0], // Fall back to email prefix
       }));
     } catch (error) {
       console.error("Error in getDoctors:", error);
@@ -1,52 +1,171 @@
+/**
+ * Registry of the Telegram bots this backend hosts (see config/telegram.js).
+ *
+ * Each configured bot gets its own TelegramBotService. In webhook mode the
+ * bots register <TELEGRAM_WEBHOOK_BASE_URL>/api/telegram/webhook/<id> with
+ * Telegram and updates arrive through handleWebhook; in polling mode each bot
+ * polls for itself.
+ */
+
 import TelegramBotService from "../services/telegramBotService.js";
+import telegramNotificationService from "./telegramNotificationService.js";
+import { TELEGRAM_CONFIG } from "../config/telegram.js";
+import { safeEqual } from "../middleware/requireAdmin.js";
+
+export class TelegramBotError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "TelegramBotError";
+    this.status = status;
+  }
+}
 
 class TelegramBotManager {
-  constructor() {
-    this.botService = new TelegramBotService();
-    this.isInitialized = false;
+  constructor(configs = TELEGRAM_CONFIG.BOTS) {
+    this.bots = new Map(
+      configs.map((config) => [config.id, { config, service: null, status: "stopped", startedAt: null, error: null }])
+    );
+  }
+
+  /**
+   * Start every configured bot. Called once at boot.
+   * @returns {Promise<number>} bots running
+   */
+  async initializeBots() {
+    if (this.bots.size === 0) {
+      console.warn('⚠️  No Telegram bots configured (TELEGRAM_BOT_TOKEN or TELEGRAM_BOTS)');
+      console.warn('   Telegram bot will not be initialized');
+      return 0;
+    }
+
+    let running = 0;
+    for (const id of this.bots.keys()) {
+      try {
+        await this.startBot(id);
+        running += 1;
+      } catch (error) {
+        console.error(`❌ Failed to initialize Telegram bot "${id}":`, error.message);
+      }
+    }
+    return running;
   }
 
-  async initializeBot() {
+  async startBot(id) {
+    const entry = this.getEntry(id);
+    if (entry.status === "running") return this.describe(entry);
+
+    const { config } = entry;
+    const mode = config.mode || TELEGRAM_CONFIG.MODE;
+    const webhook = mode === "webhook";
+
+    if (webhook && !TELEGRAM_CONFIG.WEBHOOK_BASE_URL) {
+      throw new TelegramBotError("TELEGRAM_WEBHOOK_BASE_URL is required in webhook mode", 500);
+    }
+    if (webhook && !config.webhookSecret) {
+      throw new TelegramBotError(`Bot "${id}" needs a webhook secret in webhook mode`, 500);
+    }
+
+    const service = new TelegramBotService({ id, name: config.name });
     try {
-      const token = process.env.TELEGRAM_BOT_TOKEN;
-      
-      if (!token) {
-        console.warn('⚠️  TELEGRAM_BOT_TOKEN not found in environment variables');
-        console.warn('   Telegram bot will not be initialized');
-        console.warn('   Add your token to .env file to enable Telegram bot');
-        return false;
+      service.initialize(config.token, { webhook });
+      if (webhook) {
+        await service.setWebhook(this.webhookUrl(id), config.webhookSecret);
       }
 
-      this.botService.initialize(token);
-      this.isInitialized = true;
-      
-      console.log('✅ Telegram bot initialized successfully');
-      
-      // Get bot info and log it
-      const botInfo = await this.botService.getBotInfo();
-      console.log(`🤖 Bot: @${botInfo.username} (${botInfo.first_name})`);
-      
-      return true;
+      const botInfo = await service.getBotInfo();
+      console.log(`🤖 Bot "${id}": @${botInfo.username} (${botInfo.first_name}), ${mode}`);
+
+      Object.assign(entry, {
+        service,
+        mode,
+        username: botInfo.username,
+        status: "running",
+        startedAt: new Date().toISOString(),
+        error: null,
+      });
+
+      // Push queue and bed updates to chats that opted in
+      telegramNotificationService.start((botId) => this.getRunningBot(botId));
+      return this.describe(entry);
     } catch (error) {
-      console.error('❌ Failed to initialize Telegram bot:', error.message);
-      return false;
+      await service.stop().catch(() => {});
+      Object.assign(entry, { service: null, status: "failed", error: error.message });
+      throw error;
     }
   }
 
-  getBotService() {
-    return this.botService;
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.removeWebhook] - also unregister the webhook,
+   *   stopping the bot for every instance
+   */
+  async stopBot(id, { removeWebhook = false } = {}) {
+    const entry = this.getEntry(id);
+    if (entry.service) {
+      await entry.service.stop({ removeWebhook });
+    }
+    Object.assign(entry, { service: null, status: "stopped", startedAt: null });
+    return this.describe(entry);
   }
 
-  isBotInitialized() {
-    return this.isInitialized;
+  /**
+   * Stop polling before the process exits, leaving webhooks registered for
+   * the remaining instances.
+   */
+  async shutdown() {
+    telegramNotificationService.stop();
+    await Promise.allSettled([...this.bots.keys()].map((id) => this.stopBot(id)));
+    console.log('🛑 Telegram bots stopped');
   }
 
-  async stopBot() {
-    if (this.isInitialized) {
-      this.botService.stop();
-      this.isInitialized = false;
-      console.log('🛑 Telegram bot stopped');
+  /**
+   * Pass an update from Telegram to its bot, after checking the secret token
+   * header Telegram sends with every webhook request.
+   */
+  handleWebhook(id, secretToken, update) {
+    const entry = this.bots.get(id);
+    if (!entry || !entry.config.webhookSecret || !safeEqual(secretToken, entry.config.webhookSecret)) {
+      throw new TelegramBotError("Unauthorized", 401);
     }
+    if (entry.status !== "running") {
+      throw new TelegramBotError(`Bot "${id}" is not running`, 503);
+    }
+
+    entry.service.processUpdate(update);
+  }
+
+  getRunningBot(id) {
+    const entry = this.bots.get(id);
+    return entry?.status === "running" ? entry.service : null;
+  }
+
+  getStatus() {
+    return [...this.bots.values()].map((entry) => this.describe(entry));
+  }
+
+  webhookUrl(id) {
+    return `${TELEGRAM_CONFIG.WEBHOOK_BASE_URL.replace(/\/$/, "")}/api/telegram/webhook/${encodeURIComponent(id)}`;
+  }
+
+  getEntry(id) {
+    const entry = this.bots.get(id);
+    if (!entry) {
+      throw new TelegramBotError(`Unknown bot "${id}"`, 404);
+    }
+    return entry;
+  }
+
+  // Never includes the token or webhook secret
+  describe(entry) {
+    return {
+      id: entry.config.id,
+      name: entry.config.name || TELEGRAM_CONFIG.DEFAULT_BOT_NAME,
+      mode: entry.mode || entry.config.mode || TELEGRAM_CONFIG.MODE,
+      username: entry.username || null,
+      status: entry.status,
+      startedAt: entry.startedAt,
+      error: entry.error,
+    };
   }
 }
 
@@ -1,10 +1,41 @@
 import TelegramBot from 'node-telegram-bot-api';
 import { processChatbotQuery } from '../controllers/chatbotController.js';
+import conversationStore from './conversationStore.js';
+import telegramLinkService, { TelegramLinkError } from './telegramLinkService.js';
+import telegramNotificationService from './telegramNotificationService.js';
+import telegramFlows from './telegramFlows.js';
+import { telegramReply, localize } from './telegramReplies.js';
+import { APP_CONSTANTS } from '../config/constants.js';
+import { TELEGRAM_CONFIG } from '../config/telegram.js';
+import { normalizeLanguage } from '../utils/language.js';
+
+const NOTIFICATION_GROUPS = Object.keys(APP_CONSTANTS.TELEGRAM_NOTIFICATIONS.EVENTS);
 
 class TelegramBotService {
-  constructor() {
+  /**
+   * @param {object} [config] - { id, name } from TELEGRAM_CONFIG.BOTS
+   */
+  constructor({ id = 'default', name = TELEGRAM_CONFIG.DEFAULT_BOT_NAME } = {}) {
+    this.id = id;
+    this.name = name;
     this.bot = null;
-    this.userSessions = new Map(); // Store user sessions for context
+    this.webhook = false;
+  }
+
+  // Conversation memory key for a chat (see conversationStore). A user has
+  // the same chat id with every bot, so the bot id keeps hospitals apart.
+  sessionKey(chatId) {
+    return `telegram:${this.id}:${chatId}`;
+  }
+
+  /**
+   * Language to answer a chat in: the linked patient's preferred language,
+   * else the Telegram app's, else English.
+   * @param {object} [from] - Telegram user who sent the message
+   */
+  async language(chatId, from = null) {
+    const account = await telegramLinkService.getAccount(this.id, chatId).catch(() => null);
+    return account?.language || normalizeLanguage(from?.language_code) || APP_CONSTANTS.LANGUAGES.DEFAULT;
   }
 
   // Utility function to safely send messages with Markdown
@@ -25,74 +56,115 @@ class TelegramBotService {
     }
   }
 
-  initialize(token) {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.webhook] - receive updates through processUpdate
+   *   instead of polling
+   */
+  initialize(token, { webhook = false } = {}) {
     if (!token) {
       throw new Error('Telegram bot token is required');
     }
 
-    this.bot = new TelegramBot(token, { polling: true });
+    this.webhook = webhook;
+    this.bot = new TelegramBot(token, { polling: !webhook });
     
     this.setupHandlers();
-    console.log('Telegram bot initialized successfully');
+    console.log(`Telegram bot "${this.id}" initialized (${webhook ? 'webhook' : 'polling'})`);
+  }
+
+  // Ask Telegram to POST updates to url with the secret in the
+  // X-Telegram-Bot-Api-Secret-Token header
+  setWebhook(url, secretToken) {
+    return this.bot.setWebHook(url, { secret_token: secretToken });
+  }
+
+  // Handle an update received by the webhook route
+  processUpdate(update) {
+    this.bot.processUpdate(update);
   }
 
   setupHandlers() {
     // Handle /start command
     this.bot.onText(/\/start/, async (msg) => {
       const chatId = msg.chat.id;
-      const welcomeMessage = `🏥 *MedCare Medical Assistant Bot*
+      const language = await this.language(chatId, msg.from);
 
-Welcome! I can help you with medical queries and patient information.
+      await this.safeSendMessage(chatId, telegramReply('welcome', { botName: this.name }, language), {
+        reply_markup: telegramFlows.menu(language)
+      });
+    });
 
-*Available commands:*
-/help - Show this help message
-/query - Ask a medical question
-/summary <token> - Get patient summary
+    // Handle /menu command: buttons for the common tasks
+    this.bot.onText(/^\/menu\b/, async (msg) => {
+      const language = await this.language(msg.chat.id, msg.from);
+      await this.bot.sendMessage(msg.chat.id, telegramReply('menu_prompt', {}, language), {
+        reply_markup: telegramFlows.menu(language)
+      });
+    });
 
-*How to use:*
-1. Simply type your medical question
-2. For patient-specific queries, include your token number
-3. Example: "What is my appointment status for token 12345?"
+    // Handle /book, /queue and /discharge: button-driven flows, no AI involved
+    this.bot.onText(/^\/(book|queue|discharge)\b/, async (msg, match) => {
+      await telegramFlows.start(this, msg.chat.id, match[1], null, msg.from);
+    });
 
-Let me know how I can assist you! 🤖`;
-      
-      await this.safeSendMessage(chatId, welcomeMessage);
+    // Handle inline keyboard button presses
+    this.bot.on('callback_query', async (query) => {
+      await telegramFlows.handleCallback(this, query);
     });
 
     // Handle /help command
     this.bot.onText(/\/help/, async (msg) => {
       const chatId = msg.chat.id;
-      const helpMessage = `🆘 *Help - MedCare Bot*
-
-*Commands:*
-• /start - Start the bot
-• /help - Show this help message
-• /query <your question> - Ask medical questions
-• /summary <token> - Get patient medical summary
+      const language = await this.language(chatId, msg.from);
 
-*Example queries:*
-• /query What is my appointment status?
-• /query Show me my lab reports for token OPD-1059
-• What medications am I taking?
-• When was my last visit?
+      await this.safeSendMessage(chatId, telegramReply('help', { groups: NOTIFICATION_GROUPS.join('|') }, language));
+    });
 
-*Tips:*
-• Use /query for explicit questions or just type directly
-• Include your token number for personalized responses
-• Ask in natural language - I'll understand!
-• I can help with appointments, reports, medications, and more
+    // Handle /summary command
+    this.bot.onText(/^\/summary\s*(.*)/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const tokenNumber = match[1] ? match[1].trim() : null;
+      
+      await this.handleSummaryRequest(chatId, tokenNumber, msg.from);
+    });
 
-Need more help? Just ask! 💊`;
+    // Handle /link command: "/link <token>" sends a code, "/link <code>" links
+    this.bot.onText(/^\/link\b\s*(.*)/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const argument = match[1] ? match[1].trim() : '';
       
-      await this.safeSendMessage(chatId, helpMessage);
+      await this.handleLinkRequest(chatId, argument, msg.from);
     });
 
-    // Handle /summary command
-    this.bot.onText(/\/summary (.+)/, async (msg, match) => {
+    // Handle /unlink command
+    this.bot.onText(/^\/unlink\b/, async (msg) => {
+      const chatId = msg.chat.id;
+      // Looked up before unlinking, while the patient's language is known
+      const language = await this.language(chatId, msg.from);
+      try {
+        const wasLinked = await telegramLinkService.unlink(this.id, chatId);
+        conversationStore.forget(this.sessionKey(chatId));
+        await this.safeSendMessage(chatId, telegramReply(wasLinked ? 'unlinked' : 'not_linked', {}, language));
+      } catch (error) {
+        console.error('Error unlinking chat:', error);
+        this.bot.sendMessage(chatId, telegramReply('unlink_failed', {}, language));
+      }
+    });
+
+    // Handle /notify command: "/notify", "/notify on|off", "/notify <group> on|off"
+    this.bot.onText(/^\/notify\b\s*(.*)/, async (msg, match) => {
       const chatId = msg.chat.id;
-      const tokenNumber = match[1];
+      const argument = match[1] ? match[1].trim().toLowerCase() : '';
       
-      await this.handleSummaryRequest(chatId, tokenNumber);
+      await this.handleNotifyRequest(chatId, argument, msg.from);
+    });
+
+    // Handle /forget command
+    this.bot.onText(/\/forget/, async (msg) => {
+      const chatId = msg.chat.id;
+      conversationStore.forget(this.sessionKey(chatId));
+      await this.safeSendMessage(chatId, telegramReply('forgotten', {}, await this.language(chatId, msg.from)));
     });
 
     // Handle /query command
@@ -101,11 +173,11 @@ Need more help? Just ask! 💊`;
       const query = match[1] ? match[1].trim() : '';
       
       if (!query) {
-        await this.safeSendMessage(chatId, '❌ Please provide a query after /command. Example: /query What is my appointment status?');
+        await this.safeSendMessage(chatId, telegramReply('query_usage', {}, await this.language(chatId, msg.from)));
         return;
       }
       
-      await this.handleQueryRequest(chatId, query);
+      await this.handleQueryRequest(chatId, query, msg.from);
     });
 
     // Handle any text message that doesn't match commands
@@ -122,7 +194,7 @@ Need more help? Just ask! 💊`;
       }
       
       console.log('🔄 Processing as query...');
-      await this.handleQueryRequest(chatId, text);
+      await this.handleQueryRequest(chatId, text, msg.from);
     });
 
     // Handle errors
@@ -133,34 +205,114 @@ Need more help? Just ask! 💊`;
     console.log('Telegram bot handlers setup complete');
   }
 
-  async handleSummaryRequest(chatId, tokenNumber) {
+  async handleLinkRequest(chatId, argument, from = null) {
+    let language = await this.language(chatId, from);
     try {
+      if (!argument) {
+        const account = await telegramLinkService.getAccount(this.id, chatId);
+        const status = account
+          ? `${telegramReply('link_status', { patientName: account.patientName, tokens: account.tokenNumbers.join(', ') }, language)}\n\n`
+          : '';
+        await this.safeSendMessage(chatId, `${status}${telegramReply('link_instructions', {}, language)}`);
+        return;
+      }
+
+      if (/^\d{6}$/.test(argument)) {
+        const account = await telegramLinkService.redeem(this.id, chatId, argument);
+        conversationStore.forget(this.sessionKey(chatId));
+        // Answer in the language of the patient just linked
+        language = await this.language(chatId, from);
+        await this.safeSendMessage(chatId, telegramReply('linked', { patientName: account?.patientName }, language));
+        return;
+      }
+
+      await telegramLinkService.requestCode(this.id, chatId, argument.toUpperCase());
+      await this.safeSendMessage(chatId, telegramReply('code_sent', {}, language));
+    } catch (error) {
+      if (error instanceof TelegramLinkError) {
+        await this.safeSendMessage(chatId, `❌ ${await localize(error.message, language)}`);
+        return;
+      }
+      console.error('Error handling link request:', error);
+      this.bot.sendMessage(chatId, telegramReply('link_failed', {}, language));
+    }
+  }
+
+  async handleNotifyRequest(chatId, argument, from = null) {
+    const language = await this.language(chatId, from);
+    try {
+      const [first, second] = argument.split(/\s+/).filter(Boolean);
+      const names = second ? [first] : NOTIFICATION_GROUPS;
+      const setting = second || first;
+
+      if (!setting) {
+        const subscribed = await telegramNotificationService.getSubscriptions(this.id, chatId);
+        const lines = NOTIFICATION_GROUPS.map((name) => `${subscribed.includes(name) ? '✅' : '⬜'} ${name}`);
+        await this.safeSendMessage(chatId, telegramReply('notify_status', { lines: lines.join('\n') }, language));
+        return;
+      }
+
+      if (!['on', 'off'].includes(setting) || !names.every((name) => NOTIFICATION_GROUPS.includes(name))) {
+        await this.safeSendMessage(chatId, telegramReply('notify_usage', { groups: NOTIFICATION_GROUPS.join('|') }, language));
+        return;
+      }
+
+      // Updates only go to linked chats, so there is nothing to turn on without a link
+      if (setting === 'on' && !(await telegramLinkService.getAccount(this.id, chatId))) {
+        await this.safeSendMessage(chatId, telegramReply('link_first', {}, language));
+        return;
+      }
+
+      const subscribed = await telegramNotificationService.setSubscriptions(this.id, chatId, names, setting === 'on');
+      await this.safeSendMessage(chatId, subscribed.length > 0
+        ? telegramReply('notify_on', { groups: subscribed.join(', ') }, language)
+        : telegramReply('notify_off', {}, language));
+    } catch (error) {
+      console.error('Error updating notification settings:', error);
+      this.bot.sendMessage(chatId, telegramReply('notify_failed', {}, language));
+    }
+  }
+
+  async handleSummaryRequest(chatId, requestedToken, from = null) {
+    const language = await this.language(chatId, from);
+    try {
+      // Summaries are only shared with chats linked to the patient
+      const account = await telegramLinkService.getAccount(this.id, chatId);
+      if (!account) {
+        await this.safeSendMessage(chatId, telegramReply('link_first', {}, language));
+        return;
+      }
+
+      const tokenNumber = requestedToken ? requestedToken.toUpperCase() : account.tokenNumbers[0];
+      if (!tokenNumber || !account.tokenNumbers.includes(tokenNumber)) {
+        await this.safeSendMessage(chatId, telegramReply('token_not_linked', { tokens: account.tokenNumbers.join(', ') }, language));
+        return;
+      }
+
       // Send typing action
       await this.bot.sendChatAction(chatId, 'typing');
       
       // Create mock request object for the existing controller
       const mockReq = {
-        params: { tokenNumber }
+        params: { tokenNumber },
+        channel: 'telegram',
+        requireLink: true,
+        linkedAccount: account
       };
       
       const mockRes = {
         status: (code) => ({
-          json: (data) => {
+          json: async (data) => {
             if (code === 404) {
-              this.bot.sendMessage(chatId, `❌ Patient with token ${tokenNumber} not found.`);
+              await this.bot.sendMessage(chatId, telegramReply('patient_not_found', { token: tokenNumber }, language));
             } else {
-              this.bot.sendMessage(chatId, `❌ Error: ${data.error}`);
+              await this.bot.sendMessage(chatId, `❌ ${await localize(data.error, language)}`);
             }
           }
         }),
-        json: (data) => {
-          const summaryMessage = `📋 *Patient Summary - Token ${tokenNumber}*
-
-${data.summary}
-
----
-Data retrieved from MedCare system`;
-          this.safeSendMessage(chatId, summaryMessage);
+        json: async (data) => {
+          const summary = await localize(data.summary, language);
+          await this.safeSendMessage(chatId, telegramReply('summary', { token: tokenNumber, summary }, language));
         }
       };
       
@@ -171,11 +323,12 @@ Data retrieved from MedCare system`;
       
     } catch (error) {
       console.error('Error handling summary request:', error);
-      this.bot.sendMessage(chatId, '❌ Sorry, I encountered an error while fetching the patient summary. Please try again later.');
+      this.bot.sendMessage(chatId, telegramReply('summary_failed', {}, language));
     }
   }
 
-  async handleQueryRequest(chatId, query) {
+  async handleQueryRequest(chatId, query, from = null) {
+    const language = await this.language(chatId, from);
     try {
       console.log(`🔍 Processing query: "${query}"`);
       
@@ -189,28 +342,34 @@ Data retrieved from MedCare system`;
       console.log(`🎫 Extracted token: "${tokenNumber}"`);
       
       // Create mock request object for the existing controller
+      // Patient data is only available to chats linked with /link; the
+      // controller scopes the query to the linked patient's appointments
       const mockReq = {
         body: { 
           query: query,
           tokenNumber: tokenNumber
-        }
+        },
+        headers: {},
+        channel: 'telegram',
+        requireLink: true,
+        linkedAccount: await telegramLinkService.getAccount(this.id, chatId),
+        sessionKey: this.sessionKey(chatId)
       };
       
       const mockRes = {
         status: (code) => ({
-          json: (data) => {
+          json: async (data) => {
             console.log(`❌ Query failed with status ${code}:`, data);
-            this.bot.sendMessage(chatId, `❌ Error (${code}): ${data.error}`);
+            await this.bot.sendMessage(chatId, `❌ ${await localize(data.error, language)}`);
           }
         }),
         json: (data) => {
           console.log(`✅ Query successful:`, data);
-          const responseMessage = `🤖 *MedCare Assistant Response*
-
-${data.response}
-
----
-Query processed successfully${data.sql ? `\nDebug SQL: \`${data.sql}\`` : ''}`;
+          // The controller answers in the language the question was asked in
+          const responseMessage = telegramReply('answer', {
+            response: data.response,
+            debug: data.sql ? `\nDebug SQL: \`${data.sql}\`` : null
+          }, data.language || language);
           this.safeSendMessage(chatId, responseMessage);
         }
       };
@@ -220,13 +379,13 @@ Query processed successfully${data.sql ? `\nDebug SQL: \`${data.sql}\`` : ''}`;
       await import('../controllers/chatbotController.js').then(({ processChatbotQuery }) => {
         return processChatbotQuery(mockReq, mockRes, (error) => {
           console.error('❌ Controller error:', error);
-          this.bot.sendMessage(chatId, '❌ An error occurred while processing your query.');
+          this.bot.sendMessage(chatId, telegramReply('query_failed', {}, language));
         });
       });
       
     } catch (error) {
       console.error('❌ Error handling query request:', error);
-      this.bot.sendMessage(chatId, '❌ Sorry, I encountered an error while processing your query. Please try again later.');
+      this.bot.sendMessage(chatId, telegramReply('query_unavailable', {}, language));
     }
   }
 
@@ -238,12 +397,20 @@ Query processed successfully${data.sql ? `\nDebug SQL: \`${data.sql}\`` : ''}`;
     return this.bot.getMe();
   }
 
-  // Method to stop the bot
-  stop() {
-    if (this.bot) {
-      this.bot.stopPolling();
-      console.log('Telegram bot stopped');
+  /**
+   * Stop receiving updates. A webhook stays registered with Telegram unless
+   * removeWebhook is set, so other instances serving the same bot keep
+   * working when this one shuts down.
+   */
+  async stop({ removeWebhook = false } = {}) {
+    if (!this.bot) return;
+
+    if (this.webhook) {
+      if (removeWebhook) await this.bot.deleteWebHook();
+    } else {
+      await this.bot.stopPolling();
     }
+    console.log(`Telegram bot "${this.id}" stopped`);
   }
 }
 
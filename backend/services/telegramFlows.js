@@ -0,0 +1,427 @@
+/**
+ * Button-driven Telegram flows for the most common patient tasks, answered
+ * without any LLM call:
+ *
+ * - book: patient -> doctor -> date -> time -> confirm
+ * - queue: patient -> OPD queue status, with a refresh button
+ * - discharge: patient -> latest discharge estimate, with a refresh button
+ *
+ * Each flow is a small state machine. Buttons carry "<flow>:<step>:<value>";
+ * a press is only accepted for the step the chat is on, so an old keyboard
+ * can't replay a step. The booking state is kept in telegram_flow_state
+ * until the flow ends or expires, so it survives restarts and is shared by
+ * every backend instance; queue and discharge buttons carry everything they
+ * need.
+ * Statuses come from IntentRouter and bookings go through ChatActionService,
+ * so the same access scope and audit trail apply as for typed requests.
+ * Typed messages still go to the chatbot.
+ *
+ * Flows answer in the chat's language (TelegramBotService.language) from
+ * telegramReplies.js; statuses, booking summaries and errors are English and
+ * are translated by the LLM for other languages.
+ */
+
+import dayjs from "dayjs";
+import "dayjs/locale/hi.js";
+import "dayjs/locale/mr.js";
+import "dayjs/locale/ta.js";
+import { APP_CONSTANTS } from "../config/constants.js";
+import { supabase } from "../db/supabaseClient.js";
+import { SupabaseService } from "./supabaseService.js";
+import { ChatActionService, ChatActionError } from "./chatActionService.js";
+import { IntentRouter } from "./intentRouter.js";
+import { AccessDeniedError } from "./accessScope.js";
+import telegramLinkService from "./telegramLinkService.js";
+import { telegramReply, localize } from "./telegramReplies.js";
+
+const { TTL_MINUTES, BOOKING_DAYS, BOOKING_SLOTS } = APP_CONSTANTS.TELEGRAM_FLOWS;
+const DEFAULT_LANGUAGE = APP_CONSTANTS.LANGUAGES.DEFAULT;
+
+export const FLOWS = ["book", "queue", "discharge"];
+
+class TelegramFlows {
+  constructor() {
+    this.supabaseService = new SupabaseService();
+    this.chatActions = new ChatActionService(this.supabaseService);
+    this.intentRouter = new IntentRouter(this.supabaseService, this.chatActions);
+    this.ttlMs = TTL_MINUTES * 60 * 1000;
+
+    // Drop abandoned bookings; unref so the timer never keeps the process alive
+    this.sweepTimer = setInterval(() => this.sweep(), this.ttlMs);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Keyboard offering every flow, shown by /start and /menu.
+   */
+  menu(language = DEFAULT_LANGUAGE) {
+    return keyboard([
+      [{ text: telegramReply("flow_book_button", {}, language), data: "menu:start:book" }],
+      [
+        { text: telegramReply("flow_queue_button", {}, language), data: "menu:start:queue" },
+        { text: telegramReply("flow_discharge_button", {}, language), data: "menu:start:discharge" },
+      ],
+    ]);
+  }
+
+  /**
+   * Begin a flow, in a new message or in place of the menu it was picked from.
+   * @param {object} bot - TelegramBotService
+   * @param {string} flow - one of FLOWS
+   * @param {object} [from] - Telegram user, for the language of unlinked chats
+   */
+  async start(bot, chatId, flow, messageId = null, from = null) {
+    const view = { bot, chatId, messageId, language: await bot.language(chatId, from) };
+    try {
+      const caller = await this.caller(view);
+      if (!caller) {
+        return this.show(view, telegramReply("link_first", {}, view.language));
+      }
+
+      if (flow === "book") {
+        await this.saveBooking(bot.sessionKey(chatId), { step: "patient", data: {} });
+      }
+      return await this.choosePatient(view, flow, caller);
+    } catch (error) {
+      return this.fail(view, error);
+    }
+  }
+
+  /**
+   * Handle an inline button press.
+   * @param {object} bot - TelegramBotService
+   * @param {object} query - Telegram callback_query
+   */
+  async handleCallback(bot, query) {
+    const chatId = query.message?.chat.id;
+    const [flow, step, ...rest] = (query.data || "").split(":");
+    const value = rest.join(":");
+
+    // Stop the button's loading spinner straight away
+    bot.bot.answerCallbackQuery(query.id).catch(() => {});
+
+    const view = { bot, chatId, messageId: query.message?.message_id, language: await bot.language(chatId, query.from) };
+    try {
+      if (flow === "menu" && FLOWS.includes(value)) {
+        return await this.start(bot, chatId, value, view.messageId, query.from);
+      }
+      if (flow === "queue" || flow === "discharge") {
+        return await this.showStatus(view, flow, value);
+      }
+      if (flow === "book") {
+        return await this.advanceBooking(view, step, value);
+      }
+    } catch (error) {
+      return this.fail(view, error);
+    }
+  }
+
+  async choosePatient(view, flow, caller) {
+    const tokens = caller.tokenNumbers;
+    if (tokens.length === 0) {
+      return this.show(view, telegramReply("flow_no_appointments", {}, view.language));
+    }
+    if (tokens.length === 1) {
+      return flow === "book" ? this.advanceBooking(view, "patient", tokens[0]) : this.showStatus(view, flow, tokens[0]);
+    }
+
+    const step = flow === "book" ? "patient" : "show";
+    return this.show(view, telegramReply("flow_which_appointment", {}, view.language), [
+      ...tokens.map((token) => [{ text: token, data: `${flow}:${step}:${token}` }]),
+      ...(flow === "book" ? [[cancelButton(view.language)]] : []),
+    ]);
+  }
+
+  /**
+   * Queue position or discharge estimate for one token, with a refresh
+   * button that runs the same lookup again.
+   */
+  async showStatus(view, flow, token) {
+    const caller = await this.caller(view);
+    if (!caller) {
+      return this.show(view, telegramReply("link_first", {}, view.language));
+    }
+
+    const answer =
+      flow === "queue"
+        ? await this.intentRouter.queuePosition(token, caller)
+        : await this.intentRouter.dischargeEstimate(token, caller);
+
+    const status = await localize(answer.response, view.language);
+    const time = dayjs().locale(view.language).format("h:mm A");
+    return this.show(view, telegramReply("flow_status", { status, time }, view.language), [
+      [{ text: telegramReply("flow_refresh_button", {}, view.language), data: `${flow}:show:${token}` }],
+    ]);
+  }
+
+  /**
+   * Booking state machine. Each step records the pressed value and shows
+   * the next step's buttons.
+   */
+  async advanceBooking(view, step, value) {
+    const key = view.bot.sessionKey(view.chatId);
+    const state = await this.loadBooking(key);
+
+    if (step === "cancel") {
+      await this.clearBooking(key);
+      if (state?.data.code) {
+        const caller = await this.caller(view);
+        if (caller) await this.chatActions.discard(state.data.code, { caller, sessionKey: key });
+      }
+      return this.show(view, telegramReply("flow_booking_cancelled", {}, view.language));
+    }
+
+    // A second press on Confirm must not overwrite the booking result
+    if (!state && step === "confirm") return null;
+    if (!state || Date.now() > state.expiresAt || state.step !== step) {
+      await this.clearBooking(key);
+      return this.show(view, telegramReply("flow_booking_expired", {}, view.language));
+    }
+
+    const caller = await this.caller(view);
+    if (!caller) {
+      await this.clearBooking(key);
+      return this.show(view, telegramReply("link_first", {}, view.language));
+    }
+
+    switch (step) {
+      case "patient": {
+        if (!caller.tokenNumbers.includes(value)) {
+          await this.clearBooking(key);
+          return this.show(view, `❌ ${telegramReply("flow_own_appointment", {}, view.language)}`);
+        }
+        const doctors = await this.supabaseService.getDoctors();
+        if (doctors.length === 0) {
+          await this.clearBooking(key);
+          return this.show(view, telegramReply("flow_no_doctors", {}, view.language));
+        }
+        state.data.tokenNumber = value;
+        // Buttons carry the index into the list offered
+        state.data.doctors = doctors.map((doctor) => ({ id: doctor.id, name: doctor.name }));
+        state.step = "doctor";
+        await this.saveBooking(key, state);
+        return this.show(view, telegramReply("flow_which_doctor", {}, view.language), [
+          ...state.data.doctors.map((doctor, index) => [
+            { text: telegramReply("flow_doctor_button", { name: doctor.name }, view.language), data: `book:doctor:${index}` },
+          ]),
+          [cancelButton(view.language)],
+        ]);
+      }
+
+      case "doctor": {
+        const doctor = state.data.doctors?.[Number(value)];
+        if (!doctor) {
+          return this.show(view, telegramReply("flow_choose_doctor", {}, view.language));
+        }
+        state.data.doctorId = doctor.id;
+        state.data.doctorName = doctor.name;
+        state.step = "date";
+        await this.saveBooking(key, state);
+        const dates = bookingDates();
+        return this.show(view, telegramReply("flow_which_day", { doctor: doctor.name }, view.language), [
+          ...chunk(
+            dates.map((date) => ({
+              text: date.locale(view.language).format("ddd D MMM"),
+              data: `book:date:${date.format("YYYY-MM-DD")}`,
+            })),
+            2
+          ),
+          [cancelButton(view.language)],
+        ]);
+      }
+
+      case "date": {
+        const offered = bookingDates().some((date) => date.format("YYYY-MM-DD") === value);
+        const slots = offered ? bookingSlots(value) : [];
+        if (slots.length === 0) {
+          return this.show(view, telegramReply("flow_no_times", {}, view.language));
+        }
+        state.data.date = value;
+        state.step = "time";
+        await this.saveBooking(key, state);
+        const day = dayjs(value).locale(view.language).format("dddd D MMM");
+        return this.show(view, telegramReply("flow_which_time", { day }, view.language), [
+          ...chunk(slots.map((slot) => ({ text: slot, data: `book:time:${slot}` })), 4),
+          [cancelButton(view.language)],
+        ]);
+      }
+
+      case "time": {
+        if (!bookingSlots(state.data.date).includes(value)) {
+          return this.show(view, telegramReply("flow_time_taken", {}, view.language));
+        }
+        const proposal = await this.chatActions.propose(
+          "book_appointment",
+          {
+            tokenNumber: state.data.tokenNumber,
+            appointmentDate: dayjs(`${state.data.date}T${value}`).toISOString(),
+            doctorId: state.data.doctorId,
+            doctorName: state.data.doctorName,
+          },
+          { caller, sessionKey: key }
+        );
+        state.data.code = proposal.code;
+        state.step = "confirm";
+        await this.saveBooking(key, state);
+        const summary = await localize(proposal.summary, view.language);
+        return this.show(view, telegramReply("flow_shall_i_book", { summary }, view.language), [
+          [
+            { text: telegramReply("flow_confirm_button", {}, view.language), data: "book:confirm:yes" },
+            cancelButton(view.language),
+          ],
+        ]);
+      }
+
+      case "confirm": {
+        // Only one of two quick presses gets to end the flow
+        if (!(await this.clearBooking(key, "confirm"))) return null;
+        const { response } = await this.chatActions.confirm(state.data.code, { caller, sessionKey: key });
+        return this.show(view, `✅ ${await localize(response, view.language)}`);
+      }
+
+      default:
+        return this.show(view, telegramReply("flow_restart", {}, view.language));
+    }
+  }
+
+  /**
+   * The chat's booking in progress, or null.
+   * @returns {Promise<object|null>} { step, data, expiresAt }
+   */
+  async loadBooking(key) {
+    const { data: row, error } = await supabase
+      .from("telegram_flow_state")
+      .select("step, data, expires_at")
+      .eq("session_key", key)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load Telegram booking: ${error.message}`);
+    }
+    return row ? { step: row.step, data: row.data || {}, expiresAt: Date.parse(row.expires_at) } : null;
+  }
+
+  /**
+   * Record the booking's step and choices; every step starts a new TTL.
+   */
+  async saveBooking(key, { step, data }) {
+    const now = Date.now();
+    const { error } = await supabase.from("telegram_flow_state").upsert(
+      [
+        {
+          session_key: key,
+          step,
+          data,
+          expires_at: new Date(now + this.ttlMs).toISOString(),
+          updated_at: new Date(now).toISOString(),
+        },
+      ],
+      { onConflict: "session_key" }
+    );
+
+    if (error) {
+      throw new Error(`Failed to save Telegram booking: ${error.message}`);
+    }
+  }
+
+  /**
+   * End the chat's booking, only if it is on `step` when one is given.
+   * @returns {Promise<boolean>} whether there was a booking to end
+   */
+  async clearBooking(key, step = null) {
+    let query = supabase.from("telegram_flow_state").delete().eq("session_key", key);
+    if (step) query = query.eq("step", step);
+    const { data, error } = await query.select("session_key");
+
+    if (error) {
+      throw new Error(`Failed to clear Telegram booking: ${error.message}`);
+    }
+    return data.length > 0;
+  }
+
+  /**
+   * Access scope of a chat linked with the view's bot, or null if it isn't.
+   */
+  async caller({ bot, chatId }) {
+    const account = await telegramLinkService.getAccount(bot.id, chatId);
+    if (!account) return null;
+
+    return this.supabaseService.resolveCaller({
+      channel: "telegram",
+      requireLink: true,
+      linkedAccount: account,
+    });
+  }
+
+  /**
+   * Replace the flow's message, or send a new one when there is none.
+   */
+  async show({ bot, chatId, messageId }, text, rows = null) {
+    const options = rows ? { reply_markup: keyboard(rows) } : {};
+
+    if (messageId) {
+      try {
+        return await bot.bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options });
+      } catch (error) {
+        // Refreshing a status that hasn't changed
+        if (error.message.includes("message is not modified")) return null;
+        throw error;
+      }
+    }
+    return bot.bot.sendMessage(chatId, text, options);
+  }
+
+  async fail(view, error) {
+    if (error instanceof ChatActionError || error instanceof AccessDeniedError) {
+      await this.clearBooking(view.bot.sessionKey(view.chatId)).catch(() => {});
+      const message = await localize(error.message, view.language);
+      return this.show(view, `❌ ${message}`).catch(() => {});
+    }
+    console.error("Error in Telegram flow:", error);
+    return this.show(view, telegramReply("flow_failed", {}, view.language)).catch(() => {});
+  }
+
+  async sweep() {
+    const { error } = await supabase
+      .from("telegram_flow_state")
+      .delete()
+      .lt("expires_at", new Date().toISOString());
+
+    if (error) {
+      console.error("Failed to sweep Telegram bookings:", error.message);
+    }
+  }
+}
+
+function cancelButton(language) {
+  return { text: telegramReply("flow_cancel_button", {}, language), data: "book:cancel:" };
+}
+
+function keyboard(rows) {
+  return {
+    inline_keyboard: rows.map((row) => row.map((button) => ({ text: button.text, callback_data: button.data }))),
+  };
+}
+
+function chunk(items, size) {
+  const rows = [];
+  for (let i = 0; i < items.length; i += size) {
+    rows.push(items.slice(i, i + size));
+  }
+  return rows;
+}
+
+// Days with at least one bookable time left, starting today
+function bookingDates() {
+  return Array.from({ length: BOOKING_DAYS }, (_, offset) => dayjs().startOf("day").add(offset, "day")).filter(
+    (date) => bookingSlots(date.format("YYYY-MM-DD")).length > 0
+  );
+}
+
+// Times on a day that are still in the future
+function bookingSlots(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) return [];
+  return BOOKING_SLOTS.filter((slot) => dayjs(`${date}T${slot}`).isAfter(dayjs()));
+}
+
+export default new TelegramFlows();
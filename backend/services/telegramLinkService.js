@@ -0,0 +1,328 @@
+/**
+ * Binds Telegram chats to patients.
+ *
+ * A patient proves who they are with a one-time code: either "/link <token>"
+ * in Telegram sends one to the WhatsApp number on that appointment, or the
+ * patient dashboard shows one to a signed-in patient. "/link <code>" then
+ * binds the chat to the appointment's email, and the chatbot scopes that
+ * chat's questions to the patient's appointments. Codes are stored hashed.
+ *
+ * Chat ids are only unique within a bot, so links and codes are keyed by
+ * (bot id, chat id): a code works only with the bot it was issued for.
+ */
+
+import crypto from "crypto";
+import { supabase } from "../db/supabaseClient.js";
+import { APP_CONSTANTS } from "../config/constants.js";
+import { sendAppointmentSMS } from "./twilioService.js";
+import { normalizeLanguage } from "../utils/language.js";
+
+const { CODE_TTL_MINUTES, MAX_FAILED_ATTEMPTS, MAX_CODE_REQUESTS, LOCKOUT_MINUTES, CACHE_SECONDS } =
+  APP_CONSTANTS.TELEGRAM_LINK;
+
+export class TelegramLinkError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "TelegramLinkError";
+    this.status = status;
+  }
+}
+
+class TelegramLinkService {
+  constructor() {
+    this.accounts = new Map();
+    this.attempts = new Map();
+  }
+
+  /**
+   * The patient a chat of a bot is linked to, or null.
+   * @returns {Promise<object|null>} { chatId, botId, email, userId,
+   *   tokenNumbers, patientName, language, linkedVia, linkedAt }
+   */
+  async getAccount(botId, chatId) {
+    const id = this.chatId(chatId);
+    const key = linkKey(botId, id);
+    const cached = this.accounts.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_SECONDS * 1000) {
+      return cached.account;
+    }
+
+    const { data: link, error } = await supabase
+      .from("telegram_links")
+      .select("*")
+      .eq("bot_id", botId)
+      .eq("chat_id", id)
+      .is("revoked_at", null)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load Telegram link: ${error.message}`);
+    }
+
+    const account = link ? await this.buildAccount(link) : null;
+    this.accounts.set(key, { account, loadedAt: Date.now() });
+    return account;
+  }
+
+  /**
+   * Every appointment booked with the linked email belongs to the patient,
+   * including ones booked after linking. The language is the latest
+   * appointment's preferred language, else the patient profile's (null when
+   * neither is set).
+   */
+  async buildAccount(link) {
+    let appointments = [];
+    if (link.email) {
+      const { data, error } = await supabase
+        .from("appointments")
+        .select("token_number, patient_name, preferred_language")
+        .eq("email", link.email)
+        .order("created_at", { ascending: false });
+
+      if (error) {
+        console.error("Error loading linked appointments:", error);
+      }
+      appointments = data || [];
+    }
+
+    const tokenNumbers = [
+      ...new Set([link.token_number, ...appointments.map((a) => a.token_number)].filter(Boolean)),
+    ];
+
+    let language = appointments.map((a) => normalizeLanguage(a.preferred_language)).find(Boolean) || null;
+    if (!language && (link.user_id || link.email)) {
+      const column = link.user_id ? "id" : "email";
+      const { data: profile } = await supabase
+        .from("user_profiles")
+        .select("preferred_language")
+        .eq(column, link.user_id || link.email)
+        .limit(1)
+        .maybeSingle();
+      language = normalizeLanguage(profile?.preferred_language);
+    }
+
+    return {
+      chatId: link.chat_id,
+      botId: link.bot_id,
+      email: link.email,
+      userId: link.user_id,
+      tokenNumbers,
+      patientName: appointments[0]?.patient_name || null,
+      language,
+      linkedVia: link.linked_via,
+      linkedAt: link.linked_at,
+    };
+  }
+
+  /**
+   * "/link <token>": send a code to the WhatsApp number on the appointment.
+   * The reply is the same whether or not the token exists, so the bot can't
+   * be used to probe for token numbers.
+   */
+  async requestCode(botId, chatId, tokenNumber) {
+    const id = this.chatId(chatId);
+    const limitKey = `request:${linkKey(botId, id)}`;
+    this.checkLimit(limitKey, MAX_CODE_REQUESTS);
+    this.recordAttempt(limitKey);
+
+    const { data: appointment, error } = await supabase
+      .from("appointments")
+      .select("token_number, phone, email")
+      .eq("token_number", tokenNumber)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up token: ${error.message}`);
+    }
+    if (!appointment?.phone) {
+      console.log(`[TelegramLink] No WhatsApp number for ${tokenNumber}; no code sent`);
+      return;
+    }
+
+    const code = await this.saveCode({
+      source: "whatsapp",
+      bot_id: botId,
+      chat_id: id,
+      token_number: appointment.token_number,
+      email: appointment.email?.toLowerCase() || null,
+    });
+
+    await sendAppointmentSMS(
+      appointment.phone,
+      `Your MedCare Telegram link code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes. If you did not ask to link Telegram, ignore this message.`
+    );
+  }
+
+  /**
+   * Code for a signed-in patient to type into any Telegram chat with the
+   * given bot.
+   * @param {object} caller - from AccessScope.resolveCaller
+   */
+  async createDashboardCode(caller, botId = "default") {
+    if (!caller.authenticated || caller.role !== "patient") {
+      throw new TelegramLinkError("Sign in as a patient to link Telegram", 403);
+    }
+
+    const code = await this.saveCode({
+      source: "dashboard",
+      bot_id: botId,
+      email: caller.email?.toLowerCase() || null,
+      user_id: caller.userId,
+      token_number: caller.tokenNumbers[0] || null,
+    });
+
+    return {
+      code,
+      expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * "/link <code>": bind the chat to the patient the code was issued for,
+   * replacing the chat's previous link with this bot.
+   * @param {string} botId - the bot the chat talks to; also sends notifications
+   */
+  async redeem(botId, chatId, code) {
+    const id = this.chatId(chatId);
+    const limitKey = `redeem:${linkKey(botId, id)}`;
+    this.checkLimit(limitKey, MAX_FAILED_ATTEMPTS);
+
+    const { data: matches, error } = await supabase
+      .from("telegram_link_codes")
+      .select("*")
+      .eq("code_hash", hashCode(code))
+      .eq("bot_id", botId)
+      .is("used_at", null)
+      .gt("expires_at", new Date().toISOString())
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to check link code: ${error.message}`);
+    }
+
+    // WhatsApp codes only work in the chat that asked for them
+    const issued = (matches || []).find((match) => match.chat_id == null || Number(match.chat_id) === id);
+    if (!issued) {
+      this.recordAttempt(limitKey);
+      throw new TelegramLinkError("That code is not valid or has expired. Please request a new one.", 403);
+    }
+
+    // Claim the code; a second redemption finds used_at already set
+    const { data: claimed } = await supabase
+      .from("telegram_link_codes")
+      .update({ used_at: new Date().toISOString() })
+      .eq("id", issued.id)
+      .is("used_at", null)
+      .select();
+
+    if (!claimed?.length) {
+      throw new TelegramLinkError("That code has already been used. Please request a new one.", 409);
+    }
+
+    await this.revoke(botId, id);
+    const { error: linkError } = await supabase.from("telegram_links").insert([
+      {
+        chat_id: id,
+        token_number: issued.token_number,
+        email: issued.email,
+        user_id: issued.user_id,
+        linked_via: issued.source,
+        bot_id: botId,
+      },
+    ]);
+
+    if (linkError) {
+      throw new Error(`Failed to link chat: ${linkError.message}`);
+    }
+
+    this.attempts.delete(limitKey);
+    this.accounts.delete(linkKey(botId, id));
+    return this.getAccount(botId, id);
+  }
+
+  /**
+   * "/unlink": revoke the chat's link with this bot.
+   * @returns {Promise<boolean>} whether the chat was linked
+   */
+  async unlink(botId, chatId) {
+    const id = this.chatId(chatId);
+    const revoked = await this.revoke(botId, id);
+    this.accounts.delete(linkKey(botId, id));
+    return revoked;
+  }
+
+  async revoke(botId, id) {
+    const { data, error } = await supabase
+      .from("telegram_links")
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("bot_id", botId)
+      .eq("chat_id", id)
+      .is("revoked_at", null)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to unlink chat: ${error.message}`);
+    }
+    return (data || []).length > 0;
+  }
+
+  async saveCode(fields) {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+    const { error } = await supabase.from("telegram_link_codes").insert([
+      {
+        ...fields,
+        code_hash: hashCode(code),
+        expires_at: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+      },
+    ]);
+
+    if (error) {
+      throw new Error(`Failed to create link code: ${error.message}`);
+    }
+    return code;
+  }
+
+  checkLimit(key, max) {
+    const entry = this.attempts.get(key);
+    if (!entry) return;
+
+    if (Date.now() > entry.resetAt) {
+      this.attempts.delete(key);
+      return;
+    }
+    if (entry.count >= max) {
+      const minutes = Math.ceil((entry.resetAt - Date.now()) / 60000);
+      throw new TelegramLinkError(`Too many attempts. Please try again in ${minutes} minute(s).`, 429);
+    }
+  }
+
+  recordAttempt(key) {
+    const entry = this.attempts.get(key);
+    if (entry && Date.now() <= entry.resetAt) {
+      entry.count += 1;
+    } else {
+      this.attempts.set(key, { count: 1, resetAt: Date.now() + LOCKOUT_MINUTES * 60 * 1000 });
+    }
+  }
+
+  // Telegram chat ids are integers
+  chatId(chatId) {
+    const id = Number(chatId);
+    if (!Number.isSafeInteger(id)) {
+      throw new TelegramLinkError("Invalid chat id");
+    }
+    return id;
+  }
+}
+
+function linkKey(botId, chatId) {
+  return `${botId}:${chatId}`;
+}
+
+function hashCode(code) {
+  return crypto.createHash("sha256").update(String(code)).digest("hex");
+}
+
+export default new TelegramLinkService();
@@ -0,0 +1,301 @@
+/**
+ * Pushes queue and bed events to linked Telegram chats.
+ *
+ * Database triggers write events to notification_outbox (see
+ * supabase/migration_telegram_notifications.sql). This service polls the
+ * outbox, finds the chats linked to each event's token that opted in to that
+ * kind of event, sends them a message through the bot each chat linked with
+ * and marks the event processed. Events written while the backend was down
+ * are sent when it starts again.
+ *
+ * Messages are the telegram_* notification templates, in the patient's
+ * preferred language (the appointment's, else their profile's).
+ */
+
+import { supabase } from "../db/supabaseClient.js";
+import { APP_CONSTANTS } from "../config/constants.js";
+import { getTemplate, renderTemplate } from "./notifications/templates.js";
+import { normalizeLanguage } from "../utils/language.js";
+
+const { EVENTS, POLL_SECONDS, BATCH_SIZE, MAX_ATTEMPTS, QUEUE_EVENT_MAX_AGE_MINUTES } =
+  APP_CONSTANTS.TELEGRAM_NOTIFICATIONS;
+
+const QUEUE_EVENTS = ["queue_position", "queue_next"];
+const DEFAULT_LANGUAGE = APP_CONSTANTS.LANGUAGES.DEFAULT;
+
+class TelegramNotificationService {
+  constructor() {
+    this.getBot = null;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling the outbox.
+   * @param {function} getBot - bot id -> running TelegramBotService or null
+   */
+  start(getBot) {
+    this.getBot = getBot;
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), POLL_SECONDS * 1000);
+    this.timer.unref();
+    this.poll();
+    console.log(`🔔 Telegram notifications polling every ${POLL_SECONDS}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send one batch of pending events. Overlapping polls are skipped.
+   * @returns {Promise<number>} events processed
+   */
+  async poll() {
+    if (this.polling || !this.getBot) return 0;
+    this.polling = true;
+
+    try {
+      const { data: events, error } = await supabase
+        .from("notification_outbox")
+        .select("*")
+        .is("processed_at", null)
+        .order("created_at", { ascending: true })
+        .limit(BATCH_SIZE);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      let processed = 0;
+      for (const event of events || []) {
+        if (await this.claim(event)) {
+          await this.deliver(event);
+          processed += 1;
+        }
+      }
+      return processed;
+    } catch (error) {
+      console.error("Error polling notification outbox:", error.message);
+      return 0;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Mark the event processed before sending, so another backend instance
+   * polling the same outbox doesn't send it twice.
+   */
+  async claim(event) {
+    const { data } = await supabase
+      .from("notification_outbox")
+      .update({ processed_at: new Date().toISOString(), attempts: event.attempts + 1 })
+      .eq("id", event.id)
+      .is("processed_at", null)
+      .select();
+
+    return (data || []).length > 0;
+  }
+
+  async deliver(event) {
+    const ageMinutes = (Date.now() - new Date(event.created_at).getTime()) / 60000;
+    if (QUEUE_EVENTS.includes(event.event_type) && ageMinutes > QUEUE_EVENT_MAX_AGE_MINUTES) {
+      await this.finish(event, "skipped: out of date");
+      return;
+    }
+
+    let recipients;
+    try {
+      recipients = await this.recipients(event);
+    } catch (error) {
+      // Put the event back for the next poll unless it has failed too often
+      console.error(`Error finding recipients for ${event.event_type} ${event.token_number}:`, error.message);
+      await this.finish(event, error.message, event.attempts + 1 < MAX_ATTEMPTS);
+      return;
+    }
+
+    const failures = [];
+    for (const { chatId, botId, language } of recipients) {
+      try {
+        const bot = this.getBot(botId);
+        if (!bot) throw new Error(`bot "${botId}" is not running`);
+        await bot.safeSendMessage(chatId, formatEvent(event, language));
+      } catch (error) {
+        // A chat that blocked the bot stays failed; the event is not retried
+        failures.push(`${chatId}: ${error.message}`);
+      }
+    }
+
+    if (failures.length > 0) {
+      console.warn(`Telegram notification ${event.id} failed for ${failures.length} chat(s)`);
+    }
+    await this.finish(event, failures.join("; ") || null);
+  }
+
+  async finish(event, lastError, retry = false) {
+    const { error } = await supabase
+      .from("notification_outbox")
+      .update({ last_error: lastError, ...(retry ? { processed_at: null } : {}) })
+      .eq("id", event.id);
+
+    if (error) {
+      console.error("Error updating notification outbox:", error.message);
+    }
+  }
+
+  /**
+   * Chats linked to the event's token, directly or through the email on its
+   * appointment, that opted in to this kind of event.
+   * @returns {Promise<Array<{chatId: number, botId: string, language: string}>>}
+   */
+  async recipients(event) {
+    const { data: appointments, error: appointmentError } = await supabase
+      .from("appointments")
+      .select("email, preferred_language")
+      .eq("token_number", event.token_number);
+
+    if (appointmentError) {
+      throw new Error(appointmentError.message);
+    }
+
+    const emails = [...new Set((appointments || []).map((a) => a.email?.toLowerCase()).filter(Boolean))];
+    const lookups = [
+      supabase.from("telegram_links").select("chat_id, bot_id").is("revoked_at", null).eq("token_number", event.token_number),
+    ];
+    if (emails.length > 0) {
+      lookups.push(supabase.from("telegram_links").select("chat_id, bot_id").is("revoked_at", null).in("email", emails));
+    }
+
+    // The same chat id can be linked with several bots; each link is its own recipient
+    const chats = new Map();
+    for (const { data, error } of await Promise.all(lookups)) {
+      if (error) {
+        throw new Error(error.message);
+      }
+      (data || []).forEach((link) =>
+        chats.set(chatKey(link.bot_id, link.chat_id), { chatId: Number(link.chat_id), botId: link.bot_id })
+      );
+    }
+    if (chats.size === 0) return [];
+
+    const { data: settings, error } = await supabase
+      .from("telegram_notification_settings")
+      .select("bot_id, chat_id, events")
+      .in("chat_id", [...new Set([...chats.values()].map((chat) => chat.chatId))]);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const subscribed = (settings || [])
+      .filter((setting) => setting.events.includes(event.event_type))
+      .map((setting) => chats.get(chatKey(setting.bot_id, setting.chat_id)))
+      .filter(Boolean);
+    if (subscribed.length === 0) return [];
+
+    const language = await this.language(appointments || [], emails);
+    return subscribed.map((chat) => ({ ...chat, language }));
+  }
+
+  /**
+   * The patient's preferred language: the appointment's, else their profile's.
+   */
+  async language(appointments, emails) {
+    const chosen = appointments.map((a) => normalizeLanguage(a.preferred_language)).find(Boolean);
+    if (chosen || emails.length === 0) return chosen || DEFAULT_LANGUAGE;
+
+    const { data: profiles } = await supabase
+      .from("user_profiles")
+      .select("preferred_language")
+      .in("email", emails)
+      .limit(1);
+    return normalizeLanguage(profiles?.[0]?.preferred_language) || DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Names of the notification groups (keys of EVENTS) the chat receives.
+   */
+  async getSubscriptions(botId, chatId) {
+    const events = await this.getEvents(botId, chatId);
+    return Object.keys(EVENTS).filter((name) => EVENTS[name].every((type) => events.includes(type)));
+  }
+
+  /**
+   * Turn notification groups on or off for a chat.
+   * @param {string[]} names - keys of EVENTS
+   * @returns {Promise<string[]>} the chat's subscriptions afterwards
+   */
+  async setSubscriptions(botId, chatId, names, enabled) {
+    const current = new Set(await this.getEvents(botId, chatId));
+    names.flatMap((name) => EVENTS[name]).forEach((type) => (enabled ? current.add(type) : current.delete(type)));
+
+    const { error } = await supabase
+      .from("telegram_notification_settings")
+      .upsert([{ bot_id: botId, chat_id: chatId, events: [...current], updated_at: new Date().toISOString() }], {
+        onConflict: "bot_id,chat_id",
+      });
+
+    if (error) {
+      throw new Error(`Failed to save notification settings: ${error.message}`);
+    }
+    return this.getSubscriptions(botId, chatId);
+  }
+
+  async getEvents(botId, chatId) {
+    const { data, error } = await supabase
+      .from("telegram_notification_settings")
+      .select("events")
+      .eq("bot_id", botId)
+      .eq("chat_id", chatId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load notification settings: ${error.message}`);
+    }
+    return data?.events || [];
+  }
+}
+
+function chatKey(botId, chatId) {
+  return `${botId}:${Number(chatId)}`;
+}
+
+// Event type -> template name for the event's payload
+const EVENT_TEMPLATES = {
+  queue_next: () => "telegram_queue_next",
+  queue_position: () => "telegram_queue_position",
+  bed_assigned: () => "telegram_bed_assigned",
+  icu_transfer: (payload) => (payload.status === "waiting" ? "telegram_icu_waiting" : "telegram_icu_bed_assigned"),
+  discharge_prediction: () => "telegram_discharge_prediction",
+  cancellation: (payload) => (payload.queue === "icu" ? "telegram_icu_cancellation" : "telegram_cancellation"),
+};
+
+/**
+ * The event's telegram_* template rendered in the language; unknown event
+ * types get a plain English line.
+ */
+function formatEvent({ event_type: type, token_number: token, payload = {} }, language = DEFAULT_LANGUAGE) {
+  const template = EVENT_TEMPLATES[type]?.(payload);
+  if (!template) {
+    return `🔔 Update for ${token}: ${type}`;
+  }
+
+  const percent = (value) => (value != null ? `${Math.round(value * 100)}%` : null);
+  const variables = {
+    token,
+    position: payload.position,
+    estimatedWait: payload.estimated_wait_minutes ? Math.round(payload.estimated_wait_minutes) : null,
+    bedNumber: payload.bed_number,
+    bedType: payload.bed_type,
+    bedLabel: payload.bed_label,
+    dischargeDate: payload.predicted_discharge_date,
+    remainingDays: payload.remaining_days,
+    confidence: percent(payload.confidence),
+  };
+  return renderTemplate(getTemplate(template), variables, language).text;
+}
+
+export default new TelegramNotificationService();
@@ -0,0 +1,599 @@
+/**
+ * What the Telegram bot and its button flows say, by reply name and language
+ * code. Replies use the notification templates' placeholders ({{variable}},
+ * {{variable|fallback}}; see notifications/templates.js), and every
+ * translation must use the same placeholders as the English, with a fallback
+ * exactly where the English has one; this is checked when the backend
+ * starts. A language with no translation gets the English text.
+ *
+ * A chat is answered in its linked patient's preferred language, else in its
+ * Telegram app's language (TelegramBotService.language). Commands, token
+ * numbers and "OPD"/"ICU" stay in Latin script. Text that comes from
+ * elsewhere (chatbot answers, IntentRouter statuses, ChatActionService
+ * summaries and errors) is English and goes through localize().
+ *
+ * Bot replies are sent as Markdown; the flow_* replies are plain text.
+ */
+
+import { APP_CONSTANTS } from "../config/constants.js";
+import { fillPlaceholders, comparePlaceholders } from "./notifications/templates.js";
+import { GeminiService } from "./geminiService.js";
+
+const DEFAULT_LANGUAGE = APP_CONSTANTS.LANGUAGES.DEFAULT;
+
+const geminiService = new GeminiService();
+
+export const REPLIES = {
+  welcome: {
+    en:
+      `🏥 *{{botName}}*\n\n` +
+      `Welcome! I can help you with medical queries and patient information.\n\n` +
+      `*Available commands:*\n` +
+      `/help - Show this help message\n` +
+      `/link - Link this chat to your appointments\n` +
+      `/unlink - Remove the link\n` +
+      `/notify - Get updates about your queue, bed and discharge\n` +
+      `/book - Book an appointment\n` +
+      `/queue - Your place in the OPD queue\n` +
+      `/discharge - Your latest discharge estimate\n` +
+      `/query - Ask a medical question\n` +
+      `/summary - Get your patient summary\n` +
+      `/forget - Clear what I remember about this chat\n\n` +
+      `*How to use:*\n` +
+      `1. Link this chat once: send /link followed by your token number and enter the code we send to your WhatsApp\n` +
+      `2. Then simply type your question, e.g. "What is my appointment status?"\n` +
+      `3. Without a link I can only answer general questions (doctors, bed availability)\n\n` +
+      `Let me know how I can assist you! 🤖`,
+    hi:
+      `🏥 *{{botName}}*\n\n` +
+      `स्वागत है! मैं चिकित्सा से जुड़े सवालों और मरीज़ की जानकारी में आपकी मदद कर सकता हूँ।\n\n` +
+      `*उपलब्ध कमांड:*\n` +
+      `/help - यह सहायता संदेश दिखाएँ\n` +
+      `/link - इस चैट को अपने अपॉइंटमेंट से जोड़ें\n` +
+      `/unlink - जुड़ाव हटाएँ\n` +
+      `/notify - अपनी कतार, बेड और डिस्चार्ज के अपडेट पाएँ\n` +
+      `/book - अपॉइंटमेंट बुक करें\n` +
+      `/queue - OPD कतार में आपका स्थान\n` +
+      `/discharge - आपका नवीनतम डिस्चार्ज अनुमान\n` +
+      `/query - चिकित्सा से जुड़ा सवाल पूछें\n` +
+      `/summary - अपना मरीज़ सारांश पाएँ\n` +
+      `/forget - इस चैट के बारे में मुझे जो याद है, उसे मिटाएँ\n\n` +
+      `*इस्तेमाल कैसे करें:*\n` +
+      `1. इस चैट को एक बार जोड़ें: /link के बाद अपना टोकन नंबर भेजें और आपके WhatsApp पर भेजा गया कोड डालें\n` +
+      `2. फिर बस अपना सवाल लिखें, जैसे "मेरे अपॉइंटमेंट की स्थिति क्या है?"\n` +
+      `3. बिना जुड़ाव के मैं केवल सामान्य सवालों (डॉक्टर, बेड की उपलब्धता) के जवाब दे सकता हूँ\n\n` +
+      `बताइए, मैं आपकी कैसे मदद करूँ! 🤖`,
+    mr:
+      `🏥 *{{botName}}*\n\n` +
+      `स्वागत आहे! वैद्यकीय प्रश्न आणि रुग्णाच्या माहितीसाठी मी तुमची मदत करू शकतो.\n\n` +
+      `*उपलब्ध कमांड:*\n` +
+      `/help - हा मदत संदेश दाखवा\n` +
+      `/link - ही चॅट तुमच्या अपॉइंटमेंटशी जोडा\n` +
+      `/unlink - जोडणी काढा\n` +
+      `/notify - तुमची रांग, बेड आणि डिस्चार्जचे अपडेट मिळवा\n` +
+      `/book - अपॉइंटमेंट बुक करा\n` +
+      `/queue - OPD रांगेतील तुमचा क्रमांक\n` +
+      `/discharge - तुमचा ताजा डिस्चार्ज अंदाज\n` +
+      `/query - वैद्यकीय प्रश्न विचारा\n` +
+      `/summary - तुमचा रुग्ण सारांश मिळवा\n` +
+      `/forget - या चॅटबद्दल मला जे आठवते ते पुसा\n\n` +
+      `*वापर कसा करावा:*\n` +
+      `1. ही चॅट एकदा जोडा: /link नंतर तुमचा टोकन नंबर पाठवा आणि तुमच्या WhatsApp वर आलेला कोड टाका\n` +
+      `2. मग फक्त तुमचा प्रश्न लिहा, उदा. "माझ्या अपॉइंटमेंटची स्थिती काय आहे?"\n` +
+      `3. जोडणीशिवाय मी फक्त सामान्य प्रश्नांची (डॉक्टर, बेडची उपलब्धता) उत्तरे देऊ शकतो\n\n` +
+      `सांगा, मी तुमची कशी मदत करू! 🤖`,
+    ta:
+      `🏥 *{{botName}}*\n\n` +
+      `வரவேற்கிறோம்! மருத்துவக் கேள்விகளுக்கும் நோயாளி தகவல்களுக்கும் நான் உதவ முடியும்.\n\n` +
+      `*கிடைக்கும் கட்டளைகள்:*\n` +
+      `/help - இந்த உதவிச் செய்தியைக் காட்டு\n` +
+      `/link - இந்த அரட்டையை உங்கள் சந்திப்புகளுடன் இணைக்கவும்\n` +
+      `/unlink - இணைப்பை நீக்கவும்\n` +
+      `/notify - உங்கள் வரிசை, படுக்கை, டிஸ்சார்ஜ் புதுப்பிப்புகளைப் பெறவும்\n` +
+      `/book - சந்திப்பை முன்பதிவு செய்யவும்\n` +
+      `/queue - OPD வரிசையில் உங்கள் இடம்\n` +
+      `/discharge - உங்கள் சமீபத்திய டிஸ்சார்ஜ் மதிப்பீடு\n` +
+      `/query - மருத்துவக் கேள்வி கேட்கவும்\n` +
+      `/summary - உங்கள் நோயாளி சுருக்கத்தைப் பெறவும்\n` +
+      `/forget - இந்த அரட்டை பற்றி நான் நினைவில் வைத்ததை அழிக்கவும்\n\n` +
+      `*பயன்படுத்துவது எப்படி:*\n` +
+      `1. இந்த அரட்டையை ஒருமுறை இணைக்கவும்: /link உடன் உங்கள் டோக்கன் எண்ணை அனுப்பி, உங்கள் WhatsApp-க்கு வரும் குறியீட்டை உள்ளிடவும்\n` +
+      `2. பிறகு உங்கள் கேள்வியை எழுதுங்கள், எ.கா. "என் சந்திப்பின் நிலை என்ன?"\n` +
+      `3. இணைப்பு இல்லாமல் பொதுவான கேள்விகளுக்கு (மருத்துவர்கள், படுக்கை இருப்பு) மட்டுமே பதிலளிக்க முடியும்\n\n` +
+      `நான் எப்படி உதவலாம் என்று சொல்லுங்கள்! 🤖`,
+  },
+
+  help: {
+    en:
+      `🆘 *Help - MedCare Bot*\n\n` +
+      `*Commands:*\n` +
+      `• /start - Start the bot\n` +
+      `• /help - Show this help message\n` +
+      `• /link <token number> - Get a link code on your WhatsApp\n` +
+      `• /link <code> - Link this chat using a code from WhatsApp or the patient dashboard\n` +
+      `• /unlink - Remove the link to your appointments\n` +
+      `• /notify on|off - Turn all updates on or off\n` +
+      `• /notify <{{groups}}> on|off - Choose which updates you get\n` +
+      `• /query <your question> - Ask medical questions\n` +
+      `• /summary [token] - Get your medical summary\n` +
+      `• /menu - Buttons for booking, queue status and discharge estimate\n` +
+      `• /book - Book an appointment: pick a doctor, a day and a time\n` +
+      `• /queue - Your place in the OPD queue, with a refresh button\n` +
+      `• /discharge - Your latest discharge estimate\n` +
+      `• /forget - Clear the conversation and remembered token\n\n` +
+      `*Changing an appointment:*\n` +
+      `• "Cancel my appointment", "Reschedule my appointment to tomorrow at 11am", "Please call me back", "Book a new appointment on 25 Oct"\n` +
+      `• I'll show a summary and a 6-digit code - reply CONFIRM <code> to go ahead or DISCARD to leave it\n\n` +
+      `*Example queries:*\n` +
+      `• /query What is my appointment status?\n` +
+      `• /query Show me my lab reports for token OPD-1059\n` +
+      `• What medications am I taking?\n` +
+      `• When was my last visit?\n\n` +
+      `*Tips:*\n` +
+      `• Use /query for explicit questions or just type directly\n` +
+      `• Link your chat first - patient details are only shared with linked chats\n` +
+      `• If you have several appointments, mention the token number once - I'll remember it for follow-up questions\n` +
+      `• Ask in natural language - I'll understand!\n` +
+      `• I can help with appointments, reports, medications, and more\n\n` +
+      `Need more help? Just ask! 💊`,
+    hi:
+      `🆘 *सहायता - MedCare Bot*\n\n` +
+      `*कमांड:*\n` +
+      `• /start - बॉट शुरू करें\n` +
+      `• /help - यह सहायता संदेश दिखाएँ\n` +
+      `• /link <टोकन नंबर> - अपने WhatsApp पर लिंक कोड पाएँ\n` +
+      `• /link <कोड> - WhatsApp या मरीज़ डैशबोर्ड से मिले कोड से इस चैट को जोड़ें\n` +
+      `• /unlink - अपने अपॉइंटमेंट से जुड़ाव हटाएँ\n` +
+      `• /notify on|off - सभी अपडेट चालू या बंद करें\n` +
+      `• /notify <{{groups}}> on|off - चुनें कि आपको कौन-से अपडेट मिलें\n` +
+      `• /query <आपका सवाल> - चिकित्सा से जुड़े सवाल पूछें\n` +
+      `• /summary [टोकन] - अपना चिकित्सा सारांश पाएँ\n` +
+      `• /menu - बुकिंग, कतार की स्थिति और डिस्चार्ज अनुमान के बटन\n` +
+      `• /book - अपॉइंटमेंट बुक करें: डॉक्टर, दिन और समय चुनें\n` +
+      `• /queue - OPD कतार में आपका स्थान, रीफ़्रेश बटन के साथ\n` +
+      `• /discharge - आपका नवीनतम डिस्चार्ज अनुमान\n` +
+      `• /forget - बातचीत और याद रखा गया टोकन मिटाएँ\n\n` +
+      `*अपॉइंटमेंट बदलना:*\n` +
+      `• "मेरा अपॉइंटमेंट रद्द करें", "मेरा अपॉइंटमेंट कल सुबह 11 बजे कर दें", "कृपया मुझे वापस कॉल करें", "25 Oct को नया अपॉइंटमेंट बुक करें"\n` +
+      `• मैं एक सारांश और 6 अंकों का कोड दिखाऊँगा - आगे बढ़ने के लिए CONFIRM <कोड> या छोड़ने के लिए DISCARD लिखें\n\n` +
+      `*सवालों के उदाहरण:*\n` +
+      `• /query मेरे अपॉइंटमेंट की स्थिति क्या है?\n` +
+      `• /query टोकन OPD-1059 की मेरी लैब रिपोर्ट दिखाएँ\n` +
+      `• मैं कौन-सी दवाइयाँ ले रहा हूँ?\n` +
+      `• मेरी पिछली विज़िट कब थी?\n\n` +
+      `*सुझाव:*\n` +
+      `• साफ़ सवालों के लिए /query इस्तेमाल करें या सीधे लिखें\n` +
+      `• पहले अपनी चैट जोड़ें - मरीज़ की जानकारी केवल जुड़ी हुई चैट से साझा की जाती है\n` +
+      `• अगर आपके कई अपॉइंटमेंट हैं, तो एक बार टोकन नंबर बताएँ - अगले सवालों के लिए मैं उसे याद रखूँगा\n` +
+      `• अपनी भाषा में सामान्य तरीके से पूछें - मैं समझ जाऊँगा!\n` +
+      `• मैं अपॉइंटमेंट, रिपोर्ट, दवाइयों और बहुत कुछ में मदद कर सकता हूँ\n\n` +
+      `और मदद चाहिए? बस पूछिए! 💊`,
+    mr:
+      `🆘 *मदत - MedCare Bot*\n\n` +
+      `*कमांड:*\n` +
+      `• /start - बॉट सुरू करा\n` +
+      `• /help - हा मदत संदेश दाखवा\n` +
+      `• /link <टोकन नंबर> - तुमच्या WhatsApp वर लिंक कोड मिळवा\n` +
+      `• /link <कोड> - WhatsApp किंवा रुग्ण डॅशबोर्डवरील कोडने ही चॅट जोडा\n` +
+      `• /unlink - तुमच्या अपॉइंटमेंटशी असलेली जोडणी काढा\n` +
+      `• /notify on|off - सर्व अपडेट सुरू किंवा बंद करा\n` +
+      `• /notify <{{groups}}> on|off - कोणते अपडेट मिळावेत ते निवडा\n` +
+      `• /query <तुमचा प्रश्न> - वैद्यकीय प्रश्न विचारा\n` +
+      `• /summary [टोकन] - तुमचा वैद्यकीय सारांश मिळवा\n` +
+      `• /menu - बुकिंग, रांगेची स्थिती आणि डिस्चार्ज अंदाजाची बटणे\n` +
+      `• /book - अपॉइंटमेंट बुक करा: डॉक्टर, दिवस आणि वेळ निवडा\n` +
+      `• /queue - OPD रांगेतील तुमचा क्रमांक, रीफ्रेश बटणासह\n` +
+      `• /discharge - तुमचा ताजा डिस्चार्ज अंदाज\n` +
+      `• /forget - संभाषण आणि लक्षात ठेवलेला टोकन पुसा\n\n` +
+      `*अपॉइंटमेंट बदलणे:*\n` +
+      `• "माझी अपॉइंटमेंट रद्द करा", "माझी अपॉइंटमेंट उद्या सकाळी 11 वाजता करा", "कृपया मला परत कॉल करा", "25 Oct ला नवी अपॉइंटमेंट बुक करा"\n` +
+      `• मी सारांश आणि 6 अंकी कोड दाखवेन - पुढे जाण्यासाठी CONFIRM <कोड> किंवा सोडून देण्यासाठी DISCARD लिहा\n\n` +
+      `*प्रश्नांची उदाहरणे:*\n` +
+      `• /query माझ्या अपॉइंटमेंटची स्थिती काय आहे?\n` +
+      `• /query टोकन OPD-1059 चे माझे लॅब रिपोर्ट दाखवा\n` +
+      `• मी कोणती औषधे घेत आहे?\n` +
+      `• माझी मागील भेट कधी होती?\n\n` +
+      `*सूचना:*\n` +
+      `• स्पष्ट प्रश्नांसाठी /query वापरा किंवा थेट लिहा\n` +
+      `• आधी तुमची चॅट जोडा - रुग्णाची माहिती फक्त जोडलेल्या चॅटला दिली जाते\n` +
+      `• तुमच्या अनेक अपॉइंटमेंट असतील तर एकदा टोकन नंबर सांगा - पुढील प्रश्नांसाठी मी तो लक्षात ठेवेन\n` +
+      `• तुमच्या भाषेत सहज विचारा - मला समजेल!\n` +
+      `• अपॉइंटमेंट, रिपोर्ट, औषधे आणि बरेच काहीसाठी मी मदत करू शकतो\n\n` +
+      `आणखी मदत हवी? फक्त विचारा! 💊`,
+    ta:
+      `🆘 *உதவி - MedCare Bot*\n\n` +
+      `*கட்டளைகள்:*\n` +
+      `• /start - பாட்டைத் தொடங்கவும்\n` +
+      `• /help - இந்த உதவிச் செய்தியைக் காட்டு\n` +
+      `• /link <டோக்கன் எண்> - உங்கள் WhatsApp-இல் இணைப்புக் குறியீட்டைப் பெறவும்\n` +
+      `• /link <குறியீடு> - WhatsApp அல்லது நோயாளி டாஷ்போர்டிலிருந்து கிடைத்த குறியீட்டால் இந்த அரட்டையை இணைக்கவும்\n` +
+      `• /unlink - உங்கள் சந்திப்புகளுடனான இணைப்பை நீக்கவும்\n` +
+      `• /notify on|off - எல்லாப் புதுப்பிப்புகளையும் இயக்கவும் அல்லது நிறுத்தவும்\n` +
+      `• /notify <{{groups}}> on|off - எந்தப் புதுப்பிப்புகள் வேண்டும் என்று தேர்வு செய்யவும்\n` +
+      `• /query <உங்கள் கேள்வி> - மருத்துவக் கேள்விகளைக் கேட்கவும்\n` +
+      `• /summary [டோக்கன்] - உங்கள் மருத்துவச் சுருக்கத்தைப் பெறவும்\n` +
+      `• /menu - முன்பதிவு, வரிசை நிலை, டிஸ்சார்ஜ் மதிப்பீட்டுக்கான பொத்தான்கள்\n` +
+      `• /book - சந்திப்பை முன்பதிவு செய்யவும்: மருத்துவர், நாள், நேரத்தைத் தேர்வு செய்யவும்\n` +
+      `• /queue - OPD வரிசையில் உங்கள் இடம், புதுப்பிக்கும் பொத்தானுடன்\n` +
+      `• /discharge - உங்கள் சமீபத்திய டிஸ்சார்ஜ் மதிப்பீடு\n` +
+      `• /forget - உரையாடலையும் நினைவில் வைத்த டோக்கனையும் அழிக்கவும்\n\n` +
+      `*சந்திப்பை மாற்றுதல்:*\n` +
+      `• "என் சந்திப்பை ரத்து செய்", "என் சந்திப்பை நாளை காலை 11 மணிக்கு மாற்று", "தயவுசெய்து என்னைத் திரும்ப அழையுங்கள்", "25 Oct அன்று புதிய சந்திப்பு முன்பதிவு செய்"\n` +
+      `• நான் ஒரு சுருக்கத்தையும் 6 இலக்கக் குறியீட்டையும் காட்டுவேன் - தொடர CONFIRM <குறியீடு> அல்லது விட்டுவிட DISCARD என்று பதிலளிக்கவும்\n\n` +
+      `*கேள்வி எடுத்துக்காட்டுகள்:*\n` +
+      `• /query என் சந்திப்பின் நிலை என்ன?\n` +
+      `• /query டோக்கன் OPD-1059-க்கான என் ஆய்வக அறிக்கைகளைக் காட்டு\n` +
+      `• நான் என்ன மருந்துகள் எடுத்துக்கொள்கிறேன்?\n` +
+      `• என் கடைசி வருகை எப்போது?\n\n` +
+      `*குறிப்புகள்:*\n` +
+      `• தெளிவான கேள்விகளுக்கு /query பயன்படுத்தவும் அல்லது நேரடியாக எழுதவும்\n` +
+      `• முதலில் உங்கள் அரட்டையை இணைக்கவும் - நோயாளி விவரங்கள் இணைக்கப்பட்ட அரட்டைகளுடன் மட்டுமே பகிரப்படும்\n` +
+      `• உங்களுக்குப் பல சந்திப்புகள் இருந்தால், டோக்கன் எண்ணை ஒருமுறை சொல்லுங்கள் - அடுத்த கேள்விகளுக்கு நினைவில் வைப்பேன்\n` +
+      `• இயல்பான மொழியில் கேளுங்கள் - நான் புரிந்துகொள்வேன்!\n` +
+      `• சந்திப்புகள், அறிக்கைகள், மருந்துகள் மற்றும் பலவற்றில் உதவ முடியும்\n\n` +
+      `மேலும் உதவி வேண்டுமா? கேளுங்கள்! 💊`,
+  },
+
+  menu_prompt: {
+    en: "What would you like to do?",
+    hi: "आप क्या करना चाहेंगे?",
+    mr: "तुम्हाला काय करायचे आहे?",
+    ta: "நீங்கள் என்ன செய்ய விரும்புகிறீர்கள்?",
+  },
+  link_first: {
+    en: "🔒 Please link this chat first with /link <your token number>.",
+    hi: "🔒 कृपया पहले /link <आपका टोकन नंबर> से इस चैट को जोड़ें।",
+    mr: "🔒 कृपया आधी /link <तुमचा टोकन नंबर> वापरून ही चॅट जोडा.",
+    ta: "🔒 முதலில் /link <உங்கள் டோக்கன் எண்> மூலம் இந்த அரட்டையை இணைக்கவும்.",
+  },
+  unlinked: {
+    en: "🔓 This chat is no longer linked to your appointments.",
+    hi: "🔓 यह चैट अब आपके अपॉइंटमेंट से जुड़ी नहीं है।",
+    mr: "🔓 ही चॅट आता तुमच्या अपॉइंटमेंटशी जोडलेली नाही.",
+    ta: "🔓 இந்த அரட்டை இனி உங்கள் சந்திப்புகளுடன் இணைக்கப்படவில்லை.",
+  },
+  not_linked: {
+    en: "ℹ️ This chat is not linked to any appointments.",
+    hi: "ℹ️ यह चैट किसी अपॉइंटमेंट से जुड़ी नहीं है।",
+    mr: "ℹ️ ही चॅट कोणत्याही अपॉइंटमेंटशी जोडलेली नाही.",
+    ta: "ℹ️ இந்த அரட்டை எந்தச் சந்திப்புடனும் இணைக்கப்படவில்லை.",
+  },
+  unlink_failed: {
+    en: "❌ Sorry, I could not unlink this chat. Please try again later.",
+    hi: "❌ क्षमा करें, मैं इस चैट का जुड़ाव नहीं हटा सका। कृपया बाद में फिर कोशिश करें।",
+    mr: "❌ क्षमस्व, मी या चॅटची जोडणी काढू शकलो नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+    ta: "❌ மன்னிக்கவும், இந்த அரட்டையின் இணைப்பை நீக்க முடியவில்லை. பிறகு மீண்டும் முயற்சிக்கவும்.",
+  },
+  forgotten: {
+    en: "🧹 I've cleared our conversation and forgotten your token number.",
+    hi: "🧹 मैंने हमारी बातचीत मिटा दी है और आपका टोकन नंबर भूल गया हूँ।",
+    mr: "🧹 मी आपले संभाषण पुसले आहे आणि तुमचा टोकन नंबर विसरलो आहे.",
+    ta: "🧹 நம் உரையாடலை அழித்துவிட்டேன், உங்கள் டோக்கன் எண்ணையும் மறந்துவிட்டேன்.",
+  },
+  query_usage: {
+    en: "❌ Please provide a query after /query. Example: /query What is my appointment status?",
+    hi: "❌ कृपया /query के बाद अपना सवाल लिखें। उदाहरण: /query मेरे अपॉइंटमेंट की स्थिति क्या है?",
+    mr: "❌ कृपया /query नंतर तुमचा प्रश्न लिहा. उदाहरण: /query माझ्या अपॉइंटमेंटची स्थिती काय आहे?",
+    ta: "❌ /query-க்குப் பிறகு உங்கள் கேள்வியை எழுதவும். எடுத்துக்காட்டு: /query என் சந்திப்பின் நிலை என்ன?",
+  },
+
+  link_status: {
+    en: "✅ This chat is linked to *{{patientName|your account}}* ({{tokens|no appointments yet}}).",
+    hi: "✅ यह चैट *{{patientName|आपके खाते}}* से जुड़ी है ({{tokens|अभी कोई अपॉइंटमेंट नहीं}})।",
+    mr: "✅ ही चॅट *{{patientName|तुमच्या खात्याशी}}* जोडलेली आहे ({{tokens|अजून कोणतीही अपॉइंटमेंट नाही}}).",
+    ta: "✅ இந்த அரட்டை *{{patientName|உங்கள் கணக்குடன்}}* இணைக்கப்பட்டுள்ளது ({{tokens|இன்னும் சந்திப்புகள் இல்லை}}).",
+  },
+  link_instructions: {
+    en:
+      `🔗 *Link this chat to your appointments*\n\n` +
+      `1. Send /link followed by your token number, e.g. /link OPD-1059 - we'll send a code to the WhatsApp number on that appointment\n` +
+      `   Or open the patient dashboard and choose *Connect Telegram*\n` +
+      `2. Send /link followed by the 6-digit code`,
+    hi:
+      `🔗 *इस चैट को अपने अपॉइंटमेंट से जोड़ें*\n\n` +
+      `1. /link के बाद अपना टोकन नंबर भेजें, जैसे /link OPD-1059 - हम उस अपॉइंटमेंट के WhatsApp नंबर पर एक कोड भेजेंगे\n` +
+      `   या मरीज़ डैशबोर्ड खोलें और *Connect Telegram* चुनें\n` +
+      `2. /link के बाद 6 अंकों का कोड भेजें`,
+    mr:
+      `🔗 *ही चॅट तुमच्या अपॉइंटमेंटशी जोडा*\n\n` +
+      `1. /link नंतर तुमचा टोकन नंबर पाठवा, उदा. /link OPD-1059 - आम्ही त्या अपॉइंटमेंटच्या WhatsApp नंबरवर कोड पाठवू\n` +
+      `   किंवा रुग्ण डॅशबोर्ड उघडा आणि *Connect Telegram* निवडा\n` +
+      `2. /link नंतर 6 अंकी कोड पाठवा`,
+    ta:
+      `🔗 *இந்த அரட்டையை உங்கள் சந்திப்புகளுடன் இணைக்கவும்*\n\n` +
+      `1. /link உடன் உங்கள் டோக்கன் எண்ணை அனுப்பவும், எ.கா. /link OPD-1059 - அந்தச் சந்திப்பின் WhatsApp எண்ணுக்கு ஒரு குறியீட்டை அனுப்புவோம்\n` +
+      `   அல்லது நோயாளி டாஷ்போர்டைத் திறந்து *Connect Telegram* என்பதைத் தேர்வு செய்யவும்\n` +
+      `2. /link உடன் 6 இலக்கக் குறியீட்டை அனுப்பவும்`,
+  },
+  linked: {
+    en:
+      "✅ Linked to *{{patientName|your account}}*. Your questions in this chat will now be answered from your own appointments. " +
+      "Send /notify on to get queue, bed and discharge updates here, or /unlink to remove the link.",
+    hi:
+      "✅ *{{patientName|आपके खाते}}* से जोड़ दिया गया। अब इस चैट में आपके सवालों के जवाब आपके अपने अपॉइंटमेंट से दिए जाएँगे। " +
+      "यहाँ कतार, बेड और डिस्चार्ज के अपडेट पाने के लिए /notify on भेजें, या जुड़ाव हटाने के लिए /unlink भेजें।",
+    mr:
+      "✅ *{{patientName|तुमच्या खात्याशी}}* जोडले. आता या चॅटमधील तुमच्या प्रश्नांची उत्तरे तुमच्या स्वतःच्या अपॉइंटमेंटवरून दिली जातील. " +
+      "येथे रांग, बेड आणि डिस्चार्जचे अपडेट मिळवण्यासाठी /notify on पाठवा, किंवा जोडणी काढण्यासाठी /unlink पाठवा.",
+    ta:
+      "✅ *{{patientName|உங்கள் கணக்குடன்}}* இணைக்கப்பட்டது. இனி இந்த அரட்டையில் உங்கள் கேள்விகளுக்கு உங்கள் சொந்தச் சந்திப்புகளிலிருந்து பதில் அளிக்கப்படும். " +
+      "வரிசை, படுக்கை, டிஸ்சார்ஜ் புதுப்பிப்புகளை இங்கே பெற /notify on அனுப்பவும், அல்லது இணைப்பை நீக்க /unlink அனுப்பவும்.",
+  },
+  code_sent: {
+    en: "📲 If that token number is registered, we've sent a 6-digit code to the WhatsApp number on the appointment. Send /link followed by the code to finish.",
+    hi: "📲 अगर वह टोकन नंबर पंजीकृत है, तो हमने अपॉइंटमेंट के WhatsApp नंबर पर 6 अंकों का कोड भेज दिया है। पूरा करने के लिए /link के बाद वह कोड भेजें।",
+    mr: "📲 तो टोकन नंबर नोंदणीकृत असल्यास, आम्ही अपॉइंटमेंटच्या WhatsApp नंबरवर 6 अंकी कोड पाठवला आहे. पूर्ण करण्यासाठी /link नंतर तो कोड पाठवा.",
+    ta: "📲 அந்த டோக்கன் எண் பதிவு செய்யப்பட்டிருந்தால், சந்திப்பின் WhatsApp எண்ணுக்கு 6 இலக்கக் குறியீட்டை அனுப்பியுள்ளோம். முடிக்க /link உடன் அந்தக் குறியீட்டை அனுப்பவும்.",
+  },
+  link_failed: {
+    en: "❌ Sorry, I could not link this chat right now. Please try again later.",
+    hi: "❌ क्षमा करें, मैं अभी इस चैट को नहीं जोड़ सका। कृपया बाद में फिर कोशिश करें।",
+    mr: "❌ क्षमस्व, मी आत्ता ही चॅट जोडू शकलो नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+    ta: "❌ மன்னிக்கவும், இப்போது இந்த அரட்டையை இணைக்க முடியவில்லை. பிறகு மீண்டும் முயற்சிக்கவும்.",
+  },
+
+  notify_status: {
+    en: `🔔 *Notifications*\n\n{{lines}}\n\nSend /notify on or /notify off for all updates, or e.g. /notify queue off for one kind.`,
+    hi: `🔔 *सूचनाएँ*\n\n{{lines}}\n\nसभी अपडेट के लिए /notify on या /notify off भेजें, या किसी एक तरह के लिए जैसे /notify queue off।`,
+    mr: `🔔 *सूचना*\n\n{{lines}}\n\nसर्व अपडेटसाठी /notify on किंवा /notify off पाठवा, किंवा एका प्रकारासाठी उदा. /notify queue off.`,
+    ta: `🔔 *அறிவிப்புகள்*\n\n{{lines}}\n\nஎல்லாப் புதுப்பிப்புகளுக்கும் /notify on அல்லது /notify off அனுப்பவும், அல்லது ஒரு வகைக்கு எ.கா. /notify queue off.`,
+  },
+  notify_usage: {
+    en: "❌ Usage: /notify on|off or /notify <{{groups}}> on|off",
+    hi: "❌ इस्तेमाल: /notify on|off या /notify <{{groups}}> on|off",
+    mr: "❌ वापर: /notify on|off किंवा /notify <{{groups}}> on|off",
+    ta: "❌ பயன்பாடு: /notify on|off அல்லது /notify <{{groups}}> on|off",
+  },
+  notify_on: {
+    en: "🔔 You'll get updates for: {{groups}}.",
+    hi: "🔔 आपको इनके अपडेट मिलेंगे: {{groups}}।",
+    mr: "🔔 तुम्हाला यांचे अपडेट मिळतील: {{groups}}.",
+    ta: "🔔 இவற்றுக்கான புதுப்பிப்புகளைப் பெறுவீர்கள்: {{groups}}.",
+  },
+  notify_off: {
+    en: "🔕 Notifications are off for this chat.",
+    hi: "🔕 इस चैट के लिए सूचनाएँ बंद हैं।",
+    mr: "🔕 या चॅटसाठी सूचना बंद आहेत.",
+    ta: "🔕 இந்த அரட்டைக்கு அறிவிப்புகள் நிறுத்தப்பட்டுள்ளன.",
+  },
+  notify_failed: {
+    en: "❌ Sorry, I could not update your notification settings. Please try again later.",
+    hi: "❌ क्षमा करें, मैं आपकी सूचना सेटिंग नहीं बदल सका। कृपया बाद में फिर कोशिश करें।",
+    mr: "❌ क्षमस्व, मी तुमच्या सूचना सेटिंग्ज बदलू शकलो नाही. कृपया नंतर पुन्हा प्रयत्न करा.",
+    ta: "❌ மன்னிக்கவும், உங்கள் அறிவிப்பு அமைப்புகளைப் புதுப்பிக்க முடியவில்லை. பிறகு மீண்டும் முயற்சிக்கவும்.",
+  },
+
+  token_not_linked: {
+    en: "❌ That token is not linked to this chat. Your tokens: {{tokens|none}}",
+    hi: "❌ वह टोकन इस चैट से जुड़ा नहीं है। आपके टोकन: {{tokens|कोई नहीं}}",
+    mr: "❌ तो टोकन या चॅटशी जोडलेला नाही. तुमचे टोकन: {{tokens|काहीही नाही}}",
+    ta: "❌ அந்த டோக்கன் இந்த அரட்டையுடன் இணைக்கப்படவில்லை. உங்கள் டோக்கன்கள்: {{tokens|இல்லை}}",
+  },
+  summary: {
+    en: `📋 *Patient Summary - Token {{token}}*\n\n{{summary}}\n\n---\nData retrieved from MedCare system`,
+    hi: `📋 *मरीज़ सारांश - टोकन {{token}}*\n\n{{summary}}\n\n---\nजानकारी MedCare सिस्टम से ली गई`,
+    mr: `📋 *रुग्ण सारांश - टोकन {{token}}*\n\n{{summary}}\n\n---\nमाहिती MedCare प्रणालीमधून घेतली`,
+    ta: `📋 *நோயாளி சுருக்கம் - டோக்கன் {{token}}*\n\n{{summary}}\n\n---\nதகவல் MedCare அமைப்பிலிருந்து பெறப்பட்டது`,
+  },
+  patient_not_found: {
+    en: "❌ Patient with token {{token}} not found.",
+    hi: "❌ टोकन {{token}} वाला मरीज़ नहीं मिला।",
+    mr: "❌ टोकन {{token}} असलेला रुग्ण सापडला नाही.",
+    ta: "❌ டோக்கன் {{token}} உள்ள நோயாளி கிடைக்கவில்லை.",
+  },
+  summary_failed: {
+    en: "❌ Sorry, I encountered an error while fetching the patient summary. Please try again later.",
+    hi: "❌ क्षमा करें, मरीज़ सारांश लाते समय त्रुटि हुई। कृपया बाद में फिर कोशिश करें।",
+    mr: "❌ क्षमस्व, रुग्ण सारांश आणताना त्रुटी आली. कृपया नंतर पुन्हा प्रयत्न करा.",
+    ta: "❌ மன்னிக்கவும், நோயாளி சுருக்கத்தைப் பெறும்போது பிழை ஏற்பட்டது. பிறகு மீண்டும் முயற்சிக்கவும்.",
+  },
+
+  answer: {
+    en: `🤖 *MedCare Assistant Response*\n\n{{response}}\n\n---\nQuery processed successfully{{debug|}}`,
+    hi: `🤖 *MedCare सहायक का जवाब*\n\n{{response}}\n\n---\nसवाल सफलतापूर्वक संसाधित हुआ{{debug|}}`,
+    mr: `🤖 *MedCare सहाय्यकाचे उत्तर*\n\n{{response}}\n\n---\nप्रश्न यशस्वीरित्या प्रक्रिया केला{{debug|}}`,
+    ta: `🤖 *MedCare உதவியாளர் பதில்*\n\n{{response}}\n\n---\nகேள்வி வெற்றிகரமாகச் செயலாக்கப்பட்டது{{debug|}}`,
+  },
+  query_failed: {
+    en: "❌ An error occurred while processing your query.",
+    hi: "❌ आपके सवाल को संसाधित करते समय त्रुटि हुई।",
+    mr: "❌ तुमच्या प्रश्नावर प्रक्रिया करताना त्रुटी आली.",
+    ta: "❌ உங்கள் கேள்வியைச் செயலாக்கும்போது பிழை ஏற்பட்டது.",
+  },
+  query_unavailable: {
+    en: "❌ Sorry, I encountered an error while processing your query. Please try again later.",
+    hi: "❌ क्षमा करें, आपके सवाल को संसाधित करते समय त्रुटि हुई। कृपया बाद में फिर कोशिश करें।",
+    mr: "❌ क्षमस्व, तुमच्या प्रश्नावर प्रक्रिया करताना त्रुटी आली. कृपया नंतर पुन्हा प्रयत्न करा.",
+    ta: "❌ மன்னிக்கவும், உங்கள் கேள்வியைச் செயலாக்கும்போது பிழை ஏற்பட்டது. பிறகு மீண்டும் முயற்சிக்கவும்.",
+  },
+
+  // Button flows (telegramFlows.js)
+  flow_book_button: {
+    en: "📅 Book an appointment",
+    hi: "📅 अपॉइंटमेंट बुक करें",
+    mr: "📅 अपॉइंटमेंट बुक करा",
+    ta: "📅 சந்திப்பு முன்பதிவு",
+  },
+  flow_queue_button: {
+    en: "🔢 Queue status",
+    hi: "🔢 कतार की स्थिति",
+    mr: "🔢 रांगेची स्थिती",
+    ta: "🔢 வரிசை நிலை",
+  },
+  flow_discharge_button: {
+    en: "🏠 Discharge estimate",
+    hi: "🏠 डिस्चार्ज अनुमान",
+    mr: "🏠 डिस्चार्ज अंदाज",
+    ta: "🏠 டிஸ்சார்ஜ் மதிப்பீடு",
+  },
+  flow_cancel_button: {
+    en: "✖️ Cancel",
+    hi: "✖️ रद्द करें",
+    mr: "✖️ रद्द करा",
+    ta: "✖️ ரத்து",
+  },
+  flow_confirm_button: {
+    en: "✅ Confirm",
+    hi: "✅ पुष्टि करें",
+    mr: "✅ पुष्टी करा",
+    ta: "✅ உறுதிசெய்",
+  },
+  flow_refresh_button: {
+    en: "🔄 Refresh",
+    hi: "🔄 रीफ़्रेश करें",
+    mr: "🔄 रीफ्रेश करा",
+    ta: "🔄 புதுப்பி",
+  },
+  flow_no_appointments: {
+    en: "There are no appointments linked to this chat yet.",
+    hi: "इस चैट से अभी कोई अपॉइंटमेंट नहीं जुड़ा है।",
+    mr: "या चॅटशी अजून कोणतीही अपॉइंटमेंट जोडलेली नाही.",
+    ta: "இந்த அரட்டையுடன் இன்னும் எந்தச் சந்திப்பும் இணைக்கப்படவில்லை.",
+  },
+  flow_which_appointment: {
+    en: "Which appointment?",
+    hi: "कौन-सा अपॉइंटमेंट?",
+    mr: "कोणती अपॉइंटमेंट?",
+    ta: "எந்தச் சந்திப்பு?",
+  },
+  flow_status: {
+    en: "{{status}}\n\nUpdated {{time}}",
+    hi: "{{status}}\n\n{{time}} पर अपडेट किया गया",
+    mr: "{{status}}\n\n{{time}} वाजता अपडेट केले",
+    ta: "{{status}}\n\n{{time}} மணிக்குப் புதுப்பிக்கப்பட்டது",
+  },
+  flow_booking_cancelled: {
+    en: "Booking cancelled.",
+    hi: "बुकिंग रद्द कर दी गई।",
+    mr: "बुकिंग रद्द केली.",
+    ta: "முன்பதிவு ரத்து செய்யப்பட்டது.",
+  },
+  flow_booking_expired: {
+    en: "This booking has expired. Send /book to start again.",
+    hi: "यह बुकिंग समाप्त हो गई है। फिर से शुरू करने के लिए /book भेजें।",
+    mr: "ही बुकिंग कालबाह्य झाली आहे. पुन्हा सुरू करण्यासाठी /book पाठवा.",
+    ta: "இந்த முன்பதிவு காலாவதியாகிவிட்டது. மீண்டும் தொடங்க /book அனுப்பவும்.",
+  },
+  flow_own_appointment: {
+    en: "You can only book with your own appointment details.",
+    hi: "आप केवल अपने अपॉइंटमेंट के विवरण से ही बुक कर सकते हैं।",
+    mr: "तुम्ही फक्त तुमच्या स्वतःच्या अपॉइंटमेंटच्या तपशीलांनीच बुक करू शकता.",
+    ta: "உங்கள் சொந்தச் சந்திப்பு விவரங்களுடன் மட்டுமே முன்பதிவு செய்ய முடியும்.",
+  },
+  flow_no_doctors: {
+    en: "No doctors are listed at the moment. Please try again later.",
+    hi: "इस समय कोई डॉक्टर सूचीबद्ध नहीं है। कृपया बाद में फिर कोशिश करें।",
+    mr: "सध्या कोणतेही डॉक्टर सूचीबद्ध नाहीत. कृपया नंतर पुन्हा प्रयत्न करा.",
+    ta: "தற்போது மருத்துவர்கள் யாரும் பட்டியலிடப்படவில்லை. பிறகு மீண்டும் முயற்சிக்கவும்.",
+  },
+  flow_which_doctor: {
+    en: "Which doctor would you like to see?",
+    hi: "आप किस डॉक्टर से मिलना चाहेंगे?",
+    mr: "तुम्हाला कोणत्या डॉक्टरांना भेटायचे आहे?",
+    ta: "எந்த மருத்துவரைப் பார்க்க விரும்புகிறீர்கள்?",
+  },
+  flow_doctor_button: {
+    en: "Dr. {{name}}",
+    hi: "डॉ. {{name}}",
+    mr: "डॉ. {{name}}",
+    ta: "டாக்டர் {{name}}",
+  },
+  flow_choose_doctor: {
+    en: "Please choose one of the doctors listed.",
+    hi: "कृपया सूची में से कोई एक डॉक्टर चुनें।",
+    mr: "कृपया यादीतील एक डॉक्टर निवडा.",
+    ta: "பட்டியலில் உள்ள மருத்துவர்களில் ஒருவரைத் தேர்வு செய்யவும்.",
+  },
+  flow_which_day: {
+    en: "Dr. {{doctor}}. Which day?",
+    hi: "डॉ. {{doctor}}। कौन-सा दिन?",
+    mr: "डॉ. {{doctor}}. कोणता दिवस?",
+    ta: "டாக்டர் {{doctor}}. எந்த நாள்?",
+  },
+  flow_no_times: {
+    en: "There are no times left on that day. Send /book to choose another.",
+    hi: "उस दिन कोई समय खाली नहीं है। दूसरा दिन चुनने के लिए /book भेजें।",
+    mr: "त्या दिवशी कोणतीही वेळ शिल्लक नाही. दुसरा दिवस निवडण्यासाठी /book पाठवा.",
+    ta: "அந்த நாளில் நேரம் எதுவும் மீதமில்லை. வேறொன்றைத் தேர்வு செய்ய /book அனுப்பவும்.",
+  },
+  flow_which_time: {
+    en: "{{day}}. What time?",
+    hi: "{{day}}। किस समय?",
+    mr: "{{day}}. किती वाजता?",
+    ta: "{{day}}. எந்த நேரம்?",
+  },
+  flow_time_taken: {
+    en: "That time is no longer available. Send /book to choose another.",
+    hi: "वह समय अब उपलब्ध नहीं है। दूसरा समय चुनने के लिए /book भेजें।",
+    mr: "ती वेळ आता उपलब्ध नाही. दुसरी वेळ निवडण्यासाठी /book पाठवा.",
+    ta: "அந்த நேரம் இப்போது கிடைக்கவில்லை. வேறொன்றைத் தேர்வு செய்ய /book அனுப்பவும்.",
+  },
+  flow_shall_i_book: {
+    en: "{{summary}}\n\nShall I book it?",
+    hi: "{{summary}}\n\nक्या मैं इसे बुक कर दूँ?",
+    mr: "{{summary}}\n\nमी हे बुक करू का?",
+    ta: "{{summary}}\n\nஇதை முன்பதிவு செய்யட்டுமா?",
+  },
+  flow_restart: {
+    en: "Send /book to start again.",
+    hi: "फिर से शुरू करने के लिए /book भेजें।",
+    mr: "पुन्हा सुरू करण्यासाठी /book पाठवा.",
+    ta: "மீண்டும் தொடங்க /book அனுப்பவும்.",
+  },
+  flow_failed: {
+    en: "❌ Sorry, something went wrong. Please try again later.",
+    hi: "❌ क्षमा करें, कुछ गलत हो गया। कृपया बाद में फिर कोशिश करें।",
+    mr: "❌ क्षमस्व, काहीतरी चुकले. कृपया नंतर पुन्हा प्रयत्न करा.",
+    ta: "❌ மன்னிக்கவும், ஏதோ தவறு நடந்தது. பிறகு மீண்டும் முயற்சிக்கவும்.",
+  },
+};
+
+/**
+ * @param {string} name - key of REPLIES
+ * @param {string} [language] - falls back to English without a translation
+ */
+export function telegramReply(name, variables = {}, language = DEFAULT_LANGUAGE) {
+  const texts = REPLIES[name];
+  if (!texts) {
+    throw new Error(`Unknown Telegram reply "${name}"`);
+  }
+
+  const { text, missing } = fillPlaceholders(texts[language] || texts[DEFAULT_LANGUAGE], variables);
+  if (missing.length > 0) {
+    throw new Error(`Telegram reply "${name}" needs ${missing.join(", ")}`);
+  }
+  return text;
+}
+
+/**
+ * English text from the chatbot, IntentRouter or ChatActionService in the
+ * chat's language; unchanged for English or when translation fails.
+ */
+export function localize(text, language = DEFAULT_LANGUAGE) {
+  return geminiService.translateResponse(text, language);
+}
+
+/**
+ * Every translation must use its English reply's placeholders (see
+ * comparePlaceholders). Throws when the backend starts.
+ */
+export function checkReplies() {
+  const problems = [];
+
+  for (const [name, texts] of Object.entries(REPLIES)) {
+    if (!texts[DEFAULT_LANGUAGE]) {
+      problems.push(`${name} has no English text`);
+      continue;
+    }
+    for (const [language, text] of Object.entries(texts)) {
+      if (language === DEFAULT_LANGUAGE) continue;
+      problems.push(...comparePlaceholders(`${name} (${language})`, { body: texts[DEFAULT_LANGUAGE] }, { body: text }));
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Telegram reply translations don't match:\n- ${problems.join("\n- ")}`);
+  }
+}
+
+checkReplies();
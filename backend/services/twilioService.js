@@ -1,5 +1,6 @@
 import twilio from "twilio";
 import dotenv from "dotenv";
+import { toE164 } from "../utils/phone.js";
 
 dotenv.config();
 
@@ -8,52 +9,64 @@ const authToken = process.env.TWILIO_AUTH_TOKEN;
 const fromNumber = process.env.TWILIO_FROM_NUMBER; // +14155238886
 
 /**
- * Normalize a phone number to E.164 format.
- * Handles Indian numbers entered without country code.
- * Examples:
- *   "9876543210"      → "+919876543210"
- *   "+919876543210"   → "+919876543210"
- *   "919876543210"    → "+919876543210"
- */
-function normalizePhone(raw) {
-    // Strip spaces, dashes, parentheses
-    let phone = String(raw).replace(/[\s\-().]/g, "");
-
-    if (phone.startsWith("+")) return phone;           // already E.164
-    if (phone.startsWith("91") && phone.length === 12) return `+${phone}`; // 91XXXXXXXXXX
-    if (phone.length === 10) return `+91${phone}`;     // bare 10-digit Indian number
-    return `+${phone}`;                                // fallback — just add +
-}
-
-/**
- * Send an appointment confirmation via Twilio WhatsApp sandbox.
+ * Send a message through Twilio, over WhatsApp or as a plain SMS.
  *
- * ⚠️  SANDBOX REQUIREMENT: The recipient must have sent the join-keyword
- *     to +14155238886 on WhatsApp BEFORE they can receive messages.
+ * ⚠️  SANDBOX REQUIREMENT: on WhatsApp the recipient must have sent the
+ *     join-keyword to +14155238886 BEFORE they can receive messages.
  *     Check: https://console.twilio.com/us1/develop/sms/try-it-out/whatsapp-learn
  *
- * @param {string} toPhone  - Patient phone (any reasonable format)
- * @param {string} body     - Message text
+ * @param {object} options
+ * @param {string} options.to        - Patient phone, in any format utils/phone.js parses
+ * @param {string} options.body      - Message text
+ * @param {boolean} [options.whatsapp] - false sends a plain SMS
+ * @param {string} [options.from]    - Sender number, default TWILIO_FROM_NUMBER
+ * @param {string} [options.statusCallback] - URL Twilio posts status changes to
  * @returns {Promise<object>} Twilio message object
  */
-export async function sendAppointmentSMS(toPhone, body) {
+export async function sendTwilioMessage({ to, body, whatsapp = true, from = fromNumber, statusCallback }) {
+    // Throws a PhoneError for numbers that can't be reached
+    const normalizedPhone = toE164(to);
     const client = twilio(accountSid, authToken);
 
-    const normalizedPhone = normalizePhone(toPhone);
-
     // Twilio WhatsApp sandbox requires "whatsapp:" prefix on both from/to
+    const prefix = whatsapp ? "whatsapp:" : "";
     const message = await client.messages.create({
-        from: `whatsapp:${fromNumber}`,
-        to: `whatsapp:${normalizedPhone}`,
+        from: `${prefix}${from}`,
+        to: `${prefix}${normalizedPhone}`,
         body,
+        ...(statusCallback && { statusCallback }),
     });
 
     // Log the full status — if status is "queued" but you never receive it,
     // the sandbox opt-in is missing for this number.
-    console.log(`[Twilio] Message to ${normalizedPhone}`);
+    console.log(`[Twilio] ${whatsapp ? "WhatsApp" : "SMS"} to ${normalizedPhone}`);
     console.log(`  SID    : ${message.sid}`);
     console.log(`  Status : ${message.status}`);   // queued / sent / delivered / failed / undelivered
     console.log(`  Error  : ${message.errorCode || "none"} — ${message.errorMessage || "none"}`);
 
     return message;
 }
+
+/**
+ * Check the X-Twilio-Signature of a webhook request.
+ *
+ * @param {string} signature - X-Twilio-Signature header
+ * @param {string} url       - The full URL Twilio posted to
+ * @param {object} params    - The POSTed form fields
+ * @returns {boolean}
+ */
+export function validateTwilioSignature(signature, url, params) {
+    if (!authToken || !signature) return false;
+    return twilio.validateRequest(authToken, signature, url, params);
+}
+
+/**
+ * Send a WhatsApp message through the Twilio sandbox.
+ *
+ * @param {string} toPhone  - Patient phone (any reasonable format)
+ * @param {string} body     - Message text
+ * @returns {Promise<object>} Twilio message object
+ */
+export async function sendAppointmentSMS(toPhone, body) {
+    return sendTwilioMessage({ to: toPhone, body });
+}
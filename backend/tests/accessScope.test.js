@@ -0,0 +1,276 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { AccessScope, AccessDeniedError } from "../services/accessScope.js";
+import { parseSQL } from "../services/sqlParser.js";
+import { QueryPlanner } from "../services/queryPlanner.js";
+
+const anonymous = { role: "anonymous", authenticated: false, userId: null, tokenNumbers: [], channel: "api" };
+const tokenPatient = { role: "patient", authenticated: false, userId: null, tokenNumbers: ["OPD-1"], channel: "api" };
+const signedInPatient = { role: "patient", authenticated: true, userId: "u1", tokenNumbers: ["OPD-1", "OPD-3"], channel: "api" };
+const doctor = { role: "doctor", authenticated: true, userId: "d1", tokenNumbers: [], channel: "api" };
+
+// assert.throws matcher for an AccessDeniedError with `reason`
+const denied = (reason) => (error) => {
+  assert.ok(error instanceof AccessDeniedError, `expected AccessDeniedError, got ${error}`);
+  assert.equal(error.status, 403);
+  assert.equal(error.reason, reason);
+  return true;
+};
+
+/**
+ * Supabase client stand-in for resolveCaller: sessions by access token,
+ * user_profiles roles by user id and appointments by email.
+ */
+function fakeAuthClient({ sessions = {}, roles = {}, appointments = [] } = {}) {
+  return {
+    auth: {
+      getUser: async (token) =>
+        sessions[token] ? { data: { user: sessions[token] }, error: null } : { data: null, error: new Error("invalid") },
+    },
+    from: (table) => ({
+      select: () => ({
+        eq: (column, value) => {
+          if (table === "user_profiles") {
+            return { maybeSingle: async () => ({ data: roles[value] ? { role: roles[value] } : null }) };
+          }
+          return Promise.resolve({ data: appointments.filter((row) => row[column] === value) });
+        },
+      }),
+    }),
+  };
+}
+
+const scope = new AccessScope(null);
+const scoped = (sql, caller) => scope.apply(parseSQL(sql), caller);
+
+// The PostgREST filters a scoped statement compiles to
+function filtersOf(sql, caller) {
+  const plan = new QueryPlanner(null).plan(scoped(sql, caller));
+  const leaves = [];
+  const collect = (node) => (node.conditions ? node.conditions.forEach(collect) : leaves.push(node));
+  if (plan.filters) collect(plan.filters);
+  return { select: plan.select, filters: leaves.map(({ column, operator, value }) => `${column}.${operator}.${value}`) };
+}
+
+describe("AccessScope", () => {
+  describe("resolveCaller", () => {
+    const scopeWithAuth = new AccessScope(
+      fakeAuthClient({
+        sessions: {
+          "patient-session": { id: "u1", email: "Asha@Example.com" },
+          "doctor-session": { id: "d1", email: "mehta@example.com" },
+        },
+        roles: { d1: "doctor" },
+        appointments: [
+          { email: "asha@example.com", token_number: "OPD-1" },
+          { email: "asha@example.com", token_number: "OPD-3" },
+          { email: "ravi@example.com", token_number: "OPD-2" },
+        ],
+      })
+    );
+
+    it("treats a caller with nothing as anonymous", async () => {
+      const caller = await scopeWithAuth.resolveCaller({});
+
+      assert.equal(caller.role, "anonymous");
+      assert.equal(caller.authenticated, false);
+      assert.deepEqual(caller.tokenNumbers, []);
+    });
+
+    it("treats a bare token number as an unauthenticated patient", async () => {
+      const caller = await scopeWithAuth.resolveCaller({ tokenNumber: "OPD-2" });
+
+      assert.equal(caller.role, "patient");
+      assert.equal(caller.authenticated, false);
+      assert.deepEqual(caller.tokenNumbers, ["OPD-2"]);
+    });
+
+    it("gives a signed-in patient the tokens booked with their email", async () => {
+      const caller = await scopeWithAuth.resolveCaller({ authorization: "Bearer patient-session" });
+
+      assert.equal(caller.role, "patient");
+      assert.equal(caller.authenticated, true);
+      assert.deepEqual(caller.tokenNumbers, ["OPD-1", "OPD-3"]);
+    });
+
+    it("refuses a signed-in patient's request for someone else's token", async () => {
+      await assert.rejects(
+        scopeWithAuth.resolveCaller({ authorization: "Bearer patient-session", tokenNumber: "OPD-2" }),
+        denied("token_not_owned")
+      );
+    });
+
+    it("recognises doctors and refuses bad sessions", async () => {
+      const caller = await scopeWithAuth.resolveCaller({ authorization: "Bearer doctor-session" });
+
+      assert.equal(caller.role, "doctor");
+      assert.equal(caller.userId, "d1");
+      await assert.rejects(scopeWithAuth.resolveCaller({ authorization: "Bearer forged" }), denied("invalid_session"));
+    });
+
+    it("only accepts linked chats on channels that need a link", async () => {
+      const unlinked = await scopeWithAuth.resolveCaller({ tokenNumber: "OPD-2", channel: "telegram", requireLink: true });
+      assert.equal(unlinked.role, "anonymous");
+      assert.deepEqual(unlinked.tokenNumbers, []);
+      assert.equal(unlinked.linkRequired, true);
+
+      const linkedAccount = { userId: null, email: "asha@example.com", tokenNumbers: ["OPD-1"] };
+      const linked = await scopeWithAuth.resolveCaller({ channel: "telegram", requireLink: true, linkedAccount });
+      assert.equal(linked.authenticated, true);
+      assert.deepEqual(linked.tokenNumbers, ["OPD-1"]);
+
+      await assert.rejects(
+        scopeWithAuth.resolveCaller({ tokenNumber: "OPD-2", channel: "telegram", requireLink: true, linkedAccount }),
+        denied("token_not_owned")
+      );
+    });
+  });
+
+  describe("anonymous callers", () => {
+    for (const sql of [
+      "SELECT * FROM appointments",
+      "SELECT COUNT(*) FROM opd_queue",
+      "SELECT * FROM daily_rounds",
+      "SELECT * FROM user_profiles",
+      "SELECT beds.* FROM beds JOIN bed_queue ON beds.bed_id = bed_queue.bed_id",
+    ]) {
+      it(`get nothing from ${sql}`, () => {
+        assert.throws(() => scoped(sql, anonymous), denied("no_identity"));
+      });
+    }
+
+    it("may read public tables", () => {
+      assert.deepEqual(filtersOf("SELECT * FROM beds WHERE status = 'available'", anonymous).filters, ["status.eq.available"]);
+    });
+  });
+
+  describe("patients", () => {
+    it("only see their own token", () => {
+      assert.deepEqual(filtersOf("SELECT * FROM appointments WHERE status = 'scheduled'", tokenPatient).filters, [
+        "token_number.eq.OPD-1",
+        "status.eq.scheduled",
+      ]);
+      assert.deepEqual(filtersOf("SELECT * FROM opd_queue", signedInPatient).filters, ["token_number.in.(OPD-1,OPD-3)"]);
+    });
+
+    for (const sql of [
+      "SELECT * FROM appointments WHERE token_number = 'OPD-2'",
+      "SELECT * FROM appointments a WHERE a.token_number = 'OPD-2'",
+      "SELECT * FROM appointments WHERE token_number IN ('OPD-1', 'OPD-2')",
+      "SELECT * FROM appointments WHERE status = 'x' OR token_number = 'OPD-2'",
+      "SELECT * FROM appointments WHERE NOT (token_number = 'OPD-2')",
+      "SELECT * FROM icu_queue WHERE patient_token = 'OPD-2'",
+      "SELECT * FROM daily_rounds JOIN bed_queue ON daily_rounds.bed_queue_id = bed_queue.id WHERE bed_queue.token_number = 'OPD-2'",
+    ]) {
+      it(`cannot filter on another patient's token: ${sql}`, () => {
+        assert.throws(() => scoped(sql, tokenPatient), denied("cross_patient"));
+      });
+    }
+
+    it("see child tables through their own parent row", () => {
+      const { select, filters } = filtersOf("SELECT * FROM daily_rounds ORDER BY created_at DESC", tokenPatient);
+
+      assert.equal(select, "*,bed_queue!inner()");
+      assert.deepEqual(filters, ["bed_queue.token_number.eq.OPD-1"]);
+    });
+
+    it("see an ICU stay's child rows through icu_queue", () => {
+      const { select, filters } = filtersOf(
+        "SELECT discharge_predictions.remaining_days FROM discharge_predictions JOIN icu_queue ON discharge_predictions.icu_queue_id = icu_queue.id",
+        tokenPatient
+      );
+
+      assert.equal(select, "remaining_days,icu_queue!inner()");
+      assert.deepEqual(filters, ["icu_queue.patient_token.eq.OPD-1"]);
+    });
+
+    it("keep a left join to the parent from widening the scope", () => {
+      const statement = scoped(
+        "SELECT * FROM medical_reports LEFT JOIN bed_queue ON medical_reports.bed_queue_id = bed_queue.id",
+        tokenPatient
+      );
+
+      assert.equal(statement.joins[0].type, "inner");
+    });
+
+    it("cannot reach a child table through a join it can't verify", () => {
+      assert.throws(
+        () => scoped("SELECT * FROM appointments JOIN daily_rounds ON appointments.id = daily_rounds.bed_queue_id", tokenPatient),
+        denied("unscoped_join")
+      );
+    });
+
+    it("need a session for their own profile", () => {
+      assert.deepEqual(filtersOf("SELECT * FROM user_profiles", signedInPatient).filters, ["id.eq.u1"]);
+      assert.throws(() => scoped("SELECT * FROM user_profiles", tokenPatient), denied("no_identity"));
+    });
+  });
+
+  describe("doctors", () => {
+    it("only see their own patients", () => {
+      assert.deepEqual(filtersOf("SELECT * FROM appointments", doctor).filters, ["doctor_id.eq.d1"]);
+      assert.deepEqual(
+        filtersOf("SELECT bed_queue.patient_name FROM bed_queue JOIN icu_queue ON bed_queue.token_number = icu_queue.patient_token", doctor).filters,
+        ["doctor_id.eq.d1", "icu_queue.doctor_id.eq.d1"]
+      );
+    });
+
+    it("see child tables only for their own patients", () => {
+      assert.deepEqual(filtersOf("SELECT * FROM discharge_predictions", doctor).filters, ["bed_queue.doctor_id.eq.d1"]);
+      assert.deepEqual(
+        filtersOf("SELECT medical_reports.* FROM medical_reports JOIN icu_queue ON medical_reports.icu_queue_id = icu_queue.id", doctor).filters,
+        ["icu_queue.doctor_id.eq.d1"]
+      );
+    });
+
+    it("may ask about any token, still within their own patients", () => {
+      assert.deepEqual(filtersOf("SELECT * FROM appointments WHERE token_number = 'OPD-2'", doctor).filters, [
+        "doctor_id.eq.d1",
+        "token_number.eq.OPD-2",
+      ]);
+    });
+
+    it("see the staff directory", () => {
+      assert.deepEqual(filtersOf("SELECT name FROM user_profiles", doctor).filters, []);
+    });
+  });
+
+  describe("PII", () => {
+    for (const sql of [
+      "SELECT phone FROM appointments",
+      "SELECT a.email FROM appointments a",
+      "SELECT COUNT(DISTINCT email) FROM appointments",
+      "SELECT bed_queue.notes FROM daily_rounds JOIN bed_queue ON daily_rounds.bed_queue_id = bed_queue.id",
+    ]) {
+      it(`can't be asked for by name without signing in: ${sql}`, () => {
+        assert.throws(() => scoped(sql, tokenPatient), denied("pii_column"));
+      });
+    }
+
+    it("is stripped from rows and embedded rows for unauthenticated callers", () => {
+      const statement = parseSQL("SELECT * FROM appointments");
+      const rows = [
+        {
+          token_number: "OPD-1",
+          patient_name: "Asha",
+          phone: "9876543210",
+          email: "asha@example.com",
+          notes: "allergic to penicillin",
+          bed_queue: [{ bed_type: "general", phone: "9876543210", notes: "x" }],
+        },
+      ];
+
+      assert.deepEqual(scope.redact(rows, statement, tokenPatient), [
+        { token_number: "OPD-1", patient_name: "Asha", bed_queue: [{ bed_type: "general" }] },
+      ]);
+      assert.equal(rows[0].phone, "9876543210", "the input rows are left alone");
+    });
+
+    it("is returned to signed-in callers", () => {
+      const rows = [{ token_number: "OPD-1", phone: "9876543210" }];
+
+      assert.deepEqual(scoped("SELECT phone FROM appointments", signedInPatient).columns[0].name, "phone");
+      assert.equal(scope.redact(rows, parseSQL("SELECT * FROM appointments"), signedInPatient), rows);
+    });
+  });
+});
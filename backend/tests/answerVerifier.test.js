@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import answerVerifier from "../services/answerVerifier.js";
+
+const rows = [
+  { token_number: "OPD-1059", first_name: "Rajesh", last_name: "Kumar", status: "waiting", confidence: 0.8236, appointment_date: "2026-10-20T09:30:00Z" },
+  { token_number: "OPD-1060", first_name: "Asha", last_name: "Rao", status: "admitted", confidence: 0.5, appointment_date: "2026-10-21T14:00:00Z" },
+  { token_number: "OPD-1061", first_name: "आशा", last_name: "वर्मा", status: "waiting", confidence: null, appointment_date: null },
+];
+
+const claims = (result) => result.unsupported.map((claim) => claim.claim);
+
+describe("AnswerVerifier", () => {
+  it("finds a name split across first and last name", () => {
+    const result = answerVerifier.verify("The patient is Rajesh Kumar.", rows);
+
+    assert.equal(result.grounded, true);
+    assert.deepEqual(result.citations, [{ claim: "Rajesh Kumar", type: "entity", row: 0, field: "first_name", value: "Rajesh" }]);
+  });
+
+  it("refuses a name whose parts come from no row", () => {
+    assert.deepEqual(claims(answerVerifier.verify("Your doctor is Dr. Rajesh Mehta.", rows)), ["Rajesh Mehta"]);
+  });
+
+  it("accepts rounded numbers and percentages", () => {
+    const result = answerVerifier.verify("Confidence is 82% for OPD-1059, about 0.82, and 50% for OPD-1060.", rows);
+
+    assert.equal(result.grounded, true);
+    assert.deepEqual(
+      result.citations.filter((citation) => citation.type === "number").map(({ claim, field, row }) => [claim, field, row]),
+      [["82%", "confidence", 0], ["0.82", "confidence", 0], ["50%", "confidence", 1]]
+    );
+    assert.deepEqual(claims(answerVerifier.verify("Confidence is 83%.", rows)), ["83%"]);
+  });
+
+  it("cites the row count", () => {
+    const result = answerVerifier.verify("There are 3 patients in the list.", rows);
+
+    assert.deepEqual(result.citations, [{ claim: "3", type: "number", row: null, field: "row_count", value: 3 }]);
+  });
+
+  it("accepts dates and times from timestamps", () => {
+    assert.equal(answerVerifier.verify("Rajesh Kumar is booked for 20 October at 9:30 AM.", rows).grounded, true);
+  });
+
+  it("flags a hallucinated token", () => {
+    const result = answerVerifier.verify("OPD-1059 and OPD-2000 are waiting.", rows);
+
+    assert.equal(result.grounded, false);
+    assert.deepEqual(result.unsupported, [{ claim: "OPD-2000", type: "identifier" }]);
+  });
+
+  it("skips claims the question already makes", () => {
+    assert.equal(answerVerifier.verify("OPD-2000 was not found.", rows, "Where is OPD-2000?").grounded, true);
+  });
+
+  it("does not take capitalized sentence starts and list numbers for claims", () => {
+    assert.equal(answerVerifier.verify("Here are the results:\n1. Rajesh Kumar\n2. Asha Rao\nBoth are listed.", rows).grounded, true);
+  });
+
+  describe("text in other scripts", () => {
+    it("flags a translated answer it cannot read", () => {
+      const result = answerVerifier.verify("राजेश कुमार प्रतीक्षा कर रहे हैं।", rows);
+
+      assert.equal(result.grounded, false);
+      assert.ok(claims(result).includes("प्रतीक्षा"));
+    });
+
+    it("flags digits other than 0-9", () => {
+      assert.equal(answerVerifier.verify("There are ३ patients.", rows).grounded, false);
+    });
+
+    it("accepts names written in the rows' own script", () => {
+      const result = answerVerifier.verify("आशा वर्मा (OPD-1061) is waiting.", rows);
+
+      assert.equal(result.grounded, true);
+      assert.deepEqual(
+        result.citations.filter((citation) => citation.type === "entity").map(({ claim, row }) => [claim, row]),
+        [["आशा", 2], ["वर्मा", 2]]
+      );
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import clinicalAIService from "../services/clinicalAiService.js";
+import { getLLMProvider } from "../services/llm/index.js";
+
+const patientContext = {
+  patient_name: "Asha",
+  diagnosis: "Community-acquired pneumonia",
+  days_since_admission: 2,
+  current_local_date: "2026-01-01",
+  clinical_timeline: [{ type: "round", date: "2026-01-01", condition_status: "improving", temperature: 37.4 }],
+};
+
+describe("ClinicalAIService.predictDischarge", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("replays the recorded discharge_prediction fixture", async () => {
+    const prediction = await clinicalAIService.predictDischarge(patientContext);
+
+    assert.deepEqual(prediction, {
+      predicted_discharge_date: "2026-01-04",
+      remaining_days: 3,
+      confidence: 0.6,
+      reasoning:
+        "Fixture prediction: vitals are stable across recorded rounds and the condition is improving, so a short remaining stay is expected.",
+    });
+  });
+
+  it("sends the patient's data and never predicts a negative stay", async () => {
+    const provider = getLLMProvider("discharge_prediction");
+    mock.method(provider, "complete", async () =>
+      JSON.stringify({ predicted_discharge_date: "2026-01-01", remaining_days: -2, confidence: 0.3, reasoning: "Ready today." })
+    );
+
+    const prediction = await clinicalAIService.predictDischarge(patientContext);
+
+    assert.equal(prediction.remaining_days, 0);
+    const [request] = provider.complete.mock.calls[0].arguments;
+    assert.equal(request.json, true);
+    assert.match(request.prompt, /"diagnosis": "Community-acquired pneumonia"/);
+    assert.match(request.prompt, /already 2 day\(s\) into their stay/);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ConversationStore } from "../services/conversationStore.js";
+
+const asha = { role: "patient", authenticated: true, userId: "u1", tokenNumbers: ["OPD-1"] };
+const ravi = { role: "patient", authenticated: true, userId: "u2", tokenNumbers: ["OPD-2"] };
+const anonymous = { role: "anonymous", authenticated: false, userId: null, tokenNumbers: [] };
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe("ConversationStore", () => {
+  describe("openApiSession", () => {
+    it("issues a new id for an id it didn't give out", () => {
+      const store = new ConversationStore();
+      const { sessionId, sessionKey } = store.openApiSession(asha, "my-session");
+
+      assert.match(sessionId, UUID);
+      assert.equal(sessionKey, `api:u1:${sessionId}`);
+    });
+
+    it("resumes the caller's own session", () => {
+      const store = new ConversationStore();
+      const opened = store.openApiSession(asha, "new");
+      store.recordTurn(opened.sessionKey, { question: "q", sql: null, response: "r", data: [], tokenNumber: "OPD-1" });
+
+      const resumed = store.openApiSession(asha, opened.sessionId);
+
+      assert.deepEqual(resumed, opened);
+      assert.equal(store.getContext(resumed.sessionKey).activeToken, "OPD-1");
+    });
+
+    it("keeps another caller out of the session", () => {
+      const store = new ConversationStore();
+      const opened = store.openApiSession(asha, "new");
+      store.setActiveToken(opened.sessionKey, "OPD-1");
+
+      for (const other of [ravi, anonymous]) {
+        const { sessionId, sessionKey } = store.openApiSession(other, opened.sessionId);
+
+        assert.notEqual(sessionId, opened.sessionId);
+        assert.equal(store.getContext(sessionKey), null);
+      }
+    });
+
+    it("starts over once the session has expired", (t) => {
+      t.mock.timers.enable({ apis: ["Date"], now: 0 });
+      const store = new ConversationStore();
+      const opened = store.openApiSession(anonymous, "new");
+
+      t.mock.timers.tick(store.ttlMs + 1);
+
+      assert.notEqual(store.openApiSession(anonymous, opened.sessionId).sessionId, opened.sessionId);
+    });
+  });
+
+  describe("session cap", () => {
+    it("drops the least recently used session", () => {
+      const store = new ConversationStore(2);
+      store.setActiveToken("a", "OPD-1");
+      store.setActiveToken("b", "OPD-2");
+      store.get("a");
+      store.setActiveToken("c", "OPD-3");
+
+      assert.deepEqual([...store.sessions.keys()], ["a", "c"]);
+    });
+
+    it("drops expired sessions before live ones", (t) => {
+      t.mock.timers.enable({ apis: ["Date"], now: 0 });
+      const store = new ConversationStore(2);
+      store.setActiveToken("old", "OPD-1");
+      t.mock.timers.tick(store.ttlMs + 1);
+      store.setActiveToken("a", "OPD-2");
+      store.setActiveToken("b", "OPD-3");
+
+      assert.deepEqual([...store.sessions.keys()], ["a", "b"]);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GeminiService } from "../services/geminiService.js";
+
+const rows = [
+  { id: "5f1c", token_number: "OPD-1059", patient_name: "Asha", status: "waiting", doctor_id: "d1", notes: null, beds: { bed_number: "G-4" } },
+  { id: "77ab", token_number: "OPD-1060", patient_name: "Ravi", status: "admitted", doctor_id: "d1", notes: "", beds: null },
+];
+
+// Stand-in translation: the reply with its words marked as Hindi, literals kept
+const toHindi = (text) => `[hi] ${text}`;
+const translate = (prompt) => toHindi(prompt.split("Reply with the translation only.")[1].trim());
+
+describe("GeminiService fallback answers", () => {
+  const service = new GeminiService();
+
+  afterEach(() => mock.restoreAll());
+
+  it("lists a single row's fields without ids or JSON", () => {
+    assert.equal(
+      service.formatFallbackResponse([rows[0]]),
+      "Found 1 result:\n\nToken number: OPD-1059\nPatient name: Asha\nStatus: waiting\nBed number: G-4"
+    );
+  });
+
+  it("lists the first rows one per line and counts the rest", () => {
+    const many = Array.from({ length: 7 }, (_, i) => ({ token_number: `OPD-${i}`, status: "waiting" }));
+    const response = service.formatFallbackResponse(many);
+
+    assert.equal(
+      response,
+      "Found 7 results:\n\n" +
+        "• Token number: OPD-0, Status: waiting\n" +
+        "• Token number: OPD-1, Status: waiting\n" +
+        "• Token number: OPD-2, Status: waiting\n" +
+        "• Token number: OPD-3, Status: waiting\n" +
+        "• Token number: OPD-4, Status: waiting\n" +
+        "…and 2 more."
+    );
+    assert.doesNotMatch(response, /[{}[\]"]/);
+  });
+
+  it("translates the fallback for a rejected answer", async () => {
+    const prompts = [];
+    mock.method(service.responseProvider, "generateText", async ({ prompt }) => {
+      prompts.push(prompt);
+      return prompts.length === 1 ? "Asha and 3 others are waiting in bed G-9." : translate(prompt);
+    });
+
+    const result = await service.generateGroundedResponse(rows, "कौन इंतज़ार कर रहा है?", "hi");
+
+    assert.equal(result.grounded, false);
+    assert.match(prompts[1], /Translate this hospital assistant reply into Hindi/);
+    assert.equal(result.response, toHindi(service.formatFallbackResponse(rows)));
+  });
+
+  it("translates the fallback when the LLM fails", async () => {
+    let calls = 0;
+    mock.method(service.responseProvider, "generateText", async ({ prompt }) => {
+      calls++;
+      if (calls === 1) throw new Error("quota exceeded");
+      return translate(prompt);
+    });
+
+    const response = await service.generateNaturalLanguageResponse(rows, "कौन इंतज़ार कर रहा है?", "hi");
+
+    assert.equal(response, toHindi(service.formatFallbackResponse(rows)));
+  });
+
+  it("keeps English answers untranslated", async () => {
+    mock.method(service.responseProvider, "generateText", async () => {
+      throw new Error("quota exceeded");
+    });
+
+    assert.equal(await service.generateNaturalLanguageResponse(rows, "Who is waiting?", "en"), service.formatFallbackResponse(rows));
+    assert.equal(service.responseProvider.generateText.mock.callCount(), 1);
+  });
+});
+
+describe("GeminiService.generateGroundedResponse", () => {
+  const service = new GeminiService();
+
+  afterEach(() => mock.restoreAll());
+
+  it("checks the English answer, then translates it", async () => {
+    const prompts = [];
+    mock.method(service.responseProvider, "generateText", async ({ prompt }) => {
+      prompts.push(prompt);
+      return prompts.length === 1 ? "The patient waiting is Asha (OPD-1059)." : translate(prompt);
+    });
+
+    const result = await service.generateGroundedResponse(rows, "कौन इंतज़ार कर रहा है?", "hi");
+
+    assert.match(prompts[0], /Reply in English/);
+    assert.equal(result.grounded, true);
+    assert.equal(result.response, toHindi("The patient waiting is Asha (OPD-1059)."));
+    assert.deepEqual(result.citations.map((citation) => citation.claim), ["OPD-1059", "Asha"]);
+  });
+
+  it("rejects an answer written in the question's language anyway", async () => {
+    let calls = 0;
+    mock.method(service.responseProvider, "generateText", async ({ prompt }) => {
+      calls++;
+      return calls === 1 ? "आशा (OPD-1059) और 3 अन्य इंतज़ार कर रहे हैं।" : translate(prompt);
+    });
+
+    const result = await service.generateGroundedResponse(rows, "कौन इंतज़ार कर रहा है?", "hi");
+
+    assert.equal(result.grounded, false);
+    assert.equal(result.response, toHindi(service.formatFallbackResponse(rows)));
+  });
+});
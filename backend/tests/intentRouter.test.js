@@ -0,0 +1,410 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { IntentRouter, OPEN_QUESTION } from "../services/intentRouter.js";
+import { SupabaseService } from "../services/supabaseService.js";
+import { getLLMProvider } from "../services/llm/index.js";
+import { processChatbotQuery } from "../controllers/chatbotController.js";
+
+const patient = { role: "patient", authenticated: true, tokenNumbers: ["OPD-1059"], channel: "api" };
+const doctor = { role: "doctor", authenticated: true, userId: "d1", tokenNumbers: [], channel: "api" };
+const anonymous = { role: "anonymous", authenticated: false, tokenNumbers: [], channel: "api" };
+
+// SupabaseService stand-in: answers executeQuery from rows keyed by table
+function fakeSupabase(tables = {}, doctors = []) {
+  const queries = [];
+  return {
+    queries,
+    executeQuery: async (sql, caller) => {
+      queries.push({ sql, caller });
+      const table = Object.keys(tables).find((name) => new RegExp(`FROM ${name}\\b`).test(sql));
+      return table ? tables[table] : [];
+    },
+    getDoctors: async () => doctors,
+  };
+}
+
+function fakeChatActions() {
+  const proposals = [];
+  return {
+    proposals,
+    propose: async (action, params, options) => {
+      proposals.push({ action, params, ...options });
+      return { summary: `Proposed ${action} for ${params.tokenNumber}.`, code: "123456", expiresAt: "2026-10-18T10:10:00.000Z" };
+    },
+  };
+}
+
+describe("IntentRouter.classify", () => {
+  const router = new IntentRouter(fakeSupabase(), fakeChatActions());
+  const cases = [
+    ["When is my appointment?", null, "appointment_status"],
+    ["Is appointment OPD-1059 confirmed?", null, "appointment_status"],
+    ["What is my position in the queue?", null, "queue_position"],
+    ["How long do I have to wait?", null, "queue_position"],
+    ["What is the queue position?", "OPD-1059", "queue_position"],
+    ["Which bed am I in?", null, "bed_assignment"],
+    ["Are my test results ready?", null, "reports"],
+    ["My scan from yesterday", null, "reports"],
+    ["When will I be discharged?", null, "discharge_estimate"],
+    ["Please cancel my appointment", null, "cancel_appointment"],
+    ["I want to cancel OPD-1059", null, "cancel_appointment"],
+    ["Reschedule my appointment to tomorrow at 10am", null, "reschedule_appointment"],
+    ["Can you call me back tomorrow?", null, "request_callback"],
+    ["Book a new appointment for Friday", "OPD-1059", "book_appointment"],
+    ["Which doctors are available?", null, "doctor_list"],
+    // Not about the asker: left to NL-to-SQL
+    ["What is the queue position?", null, OPEN_QUESTION],
+    ["Book a new appointment for Friday", null, OPEN_QUESTION],
+    ["How many beds are free?", null, OPEN_QUESTION],
+    ["How many beds are free?", "OPD-1059", OPEN_QUESTION],
+    ["Is the ICU full?", null, OPEN_QUESTION],
+    ["What is the capital of France?", null, OPEN_QUESTION],
+  ];
+
+  for (const [query, token, intent] of cases) {
+    it(`"${query}"${token ? ` with ${token}` : ""} is ${intent}`, () => {
+      assert.equal(router.classify(query, token), intent);
+    });
+  }
+
+  it("extracts token numbers in upper case", () => {
+    assert.equal(router.extractToken("where is opd-1059 in the queue"), "OPD-1059");
+    assert.equal(router.extractToken("token APT123456 please"), "APT123456");
+    assert.equal(router.extractToken("my bed number"), null);
+  });
+});
+
+describe("IntentRouter.route", () => {
+  it("leaves open questions to NL-to-SQL", async () => {
+    const supabase = fakeSupabase();
+    const router = new IntentRouter(supabase, fakeChatActions());
+
+    assert.equal(await router.route("How many beds are free?", { caller: patient }), null);
+    assert.equal(supabase.queries.length, 0);
+  });
+
+  it("asks anonymous callers who they are before looking anything up", async () => {
+    const supabase = fakeSupabase();
+    const router = new IntentRouter(supabase, fakeChatActions());
+    const routed = await router.route("Which bed am I in?", { caller: anonymous });
+
+    assert.equal(routed.intent, "bed_assignment");
+    assert.deepEqual(routed.data, []);
+    assert.match(routed.response, /so I can look that up for you/);
+    assert.equal(supabase.queries.length, 0);
+  });
+
+  it("leaves a doctor's own questions to NL-to-SQL", async () => {
+    const router = new IntentRouter(fakeSupabase(), fakeChatActions());
+
+    assert.equal(await router.route("When is my appointment?", { caller: doctor }), null);
+  });
+
+  it("runs the handler with the token from the question before the session's", async () => {
+    const supabase = fakeSupabase({ opd_queue: [] });
+    const router = new IntentRouter(supabase, fakeChatActions());
+    const routed = await router.route("Where is OPD-7 in the queue?", { tokenNumber: "OPD-1059", caller: patient });
+
+    assert.equal(routed.intent, "queue_position");
+    assert.match(routed.sql, /token_number = 'OPD-7'/);
+    assert.equal(supabase.queries[0].caller, patient);
+  });
+});
+
+describe("IntentRouter handlers", () => {
+  let supabase;
+  let chatActions;
+  let router;
+
+  function setUp(tables, doctors) {
+    supabase = fakeSupabase(tables, doctors);
+    chatActions = fakeChatActions();
+    router = new IntentRouter(supabase, chatActions);
+  }
+
+  beforeEach(() => setUp());
+
+  describe("appointmentStatus", () => {
+    it("describes the latest appointment", async () => {
+      setUp({
+        appointments: [
+          { token_number: "OPD-1059", patient_name: "Asha", disease: "fever", status: "scheduled", appointment_date: "2026-10-20T09:30:00Z" },
+        ],
+      });
+      const result = await router.appointmentStatus("OPD-1059", patient);
+
+      assert.equal(result.response, "Appointment OPD-1059 for Asha (fever) is scheduled on 20 Oct 2026, 9:30 AM.");
+      assert.match(result.sql, /FROM appointments WHERE token_number = 'OPD-1059'/);
+    });
+
+    it("says when nothing matches", async () => {
+      assert.match((await router.appointmentStatus("OPD-1", patient)).response, /couldn't find an appointment for token OPD-1/);
+      assert.match((await router.appointmentStatus(null, patient)).response, /linked to your account/);
+    });
+
+    it("quotes the token in the SQL", async () => {
+      const { sql } = await router.appointmentStatus("O'1", patient);
+
+      assert.match(sql, /token_number = 'O''1'/);
+    });
+  });
+
+  describe("queuePosition", () => {
+    it("gives the place in line and the wait", async () => {
+      setUp({
+        opd_queue: [{ token_number: "OPD-1059", patient_name: "Asha", queue_position: 4, status: "waiting", estimated_wait_minutes: 22.4 }],
+      });
+      const result = await router.queuePosition("OPD-1059", patient);
+
+      assert.equal(result.response, "Asha (OPD-1059) is number 4 in the OPD queue. Estimated wait: about 22 minutes.");
+      assert.match(result.sql, /status IN \('waiting', 'in_progress'\) AND token_number = 'OPD-1059'/);
+    });
+
+    it("says when the patient is with the doctor", async () => {
+      setUp({ opd_queue: [{ token_number: "OPD-1059", patient_name: "Asha", status: "in_progress" }] });
+
+      assert.equal((await router.queuePosition("OPD-1059", patient)).response, "Asha (OPD-1059) is with the doctor now.");
+    });
+
+    it("says when the patient is not in the queue", async () => {
+      assert.equal((await router.queuePosition("OPD-1059", patient)).response, "Token OPD-1059 is not waiting in the OPD queue right now.");
+      assert.equal((await router.queuePosition(null, patient)).response, "You are not waiting in the OPD queue right now.");
+    });
+  });
+
+  describe("bedAssignment", () => {
+    it("gives the ward bed", async () => {
+      setUp({
+        bed_queue: [
+          { token_number: "OPD-1059", patient_name: "Asha", status: "admitted", bed_type: "general", bed_assigned_at: "2026-10-18T08:00:00Z", beds: { bed_number: "G-4" } },
+        ],
+      });
+      const result = await router.bedAssignment("OPD-1059", patient);
+
+      assert.equal(result.response, "Asha (OPD-1059) is in general bed G-4, assigned on 18 Oct 2026, 8:00 AM.");
+      assert.equal(supabase.queries.length, 1);
+    });
+
+    it("says when the patient is waiting for or has left a ward bed", async () => {
+      setUp({ bed_queue: [{ token_number: "OPD-1059", patient_name: "Asha", status: "waiting", bed_type: "general" }] });
+      assert.equal((await router.bedAssignment("OPD-1059", patient)).response, "Asha (OPD-1059) is waiting for a general bed.");
+
+      setUp({ bed_queue: [{ token_number: "OPD-1059", patient_name: "Asha", status: "discharged", bed_type: "general" }] });
+      assert.equal((await router.bedAssignment("OPD-1059", patient)).response, "Asha (OPD-1059) has been discharged.");
+    });
+
+    it("falls back to the ICU queue", async () => {
+      setUp({ icu_queue: [{ patient_token: "OPD-1059", patient_name: "Asha", status: "admitted", assigned_bed_label: "ICU-2" }] });
+      const result = await router.bedAssignment("OPD-1059", patient);
+
+      assert.equal(result.response, "Asha (OPD-1059) is in ICU bed ICU-2.");
+      assert.match(result.sql, /FROM icu_queue WHERE patient_token = 'OPD-1059'/);
+
+      setUp({ icu_queue: [{ patient_token: "OPD-1059", patient_name: "Asha", status: "waiting" }] });
+      assert.equal((await router.bedAssignment("OPD-1059", patient)).response, "Asha (OPD-1059) is waiting for an ICU bed.");
+
+      setUp({ icu_queue: [{ patient_token: "OPD-1059", patient_name: "Asha", status: "cancelled" }] });
+      assert.equal((await router.bedAssignment("OPD-1059", patient)).response, "Asha (OPD-1059) has no active ICU bed (cancelled).");
+    });
+
+    it("says when the patient has no bed at all", async () => {
+      assert.equal((await router.bedAssignment("OPD-1059", patient)).response, "Token OPD-1059 is not admitted and not waiting for a bed.");
+    });
+  });
+
+  describe("reports", () => {
+    it("lists the latest reports", async () => {
+      setUp({
+        medical_reports: [
+          { report_type: "Blood test", ai_summary: "Haemoglobin is normal.", created_at: "2026-10-17T11:00:00Z" },
+          { report_type: "X-ray", ai_summary: null, created_at: "2026-10-16T15:30:00Z" },
+        ],
+      });
+      const result = await router.reports("OPD-1059", patient);
+
+      assert.equal(
+        result.response,
+        "Latest reports:\n• Blood test (17 Oct 2026, 11:00 AM): Haemoglobin is normal.\n• X-ray (16 Oct 2026, 3:30 PM): summary not available yet"
+      );
+      assert.match(result.sql, /WHERE bed_queue\.token_number = 'OPD-1059'/);
+    });
+
+    it("falls back to the ICU stay", async () => {
+      setUp({
+        "medical_reports JOIN icu_queue": [{ report_type: "Scan", ai_summary: "No bleeding.", created_at: "2026-10-17T11:00:00Z" }],
+      });
+      const result = await router.reports("OPD-1059", patient);
+
+      assert.equal(result.response, "Latest reports:\n• Scan (17 Oct 2026, 11:00 AM): No bleeding.");
+      assert.match(result.sql, /JOIN icu_queue ON medical_reports\.icu_queue_id = icu_queue\.id WHERE icu_queue\.patient_token = 'OPD-1059'/);
+      assert.equal(supabase.queries.length, 2);
+    });
+
+    it("says when there are none", async () => {
+      assert.equal((await router.reports("OPD-1059", patient)).response, "No medical reports have been uploaded for OPD-1059 yet.");
+    });
+  });
+
+  describe("dischargeEstimate", () => {
+    it("gives the latest prediction", async () => {
+      setUp({
+        discharge_predictions: [
+          { predicted_discharge_date: "2026-10-21", remaining_days: 3, confidence: 0.82, reasoning: "Recovering well." },
+        ],
+      });
+      const result = await router.dischargeEstimate("OPD-1059", patient);
+
+      assert.equal(result.response, "Estimated discharge: 21 Oct 2026 (about 3 more days). Confidence: 82%.\nRecovering well.");
+    });
+
+    it("uses the singular for one day and skips what is unknown", async () => {
+      setUp({ discharge_predictions: [{ predicted_discharge_date: "2026-10-19", remaining_days: 1 }] });
+
+      assert.equal((await router.dischargeEstimate("OPD-1059", patient)).response, "Estimated discharge: 19 Oct 2026 (about 1 more day).");
+    });
+
+    it("falls back to the ICU stay", async () => {
+      setUp({
+        "discharge_predictions JOIN icu_queue": [{ predicted_discharge_date: "2026-10-25", remaining_days: 7, confidence: 0.6 }],
+      });
+      const result = await router.dischargeEstimate("OPD-1059", patient);
+
+      assert.equal(result.response, "Estimated discharge: 25 Oct 2026 (about 7 more days). Confidence: 60%.");
+      assert.match(result.sql, /FROM discharge_predictions JOIN icu_queue ON discharge_predictions\.icu_queue_id = icu_queue\.id/);
+    });
+
+    it("prefers the ward stay", async () => {
+      setUp({
+        "discharge_predictions JOIN bed_queue": [{ predicted_discharge_date: "2026-10-19", remaining_days: 1 }],
+        "discharge_predictions JOIN icu_queue": [{ predicted_discharge_date: "2026-10-25", remaining_days: 7 }],
+      });
+      const result = await router.dischargeEstimate("OPD-1059", patient);
+
+      assert.match(result.response, /19 Oct 2026/);
+      assert.equal(supabase.queries.length, 1);
+    });
+
+    it("says when there is no prediction yet", async () => {
+      assert.equal(
+        (await router.dischargeEstimate("OPD-1059", patient)).response,
+        "There is no discharge estimate for OPD-1059 yet. One is made after each doctor's round."
+      );
+    });
+  });
+
+  describe("doctorList", () => {
+    it("lists doctors by name only", async () => {
+      setUp({}, [{ id: "d1", name: "Mehta", email: "mehta@example.com" }, { id: "d2", name: "Rao" }]);
+      const result = await router.doctorList();
+
+      assert.deepEqual(result.data, [{ id: "d1", name: "Mehta" }, { id: "d2", name: "Rao" }]);
+      assert.equal(result.response, "Our doctors:\n• Dr. Mehta\n• Dr. Rao");
+    });
+
+    it("says when none are listed", async () => {
+      assert.equal((await router.doctorList()).response, "No doctors are listed at the moment.");
+    });
+  });
+
+  describe("proposeCancel", () => {
+    it("proposes the cancellation and waits for the code", async () => {
+      const routed = await router.route("Please cancel my appointment", { tokenNumber: "OPD-1059", caller: patient, sessionKey: "api:s1" });
+
+      assert.equal(routed.intent, "cancel_appointment");
+      assert.deepEqual(chatActions.proposals, [
+        { action: "cancel_appointment", params: { tokenNumber: "OPD-1059" }, caller: patient, sessionKey: "api:s1" },
+      ]);
+      assert.match(routed.response, /^Proposed cancel_appointment for OPD-1059\.\n\nReply CONFIRM 123456 within \d+ minutes/);
+      assert.deepEqual(routed.action, {
+        name: "cancel_appointment",
+        status: "pending_confirmation",
+        code: "123456",
+        expiresAt: "2026-10-18T10:10:00.000Z",
+      });
+      assert.equal(supabase.queries.length, 0);
+    });
+  });
+});
+
+describe("processChatbotQuery offline", () => {
+  const sqlProvider = getLLMProvider("chatbot_sql");
+  const queries = [];
+
+  beforeEach(() => {
+    queries.length = 0;
+    mock.restoreAll();
+    mock.method(SupabaseService.prototype, "resolveCaller", async () => patient);
+    mock.method(SupabaseService.prototype, "executeQuery", async (sql) => {
+      queries.push(sql);
+      return sql.includes("opd_queue")
+        ? [{ token_number: "OPD-1059", patient_name: "Asha", queue_position: 2, status: "waiting", estimated_wait_minutes: 10 }]
+        : [{ count: 12 }];
+    });
+    mock.method(sqlProvider, "complete");
+  });
+
+  async function ask(query) {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    await processChatbotQuery({ body: { query, tokenNumber: "OPD-1059" }, headers: {} }, res, (error) => {
+      throw error;
+    });
+    return res;
+  }
+
+  it("answers a known intent without the LLM", async () => {
+    const res = await ask("Where am I in the queue?");
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.intent, "queue_position");
+    assert.equal(res.body.response, "Asha (OPD-1059) is number 2 in the OPD queue. Estimated wait: about 10 minutes.");
+    assert.equal(sqlProvider.complete.mock.callCount(), 0);
+  });
+
+  it("keeps a session's token to the caller who opened it", async () => {
+    const callers = {
+      "Bearer asha": { ...patient, userId: "u1" },
+      "Bearer ravi": { ...patient, userId: "u2", tokenNumbers: ["OPD-2"] },
+    };
+    const tokensAsked = [];
+    SupabaseService.prototype.resolveCaller.mock.mockImplementation(async ({ authorization, tokenNumber }) => {
+      tokensAsked.push(tokenNumber);
+      return callers[authorization];
+    });
+    const send = async (authorization, body) => {
+      const res = { status: () => res, json: (payload) => (res.body = payload) };
+      await processChatbotQuery({ body, headers: { authorization } }, res, (error) => {
+        throw error;
+      });
+      return res.body;
+    };
+
+    const first = await send("Bearer asha", { query: "Where is OPD-1059 in the queue?", sessionId: "new" });
+    const followUp = await send("Bearer asha", { query: "Where am I in the queue?", sessionId: first.sessionId });
+    const other = await send("Bearer ravi", { query: "Where am I in the queue?", sessionId: first.sessionId });
+
+    assert.equal(followUp.sessionId, first.sessionId);
+    assert.equal(followUp.activeToken, "OPD-1059");
+    assert.notEqual(other.sessionId, first.sessionId);
+    assert.equal(other.activeToken, null);
+    // The follow-up is resolved again with the session's token; Ravi's isn't
+    assert.deepEqual(tokensAsked, ["OPD-1059", null, "OPD-1059", null]);
+  });
+
+  it("sends open questions to NL-to-SQL", async () => {
+    const res = await ask("How many appointments are there in total?");
+
+    assert.equal(res.body.intent, OPEN_QUESTION);
+    assert.equal(sqlProvider.complete.mock.callCount(), 1);
+    assert.deepEqual(queries, ["SELECT COUNT(*) FROM appointments;"]);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEMPLATES,
+  getTemplate,
+  renderTemplate,
+  fillPlaceholders,
+  comparePlaceholders,
+  checkTranslations,
+} from "../services/notifications/templates.js";
+import { TRANSLATIONS } from "../services/notifications/translations.js";
+import { NotificationError } from "../services/notifications/notificationChannel.js";
+import { REPLIES, telegramReply, checkReplies } from "../services/telegramReplies.js";
+
+describe("placeholder parity", () => {
+  for (const [name, versions] of Object.entries(TRANSLATIONS)) {
+    for (const [version, languages] of Object.entries(versions)) {
+      for (const [language, translation] of Object.entries(languages)) {
+        it(`${name}@${version} (${language}) uses the English placeholders`, () => {
+          const template = TEMPLATES.find((candidate) => candidate.name === name && candidate.version === Number(version));
+          assert.ok(template, `no template for ${name}@${version}`);
+          assert.deepEqual(comparePlaceholders(language, template, translation), []);
+        });
+      }
+    }
+  }
+
+  for (const [name, texts] of Object.entries(REPLIES)) {
+    for (const [language, text] of Object.entries(texts)) {
+      if (language === "en") continue;
+      it(`Telegram reply ${name} (${language}) uses the English placeholders`, () => {
+        assert.deepEqual(comparePlaceholders(language, { body: texts.en }, { body: text }), []);
+      });
+    }
+  }
+
+  it("passes the startup checks", () => {
+    assert.doesNotThrow(() => checkTranslations());
+    assert.doesNotThrow(() => checkReplies());
+  });
+
+  it("reports missing, unknown and mismatched placeholders", () => {
+    const english = { subject: "Token {{token}}", body: "Bed {{bedNumber|N/A}}, ward {{ward}}" };
+    const problems = comparePlaceholders("hi", english, { subject: "टोकन {{token}}", body: "बेड {{bedNumber}}, {{room}}" });
+
+    assert.deepEqual(problems, [
+      "hi {{bedNumber}} fallback differs from English",
+      "hi is missing {{ward}}",
+      "hi has unknown {{room}}",
+    ]);
+  });
+
+  it("fails the startup check when a translation drifts", () => {
+    const translation = TRANSLATIONS.bed_assigned[1].hi;
+    const { body } = translation;
+    translation.body = body.replace("{{bedNumber|N/A}}", "{{bedNumber}}");
+    try {
+      assert.throws(() => checkTranslations(), /bed_assigned@1 \(hi\) \{\{bedNumber\}\} fallback differs/);
+    } finally {
+      translation.body = body;
+    }
+  });
+});
+
+describe("renderTemplate", () => {
+  it("uses the fallback for a missing optional placeholder", () => {
+    const { text } = renderTemplate(getTemplate("bed_assigned"), { patientName: "Asha" });
+
+    assert.match(text, /Hello Asha,/);
+    assert.match(text, /Bed Number : N\/A/);
+    assert.match(text, /Bed Type {3}: General/);
+  });
+
+  it("treats empty and null values as missing", () => {
+    assert.deepEqual(fillPlaceholders("{{a|x}} {{b|y}} {{c}}", { a: "", b: null, c: 0 }), { text: "x y 0", missing: [] });
+  });
+
+  it("refuses to send when a required placeholder is missing", () => {
+    assert.throws(
+      () => renderTemplate(getTemplate("appointment_reminder"), { tokenNumber: "OPD-1" }, "hi"),
+      (error) => error instanceof NotificationError && /needs appointmentTime/.test(error.message)
+    );
+  });
+
+  it("renders the translation for a translated language", () => {
+    const rendered = renderTemplate(getTemplate("telegram_queue_position"), { token: "OPD-1", position: 4 }, "hi");
+
+    assert.equal(rendered.language, "hi");
+    assert.match(rendered.text, /अब कतार में आपका नंबर \*4\* है।/);
+    assert.match(rendered.text, /~- मिनट/);
+  });
+
+  it("falls back to English for a language with no translation", () => {
+    const rendered = renderTemplate(getTemplate("telegram_queue_position"), { token: "OPD-1", position: 4 }, "bn");
+
+    assert.equal(rendered.language, "en");
+    assert.match(rendered.text, /You are now number \*4\* in line\./);
+  });
+});
+
+describe("telegramReply", () => {
+  it("answers in the chat's language", () => {
+    assert.equal(telegramReply("flow_doctor_button", { name: "Rao" }, "en"), "Dr. Rao");
+    assert.notEqual(telegramReply("flow_no_appointments", {}, "ta"), telegramReply("flow_no_appointments", {}, "en"));
+  });
+
+  it("falls back to English for a language with no translation", () => {
+    assert.equal(telegramReply("flow_no_appointments", {}, "bn"), telegramReply("flow_no_appointments", {}, "en"));
+  });
+
+  it("throws for an unknown reply or a missing placeholder", () => {
+    assert.throws(() => telegramReply("no_such_reply"), /Unknown Telegram reply/);
+    assert.throws(() => telegramReply("summary", { token: "OPD-1" }, "hi"), /needs summary/);
+  });
+});
@@ -0,0 +1,233 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseSQL, UnsupportedQueryError } from "../services/sqlParser.js";
+import { QueryPlanner, MAX_AGGREGATE_ROWS, AGGREGATE_PAGE_SIZE } from "../services/queryPlanner.js";
+
+/**
+ * Supabase client stand-in that records every query built on it. Filters
+ * are recorded, not applied; each request answers with `rows` (the page
+ * asked for by range()) and, when a count was asked for, `count`.
+ */
+function fakeClient(rows = [], { count = rows.length } = {}) {
+  const requests = [];
+  return {
+    requests,
+    from(table) {
+      const request = { table, select: null, options: null, calls: [], range: null };
+      requests.push(request);
+      const builder = {
+        select(columns, options) {
+          request.select = columns;
+          request.options = options || null;
+          return builder;
+        },
+        range(from, to) {
+          request.range = [from, to];
+          return builder;
+        },
+        then(resolve, reject) {
+          const data = request.range ? rows.slice(request.range[0], request.range[1] + 1) : rows;
+          return Promise.resolve({ data, count: request.options?.count ? count : null, error: null }).then(resolve, reject);
+        },
+      };
+      for (const method of ["filter", "or", "not", "order", "limit"]) {
+        builder[method] = (...args) => {
+          request.calls.push([method, ...args.filter((arg) => arg !== undefined)]);
+          return builder;
+        };
+      }
+      return builder;
+    },
+  };
+}
+
+async function run(sql, client, options) {
+  const planner = new QueryPlanner(client, options);
+  return planner.execute(planner.plan(parseSQL(sql)));
+}
+
+describe("QueryPlanner", () => {
+  describe("joins", () => {
+    it("compiles an inner join to an !inner embed filtered on the joined table", async () => {
+      const client = fakeClient();
+      await run(
+        "SELECT q.patient_name, b.bed_number FROM bed_queue q JOIN beds b ON q.bed_id = b.bed_id WHERE b.bed_type = 'icu' AND q.status = 'admitted'",
+        client
+      );
+
+      assert.equal(client.requests[0].table, "bed_queue");
+      assert.equal(client.requests[0].select, "patient_name,beds!inner(bed_number)");
+      assert.deepEqual(client.requests[0].calls, [
+        ["filter", "beds.bed_type", "eq", "icu"],
+        ["filter", "status", "eq", "admitted"],
+      ]);
+    });
+
+    it("compiles a left join to a plain embed", () => {
+      const planner = new QueryPlanner(fakeClient());
+      const plan = planner.plan(parseSQL("SELECT bed_queue.*, beds.bed_number FROM bed_queue LEFT JOIN beds ON bed_queue.bed_id = beds.bed_id"));
+
+      assert.equal(plan.select, "*,beds(bed_number)");
+    });
+
+    it("embeds a join used only for filtering with no columns", async () => {
+      const client = fakeClient([{ count: 3 }]);
+      await run(
+        "SELECT COUNT(*) FROM medical_reports JOIN bed_queue ON medical_reports.bed_queue_id = bed_queue.id WHERE bed_queue.token_number = 'OPD-1'",
+        client
+      );
+
+      assert.equal(client.requests[0].select, "*,bed_queue!inner()");
+      assert.deepEqual(client.requests[0].options, { count: "exact", head: true });
+      assert.deepEqual(client.requests[0].calls, [["filter", "bed_queue.token_number", "eq", "OPD-1"]]);
+    });
+
+    it("refuses joins it cannot embed", () => {
+      const planner = new QueryPlanner(fakeClient());
+      assert.throws(
+        () => planner.plan(parseSQL("SELECT * FROM a JOIN b ON a.id = b.a_id JOIN c ON b.id = c.b_id")),
+        /JOIN c must be joined directly to a/
+      );
+      assert.throws(() => planner.plan(parseSQL("SELECT * FROM a JOIN a x ON a.id = x.id")), /Self-joins/);
+      assert.throws(
+        () => planner.plan(parseSQL("SELECT a.x FROM a JOIN b ON a.id = b.a_id ORDER BY b.created_at")),
+        /joined table is not supported/
+      );
+    });
+  });
+
+  describe("filters", () => {
+    it("quotes literals in IN lists and OR groups", async () => {
+      const client = fakeClient();
+      await run("SELECT * FROM appointments WHERE patient_name IN ('O''Brien', 'a,b', 'Ravi') OR status = 'no show'", client);
+
+      assert.deepEqual(client.requests[0].calls, [
+        ["or", `patient_name.in.("O'Brien","a,b",Ravi),status.eq."no show"`],
+      ]);
+    });
+
+    it("escapes quotes and backslashes inside quoted values", () => {
+      const planner = new QueryPlanner(fakeClient());
+
+      assert.equal(planner.quote('say "hi" \\ bye'), '"say \\"hi\\" \\\\ bye"');
+      assert.equal(planner.quote("OPD-1059"), "OPD-1059");
+    });
+
+    it("pushes NOT down to the predicates", async () => {
+      const client = fakeClient();
+      await run("SELECT * FROM appointments WHERE NOT (age > 60 OR email IS NULL OR status IN ('done'))", client);
+
+      assert.deepEqual(client.requests[0].calls, [
+        ["filter", "age", "lte", 60],
+        ["filter", "email", "not.is", "null"],
+        ["filter", "status", "not.in", "(done)"],
+      ]);
+    });
+
+    it("turns DATE() comparisons into a day range", async () => {
+      const client = fakeClient();
+      await run("SELECT * FROM appointments WHERE DATE(appointment_date) = '2026-10-18'", client);
+
+      assert.deepEqual(client.requests[0].calls, [
+        ["filter", "appointment_date", "gte", "2026-10-18"],
+        ["filter", "appointment_date", "lt", "2026-10-19"],
+      ]);
+    });
+
+    it("scopes an OR group on a joined table to that table", async () => {
+      const client = fakeClient();
+      await run(
+        "SELECT bed_queue.patient_name FROM bed_queue JOIN beds ON bed_queue.bed_id = beds.bed_id WHERE beds.bed_type = 'icu' OR beds.bed_type = 'hdu'",
+        client
+      );
+
+      assert.deepEqual(client.requests[0].calls, [["or", "bed_type.eq.icu,bed_type.eq.hdu", { referencedTable: "beds" }]]);
+    });
+
+    it("refuses OR across tables", async () => {
+      await assert.rejects(
+        run("SELECT bed_queue.* FROM bed_queue JOIN beds ON bed_queue.bed_id = beds.bed_id WHERE beds.bed_type = 'icu' OR bed_queue.status = 'x'", fakeClient()),
+        (error) => error instanceof UnsupportedQueryError && error.clause === "OR"
+      );
+    });
+  });
+
+  describe("aggregates", () => {
+    const rows = (count) => Array.from({ length: count }, (_, i) => ({ status: i % 2 ? "waiting" : "done", age: i % 10 }));
+
+    it("pages through every matching row", async () => {
+      const total = AGGREGATE_PAGE_SIZE * 2 + 500;
+      const client = fakeClient(rows(total));
+      const result = await run("SELECT status, COUNT(*) AS total, AVG(age) FROM appointments GROUP BY status ORDER BY status", client);
+
+      assert.deepEqual(
+        client.requests.map((request) => request.range),
+        [[0, AGGREGATE_PAGE_SIZE - 1], [AGGREGATE_PAGE_SIZE, AGGREGATE_PAGE_SIZE * 2 - 1], [AGGREGATE_PAGE_SIZE * 2, AGGREGATE_PAGE_SIZE * 3 - 1]]
+      );
+      assert.deepEqual(result, [
+        { status: "done", total: total / 2, avg_age: 4 },
+        { status: "waiting", total: total / 2, avg_age: 5 },
+      ]);
+    });
+
+    it("aggregates exactly MAX_AGGREGATE_ROWS rows", async () => {
+      const result = await run("SELECT SUM(age) FROM appointments", fakeClient(rows(MAX_AGGREGATE_ROWS)));
+
+      assert.deepEqual(result, [{ sum_age: (MAX_AGGREGATE_ROWS / 10) * 45 }]);
+    });
+
+    it("refuses more than MAX_AGGREGATE_ROWS rows up front", async () => {
+      const client = fakeClient(rows(10), { count: MAX_AGGREGATE_ROWS + 1 });
+
+      await assert.rejects(
+        run("SELECT AVG(age) FROM appointments", client),
+        (error) => error instanceof UnsupportedQueryError && new RegExp(`more than ${MAX_AGGREGATE_ROWS} rows`).test(error.message)
+      );
+      assert.equal(client.requests.length, 1);
+    });
+
+    it("refuses when the pages run past the cap without a count", async () => {
+      const client = fakeClient(rows(MAX_AGGREGATE_ROWS + AGGREGATE_PAGE_SIZE), { count: null });
+
+      await assert.rejects(run("SELECT DISTINCT status FROM appointments", client), UnsupportedQueryError);
+    });
+
+    it("counts with a head request instead of fetching rows", async () => {
+      const client = fakeClient([], { count: 42 });
+      const result = await run("SELECT COUNT(*) AS total, COUNT(email) FROM appointments WHERE status = 'waiting'", client);
+
+      assert.deepEqual(result, [{ total: 42, count: 42 }]);
+      assert.deepEqual(client.requests[1].calls, [
+        ["filter", "status", "eq", "waiting"],
+        ["not", "email", "is", null],
+      ]);
+    });
+
+    it("refuses columns missing from GROUP BY", () => {
+      const planner = new QueryPlanner(fakeClient());
+
+      assert.throws(
+        () => planner.plan(parseSQL("SELECT status, age, COUNT(*) FROM appointments GROUP BY status")),
+        /Column 'age' must appear in GROUP BY/
+      );
+    });
+  });
+
+  it("only reads the allowed tables", () => {
+    const planner = new QueryPlanner(fakeClient(), { allowedTables: () => ["appointments"] });
+
+    assert.throws(
+      () => planner.plan(parseSQL("SELECT * FROM appointments JOIN user_profiles ON appointments.email = user_profiles.email")),
+      (error) => error instanceof UnsupportedQueryError && /user_profiles' is not available/.test(error.message)
+    );
+  });
+
+  it("applies ORDER BY, LIMIT and OFFSET to row queries", async () => {
+    const client = fakeClient();
+    await run("SELECT token_number AS token FROM appointments ORDER BY token DESC NULLS LAST LIMIT 5 OFFSET 10", client);
+
+    assert.equal(client.requests[0].select, "token:token_number");
+    assert.deepEqual(client.requests[0].calls, [["order", "token_number", { ascending: false, nullsFirst: false }]]);
+    assert.deepEqual(client.requests[0].range, [10, 14]);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { planAdmissions } from "../services/scheduling/index.js";
+import { normalizePatients, normalizeBeds } from "../services/scheduling/engine.js";
+
+const SEVERITIES = ["Low", "Medium", "High", "Critical"];
+const hour = (n) => new Date(Date.UTC(2026, 0, 1, n)).toISOString();
+
+const { patients } = normalizePatients(
+  Array.from({ length: 30 }, (_, i) => ({
+    patient_id: `P${String(i).padStart(2, "0")}`,
+    arrival_time: hour((i * 3) % 40),
+    predicted_stay_days: 1 + ((i * 7) % 5),
+    severity: SEVERITIES[(i * 5) % 4],
+    is_emergency: i % 9 === 0,
+    ventilator_needed: i % 6 === 0,
+  })),
+  { defaultStayDays: 3 }
+);
+const beds = normalizeBeds(
+  Array.from({ length: 5 }, (_, i) => ({ bed_id: `ICU-${i}`, ventilator_available: i < 2 }))
+);
+
+const admissionsOf = (plan) => plan.admissions.map((admission) => [admission.patient_id, admission.bed_id, admission.start_time]);
+
+describe("annealing", () => {
+  it("gives the same plan for the same seed", async () => {
+    const first = await planAdmissions(patients, beds, { strategy: "annealing", seed: 7, iterations: 400 });
+    const second = await planAdmissions(patients, beds, { strategy: "annealing", seed: 7, iterations: 400 });
+
+    assert.equal(first.stoppedBy, "iterations");
+    assert.equal(first.runs, 400);
+    assert.deepEqual(admissionsOf(first), admissionsOf(second));
+    assert.equal(first.objective.score, second.objective.score);
+  });
+
+  it("ignores the time budget when a seed is given", async () => {
+    const plan = await planAdmissions(patients, beds, { strategy: "annealing", seed: 7, iterations: 400, timeBudgetMs: 1 });
+
+    assert.equal(plan.stoppedBy, "iterations");
+    assert.equal(plan.runs, 400);
+  });
+
+  it("stops by time without a seed", async () => {
+    const plan = await planAdmissions(patients, beds, { strategy: "annealing", iterations: 50000, timeBudgetMs: 50 });
+
+    assert.equal(plan.stoppedBy, "time");
+    assert.ok(plan.runs < 50000);
+  });
+
+  it("lets other work run while it searches", async () => {
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 5);
+    try {
+      await planAdmissions(patients, beds, { strategy: "annealing", iterations: 50000, timeBudgetMs: 200 });
+    } finally {
+      clearInterval(timer);
+    }
+    assert.ok(ticks > 1, `timer ran ${ticks} times`);
+  });
+});
@@ -0,0 +1,9 @@
+// Loaded before every test file (see the "test" script). Services create
+// their Supabase client on import; point it at an address with nothing
+// listening so a test that forgets a stub fails instead of reaching a real
+// database from .env. LLM calls are answered from fixtures/llm.
+process.env.SUPABASE_URL = "http://127.0.0.1:9";
+process.env.SUPABASE_ANON_KEY = "test-anon-key";
+process.env.LLM_PROVIDER = "fixture";
+process.env.LLM_FIXTURE_RECORD = "";
+process.env.TZ = "UTC";
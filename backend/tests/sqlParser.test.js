@@ -0,0 +1,132 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseSQL, tokenize, UnsupportedQueryError } from "../services/sqlParser.js";
+
+// assert.throws matcher for an UnsupportedQueryError naming `clause`
+function unsupported(clause, message) {
+  return (error) => {
+    assert.ok(error instanceof UnsupportedQueryError, `expected UnsupportedQueryError, got ${error}`);
+    assert.equal(error.status, 422);
+    if (clause !== undefined) assert.equal(error.clause, clause);
+    if (message) assert.match(error.message, message);
+    return true;
+  };
+}
+
+describe("parseSQL", () => {
+  it("parses the supported grammar", () => {
+    const statement = parseSQL(
+      "SELECT a.patient_name AS name, b.bed_number FROM public.bed_queue a " +
+        "LEFT JOIN beds b ON a.bed_id = b.bed_id " +
+        "WHERE a.status = 'admitted' AND a.created_at >= CURRENT_DATE - INTERVAL '7 days' " +
+        "ORDER BY a.created_at DESC NULLS LAST LIMIT 10 OFFSET 20;"
+    );
+
+    assert.deepEqual(statement.columns, [
+      { type: "column", table: "a", name: "patient_name", alias: "name" },
+      { type: "column", table: "b", name: "bed_number", alias: null },
+    ]);
+    assert.deepEqual(statement.from, { table: "bed_queue", alias: "a" });
+    assert.deepEqual(statement.joins, [
+      {
+        type: "left",
+        table: "beds",
+        alias: "b",
+        on: { left: { type: "column", table: "a", name: "bed_id" }, right: { type: "column", table: "b", name: "bed_id" } },
+      },
+    ]);
+    assert.equal(statement.where.type, "and");
+    assert.deepEqual(statement.where.conditions[1].right, { type: "now", base: "current_date", offset: { amount: -7, unit: "day" } });
+    assert.deepEqual(statement.orderBy, [
+      { expression: { type: "column", table: "a", name: "created_at" }, ascending: false, nullsFirst: false },
+    ]);
+    assert.equal(statement.limit, 10);
+    assert.equal(statement.offset, 20);
+  });
+
+  it("parses aggregates, GROUP BY and IS / IN / BETWEEN / LIKE predicates", () => {
+    const statement = parseSQL(
+      "SELECT status, COUNT(DISTINCT doctor_id) FROM appointments " +
+        "WHERE age BETWEEN 18 AND 65 AND email IS NOT NULL AND status NOT IN ('cancelled', 'done') AND patient_name ILIKE '%sha%' " +
+        "GROUP BY status"
+    );
+
+    assert.deepEqual(statement.columns[1], {
+      type: "aggregate",
+      fn: "count",
+      argument: { type: "column", table: null, name: "doctor_id" },
+      distinct: true,
+      alias: null,
+    });
+    assert.deepEqual(
+      statement.where.conditions.map((condition) => [condition.type, Boolean(condition.negated)]),
+      [["between", false], ["null", true], ["in", true], ["like", false]]
+    );
+    assert.deepEqual(statement.groupBy, [{ type: "column", table: null, name: "status" }]);
+  });
+
+  it("unescapes quoted literals and keeps quoted identifiers as written", () => {
+    const statement = parseSQL(`SELECT "Patient Name" FROM appointments WHERE patient_name = 'O''Brien; DROP TABLE beds'`);
+
+    assert.equal(statement.columns[0].name, "Patient Name");
+    assert.deepEqual(statement.where.right, { type: "literal", value: "O'Brien; DROP TABLE beds" });
+  });
+
+  it("keeps keywords inside string literals as data", () => {
+    const tokens = tokenize("SELECT * FROM t WHERE note = 'delete from -- union'");
+
+    assert.deepEqual(tokens.at(-1), { type: "string", value: "delete from -- union" });
+  });
+
+  describe("rejects", () => {
+    const writes = [
+      ["INSERT INTO appointments (status) VALUES ('x')", "INSERT"],
+      ["UPDATE appointments SET status = 'cancelled'", "UPDATE"],
+      ["DELETE FROM appointments", "DELETE"],
+      ["DROP TABLE appointments", "DROP"],
+      ["SELECT * FROM appointments; DROP TABLE appointments", "DROP"],
+      ["SELECT * INTO backup FROM appointments", "INTO"],
+    ];
+    for (const [sql, clause] of writes) {
+      it(`writes: ${sql}`, () => {
+        assert.throws(() => parseSQL(sql), unsupported(clause, /is not supported/));
+      });
+    }
+
+    const subqueries = [
+      "SELECT * FROM (SELECT * FROM appointments) a",
+      "SELECT * FROM appointments WHERE token_number IN (SELECT token_number FROM opd_queue)",
+      "SELECT * FROM appointments WHERE (SELECT 1) = 1",
+    ];
+    for (const sql of subqueries) {
+      it(`subqueries: ${sql}`, () => {
+        assert.throws(() => parseSQL(sql), unsupported("subquery", /Subqueries/));
+      });
+    }
+
+    const clauses = [
+      ["SELECT status, COUNT(*) FROM appointments GROUP BY status HAVING COUNT(*) > 1", "HAVING"],
+      ["SELECT * FROM appointments UNION SELECT * FROM appointments", "UNION"],
+      ["WITH x AS (SELECT 1) SELECT * FROM x", "WITH"],
+      ["SELECT * FROM appointments RIGHT JOIN beds ON a = b", "RIGHT"],
+      ["SELECT UPPER(patient_name) FROM appointments", "UPPER"],
+      ["SELECT * FROM appointments WHERE LOWER(status) = 'x'", "LOWER"],
+      ["SELECT * FROM appointments -- everything", "comment"],
+      ["SELECT * FROM appointments WHERE age > height", "column comparison"],
+      ["SELECT * FROM a JOIN b ON a.id = b.id AND a.x = b.y", "JOIN"],
+      ["SELECT * FROM appointments LIMIT 'ten'", "LIMIT"],
+      ["SELECT * FROM private.secrets", null],
+    ];
+    for (const [sql, clause] of clauses) {
+      it(`unknown clauses: ${sql}`, () => {
+        assert.throws(() => parseSQL(sql), unsupported(clause));
+      });
+    }
+
+    it("empty and unterminated input", () => {
+      assert.throws(() => parseSQL(""), unsupported(null, /empty/));
+      assert.throws(() => parseSQL("SELECT * FROM t WHERE a = 'open"), unsupported(null, /Unterminated/));
+      assert.throws(() => parseSQL("SELECT * FROM"), unsupported(null, /query ended/));
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import dayjs from "dayjs";
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTH_NAME = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+
+// Used when a message names a day but no time
+const DEFAULT_HOUR = 10;
+
+/**
+ * Find a date and optional time in a chat message, e.g. "tomorrow at 3pm",
+ * "25 Oct 10:30", "next monday", "2026-11-02", "25/10". Day-first numeric
+ * dates, as written in India. Dates without a year that have already passed
+ * roll over to next year.
+ *
+ * @returns {{ date: dayjs.Dayjs, hasTime: boolean } | null}
+ */
+export const parseDateTime = (text, now = dayjs()) => {
+  const message = text.toLowerCase();
+  const day = parseDay(message, now);
+  const time = parseTime(message);
+
+  if (!day && !time) return null;
+
+  let date = (day || now.startOf("day"))
+    .hour(time ? time.hour : DEFAULT_HOUR)
+    .minute(time ? time.minute : 0)
+    .second(0)
+    .millisecond(0);
+
+  // "at 9am" with no day means the next 9am
+  if (!day && date.isBefore(now)) {
+    date = date.add(1, "day");
+  }
+
+  return { date, hasTime: Boolean(time) };
+};
+
+function parseDay(message, now) {
+  const today = now.startOf("day");
+
+  if (/\bday after tomorrow\b/.test(message)) return today.add(2, "day");
+  if (/\btomorrow\b/.test(message)) return today.add(1, "day");
+  if (/\btoday\b/.test(message)) return today;
+
+  // "monday" and "next monday" both mean the coming Monday, never today
+  const weekday = message.match(/\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+  if (weekday) {
+    const offset = (WEEKDAYS.indexOf(weekday[1]) - today.day() + 7) % 7 || 7;
+    return today.add(offset, "day");
+  }
+
+  const iso = message.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (iso) return build(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+  const numeric = message.match(/\b(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2,4}))?\b/);
+  if (numeric) {
+    return withYear(Number(numeric[1]), Number(numeric[2]), numeric[3], today);
+  }
+
+  const dayFirst = message.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAME}\\b(?:,?\\s+(\\d{4}))?`));
+  if (dayFirst) {
+    return withYear(Number(dayFirst[1]), monthNumber(dayFirst[2]), dayFirst[3], today);
+  }
+
+  const monthFirst = message.match(new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`));
+  if (monthFirst) {
+    return withYear(Number(monthFirst[2]), monthNumber(monthFirst[1]), monthFirst[3], today);
+  }
+
+  return null;
+}
+
+function parseTime(message) {
+  const twelveHour = message.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/);
+  if (twelveHour) {
+    let hour = Number(twelveHour[1]) % 12;
+    if (twelveHour[3] === "pm") hour += 12;
+    return valid(hour, Number(twelveHour[2] || 0));
+  }
+
+  const twentyFourHour = message.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (twentyFourHour) {
+    return valid(Number(twentyFourHour[1]), Number(twentyFourHour[2]));
+  }
+
+  if (/\bnoon\b/.test(message)) return { hour: 12, minute: 0 };
+  if (/\bmorning\b/.test(message)) return { hour: 10, minute: 0 };
+  if (/\bafternoon\b/.test(message)) return { hour: 15, minute: 0 };
+  if (/\bevening\b/.test(message)) return { hour: 18, minute: 0 };
+
+  return null;
+}
+
+function valid(hour, minute) {
+  return hour < 24 && minute < 60 ? { hour, minute } : null;
+}
+
+function monthNumber(name) {
+  return MONTHS.indexOf(name.slice(0, 3)) + 1;
+}
+
+function withYear(dayOfMonth, month, year, today) {
+  if (year) {
+    return build(year.length === 2 ? 2000 + Number(year) : Number(year), month, dayOfMonth);
+  }
+
+  const candidate = build(today.year(), month, dayOfMonth);
+  return candidate && candidate.isBefore(today) ? build(today.year() + 1, month, dayOfMonth) : candidate;
+}
+
+function build(year, month, dayOfMonth) {
+  if (month < 1 || month > 12 || dayOfMonth < 1 || dayOfMonth > 31) return null;
+  const date = dayjs(new Date(year, month - 1, dayOfMonth));
+  // Reject rollovers such as 31/02
+  return date.date() === dayOfMonth ? date : null;
+}
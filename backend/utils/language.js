@@ -0,0 +1,66 @@
+import { APP_CONSTANTS } from "../config/constants.js";
+
+const { DEFAULT, SUPPORTED } = APP_CONSTANTS.LANGUAGES;
+
+// Unicode blocks of the Indian scripts; Devanagari is shared by Hindi and
+// Marathi and is told apart by MARATHI_WORDS
+const SCRIPTS = [
+  ["hi", /[ऀ-ॿ]/g],
+  ["bn", /[ঀ-৿]/g],
+  ["pa", /[਀-੿]/g],
+  ["gu", /[઀-૿]/g],
+  ["ta", /[஀-௿]/g],
+  ["te", /[ఀ-౿]/g],
+  ["kn", /[ಀ-೿]/g],
+  ["ml", /[ഀ-ൿ]/g],
+];
+
+// Common Marathi words that Hindi doesn't use
+const MARATHI_WORDS = [
+  "आहे", "आहेत", "माझा", "माझी", "माझे", "माझ्या", "मला", "कधी", "काय", "नाही",
+  "किती", "झाले", "झाली", "होईल", "कुठे", "आणि", "तुमचा", "तुमची", "तुम्ही", "मिळेल",
+];
+
+/**
+ * A supported language code for the value, or null.
+ * Accepts "hi", "HI" and "hi-IN".
+ */
+export const normalizeLanguage = (value) => {
+  const code = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED[code] ? code : null;
+};
+
+/**
+ * Guess the language of a chat message from its script. Latin text
+ * (including romanized Hindi) counts as English.
+ *
+ * @returns {string} a supported language code
+ */
+export const detectLanguage = (text) => {
+  const message = String(text || "");
+
+  let best = null;
+  let bestCount = 0;
+  for (const [code, pattern] of SCRIPTS) {
+    const count = (message.match(pattern) || []).length;
+    if (count > bestCount) {
+      best = code;
+      bestCount = count;
+    }
+  }
+
+  // Identifiers like OPD-1059 and numbers don't outvote the script
+  const latinCount = (message.match(/[A-Za-z]/g) || []).length;
+  if (!best || bestCount < latinCount / 2) return DEFAULT;
+
+  if (best === "hi") {
+    const words = message.split(/[\s,.?!।]+/);
+    if (words.some((word) => MARATHI_WORDS.includes(word))) return "mr";
+  }
+  return best;
+};
+
+/**
+ * English name of a language code, e.g. "hi" -> "Hindi".
+ */
+export const languageName = (code) => SUPPORTED[code] || SUPPORTED[DEFAULT];
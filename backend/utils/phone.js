@@ -0,0 +1,105 @@
+// Full metadata: the default "min" set only checks a number's length
+import { parsePhoneNumberWithError, validatePhoneNumberLength, isSupportedCountry } from "libphonenumber-js/max";
+
+// Phone numbers are stored and sent in E.164 ("+919876543210"), so lookups
+// by phone match however the number was typed.
+//
+// This module is shared: the booking pages import it through Vite, and the
+// voice agent and ambulance services load it with import(). Keep it free of
+// backend-only imports.
+
+const DEFAULT_REGION = "IN";
+
+const LENGTH_PROBLEMS = {
+  TOO_SHORT: "is too short",
+  TOO_LONG: "is too long",
+  INVALID_LENGTH: "has the wrong number of digits",
+};
+
+export class PhoneError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PhoneError";
+    this.status = status;
+  }
+}
+
+/**
+ * Country assumed for numbers written without a country code (ISO 3166
+ * code): PHONE_DEFAULT_REGION on the server, VITE_PHONE_DEFAULT_REGION in the
+ * browser, else India.
+ */
+export function defaultPhoneRegion() {
+  const configured =
+    (typeof process !== "undefined" && process.env?.PHONE_DEFAULT_REGION) ||
+    import.meta.env?.VITE_PHONE_DEFAULT_REGION;
+  const region = String(configured || DEFAULT_REGION).trim().toUpperCase();
+
+  if (!isSupportedCountry(region)) {
+    throw new PhoneError(`Default phone region "${region}" is not a country code`, 500);
+  }
+  return region;
+}
+
+/**
+ * Parse a phone number as typed ("98765 43210", "+44 20 7946 0958",
+ * "whatsapp:+91...") into E.164.
+ *
+ * @param {string} [options.region] - country for numbers without a country code
+ * @returns {string} e.g. "+919876543210"
+ * @throws {PhoneError} saying what is wrong with the number
+ */
+export function toE164(raw, { region = defaultPhoneRegion() } = {}) {
+  const input = String(raw ?? "").trim().replace(/^whatsapp:/i, "");
+  if (!input) {
+    throw new PhoneError("Phone number is required");
+  }
+  if (/[a-z]/i.test(input.replace(/\s*(ext\.?|x)\s*\d+$/i, ""))) {
+    throw new PhoneError("Phone number can only contain digits, spaces, dashes, brackets and a leading +");
+  }
+
+  let phone;
+  try {
+    phone = parsePhoneNumberWithError(input, region);
+  } catch (error) {
+    throw new PhoneError(
+      error.message !== "INVALID_COUNTRY"
+        ? "Phone number is not a valid number"
+        : input.startsWith("+")
+          ? "Phone number has an unknown country code"
+          : "Phone number needs a country code, e.g. +91"
+    );
+  }
+
+  const country = phone.country || region;
+  const lengthProblem = validatePhoneNumberLength(phone.number, country);
+  if (lengthProblem) {
+    throw new PhoneError(
+      `Phone number ${LENGTH_PROBLEMS[lengthProblem] || "is not a valid number"} for ${countryName(country)}`
+    );
+  }
+  if (!phone.isValid()) {
+    throw new PhoneError(`Phone number is not a valid ${countryName(country)} number`);
+  }
+  return phone.number;
+}
+
+/**
+ * E.164 form of the number, or null when it can't be parsed. For lookups,
+ * where a bad number just matches nothing.
+ */
+export function normalizePhone(raw, options) {
+  try {
+    return toE164(raw, options);
+  } catch {
+    return null;
+  }
+}
+
+function countryName(code) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "region" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
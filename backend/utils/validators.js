@@ -1,5 +1,8 @@
+import { normalizeLanguage } from "./language.js";
+import { toE164 } from "./phone.js";
+
 export const validateAppointment = (data) => {
-  const { name, age, phone, email } = data;
+  const { name, age, phone, email, preferredLanguage } = data;
 
   if (!name || name.trim().length < 2) {
     return "Name must be at least 2 characters long";
@@ -9,9 +12,10 @@ export const validateAppointment = (data) => {
     return "Age must be between 1 and 120";
   }
 
-  const phoneRegex = /^[0-9]{10}$/;
-  if (!phone || !phoneRegex.test(phone)) {
-    return "Phone number must be 10 digits";
+  try {
+    toE164(phone);
+  } catch (error) {
+    return error.message;
   }
 
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -19,5 +23,9 @@ export const validateAppointment = (data) => {
     return "Valid email is required";
   }
 
+  if (preferredLanguage && !normalizeLanguage(preferredLanguage)) {
+    return `Unsupported language "${preferredLanguage}"`;
+  }
+
   return null;
 };
@@ -5,8 +5,8 @@ export function sendSuccess(res, data) {
   });
 }
 
-export function sendError(res, message) {
-  res.status(500).json({
+export function sendError(res, message, status = 500) {
+  res.status(status).json({
     status: "error",
     message,
   });
@@ -32,7 +32,19 @@ const envSchema = z.object({
         message: "PORT must be a positive integer"
       }
     ),
-  GEMINI_API_KEY: z.string().min(1, "GEMINI_API_KEY is required")
+  // LLM provider for policy compilation: gemini, groq, openai or fixture.
+  // The providers themselves are configured in backend/config/llm.js
+  LLM_PROVIDER: z.enum(["gemini", "groq", "openai", "fixture"]).default("gemini"),
+  GEMINI_API_KEY: z.string().optional(),
+  GROQ_API_KEY: z.string().optional(),
+  OPENAI_API_KEY: z.string().optional()
+}).superRefine((value, ctx) => {
+  // Only the selected provider needs a key; fixture replay needs none
+  const keyByProvider = { gemini: "GEMINI_API_KEY", groq: "GROQ_API_KEY", openai: "OPENAI_API_KEY" };
+  const key = keyByProvider[value.LLM_PROVIDER];
+  if (key && !value[key]) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message: `${key} is required` });
+  }
 });
 
 const parsed = envSchema.safeParse(process.env);
@@ -45,7 +57,6 @@ if (!parsed.success) {
 
 export const env = {
   nodeEnv: parsed.data.NODE_ENV,
-  port: Number(process.env.PORT) || 4001,
-  geminiApiKey: parsed.data.GEMINI_API_KEY
+  port: Number(process.env.PORT) || 4001
 };
 
@@ -1,23 +1,18 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import { env } from "../config/env.js";
 import { LlmError } from "../domain/errors.js";
+import { getLLMProvider } from "../../../backend/services/llm/index.js";
 
 const priorityRuleSchemaKeys = ["id", "description", "conditions", "score", "category"];
 
-export class GeminiLlmClient {
-  constructor(apiKey = env.geminiApiKey) {
-    this.client = new GoogleGenerativeAI(apiKey);
+// Uses the backend's LLM providers for the "policy_compiler" feature (see
+// backend/config/llm.js); fixture replay reads
+// backend/fixtures/llm/policy_compiler/*.json
+export class LlmClient {
+  constructor(provider = getLLMProvider("policy_compiler")) {
+    this.provider = provider;
   }
 
   async compilePolicy(policyText) {
     try {
-      const model = this.client.getGenerativeModel({
-        model: "gemini-1.5-flash",
-        generationConfig: {
-          responseMimeType: "application/json"
-        }
-      });
-
       const systemPrompt = `
 You are a hospital policy compiler.
 Convert natural language bed scheduling policy into STRICT JSON with this exact shape:
@@ -59,25 +54,16 @@ Rules:
 - Use numeric scores where higher means higher priority.
       `.trim();
 
-      const result = await model.generateContent([
-        {
-          role: "system",
-          parts: [{ text: systemPrompt }]
-        },
-        {
-          role: "user",
-          parts: [{ text: policyText }]
-        }
-      ]);
-
-      const rawText = result.response.text();
-      const parsed = JSON.parse(rawText);
+      const parsed = await this.provider.generateJSON({
+        system: systemPrompt,
+        prompt: policyText
+      });
 
       this.validateCompiledPolicyShape(parsed);
 
       return parsed;
     } catch (err) {
-      throw new LlmError(`Failed to compile policy via Gemini: ${err.message}`);
+      throw new LlmError(`Failed to compile policy via ${this.provider.name}: ${err.message}`);
     }
   }
 
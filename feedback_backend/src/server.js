@@ -1,9 +1,10 @@
+// First, so .env is loaded before the backend's LLM config reads it
+import { env } from "./config/env.js";
 import express from "express";
 import cors from "cors";
 import routes from "./interfaces/routes.js";
 import { loggingMiddleware } from "./interfaces/middlewares/logging.js";
 import { errorHandler } from "./interfaces/middlewares/errorHandler.js";
-import { env } from "./config/env.js";
 
 const app = express();
 
@@ -0,0 +1,36 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { LlmClient } from "../src/infrastructure/llmClient.js";
+import { LlmError } from "../src/domain/errors.js";
+
+const policyText = "Patients with severity 8 or more go to the ICU first; elderly patients get a small boost.";
+
+describe("LlmClient.compilePolicy", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("replays the recorded policy_compiler fixture", async () => {
+    const client = new LlmClient();
+
+    const policy = await client.compilePolicy(policyText);
+
+    assert.equal(client.provider.name, "fixture");
+    assert.equal(policy.name, "ICU and General Ward Policy");
+    assert.equal(policy.defaultCategory, "GENERAL");
+    assert.deepEqual(
+      policy.priorityRules.map((rule) => rule.id),
+      ["high_severity_icu", "elderly_priority", "respiratory_failure_icu"]
+    );
+    assert.deepEqual(policy.categoryEligibilityRules[0].conditions, [{ field: "severityScore", operator: "GTE", value: 7 }]);
+  });
+
+  it("rejects a response that is not a compiled policy", async () => {
+    const client = new LlmClient();
+    mock.method(client.provider, "complete", async () => JSON.stringify({ name: "x", priorityRules: [] }));
+
+    await assert.rejects(client.compilePolicy(policyText), (error) => {
+      assert.ok(error instanceof LlmError);
+      assert.match(error.message, /^Failed to compile policy via fixture: Compiled policy missing required rule arrays/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,4 @@
+// Loaded before every test file (see the "test" script). The policy compiler
+// is answered from backend/fixtures/llm/policy_compiler, with no API key.
+process.env.LLM_PROVIDER = "fixture";
+process.env.LLM_FIXTURE_RECORD = "";
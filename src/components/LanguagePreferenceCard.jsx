@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../lib/supabase';
+import { useAuth } from '../context/AuthContext_simple';
+import { MESSAGE_LANGUAGES } from '../utils/languages';
+
+export default function LanguagePreferenceCard() {
+  const { user } = useAuth();
+  const [language, setLanguage] = useState('en');
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    supabase
+      .from('user_profiles')
+      .select('preferred_language')
+      .eq('id', user.id)
+      .maybeSingle()
+      .then(({ data }) => {
+        if (data?.preferred_language) setLanguage(data.preferred_language);
+      });
+  }, [user?.id]);
+
+  const handleChange = async (e) => {
+    const value = e.target.value;
+    setLanguage(value);
+    setStatus('saving');
+
+    const { error } = await supabase
+      .from('user_profiles')
+      .update({ preferred_language: value })
+      .eq('id', user.id);
+
+    setStatus(error ? 'error' : 'saved');
+  };
+
+  return (
+    <section className="rounded-2xl border border-slate-200 bg-white p-5">
+      <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+        <div className="flex items-center gap-3">
+          <div className="flex h-9 w-9 items-center justify-center rounded-xl bg-violet-50 text-violet-700">
+            <span className="material-symbols-outlined text-lg">translate</span>
+          </div>
+          <div>
+            <h3 className="text-sm font-bold text-slate-900">Message language</h3>
+            <p className="text-xs text-slate-500">
+              Appointment, bed and discharge messages are sent in this language
+              where a translation is available, and in English otherwise.
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-3">
+          {status === 'saved' && <span className="text-xs text-emerald-600">Saved</span>}
+          {status === 'error' && <span className="text-xs text-red-600">Could not save</span>}
+          <select
+            value={language}
+            onChange={handleChange}
+            disabled={!user?.id || status === 'saving'}
+            className="rounded-xl border border-slate-300 bg-slate-50 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#2b8cee]"
+          >
+            {MESSAGE_LANGUAGES.map((option) => (
+              <option key={option.code} value={option.code}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+    </section>
+  );
+}
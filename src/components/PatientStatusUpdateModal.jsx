@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { supabase } from '../lib/supabase';
 import * as pdfjsLib from 'pdfjs-dist';
 import pdfjsWorker from 'pdfjs-dist/build/pdf.worker.mjs?url';
+import { estimateHealthUpdate } from '../services/aiService';
 
 // PDF.js worker for text extraction (Vite)
 if (typeof window !== 'undefined') {
@@ -11,10 +12,6 @@ if (typeof window !== 'undefined') {
 const IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
 const MAX_IMAGES_FOR_AI = 5; // Groq limit
 
-// Use VITE_GROQ_API_KEY in .env (Vite exposes only VITE_* to client). Fallback GROQ_API_KEY for compatibility.
-const GROQ_API_KEY = import.meta.env.VITE_GROQ_API_KEY || import.meta.env.GROQ_API_KEY;
-const GROQ_MODEL = "meta-llama/llama-4-scout-17b-16e-instruct";
-
 function readFileAsBase64(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -176,17 +173,9 @@ export default function PatientStatusUpdateModal({ bed, onClose, onUpdate }) {
     };
 
     const getAIPrediction = async (healthData, previousVisits = [], filesToUse = []) => {
-        if (!GROQ_API_KEY) {
-            setError('Groq API key not configured. Set VITE_GROQ_API_KEY in .env');
-            return null;
-        }
         setAiLoading(true);
         setError('');
         try {
-            const visitsText = previousVisits.length > 0
-                ? previousVisits.map((v, i) => `Visit ${i + 1} (${v.visit_date ? new Date(v.visit_date).toLocaleDateString() : 'N/A'}): Diagnosis: ${v.diagnosis || 'N/A'}; Treatment: ${v.treatment || 'N/A'}; Medications: ${v.medications || 'N/A'}; Doctor: ${v.doctor_name || 'N/A'}`).join('\n')
-                : 'No previous visit data available.';
-
             let pdfText = '';
             const imageB64List = [];
             for (const item of filesToUse) {
@@ -208,92 +197,16 @@ export default function PatientStatusUpdateModal({ bed, onClose, onUpdate }) {
                 }
             }
 
-            const documentsSection = (pdfText || imageB64List.length > 0)
-                ? `\n\nUploaded documents (use this to inform discharge estimate):\n${pdfText ? 'Extracted text from PDFs:' + pdfText : ''}${imageB64List.length > 0 ? `\n[${imageB64List.length} image(s) attached: ${imageB64List.map(i => i.type).join(', ')}]` : ''}`
-                : '';
-
-            const today = new Date();
-            const todayStr = today.toISOString().slice(0, 10) + ' ' + today.getHours() + ':' + String(today.getMinutes()).padStart(2, '0');
-
-            const prompt = `You are a hospital discharge planning AI. Your task is to estimate when this INPATIENT can be safely discharged based on their condition, vitals, history, and any reports.
-
-RULES FOR ESTIMATED DISCHARGE DATE:
-- Today is: ${todayStr}. Use this as reference.
-- Inpatients are rarely discharged within 24 hours. Only estimate same-day or next-day discharge if the condition is clearly minor (e.g. observation only, stable vitals, no ongoing treatment).
-- For most admissions (infection, surgery, acute illness): estimate 2–7+ days from today depending on severity. For example: uncomplicated pneumonia often 3–5 days; post-surgery depends on procedure; critical/ICU patients typically need several days minimum.
-- estimatedDischargeDate MUST be in the future (after today). Use format YYYY-MM-DD 14:00 (use 14:00 as default time for discharge).
-- Base the date on: (1) typical recovery for the stated disease, (2) current vitals and condition, (3) previous visits and any lab/imaging findings in the documents. When in doubt, prefer a conservative (later) date rather than too early.
-
-Patient Information:
-- Name: ${patientName}
-- Disease/Condition: ${disease}
-- Current Condition: ${healthData.healthCondition}
-- Vital Signs: BP: ${healthData.vitalSigns.bloodPressure}, HR: ${healthData.vitalSigns.heartRate}, Temp: ${healthData.vitalSigns.temperature}°F, O2: ${healthData.vitalSigns.oxygenLevel}%, RR: ${healthData.vitalSigns.respiratoryRate}
-- Symptoms: ${healthData.symptoms}
-- Additional Info: ${healthData.additionalInfo}
-
-Previous doctor visits and history:
-${visitsText}
-${documentsSection}
-
-Respond with ONLY this JSON object, no other text:
-{
-  "estimatedDischargeDate": "YYYY-MM-DD 14:00",
-  "carePlan": "brief care recommendations",
-  "riskLevel": "low, moderate, or high",
-  "warnings": "any concerns or warnings"
-}`;
-
-            const userContent = imageB64List.length > 0
-                ? [
-                    { type: 'text', text: prompt },
-                    ...imageB64List.map(({ url }) => ({ type: 'image_url', image_url: { url } }))
-                ]
-                : prompt;
-
-            const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${GROQ_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: GROQ_MODEL,
-                    messages: [
-                        { role: 'system', content: 'You are a medical discharge planning AI. Respond only with valid JSON. estimatedDischargeDate must be a future date in YYYY-MM-DD 14:00 format, typically 2–7 days from today for inpatients, not within a few hours.' },
-                        { role: 'user', content: userContent }
-                    ],
-                    temperature: 0.3,
-                    max_tokens: 500,
-                    response_format: { type: "json_object" }
-                })
+            // The backend builds the prompt and calls the configured model
+            const aiResponse = await estimateHealthUpdate({
+                patientName,
+                disease,
+                healthData,
+                previousVisits,
+                documentsText: pdfText,
+                images: imageB64List
             });
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.error('AI API error:', errorData);
-                throw new Error('AI prediction failed');
-            }
-            
-            const data = await response.json();
-            const content = data.choices[0].message.content;
-            
-            // Try to parse JSON, with fallback
-            let aiResponse;
-            try {
-                aiResponse = JSON.parse(content);
-            } catch (parseError) {
-                console.warn('AI response not JSON, creating fallback:', content);
-                // Create a fallback response
-                const fallbackDate = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
-                aiResponse = {
-                    estimatedDischargeDate: fallbackDate.toISOString().slice(0, 10) + ' 14:00',
-                    carePlan: content.substring(0, 200) || 'Continue monitoring patient condition',
-                    riskLevel: 'moderate',
-                    warnings: 'AI prediction unavailable, manual assessment required'
-                };
-            }
-            
             // Ensure discharge date is at least ~2 days from now (avoid "20h left" for inpatients)
             const minDischargeMs = Date.now() + 2 * 24 * 60 * 60 * 1000;
             const parsed = aiResponse.estimatedDischargeDate ? new Date(aiResponse.estimatedDischargeDate.replace(' ', 'T')).getTime() : 0;
@@ -618,7 +531,7 @@ Respond with ONLY this JSON object, no other text:
                                         files
                                     );
                                 }}
-                                disabled={aiLoading || !GROQ_API_KEY}
+                                disabled={aiLoading}
                                 className="inline-flex items-center gap-2 px-4 py-2.5 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
                             >
                                 {aiLoading ? (
@@ -633,9 +546,6 @@ Respond with ONLY this JSON object, no other text:
                                     </>
                                 )}
                             </button>
-                            {!GROQ_API_KEY && (
-                                <span className="text-xs text-amber-600">Set VITE_GROQ_API_KEY in .env</span>
-                            )}
                         </div>
 
                         {aiPrediction && (
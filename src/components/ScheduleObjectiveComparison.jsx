@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import { getScheduleObjectives, compareScheduleObjectives } from '../services/schedulingService';
+
+const MAX_OBJECTIVES = 4;
+const COLORS = ['#2b8cee', '#16a34a', '#d97706', '#9333ea'];
+
+const METRICS = [
+  { key: 'totalWait', label: 'Total wait', unit: 'hrs' },
+  { key: 'criticalMaxWait', label: 'Longest critical wait', unit: 'hrs' },
+  { key: 'emergencyWait', label: 'Emergency wait', unit: 'hrs' },
+  { key: 'specialtyMisuse', label: 'Specialty beds misused', unit: '' },
+];
+
+const label = (name) => name.replace(/_/g, ' ');
+
+// Best score against moves tried, scaled to the box
+function ConvergenceChart({ trace, color }) {
+  const width = 160;
+  const height = 40;
+  if (!trace?.length) return null;
+
+  const lastIteration = trace[trace.length - 1].iteration || 1;
+  const scores = trace.map((point) => point.bestScore);
+  const min = Math.min(...scores);
+  const range = Math.max(...scores) - min || 1;
+  const points = trace
+    .map((point) => {
+      const x = (point.iteration / lastIteration) * width;
+      const y = height - ((point.bestScore - min) / range) * height;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+
+  return (
+    <svg width={width} height={height} className="overflow-visible" aria-label="Best score by iteration">
+      <polyline points={points} fill="none" stroke={color} strokeWidth="2" />
+    </svg>
+  );
+}
+
+export default function ScheduleObjectiveComparison() {
+  const [objectives, setObjectives] = useState([]);
+  const [selected, setSelected] = useState(['total_wait', 'balanced']);
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getScheduleObjectives()
+      .then((res) => setObjectives(res.data || []))
+      .catch((err) => setError(err.message || 'Failed to load objectives'));
+  }, []);
+
+  const toggle = (name) => {
+    setSelected((current) => {
+      if (current.includes(name)) return current.filter((n) => n !== name);
+      if (current.length >= MAX_OBJECTIVES) return current;
+      return [...current, name];
+    });
+  };
+
+  const handleCompare = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await compareScheduleObjectives(selected);
+      setComparison(res.data);
+    } catch (err) {
+      console.error('Schedule comparison error:', err);
+      setError(err.message || 'Failed to compare objectives');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-5 mb-6">
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <div className="flex items-center gap-2">
+          <span className="material-symbols-outlined text-[#2b8cee] text-xl">compare_arrows</span>
+          <h3 className="text-sm font-bold text-slate-900 uppercase tracking-wide">
+            Compare optimizer objectives
+          </h3>
+        </div>
+        <button
+          onClick={handleCompare}
+          disabled={loading || selected.length === 0}
+          className="flex items-center gap-2 rounded-lg h-9 px-4 bg-[#2b8cee] hover:bg-blue-600 transition-colors text-white text-sm font-bold disabled:opacity-60"
+        >
+          <span className={`material-symbols-outlined text-[18px] ${loading ? 'animate-spin' : ''}`}>
+            {loading ? 'progress_activity' : 'bolt'}
+          </span>
+          Compare
+        </button>
+      </div>
+      <p className="text-sm text-slate-600 mb-3">
+        Runs the optimizer once per objective on the current patients and compares each plan with
+        the severity-priority baseline. Nothing is saved to admissions.
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {objectives.map((objective) => (
+          <label
+            key={objective.name}
+            title={objective.description}
+            className={`flex items-center gap-2 rounded-full border px-3 py-1 text-xs font-semibold cursor-pointer capitalize ${
+              selected.includes(objective.name)
+                ? 'border-[#2b8cee] bg-blue-50 text-[#2b8cee]'
+                : 'border-slate-200 text-slate-600'
+            }`}
+          >
+            <input
+              type="checkbox"
+              className="hidden"
+              checked={selected.includes(objective.name)}
+              onChange={() => toggle(objective.name)}
+            />
+            {label(objective.name)}
+          </label>
+        ))}
+      </div>
+
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      {comparison && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-[10px] font-semibold uppercase tracking-wide text-slate-400">
+                <th className="py-2 pr-4">Plan</th>
+                {METRICS.map((metric) => (
+                  <th key={metric.key} className="py-2 pr-4">{metric.label}</th>
+                ))}
+                <th className="py-2 pr-4">Score vs baseline</th>
+                <th className="py-2">Convergence</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              <tr>
+                <td className="py-2 pr-4 font-semibold text-slate-900">Baseline (severity priority)</td>
+                {METRICS.map((metric) => (
+                  <td key={metric.key} className="py-2 pr-4 text-slate-700">
+                    {comparison.baseline.objective.metrics[metric.key]} {metric.unit}
+                  </td>
+                ))}
+                <td className="py-2 pr-4 text-slate-400">—</td>
+                <td className="py-2 text-slate-400">—</td>
+              </tr>
+              {comparison.results.map((result, index) => (
+                <tr key={result.objective.name}>
+                  <td className="py-2 pr-4 font-semibold capitalize" style={{ color: COLORS[index % COLORS.length] }}>
+                    {label(result.objective.name)}
+                  </td>
+                  {METRICS.map((metric) => (
+                    <td key={metric.key} className="py-2 pr-4 text-slate-700">
+                      {result.objective.metrics[metric.key]} {metric.unit}
+                    </td>
+                  ))}
+                  <td className="py-2 pr-4">
+                    <span className={result.improvementPercent > 0 ? 'text-emerald-600 font-semibold' : 'text-slate-500'}>
+                      {result.improvementPercent > 0 ? '−' : ''}
+                      {Math.abs(result.improvementPercent).toFixed(1)}%
+                    </span>
+                    <span className="block text-[11px] text-slate-400">
+                      {Math.round(result.objective.score)} vs {Math.round(result.baselineScore)}
+                    </span>
+                  </td>
+                  <td className="py-2">
+                    <ConvergenceChart trace={result.convergence?.trace} color={COLORS[index % COLORS.length]} />
+                    <span className="block text-[11px] text-slate-400">
+                      {result.optimizationRuns} moves
+                      {result.convergence?.stoppedBy === 'time' ? ', stopped by time limit (not repeatable from the seed)' : ''}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-[11px] text-slate-400">
+            Seed {comparison.seed}. Each objective scores plans differently, so compare a score only with
+            its own baseline.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -25,7 +25,7 @@ export default function ShiftToICUModal({ patient, onClose, onShift }) {
     });
 
     // ── Scheduling Algorithm ──────────────────────────────────────────────────
-    // Port of backend/services/icuScheduler.js:
+    // Port of the severity_priority strategy in backend/services/scheduling/:
     //  1. Emergency patients first
     //  2. Higher severity first (critical > severe > moderate)
     //  3. Earlier arrival time first
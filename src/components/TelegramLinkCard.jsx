@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { requestTelegramLinkCode } from '../services/telegramLinkService';
+
+export default function TelegramLinkCard() {
+  const [linkCode, setLinkCode] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleGetCode = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setLinkCode(await requestTelegramLinkCode());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className="rounded-2xl border border-slate-200 bg-white p-5">
+      <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+        <div className="flex items-center gap-3">
+          <div className="flex h-9 w-9 items-center justify-center rounded-xl bg-sky-50 text-sky-700">
+            <span className="material-symbols-outlined text-lg">send</span>
+          </div>
+          <div>
+            <h3 className="text-sm font-bold text-slate-900">Connect Telegram</h3>
+            <p className="text-xs text-slate-500">
+              Link the MedCare Telegram bot to your account to ask about your
+              appointments, queue and bed from Telegram.
+            </p>
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={handleGetCode}
+          disabled={loading}
+          className="rounded-xl bg-[#2b8cee] px-4 py-2 text-xs font-semibold text-white hover:bg-[#1f7ad6] disabled:opacity-60"
+        >
+          {loading ? 'Generating…' : linkCode ? 'Get a new code' : 'Get link code'}
+        </button>
+      </div>
+
+      {linkCode && (
+        <div className="mt-4 rounded-xl border border-sky-100 bg-sky-50 p-4 text-sm text-slate-700">
+          <p>
+            Send this message to{' '}
+            {linkCode.bot?.username ? <strong>@{linkCode.bot.username}</strong> : 'the bot'} in Telegram:{' '}
+            <code className="rounded bg-white px-2 py-1 font-mono font-bold text-slate-900">
+              {linkCode.command}
+            </code>
+          </p>
+          <p className="mt-2 text-xs text-slate-500">
+            The code works once and expires at{' '}
+            {new Date(linkCode.expiresAt).toLocaleTimeString()}. Send /unlink
+            in Telegram to remove the link.
+          </p>
+        </div>
+      )}
+
+      {error && <p className="mt-3 text-xs text-red-600">{error}</p>}
+    </section>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { fetchUnreachedNotifications, markNotificationFollowedUp } from '../services/notificationService';
+
+const REFRESH_MS = 60000;
+
+const TEMPLATE_LABELS = {
+  appointment_confirmed: 'Appointment confirmation',
+  emergency_appointment_confirmed: 'Emergency appointment',
+  bed_assigned: 'Bed assigned',
+  icu_bed_assigned: 'ICU bed assigned',
+  discharge_reminder: 'Discharge reminder',
+};
+
+export default function UndeliveredMessagesCard() {
+  const [messages, setMessages] = useState([]);
+  const [error, setError] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setMessages(await fetchUnreachedNotifications());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    const interval = setInterval(load, REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [load]);
+
+  const handleFollowedUp = async (id) => {
+    setSavingId(id);
+    try {
+      await markNotificationFollowedUp(id);
+      setMessages((current) => current.filter((message) => message.id !== id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (!error && messages.length === 0) return null;
+
+  return (
+    <section className="mt-6 rounded-xl border border-amber-200 bg-white p-5 shadow-sm">
+      <div className="mb-4 flex items-center gap-3">
+        <div className="flex h-10 w-10 items-center justify-center rounded-full bg-amber-100 text-amber-600">
+          <span className="material-symbols-outlined">sms_failed</span>
+        </div>
+        <div>
+          <h3 className="font-bold text-slate-900">Messages that didn't reach the patient</h3>
+          <p className="text-xs text-slate-500">
+            Every retry failed. Please call the patient, then mark the message as followed up.
+          </p>
+        </div>
+      </div>
+
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      <div className="divide-y divide-slate-100">
+        {messages.map((message) => (
+          <div key={message.id} className="flex flex-col gap-2 py-3 md:flex-row md:items-center md:justify-between">
+            <div className="text-sm">
+              <p className="font-semibold text-slate-900">
+                {message.patient_name || 'Unknown patient'}
+                {message.token_number && <span className="ml-2 font-mono text-xs text-slate-500">{message.token_number}</span>}
+              </p>
+              <p className="text-xs text-slate-500">
+                {TEMPLATE_LABELS[message.template] || message.template} · last tried on {message.channel} ·{' '}
+                {new Date(message.created_at).toLocaleString()}
+              </p>
+              {message.error && <p className="text-xs text-red-600">{message.error}</p>}
+            </div>
+            <div className="flex items-center gap-3">
+              {message.recipient_ref?.phone && (
+                <a href={`tel:${message.recipient_ref.phone}`} className="text-sm font-semibold text-[#2b8cee]">
+                  {message.recipient_ref.phone}
+                </a>
+              )}
+              <button
+                type="button"
+                onClick={() => handleFollowedUp(message.id)}
+                disabled={savingId === message.id}
+                className="rounded-lg bg-slate-100 px-3 py-1.5 text-xs font-semibold text-slate-700 hover:bg-slate-200 disabled:opacity-60"
+              >
+                {savingId === message.id ? 'Saving…' : 'Followed up'}
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
@@ -2,6 +2,10 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext_simple';
 import { supabase } from '../lib/supabase';
 import { allocateEmergencyICUBed } from '../services/emergencyBedAllocationService';
+import { sendAppointmentConfirmation } from '../services/notificationService';
+import { MESSAGE_LANGUAGES } from '../utils/languages';
+// Same phone rules as the backend, so every number is stored in E.164
+import { toE164 } from '../../backend/utils/phone.js';
 
 // Moving average of last N completed patients' actual wait times
 const DEFAULT_WAIT_MINUTES = 15;
@@ -36,28 +40,16 @@ async function getNextQueuePosition(doctorId) {
   return (count || 0) + 1;
 }
 
-// Backend base URL — adjust if your backend runs on a different port
-const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "https://hackgenx-backend.onrender.com";
-
 /**
- * Non-blocking helper: sends the appointment confirmation SMS via Twilio.
+ * Non-blocking helper: sends the appointment confirmation to the patient.
  * Any failure is only logged — it never blocks the booking UI.
  */
-async function sendBookingConfirmationSMS({ phone, patientName, token, queuePosition, estimatedWait, isEmergency }) {
+async function sendBookingConfirmation(details) {
   try {
-    const res = await fetch(`${BACKEND_URL}/api/sms/send`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ phone, patientName, token, queuePosition, estimatedWait, isEmergency }),
-    });
-    const data = await res.json();
-    if (data.success) {
-      console.log("[SMS] Confirmation sent — SID:", data.sid);
-    } else {
-      console.warn("[SMS] Failed to send:", data.error);
-    }
+    const delivery = await sendAppointmentConfirmation(details);
+    console.log("[Notification] Confirmation sent — ID:", delivery.provider_id);
   } catch (err) {
-    console.error("[SMS] Network error:", err.message);
+    console.warn("[Notification] Failed to send confirmation:", err.message);
   }
 }
 
@@ -71,7 +63,8 @@ export default function AppointmentScheduling() {
     email: '',
     appointment_date: '',
     notes: '',
-    is_emergency: false
+    is_emergency: false,
+    preferred_language: 'en'
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -101,6 +94,13 @@ export default function AppointmentScheduling() {
       setError('Age must be between 1 and 150');
       return;
     }
+    let phone;
+    try {
+      phone = toE164(formData.phone);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
 
     try {
       setLoading(true);
@@ -112,13 +112,14 @@ export default function AppointmentScheduling() {
           patient_name: formData.patient_name,
           age: parseInt(formData.age),
           disease: formData.disease,
-          phone: formData.phone,
+          phone,
           email: formData.email,
           appointment_date: formData.appointment_date,
           notes: formData.notes,
           doctor_id: user?.id,
           status: 'scheduled',
-          is_emergency: formData.is_emergency
+          is_emergency: formData.is_emergency,
+          preferred_language: formData.preferred_language
         }])
         .select();
 
@@ -155,13 +156,7 @@ export default function AppointmentScheduling() {
         // Try to allocate an ICU bed (may transfer stable patient if needed)
         if (icuQueueEntry) {
           const allocationResult = await allocateEmergencyICUBed({
-            icuQueueId: icuQueueEntry.id,
-            doctorId: user?.id,
-            patientRequirements: {
-              ventilator_needed: false,
-              dialysis_needed: false
-            },
-            predictedStayDays: 7
+            icuQueueId: icuQueueEntry.id
           });
 
           if (allocationResult.success) {
@@ -177,9 +172,9 @@ export default function AppointmentScheduling() {
 
         setQueueInfo({ token: tokenNumber, isEmergency: true });
 
-        // Send Twilio SMS — non-blocking
-        sendBookingConfirmationSMS({
-          phone: formData.phone,
+        // Send the confirmation — non-blocking
+        sendBookingConfirmation({
+          phone,
           patientName: formData.patient_name,
           token: tokenNumber,
           isEmergency: true,
@@ -212,9 +207,9 @@ export default function AppointmentScheduling() {
         setQueueInfo({ position: queuePosition, estimatedWait, token: tokenNumber });
         setSuccess(`Appointment booked! Patient added to OPD Queue.`);
 
-        // Send Twilio SMS — non-blocking
-        sendBookingConfirmationSMS({
-          phone: formData.phone,
+        // Send the confirmation — non-blocking
+        sendBookingConfirmation({
+          phone,
           patientName: formData.patient_name,
           token: tokenNumber,
           queuePosition,
@@ -224,7 +219,8 @@ export default function AppointmentScheduling() {
       }
       setFormData({
         patient_name: '', age: '', disease: '', phone: '',
-        email: '', appointment_date: '', notes: '', is_emergency: false
+        email: '', appointment_date: '', notes: '', is_emergency: false,
+        preferred_language: 'en'
       });
     } catch (err) {
       setError('Failed to schedule appointment: ' + err.message);
@@ -354,7 +350,7 @@ export default function AppointmentScheduling() {
                     name="phone"
                     value={formData.phone}
                     onChange={handleInputChange}
-                    placeholder="+1234567890"
+                    placeholder="98765 43210 or +44 20 7946 0958"
                     className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#2b8cee] focus:border-transparent bg-slate-50 transition"
                   />
                 </div>
@@ -404,6 +400,22 @@ export default function AppointmentScheduling() {
                 />
               </div>
 
+              <div>
+                <label className="block text-sm font-semibold text-slate-700 mb-2">
+                  Message Language
+                </label>
+                <select
+                  name="preferred_language"
+                  value={formData.preferred_language}
+                  onChange={handleInputChange}
+                  className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#2b8cee] focus:border-transparent bg-slate-50 transition"
+                >
+                  {MESSAGE_LANGUAGES.map((language) => (
+                    <option key={language.code} value={language.code}>{language.label}</option>
+                  ))}
+                </select>
+              </div>
+
               <div>
                 <label className="block text-sm font-semibold text-slate-700 mb-2">
                   Appointment Date &amp; Time <span className="text-red-500">*</span>
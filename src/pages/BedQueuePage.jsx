@@ -1,8 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext_simple';
 import { supabase } from '../lib/supabase';
-import { processWaitingQueue, assignSinglePatient } from '../services/autoBedAssignmentService';
-import { sendBedAssignmentNotification } from '../services/bedNotificationService';
+import { processWaitingQueue, assignSinglePatient, assignChosenBed } from '../services/autoBedAssignmentService';
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
@@ -406,51 +405,13 @@ export default function BedQueuePage() {
         }
     };
 
-    const handleAssignBedFromModal = async ({ bedId, bedType, bedNumber }) => {
+    const handleAssignBedFromModal = async ({ bedId }) => {
         if (!assignModalPatient) return;
         setAssigning(true);
         try {
-            // 1. Update Bed Queue
-            const now = new Date().toISOString();
-            const { error: queueError } = await supabase
-                .from('bed_queue')
-                .update({
-                    status: 'admitted', // Directly mark as admitted
-                    bed_assigned_at: now,
-                    admitted_at: now,   // Also set admitted_at
-                    bed_type: bedType,
-                    bed_id: bedId, // Using the bed UUID
-                    notes: `Bed Number: ${bedNumber}`
-                })
-                .eq('id', assignModalPatient.id);
-
-            if (queueError) throw queueError;
-
-            // 2. Update Bed Status to occupied
-            const { error: bedError } = await supabase
-                .from('beds')
-                .update({
-                    status: 'occupied',
-                    // Normally we'd link patient_id here too if we have it
-                    // patient_id: assignModalPatient.patient_id 
-                })
-                .eq('bed_id', bedId);
-
-            if (bedError) throw bedError;
-
-            // 3. Send Notification (Non-blocking)
-            sendBedAssignmentNotification({
-                patientName: assignModalPatient.patient_name,
-                bedNumber: bedNumber,
-                bedType: bedType,
-                phone: assignModalPatient.phone,
-                appointmentId: assignModalPatient.appointment_id,
-                tokenNumber: assignModalPatient.token_number
-            });
-
-            // 4. Create Admission Record
-            // We need patient_id but bed_queue might not have it directly if it was just text
-            // In a better system, bed_queue would have patient_id
+            // The backend assigns the bed, marks the patient admitted and notifies them
+            const result = await assignChosenBed(assignModalPatient.id, bedId);
+            if (!result.success) throw new Error(result.message);
 
             setAssignModalPatient(null);
             await fetchBedQueue();
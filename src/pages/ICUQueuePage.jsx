@@ -74,7 +74,7 @@ function StatusBadge({ status }) {
     );
 }
 
-// ── Scheduling algorithm (same as icuScheduler.js) ────────────────────────────
+// ── Scheduling algorithm (severity_priority in backend/services/scheduling) ──
 
 const findBestBed = (availableBeds, patient) => {
     let bestBed = null;
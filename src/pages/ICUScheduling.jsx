@@ -2,6 +2,7 @@ import React, { useState, useEffect } from "react";
 import {
   runOptimizedSchedule,
   predictWaitTime,
+  predictQueueWaitTimes,
 } from "../services/schedulingService";
 import {
   getICUBeds,
@@ -11,6 +12,7 @@ import {
 } from "../services/bedService";
 import { supabase } from "../lib/supabase";
 import DailyRoundModal from "../components/DailyRoundModal";
+import ScheduleObjectiveComparison from "../components/ScheduleObjectiveComparison";
 import { autoAssignICUBed } from "./ICUQueuePage";
 import { useAuth } from '../context/AuthContext_simple';
 
@@ -86,7 +88,7 @@ export default function ICUScheduling() {
   const getWaitTimePrediction = async (patientToken) => {
     setLoadingType("prediction");
     try {
-      const result = await predictWaitTime(patientToken, 20);
+      const result = await predictWaitTime(patientToken);
       setWaitPredictions(prev => ({
         ...prev,
         [patientToken]: result.data
@@ -106,14 +108,10 @@ export default function ICUScheduling() {
     setLoadingType("prediction");
     setError("");
     try {
+      const result = await predictQueueWaitTimes();
       const predictions = {};
-      for (const patient of waitingQueue) {
-        try {
-          const result = await predictWaitTime(patient.patient_token, 20);
-          predictions[patient.patient_token] = result.data;
-        } catch (err) {
-          console.error(`Prediction failed for ${patient.patient_token}:`, err);
-        }
+      for (const prediction of result.data.patients) {
+        predictions[prediction.patient_token] = prediction;
       }
       setWaitPredictions(predictions);
     } catch (err) {
@@ -580,6 +578,8 @@ export default function ICUScheduling() {
             )}
           </div>
 
+          <ScheduleObjectiveComparison />
+
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
             <div className="lg:col-span-2 bg-white rounded-2xl border border-slate-200 shadow-sm p-5">
               <h3 className="text-sm font-bold text-slate-900 mb-1 uppercase tracking-wide">
@@ -587,19 +587,28 @@ export default function ICUScheduling() {
               </h3>
               <p className="text-sm text-slate-600 mb-3">
                 The ICU scheduling engine reads live patient and bed data from the
-                hospital database (via Supabase), generates admissions into the
-                ICU, and writes the resulting plan back to the{" "}
-                <span className="font-semibold">admissions</span> table.
+                hospital database (via Supabase) and plans admissions into the
+                ICU.
               </p>
               <ul className="list-disc list-inside text-sm text-slate-600 space-y-1">
                 <li>
-                  <span className="font-semibold">Optimized</span> runs multiple
-                  randomized priority orders and keeps the plan with the lowest
-                  total waiting time.
+                  <span className="font-semibold">Optimized</span> starts from
+                  the severity-priority order and swaps patients (simulated
+                  annealing) to lower a weighted cost: total waiting, the longest
+                  critical wait, emergency waiting and ventilator or dialysis
+                  beds given to patients who don&apos;t need them.
+                </li>
+                <li>
+                  Plans start from the live ICU queue and each bed&apos;s current
+                  occupant&apos;s predicted discharge. As patients are admitted
+                  or discharged, a re-plan is drafted automatically for staff to
+                  review and commit, keeping admissions due in the next few
+                  hours as they are.
                 </li>
                 <li>
-                  The endpoint clears old ICU admissions and then inserts the new
-                  optimized plan.
+                  A run is saved as a draft plan; the{" "}
+                  <span className="font-semibold">admissions</span> table only
+                  changes when a plan is committed.
                 </li>
               </ul>
             </div>
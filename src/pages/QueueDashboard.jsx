@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext_simple';
 import { supabase } from '../lib/supabase';
 import ShiftToICUModal from '../components/ShiftToICUModal';
+import UndeliveredMessagesCard from '../components/UndeliveredMessagesCard';
 import { autoAssignBed } from '../services/autoBedAssignmentService';
 
 const MOVING_AVG_WINDOW = 5;
@@ -591,6 +592,9 @@ export default function QueueDashboard() {
                         </p>
                     </div>
                 )}
+
+                {/* Patient messages that never arrived */}
+                <UndeliveredMessagesCard />
             </div>
         </div>
     );
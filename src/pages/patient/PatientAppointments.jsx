@@ -3,6 +3,8 @@ import { useAuth } from '../../context/AuthContext_simple';
 import { supabase } from '../../lib/supabase';
 import { allocateEmergencyICUBed } from '../../services/emergencyBedAllocationService';
 import { useDoctorsList } from '../../hooks/useDoctorsList';
+// Same phone rules as the backend, so every number is stored in E.164
+import { toE164 } from '../../../backend/utils/phone.js';
 import {
   computeMovingAverage,
   getNextQueuePosition,
@@ -102,6 +104,13 @@ export default function PatientAppointments() {
       setError('Age must be between 1 and 150');
       return;
     }
+    let phone;
+    try {
+      phone = toE164(formData.phone);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
 
     try {
       setLoading(true);
@@ -113,7 +122,7 @@ export default function PatientAppointments() {
             patient_name: formData.patient_name,
             age: parseInt(formData.age, 10),
             disease: formData.disease,
-            phone: formData.phone,
+            phone,
             email: formData.email,
             appointment_date: formData.appointment_date,
             doctor_id: formData.doctor_id,
@@ -157,24 +166,12 @@ export default function PatientAppointments() {
         if (icuQueueEntry) {
           const allocationResult = await allocateEmergencyICUBed({
             icuQueueId: icuQueueEntry.id,
-            doctorId: formData.doctor_id,
-            patientRequirements: {
-              ventilator_needed: false,
-              dialysis_needed: false,
-            },
-            predictedStayDays: 7,
           });
 
           if (allocationResult.success) {
-            if (allocationResult.bedFreed) {
-              setSuccess(
-                `Emergency appointment booked! ICU bed ${allocationResult.bed.bed_id} assigned (transferred ${allocationResult.transferredPatient} to general ward).`,
-              );
-            } else {
-              setSuccess(
-                `Emergency appointment booked! ICU bed ${allocationResult.bed.bed_id} assigned.`,
-              );
-            }
+            setSuccess(
+              `Emergency appointment booked! ICU bed ${allocationResult.bed.bed_id} assigned.`,
+            );
           } else {
             setSuccess(
               'Emergency appointment booked! You have been added to ICU Queue (no beds currently available).',
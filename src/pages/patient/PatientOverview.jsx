@@ -1,6 +1,8 @@
 import React from 'react';
 import { useAuth } from '../../context/AuthContext_simple';
 import { usePatientAppointmentsHistory } from '../../hooks/usePatientAppointmentsHistory';
+import TelegramLinkCard from '../../components/TelegramLinkCard';
+import LanguagePreferenceCard from '../../components/LanguagePreferenceCard';
 
 export default function PatientOverview() {
   const { user } = useAuth();
@@ -75,6 +77,10 @@ export default function PatientOverview() {
           accent="emerald"
         />
       </section>
+
+      <LanguagePreferenceCard />
+
+      <TelegramLinkCard />
     </div>
   );
 }
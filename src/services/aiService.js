@@ -1,64 +1,45 @@
-const GROQ_API_KEY = import.meta.env.VITE_GROQ_API_KEY || import.meta.env.GROQ_API_KEY;
-const GROQ_MODEL = "meta-llama/llama-4-scout-17b-16e-instruct";
+import { supabase } from '../lib/supabase';
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "https://hackgenx-backend.onrender.com";
+
+/**
+ * POSTs to a backend AI endpoint and returns its `data` payload.
+ * The backend picks the LLM provider for each feature (see backend/config/llm.js)
+ * and only serves signed-in staff, so the session goes along.
+ */
+export async function callAIEndpoint(path, body) {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+        throw new Error('Please sign in again.');
+    }
+
+    const response = await fetch(`${BACKEND_URL}/api/ai/${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify(body)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || `AI request failed (${response.status})`);
+    }
+    return result.data;
+}
 
 /**
- * Analyzes a medical report (image or PDF) using Groq AI.
+ * Analyzes a medical report (image or PDF) using the backend's report summary model.
  * @param {string} fileUrl - The public URL of the file in Supabase storage.
  * @param {string} reportType - The type of report (blood, xray, scan, etc.)
  * @returns {Promise<{summary: string}>}
  */
 export async function analyzeMedicalReport(fileUrl, reportType) {
-    if (!GROQ_API_KEY) {
-        console.error("Groq API key not configured.");
-        return { summary: "AI summary unavailable (API key missing)." };
-    }
-
     try {
-        const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${GROQ_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                model: GROQ_MODEL,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are a medical assistant AI. Analyze the provided medical report and provide a concise, 2-line summary of key insights. Be professional and accurate.'
-                    },
-                    {
-                        role: 'user',
-                        content: [
-                            {
-                                type: 'text',
-                                text: `Analyze this ${reportType} report and summarize the findings in exactly 2 lines.`
-                            },
-                            {
-                                type: 'image_url',
-                                image_url: {
-                                    url: fileUrl
-                                }
-                            }
-                        ]
-                    }
-                ],
-                temperature: 0.2,
-                max_tokens: 150
-            })
-        });
-
-        if (!response.ok) {
-            const error = await response.json();
-            console.error("Groq AI Error:", error);
-            throw new Error("Failed to analyze report");
-        }
-
-        const data = await response.json();
-        const summary = data.choices[0]?.message?.content || "No summary generated.";
-
+        const { summary } = await callAIEndpoint('report-summary', { fileUrl, reportType });
         return {
-            summary: summary.trim()
+            summary: (summary || "No summary generated.").trim()
         };
     } catch (err) {
         console.error("AI Analysis failed:", err);
@@ -67,3 +48,12 @@ export async function analyzeMedicalReport(fileUrl, reportType) {
         };
     }
 }
+
+/**
+ * Estimates the discharge date for the ward staff's health update form.
+ * @param {object} input - { patientName, disease, healthData, previousVisits, documentsText, images: [{ url, type }] }
+ * @returns {Promise<{estimatedDischargeDate: string, carePlan: string, riskLevel: string, warnings: string}>}
+ */
+export async function estimateHealthUpdate(input) {
+    return callAIEndpoint('health-update', input);
+}
@@ -3,80 +3,45 @@ import { supabase } from '../lib/supabase';
 const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "https://hackgenx-backend.onrender.com";
 
 /**
- * Fetches the patient's phone number and sends a bed assignment notification.
- * 
+ * Asks the backend to tell the patient about their bed. The backend finds the
+ * patient's contact details from the identifiers given, sends the message and
+ * records it in the delivery log.
+ *
  * @param {Object} params - Parameters for notification
  * @param {string} params.patientName - Patient name
  * @param {string} params.bedNumber - Bed number assigned
  * @param {string} params.bedType - Bed type assigned
  * @param {string} params.phone - Optional phone number (if already known)
- * @param {string} params.appointmentId - Optional appointment ID to fetch phone
- * @param {string} params.tokenNumber - Optional token number to fallback fetch phone
+ * @param {string} params.appointmentId - Optional appointment ID to find the patient
+ * @param {string} params.tokenNumber - Optional token number to find the patient
  */
-export async function sendBedAssignmentNotification({ patientName, bedNumber, bedType, phone: initialPhone, appointmentId, tokenNumber }) {
+export async function sendBedAssignmentNotification({ patientName, bedNumber, bedType, phone, appointmentId, tokenNumber }) {
     try {
-        let phone = initialPhone || null;
-
-        // 1. Try to fetch phone from appointments using appointmentId
-        if (!phone && appointmentId) {
-            const { data, error } = await supabase
-                .from('appointments')
-                .select('phone')
-                .eq('id', appointmentId)
-                .single();
-
-            if (!error && data) {
-                phone = data.phone;
-            }
-        }
-
-        // 2. Fallback: try to fetch phone from appointments using token_number
-        if (!phone && tokenNumber) {
-            const { data, error } = await supabase
-                .from('appointments')
-                .select('phone')
-                .eq('token_number', tokenNumber)
-                .maybeSingle();
-
-            if (!error && data) {
-                phone = data.phone;
-            }
-        }
-
-        // 3. Last fallback: try to fetch phone from appointments using patientName (latest record)
-        if (!phone && patientName) {
-            const { data, error } = await supabase
-                .from('appointments')
-                .select('phone')
-                .eq('patient_name', patientName)
-                .order('created_at', { ascending: false })
-                .limit(1);
-
-            if (!error && data && data.length > 0) {
-                phone = data[0].phone;
-            }
-        }
-
-        if (!phone) {
-            console.warn('[Notification] Could not find phone number for patient:', patientName);
+        const { data: { session } } = await supabase.auth.getSession();
+        if (!session) {
+            console.warn('[Notification] Not signed in; bed notification not sent for:', patientName);
             return;
         }
 
-        // 3. Call backend to send WhatsApp notification
-        const res = await fetch(`${BACKEND_URL}/api/sms/send-bed-notification`, {
+        const res = await fetch(`${BACKEND_URL}/api/notifications/bed-assigned`, {
             method: "POST",
-            headers: { "Content-Type": "application/json" },
+            headers: {
+                "Content-Type": "application/json",
+                Authorization: `Bearer ${session.access_token}`
+            },
             body: JSON.stringify({
-                phone,
+                appointmentId,
+                tokenNumber,
                 patientName,
+                phone,
                 bedNumber,
                 bedType
             }),
         });
 
-        const data = await res.json();
+        const data = await res.json().catch(() => ({}));
         if (data.success) {
-            console.log("[Notification] Bed assignment notification sent — SID:", data.sid);
+            console.log("[Notification] Bed assignment notification sent — ID:", data.data.provider_id);
         } else {
             console.warn("[Notification] Failed to send:", data.error);
         }
@@ -1,8 +1,5 @@
 import { supabase } from '../lib/supabase';
-
-const GEMINI_API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
-const GEMINI_MODEL = 'gemini-3-flash-preview';
-const GEMINI_URL = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`;
+import { callAIEndpoint } from './aiService';
 
 /**
  * Main entry point: run discharge prediction after a daily round is saved.
@@ -75,8 +72,8 @@ export async function runDischargePrediction(queueId, currentRoundId, bedQueueEn
             clinical_timeline: timeline,
         };
 
-        // ── Step 4: Call Gemini API ───────────────────────────────────────────
-        const prediction = await callGemini(patientContext);
+        // ── Step 4: Request the prediction from the backend ──────────────────
+        const prediction = await requestPrediction(patientContext);
 
         // ── Step 5: Save prediction to discharge_predictions ─────────────────
         if (prediction) {
@@ -124,76 +121,16 @@ export async function runDischargePrediction(queueId, currentRoundId, bedQueueEn
     }
 }
 
-/** 
- * Calls the Gemini API with a structured patient timeline JSON.
- * @param {object} patientContext 
+/**
+ * Asks the backend for a discharge prediction from the structured patient timeline.
+ * @param {object} patientContext
  * @returns {object|null} { predicted_discharge_date, remaining_days, confidence, reasoning }
  */
-async function callGemini(patientContext) {
-    if (!GEMINI_API_KEY) {
-        console.warn('Gemini API key not configured. Set VITE_GEMINI_API_KEY in .env');
-        return null;
-    }
-
-    const prompt = `You are a clinical decision-support AI specializing in predicting Remaining Length of Stay (RLOS) for hospitalized patients.
-
-CRITICAL DEFINITION:
-- You are predicting REMAINING Length of Stay FROM NOW — NOT total hospital stay.
-- If a patient was admitted 3 days ago and will likely need 3 more days, remaining_days = 3.
-- predicted_discharge_date must be a FUTURE date relative to current_datetime.
-- Reflect the patient's CURRENT trend, not just admission diagnosis.
-
-PATIENT DATA:
-${JSON.stringify(patientContext, null, 2)}
-
-ANALYSIS INSTRUCTIONS:
-1. Examine the clinical_timeline chronologically for trends in vitals (temperature, heart rate, BP, oxygen), condition status (improving/stable/critical), and doctor notes.
-2. Consider AI summaries from lab/radiology reports as objective clinical evidence.
-3. Account for days_since_admission — this patient is already ${patientContext.days_since_admission} day(s) into their stay.
-4. Base remaining_days on realistic REMAINING recovery time starting from the provided current_local_date (${patientContext.current_local_date}).
-5. Confidence: 0.0–1.0. Higher when trend is clear and multiple rounds exist; lower when data is sparse.
-
-RESPOND WITH ONLY THIS JSON OBJECT (no markdown, no explanation, just raw JSON):
-{
-  "predicted_discharge_date": "YYYY-MM-DD",
-  "remaining_days": <integer, days remaining from today>,
-  "confidence": <float 0.0-1.0>,
-  "reasoning": "<concise 2-3 sentence clinical reasoning explaining the estimate>"
-}`;
-
+async function requestPrediction(patientContext) {
     try {
-        const response = await fetch(GEMINI_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                contents: [{ role: 'user', parts: [{ text: prompt }] }],
-                generationConfig: {
-                    temperature: 0.2,
-                    responseMimeType: 'application/json',
-                }
-            })
-        });
-
-        if (!response.ok) {
-            const err = await response.json();
-            console.error('Gemini API error:', err);
-            return null;
-        }
-
-        const data = await response.json();
-        const rawText = data?.candidates?.[0]?.content?.parts?.[0]?.text;
-        if (!rawText) return null;
-
-        // Parse JSON — strip markdown code fences if present
-        const cleaned = rawText.replace(/```json|```/g, '').trim();
-        const parsed = JSON.parse(cleaned);
-
-        // Safety: remaining_days must be >= 0
-        if (parsed.remaining_days < 0) parsed.remaining_days = 0;
-
-        return parsed;
+        return await callAIEndpoint('discharge-prediction', { patientContext });
     } catch (err) {
-        console.error('Gemini call or parse failed:', err);
+        console.error('Discharge prediction request failed:', err);
         return null;
     }
 }
@@ -0,0 +1,59 @@
+import { supabase } from '../lib/supabase';
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "https://hackgenx-backend.onrender.com";
+
+async function staffRequest(path, options = {}) {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+        throw new Error('Please sign in again.');
+    }
+
+    const response = await fetch(`${BACKEND_URL}/api/notifications${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${session.access_token}`
+        }
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || `Request failed (${response.status})`);
+    }
+    return result.data;
+}
+
+/**
+ * Patient messages that failed on every channel tried, so the front desk
+ * can call the patient instead.
+ * @returns {Promise<Array>} notification_deliveries rows, oldest first
+ */
+export async function fetchUnreachedNotifications() {
+    return staffRequest('/unreached');
+}
+
+/**
+ * Take a message off the list once the patient has been contacted.
+ */
+export async function markNotificationFollowedUp(deliveryId) {
+    return staffRequest(`/deliveries/${deliveryId}/follow-up`, { method: 'POST' });
+}
+
+/**
+ * Send the booking confirmation for a new appointment. The patient's
+ * preferred language is looked up from the token on the backend.
+ * @param {Object} params
+ * @param {string} params.token - token number of the new appointment
+ * @param {boolean} params.isEmergency - emergency (ICU) booking
+ * @returns {Promise<Object>} the notification_deliveries row
+ */
+export async function sendAppointmentConfirmation({ phone, patientName, token, queuePosition, estimatedWait, isEmergency }) {
+    return staffRequest('/send', {
+        method: 'POST',
+        body: JSON.stringify({
+            template: isEmergency ? 'emergency_appointment_confirmed' : 'appointment_confirmed',
+            recipient: { tokenNumber: token, phone, name: patientName },
+            variables: { token, queuePosition, estimatedWait }
+        })
+    });
+}
@@ -1,13 +1,20 @@
+import { supabase } from "../lib/supabase";
+
 const BACKEND_BASE_URL =
   import.meta.env.VITE_BACKEND_URL || "https://hackgenx-backend.onrender.com";
 
-async function postJson(path, body = null) {
+// Scheduling endpoints are staff only; the signed-in session goes along
+async function requestJson(method, path, body = null) {
   const url = `${BACKEND_BASE_URL}${path}`;
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
 
   const options = {
-    method: "POST",
+    method,
     headers: {
       "Content-Type": "application/json",
+      ...(session && { Authorization: `Bearer ${session.access_token}` }),
     },
   };
 
@@ -21,7 +28,7 @@ async function postJson(path, body = null) {
     let message = `Request failed with status ${res.status}`;
     try {
       const body = await res.json();
-      if (body?.message) message = body.message;
+      if (body?.message || body?.error) message = body.message || body.error;
     } catch {
       // ignore JSON parse errors
     }
@@ -31,17 +38,40 @@ async function postJson(path, body = null) {
   return res.json();
 }
 
-export async function runBaselineSchedule() {
-  const result = await postJson("/api/schedule/baseline");
+function postJson(path, body = null) {
+  return requestJson("POST", path, body);
+}
+
+// options: { strategy, seed, iterations, dryRun }; see GET /api/schedule/strategies.
+// Saves a draft plan; admissions only change when a plan is committed.
+export async function runBaselineSchedule(options = null) {
+  const result = await postJson("/api/schedule/baseline", options);
   return result;
 }
 
-export async function runOptimizedSchedule() {
-  const result = await postJson("/api/schedule/optimize");
+export async function runOptimizedSchedule(options = null) {
+  const result = await postJson("/api/schedule/optimize", options);
   return result;
 }
 
-export async function predictWaitTime(patientToken, iterations = 20) {
+// Optimizer objective presets: [{ name, description, weights }]
+export async function getScheduleObjectives() {
+  const result = await requestJson("GET", "/api/schedule/objectives");
+  return result;
+}
+
+// Runs the optimizer once per objective against the baseline; saves nothing.
+// objectives: preset names or weight objects, at most 4
+export async function compareScheduleObjectives(objectives, options = {}) {
+  const result = await postJson("/api/schedule/compare", {
+    objectives,
+    ...options,
+  });
+  return result;
+}
+
+// iterations: simulated runs; the backend default when omitted
+export async function predictWaitTime(patientToken, iterations) {
   const result = await postJson("/api/schedule/predict-wait-time", {
     patient_token: patientToken,
     iterations,
@@ -49,3 +79,10 @@ export async function predictWaitTime(patientToken, iterations = 20) {
   return result;
 }
 
+// P50/P80/P95 waits for every patient in the ICU queue in one call.
+// options: { iterations, strategy, seed, arrivalsPerDay }
+export async function predictQueueWaitTimes(options = {}) {
+  const result = await postJson("/api/schedule/predict-wait-times", options);
+  return result;
+}
+
@@ -0,0 +1,32 @@
+import { supabase } from '../lib/supabase';
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "https://hackgenx-backend.onrender.com";
+
+/**
+ * Asks the backend for a one-time code that links a Telegram chat to the
+ * signed-in patient. The patient sends "/link <code>" to the bot; the code
+ * only works with that bot.
+ * @param {string} [botId] - the hospital's bot; the backend's default if omitted
+ * @returns {Promise<{code: string, expiresAt: string, command: string, bot: {id: string, name: string, username: string|null}}>}
+ */
+export async function requestTelegramLinkCode(botId) {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+        throw new Error('Please sign in again to link Telegram.');
+    }
+
+    const response = await fetch(`${BACKEND_URL}/api/telegram/link-code`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify(botId ? { botId } : {})
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || `Could not create a link code (${response.status})`);
+    }
+    return result.data;
+}
@@ -0,0 +1,14 @@
+// Languages patients can receive messages in; keep in step with LANGUAGES in
+// backend/config/constants.js. Messages without a translation arrive in English.
+export const MESSAGE_LANGUAGES = [
+    { code: 'en', label: 'English' },
+    { code: 'hi', label: 'हिन्दी (Hindi)' },
+    { code: 'mr', label: 'मराठी (Marathi)' },
+    { code: 'ta', label: 'தமிழ் (Tamil)' },
+    { code: 'bn', label: 'বাংলা (Bengali)' },
+    { code: 'gu', label: 'ગુજરાતી (Gujarati)' },
+    { code: 'te', label: 'తెలుగు (Telugu)' },
+    { code: 'kn', label: 'ಕನ್ನಡ (Kannada)' },
+    { code: 'ml', label: 'മലയാളം (Malayalam)' },
+    { code: 'pa', label: 'ਪੰਜਾਬੀ (Punjabi)' },
+];
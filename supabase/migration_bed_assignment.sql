@@ -0,0 +1,126 @@
+-- Migration: Server-side bed assignment
+-- Assigning a bed touches bed_queue, beds and discharge_predictions. Doing
+-- that from the browser as separate updates let two open tabs give the same
+-- bed to two patients. These functions do it in one transaction instead:
+-- the queue entry and the chosen bed are locked (FOR UPDATE), and a bed
+-- another transaction is assigning is skipped rather than waited for.
+-- Assigning is idempotent per queue entry: a second call for an entry that
+-- already has a bed returns that bed and changes nothing.
+-- Called by backend/services/bedAssignmentService.js (/api/beds/assign).
+-- Beds are keyed by bed_id, like the rest of the app.
+-- Run this in your Supabase SQL editor
+
+-- Result: { outcome, queue_entry, bed? } where outcome is one of
+--   assigned          the entry was given `bed`
+--   already_assigned  the entry already had `bed`; nothing changed
+--   no_bed            no matching bed is free; the entry keeps waiting
+--   bed_taken         p_bed_id is not free (any more)
+--   not_waiting       the entry is discharged or has no bed to return
+--   not_found         no queue entry with that id
+CREATE OR REPLACE FUNCTION public.assign_bed(
+  p_queue_entry_id UUID,
+  p_bed_type TEXT DEFAULT NULL, -- NULL: any type
+  p_doctor_id UUID DEFAULT NULL, -- NULL: any doctor's beds
+  p_stay_days INTEGER DEFAULT 4,
+  p_confidence NUMERIC DEFAULT 0.8,
+  p_bed_id UUID DEFAULT NULL -- a bed picked by staff instead of the first free one
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  entry bed_queue%ROWTYPE;
+  bed beds%ROWTYPE;
+  assigned_at TIMESTAMP WITH TIME ZONE := NOW();
+  discharge_date DATE := CURRENT_DATE + p_stay_days;
+BEGIN
+  SELECT * INTO entry FROM bed_queue WHERE id = p_queue_entry_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('outcome', 'not_found');
+  END IF;
+
+  IF entry.status <> 'waiting_for_bed' THEN
+    SELECT * INTO bed FROM beds WHERE bed_id = entry.bed_id;
+    RETURN jsonb_build_object(
+      'outcome', CASE
+        WHEN entry.status IN ('bed_assigned', 'admitted') AND bed.bed_id IS NOT NULL THEN 'already_assigned'
+        ELSE 'not_waiting'
+      END,
+      'queue_entry', to_jsonb(entry),
+      'bed', CASE WHEN bed.bed_id IS NULL THEN NULL ELSE to_jsonb(bed) END
+    );
+  END IF;
+
+  SELECT * INTO bed FROM beds
+  WHERE status = 'available'
+    AND (p_bed_type IS NULL OR bed_type = p_bed_type)
+    AND (p_doctor_id IS NULL OR doctor_id = p_doctor_id)
+    AND (p_bed_id IS NULL OR bed_id = p_bed_id)
+  ORDER BY bed_number
+  LIMIT 1
+  FOR UPDATE SKIP LOCKED;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'outcome', CASE WHEN p_bed_id IS NULL THEN 'no_bed' ELSE 'bed_taken' END,
+      'queue_entry', to_jsonb(entry)
+    );
+  END IF;
+
+  UPDATE beds SET status = 'occupied' WHERE bed_id = bed.bed_id
+  RETURNING * INTO bed;
+
+  UPDATE bed_queue SET
+    status = 'admitted',
+    bed_assigned_at = assigned_at,
+    admitted_at = assigned_at,
+    bed_type = bed.bed_type,
+    bed_id = bed.bed_id,
+    notes = CASE WHEN p_bed_id IS NULL THEN 'Auto-assigned to Bed: ' ELSE 'Bed Number: ' END || bed.bed_number,
+    estimated_wait_minutes = NULL,
+    discharge_time = (discharge_date + TIME '12:00') AT TIME ZONE 'UTC'
+  WHERE id = entry.id
+  RETURNING * INTO entry;
+
+  INSERT INTO discharge_predictions (bed_queue_id, predicted_discharge_date, remaining_days, confidence, reasoning)
+  VALUES (entry.id, discharge_date, p_stay_days, p_confidence,
+    'Initial estimated stay based on average admission duration');
+
+  RETURN jsonb_build_object('outcome', 'assigned', 'queue_entry', to_jsonb(entry), 'bed', to_jsonb(bed));
+END;
+$$;
+
+-- Assigns a free bed of any type to the patient who has waited longest.
+-- A patient another transaction is assigning is skipped. Returns
+-- { outcome: 'no_patient' } when nobody is waiting, else as assign_bed.
+CREATE OR REPLACE FUNCTION public.assign_next_waiting_bed(
+  p_doctor_id UUID DEFAULT NULL,
+  p_stay_days INTEGER DEFAULT 4,
+  p_confidence NUMERIC DEFAULT 0.8
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  next_id UUID;
+BEGIN
+  SELECT id INTO next_id FROM bed_queue
+  WHERE status = 'waiting_for_bed'
+    AND (p_doctor_id IS NULL OR doctor_id = p_doctor_id)
+  ORDER BY admitted_from_opd_at
+  LIMIT 1
+  FOR UPDATE SKIP LOCKED;
+
+  IF next_id IS NULL THEN
+    RETURN jsonb_build_object('outcome', 'no_patient');
+  END IF;
+  RETURN public.assign_bed(next_id, NULL, p_doctor_id, p_stay_days, p_confidence);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.assign_bed(UUID, TEXT, UUID, INTEGER, NUMERIC, UUID) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.assign_next_waiting_bed(UUID, INTEGER, NUMERIC) TO anon, authenticated;
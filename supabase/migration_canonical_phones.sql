@@ -0,0 +1,44 @@
+-- Migration: Store phone numbers in E.164
+-- New bookings, callbacks and voice-agent appointments are saved as E.164
+-- ("+919876543210", see backend/utils/phone.js), and the notification
+-- service looks patients up by that form. This rewrites numbers saved before
+-- the change so the lookup finds them too. Only numbers that are clearly
+-- Indian (10 digits, optionally with a 0, 91 or 0091 prefix) or already
+-- carry a + are rewritten; anything else is left for staff to fix by hand.
+-- Run this in your Supabase SQL editor
+
+CREATE OR REPLACE FUNCTION public.canonical_phone(raw TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN digits IS NULL OR digits = '' THEN raw
+    WHEN plus AND digits ~ '^[1-9][0-9]{6,14}$' THEN '+' || digits
+    WHEN digits ~ '^[6-9][0-9]{9}$' THEN '+91' || digits
+    WHEN digits ~ '^0[6-9][0-9]{9}$' THEN '+91' || substr(digits, 2)
+    WHEN digits ~ '^91[6-9][0-9]{9}$' THEN '+' || digits
+    WHEN digits ~ '^00[1-9][0-9]{6,14}$' THEN '+' || substr(digits, 3)
+    ELSE raw
+  END
+  FROM (
+    SELECT
+      regexp_replace(regexp_replace(raw, '^whatsapp:', '', 'i'), '[^0-9]', '', 'g') AS digits,
+      btrim(regexp_replace(raw, '^whatsapp:', '', 'i')) LIKE '+%' AS plus
+  ) AS parsed;
+$$;
+
+UPDATE public.appointments SET phone = public.canonical_phone(phone)
+WHERE phone IS DISTINCT FROM public.canonical_phone(phone);
+
+UPDATE public.bed_queue SET phone = public.canonical_phone(phone)
+WHERE phone IS DISTINCT FROM public.canonical_phone(phone);
+
+UPDATE public.patients SET phone = public.canonical_phone(phone)
+WHERE phone IS DISTINCT FROM public.canonical_phone(phone);
+
+UPDATE public.patient_visit_history SET phone = public.canonical_phone(phone)
+WHERE phone IS DISTINCT FROM public.canonical_phone(phone);
+
+UPDATE public.callback_requests SET phone = public.canonical_phone(phone)
+WHERE phone IS DISTINCT FROM public.canonical_phone(phone);
@@ -0,0 +1,47 @@
+-- Migration: Chatbot write actions
+-- Callback requests made through the chatbot/Telegram bot, and an audit
+-- trail of every action the bot proposes and executes.
+-- Run this in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS public.callback_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_number TEXT NOT NULL,
+  patient_name TEXT,
+  phone TEXT,
+  preferred_time TIMESTAMP WITH TIME ZONE,
+  reason TEXT,
+  channel TEXT NOT NULL DEFAULT 'api',
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'cancelled')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_callback_requests_status ON public.callback_requests (status);
+CREATE INDEX IF NOT EXISTS idx_callback_requests_token ON public.callback_requests (token_number);
+
+CREATE TABLE IF NOT EXISTS public.chatbot_action_audit (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  action TEXT NOT NULL CHECK (action IN ('cancel_appointment', 'reschedule_appointment', 'request_callback', 'book_appointment')),
+  status TEXT NOT NULL CHECK (status IN ('proposed', 'executed', 'failed', 'discarded', 'expired')),
+  channel TEXT NOT NULL,
+  token_number TEXT,
+  user_id UUID,
+  session_key TEXT,
+  confirmation_code TEXT,
+  params JSONB,
+  result JSONB,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chatbot_action_audit_token ON public.chatbot_action_audit (token_number);
+CREATE INDEX IF NOT EXISTS idx_chatbot_action_audit_created_at ON public.chatbot_action_audit (created_at);
+
+ALTER TABLE public.callback_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.chatbot_action_audit ENABLE ROW LEVEL SECURITY;
+
+-- The backend uses the anon key, like the rest of the app
+CREATE POLICY "Allow all on callback_requests" ON public.callback_requests
+  FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all on chatbot_action_audit" ON public.chatbot_action_audit
+  FOR ALL USING (true) WITH CHECK (true);
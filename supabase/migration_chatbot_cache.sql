@@ -0,0 +1,38 @@
+-- Migration: Change feed for the chatbot result cache
+-- The backend caches chatbot query results for a few seconds and drops them
+-- when a table they read changes. Adding the tables the chatbot queries to
+-- the supabase_realtime publication lets it hear about changes made by the
+-- dashboard and other clients. bed_queue and beds may already be published
+-- for the bed queue page; they are skipped if so.
+-- Run this in your Supabase SQL editor
+
+DO $$
+DECLARE
+  table_name TEXT;
+BEGIN
+  FOREACH table_name IN ARRAY ARRAY[
+    'appointments',
+    'opd_queue',
+    'bed_queue',
+    'beds',
+    'icu_queue',
+    'icu_beds',
+    'daily_rounds',
+    'medical_reports',
+    'discharge_predictions',
+    'patients',
+    'callback_requests'
+  ]
+  LOOP
+    IF to_regclass('public.' || table_name) IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime'
+          AND schemaname = 'public'
+          AND tablename = table_name
+      )
+    THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', table_name);
+    END IF;
+  END LOOP;
+END $$;
@@ -0,0 +1,45 @@
+-- Migration: ICU transfer audit
+-- When an emergency patient needs an ICU bed and none is free, the backend
+-- moves a stable or improving ICU patient to a general bed and gives their
+-- ICU bed to the emergency patient (backend/services/icuAllocationService.js).
+-- Every such step-down is recorded here, including ones that were rolled
+-- back, so clinicians can review who was moved and why.
+-- Run this in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS public.icu_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- completed: both patients moved. rolled_back: a step failed and every
+  -- earlier step was undone. failed: a step failed and undoing the earlier
+  -- ones failed too; `steps` shows what needs fixing by hand.
+  status TEXT NOT NULL CHECK (status IN ('completed', 'rolled_back', 'failed')),
+  emergency_icu_queue_id UUID REFERENCES public.icu_queue(id) ON DELETE SET NULL,
+  emergency_patient_name TEXT,
+  emergency_token TEXT,
+  transferred_icu_queue_id UUID REFERENCES public.icu_queue(id) ON DELETE SET NULL,
+  transferred_patient_name TEXT,
+  transferred_token TEXT,
+  icu_bed_id TEXT, -- icu_beds.id, as stored in icu_queue.assigned_bed_id
+  icu_bed_label TEXT,
+  general_bed_id UUID,
+  general_bed_number TEXT,
+  bed_queue_id UUID, -- the transferred patient's new general ward entry
+  -- Why the patient was judged safe to move: the latest daily round
+  round_id UUID,
+  round_date TIMESTAMP WITH TIME ZONE,
+  condition_status TEXT,
+  -- Each step and compensation as it ran: [{ step, status, at, error? }]
+  steps JSONB NOT NULL DEFAULT '[]'::jsonb,
+  error TEXT,
+  initiated_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_icu_transfers_created_at ON public.icu_transfers (created_at);
+CREATE INDEX IF NOT EXISTS idx_icu_transfers_status ON public.icu_transfers (status);
+CREATE INDEX IF NOT EXISTS idx_icu_transfers_transferred ON public.icu_transfers (transferred_icu_queue_id);
+
+ALTER TABLE public.icu_transfers ENABLE ROW LEVEL SECURITY;
+
+-- The backend uses the anon key, like the rest of the app
+CREATE POLICY "Allow all on icu_transfers" ON public.icu_transfers
+  FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,41 @@
+-- Migration: Patient notification delivery log
+-- Every message the backend sends to a patient (WhatsApp, SMS, Telegram,
+-- email) is recorded with the template and version it came from, the exact
+-- text, and what the provider said, so staff can see what each patient was
+-- actually told. See backend/services/notifications.
+-- Run this in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS public.notification_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  template TEXT NOT NULL,
+  template_version INTEGER NOT NULL,
+  channel TEXT NOT NULL,
+  recipient TEXT,
+  token_number TEXT,
+  patient_name TEXT,
+  subject TEXT,
+  body TEXT NOT NULL,
+  -- sent: accepted by the provider; failed: the provider refused or errored;
+  -- skipped: the patient has no address on this channel
+  status TEXT NOT NULL CHECK (status IN ('sent', 'failed', 'skipped')),
+  -- The provider's own status (e.g. Twilio "queued") and id (Twilio SID)
+  provider_status TEXT,
+  provider_id TEXT,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_token ON public.notification_deliveries (token_number);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_created_at ON public.notification_deliveries (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_provider_id ON public.notification_deliveries (provider_id);
+
+CREATE TRIGGER update_notification_deliveries_updated_at
+  BEFORE UPDATE ON public.notification_deliveries
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+ALTER TABLE public.notification_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- The backend uses the anon key, like the rest of the app
+CREATE POLICY "Allow all on notification_deliveries" ON public.notification_deliveries
+  FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,42 @@
+-- Migration: Delivery receipts and retries for patient notifications
+-- Twilio status callbacks move a delivery to delivered / undelivered /
+-- failed. Failed, undelivered and skipped deliveries are retried with backoff,
+-- possibly on another channel; each retry is a new row pointing at the
+-- attempt it replaces. Deliveries that ran out of retries are listed on the
+-- dashboard until someone at the front desk follows up.
+-- Requires migration_notification_deliveries.sql.
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE public.notification_deliveries
+  DROP CONSTRAINT IF EXISTS notification_deliveries_status_check;
+
+-- delivered: the provider confirmed delivery (or the patient read it);
+-- undelivered: the provider gave up after accepting the message
+ALTER TABLE public.notification_deliveries
+  ADD CONSTRAINT notification_deliveries_status_check
+  CHECK (status IN ('sent', 'delivered', 'undelivered', 'failed', 'skipped'));
+
+ALTER TABLE public.notification_deliveries
+  -- What is needed to send the message again
+  ADD COLUMN IF NOT EXISTS variables JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS recipient_ref JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- 1 for the first attempt; retry_of is the attempt this one replaces
+  ADD COLUMN IF NOT EXISTS attempt INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS retry_of UUID REFERENCES public.notification_deliveries(id),
+  -- Channels left for retries, next first (see NOTIFICATION_RETRY.FALLBACK)
+  ADD COLUMN IF NOT EXISTS retry_channels TEXT[] NOT NULL DEFAULT '{}',
+  -- Set while a retry is due; retried_by once it has been made
+  ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS retried_by UUID REFERENCES public.notification_deliveries(id),
+  ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE,
+  -- Staff who contacted the patient another way
+  ADD COLUMN IF NOT EXISTS followed_up_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS followed_up_by UUID;
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_next_retry
+  ON public.notification_deliveries (next_retry_at)
+  WHERE next_retry_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_unreached
+  ON public.notification_deliveries (created_at DESC)
+  WHERE status IN ('failed', 'undelivered', 'skipped') AND retried_by IS NULL AND followed_up_at IS NULL;
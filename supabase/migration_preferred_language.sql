@@ -0,0 +1,19 @@
+-- Migration: Preferred language for patient messages
+-- Notifications are sent in the appointment's preferred language, else the
+-- patient profile's, else English. Codes are ISO 639-1 (en, hi, mr, ta, ...;
+-- see LANGUAGES in backend/config/constants.js). Templates without a
+-- translation for the language are sent in English, and the delivery log
+-- records the language actually used.
+-- Requires migration_notification_deliveries.sql.
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE public.appointments
+  ADD COLUMN IF NOT EXISTS preferred_language TEXT
+  CHECK (preferred_language ~ '^[a-z]{2}$');
+
+ALTER TABLE public.user_profiles
+  ADD COLUMN IF NOT EXISTS preferred_language TEXT
+  CHECK (preferred_language ~ '^[a-z]{2}$');
+
+ALTER TABLE public.notification_deliveries
+  ADD COLUMN IF NOT EXISTS language TEXT NOT NULL DEFAULT 'en';
@@ -0,0 +1,136 @@
+-- Migration: Versioned ICU schedule plans
+-- Every scheduler run (backend/services/scheduling/) used to delete all of
+-- admissions and write its own plan in their place, so one click on "Run"
+-- threw the current plan away. Runs are now saved here as draft plans with
+-- the strategy, parameters and metrics that produced them. admissions only
+-- changes when a plan is committed, through commit_schedule_plan(), and
+-- each commit is logged in schedule_plan_commits.
+-- Run this in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS public.schedule_plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- draft: saved, not in admissions. committed: the plan in admissions.
+  -- superseded: was committed, replaced by a later commit.
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'committed', 'superseded')),
+  strategy TEXT NOT NULL,
+  seed TEXT NOT NULL,
+  -- { iterations, timeBudgetMs, objective } as the run was asked for
+  parameters JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- { totalWaitingHours, averageWaitingHours, admittedPatients, objective, ... }
+  metrics JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- [{ patient_id, bed_id, admission_time, discharge_time, waiting_hours }]
+  admissions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  unscheduled JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- The committed plan when this one was made; committing is refused if
+  -- another plan was committed since, unless forced
+  based_on_plan_id UUID REFERENCES public.schedule_plans(id) ON DELETE SET NULL,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  committed_by UUID,
+  committed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_plans_created_at ON public.schedule_plans (created_at);
+CREATE INDEX IF NOT EXISTS idx_schedule_plans_status ON public.schedule_plans (status);
+
+CREATE TABLE IF NOT EXISTS public.schedule_plan_commits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  plan_id UUID NOT NULL REFERENCES public.schedule_plans(id) ON DELETE CASCADE,
+  previous_plan_id UUID REFERENCES public.schedule_plans(id) ON DELETE SET NULL,
+  committed_by UUID,
+  note TEXT,
+  forced BOOLEAN NOT NULL DEFAULT false, -- committed over a newer plan
+  admissions_written INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_plan_commits_created_at ON public.schedule_plan_commits (created_at);
+
+-- Which plan each admission came from
+ALTER TABLE public.admissions ADD COLUMN IF NOT EXISTS plan_id UUID REFERENCES public.schedule_plans(id) ON DELETE SET NULL;
+
+-- Result: { outcome, plan_id, previous_plan_id?, commit_id?, admissions_written? }
+-- where outcome is one of
+--   committed          admissions now hold the plan
+--   already_committed  the plan is the current one; nothing changed
+--   stale              another plan was committed after this one was made
+--   not_found          no plan with that id
+-- A superseded plan can be committed again to go back to it.
+CREATE OR REPLACE FUNCTION public.commit_schedule_plan(
+  p_plan_id UUID,
+  p_committed_by UUID DEFAULT NULL,
+  p_note TEXT DEFAULT NULL,
+  p_force BOOLEAN DEFAULT false
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_plan schedule_plans%ROWTYPE;
+  v_current_id UUID;
+  v_written INTEGER;
+  v_commit_id UUID;
+BEGIN
+  -- One commit at a time, so two can't both think they replace the same plan
+  PERFORM pg_advisory_xact_lock(hashtext('commit_schedule_plan'));
+
+  SELECT * INTO v_plan FROM schedule_plans WHERE id = p_plan_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('outcome', 'not_found', 'plan_id', p_plan_id);
+  END IF;
+
+  SELECT id INTO v_current_id FROM schedule_plans WHERE status = 'committed' LIMIT 1;
+
+  IF v_current_id = v_plan.id THEN
+    RETURN jsonb_build_object('outcome', 'already_committed', 'plan_id', v_plan.id);
+  END IF;
+
+  IF v_plan.status = 'draft' AND v_current_id IS DISTINCT FROM v_plan.based_on_plan_id AND NOT p_force THEN
+    RETURN jsonb_build_object('outcome', 'stale', 'plan_id', v_plan.id, 'previous_plan_id', v_current_id);
+  END IF;
+
+  DELETE FROM admissions WHERE true;
+
+  INSERT INTO admissions (patient_id, bed_id, admission_time, discharge_time, waiting_hours, plan_id)
+  SELECT r.patient_id, r.bed_id, r.admission_time, r.discharge_time, r.waiting_hours, v_plan.id
+  FROM jsonb_populate_recordset(NULL::admissions, v_plan.admissions) AS r;
+  GET DIAGNOSTICS v_written = ROW_COUNT;
+
+  UPDATE schedule_plans SET status = 'superseded' WHERE id = v_current_id;
+  UPDATE schedule_plans
+  SET status = 'committed', committed_by = p_committed_by, committed_at = NOW()
+  WHERE id = v_plan.id;
+
+  INSERT INTO schedule_plan_commits (plan_id, previous_plan_id, committed_by, note, forced, admissions_written)
+  VALUES (
+    v_plan.id,
+    v_current_id,
+    p_committed_by,
+    p_note,
+    v_plan.status = 'draft' AND v_current_id IS DISTINCT FROM v_plan.based_on_plan_id,
+    v_written
+  )
+  RETURNING id INTO v_commit_id;
+
+  RETURN jsonb_build_object(
+    'outcome', 'committed',
+    'plan_id', v_plan.id,
+    'previous_plan_id', v_current_id,
+    'commit_id', v_commit_id,
+    'admissions_written', v_written
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.commit_schedule_plan(UUID, UUID, TEXT, BOOLEAN) TO anon, authenticated;
+
+ALTER TABLE public.schedule_plans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.schedule_plan_commits ENABLE ROW LEVEL SECURITY;
+
+-- The backend uses the anon key, like the rest of the app
+CREATE POLICY "Allow all on schedule_plans" ON public.schedule_plans
+  FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all on schedule_plan_commits" ON public.schedule_plan_commits
+  FOR ALL USING (true) WITH CHECK (true);
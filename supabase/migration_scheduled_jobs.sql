@@ -0,0 +1,46 @@
+-- Migration: Scheduled jobs
+-- Appointment reminders, day-before discharge notices to the family and
+-- nudges to doctors whose admitted patients are missing a daily round. The
+-- backend plans each job once (dedupe_key is unique, so replanning after a
+-- restart changes nothing), then claims due jobs by moving them from
+-- pending to running. See backend/services/jobScheduler.js.
+-- Requires migration_notification_deliveries.sql.
+-- Run this in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS public.scheduled_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type TEXT NOT NULL CHECK (type IN ('appointment_reminder', 'discharge_notice', 'rounds_nudge')),
+  -- What the job is for, e.g. appointment_reminder:<appointment id>:24h:<date>.
+  -- A cancelled job keeps its key, so it is not planned again.
+  dedupe_key TEXT NOT NULL UNIQUE,
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- skipped: no longer applied when it was due (appointment cancelled or
+  -- moved, patient discharged, round recorded in the meantime)
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN (
+    'pending', 'running', 'done', 'skipped', 'failed', 'cancelled'
+  )),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  delivery_id UUID REFERENCES public.notification_deliveries(id) ON DELETE SET NULL,
+  last_error TEXT,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  cancel_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due
+  ON public.scheduled_jobs (run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_type_status ON public.scheduled_jobs (type, status);
+
+CREATE TRIGGER update_scheduled_jobs_updated_at
+  BEFORE UPDATE ON public.scheduled_jobs
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+ALTER TABLE public.scheduled_jobs ENABLE ROW LEVEL SECURITY;
+
+-- The backend uses the anon key, like the rest of the app
+CREATE POLICY "Allow all on scheduled_jobs" ON public.scheduled_jobs
+  FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,52 @@
+-- Migration: Schema catalog for the chatbot prompt
+-- Exposes table columns, check constraints and foreign keys of the public
+-- schema so the backend can build the chatbot's system prompt at startup.
+-- Run this in your Supabase SQL editor
+
+CREATE OR REPLACE FUNCTION public.get_schema_catalog()
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+  SELECT COALESCE(jsonb_agg(catalog.entry ORDER BY catalog.entry->>'name'), '[]'::jsonb)
+  FROM (
+    SELECT jsonb_build_object(
+      'name', c.relname,
+      'columns', (
+        SELECT COALESCE(jsonb_agg(jsonb_build_object(
+          'name', a.attname,
+          'type', format_type(a.atttypid, a.atttypmod),
+          'nullable', NOT a.attnotnull
+        ) ORDER BY a.attnum), '[]'::jsonb)
+        FROM pg_attribute a
+        WHERE a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+      ),
+      'checks', (
+        SELECT COALESCE(jsonb_agg(pg_get_constraintdef(con.oid)), '[]'::jsonb)
+        FROM pg_constraint con
+        WHERE con.conrelid = c.oid AND con.contype = 'c'
+      ),
+      'foreign_keys', (
+        SELECT COALESCE(jsonb_agg(jsonb_build_object(
+          'column', a.attname,
+          'references_schema', rn.nspname,
+          'references_table', rc.relname,
+          'references_column', ra.attname
+        )), '[]'::jsonb)
+        FROM pg_constraint con
+        JOIN pg_class rc ON rc.oid = con.confrelid
+        JOIN pg_namespace rn ON rn.oid = rc.relnamespace
+        JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = con.conkey[1]
+        JOIN pg_attribute ra ON ra.attrelid = con.confrelid AND ra.attnum = con.confkey[1]
+        WHERE con.conrelid = c.oid AND con.contype = 'f'
+      )
+    ) AS entry
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = 'public' AND c.relkind IN ('r', 'p', 'v')
+  ) AS catalog;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_schema_catalog() TO anon, authenticated;
@@ -0,0 +1,22 @@
+-- Migration: Several Telegram bots on one backend
+-- Links, link codes and notification settings belong to one bot: a chat id
+-- is only unique within a bot (a private chat's id is the user's id, the
+-- same for every bot they talk to), so every lookup is by (bot_id, chat_id).
+-- Notifications for a patient are sent by the bot they linked through.
+-- Existing rows belong to the bot configured with TELEGRAM_BOT_TOKEN
+-- ("default").
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE public.telegram_links ADD COLUMN IF NOT EXISTS bot_id TEXT NOT NULL DEFAULT 'default';
+
+-- One active link per chat of each bot
+DROP INDEX IF EXISTS public.idx_telegram_links_active_chat;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_telegram_links_active_bot_chat
+  ON public.telegram_links (bot_id, chat_id) WHERE revoked_at IS NULL;
+
+-- A code only links chats of the bot it was issued for
+ALTER TABLE public.telegram_link_codes ADD COLUMN IF NOT EXISTS bot_id TEXT NOT NULL DEFAULT 'default';
+
+ALTER TABLE public.telegram_notification_settings ADD COLUMN IF NOT EXISTS bot_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE public.telegram_notification_settings DROP CONSTRAINT IF EXISTS telegram_notification_settings_pkey;
+ALTER TABLE public.telegram_notification_settings ADD PRIMARY KEY (bot_id, chat_id);
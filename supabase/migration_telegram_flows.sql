@@ -0,0 +1,25 @@
+-- Migration: Telegram booking flow state
+-- Where each chat is in the button-driven booking flow (patient -> doctor ->
+-- date -> time -> confirm), so a booking survives a backend restart and
+-- works when the bot runs on more than one instance. Rows are removed when
+-- the flow ends and swept once expired.
+-- Run this in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS public.telegram_flow_state (
+  -- "telegram:<bot id>:<chat id>", as used for chatbot sessions
+  session_key TEXT PRIMARY KEY,
+  step TEXT NOT NULL CHECK (step IN ('patient', 'doctor', 'date', 'time', 'confirm')),
+  -- Choices so far: tokenNumber, doctors offered, doctorId, doctorName,
+  -- date and the chat action confirmation code
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_telegram_flow_state_expires_at ON public.telegram_flow_state (expires_at);
+
+ALTER TABLE public.telegram_flow_state ENABLE ROW LEVEL SECURITY;
+
+-- The backend uses the anon key, like the rest of the app
+CREATE POLICY "Allow all on telegram_flow_state" ON public.telegram_flow_state
+  FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,47 @@
+-- Migration: Telegram account linking
+-- A Telegram chat is bound to a patient after they enter a one-time code,
+-- sent to their WhatsApp number or shown on the patient dashboard. Linked
+-- chats are scoped to that patient's appointments; unlinked chats only get
+-- general information.
+-- Run this in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS public.telegram_link_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code_hash TEXT NOT NULL,
+  source TEXT NOT NULL CHECK (source IN ('whatsapp', 'dashboard')),
+  -- Set for codes requested from a chat; dashboard codes work in any chat
+  -- of their bot (bot_id, see migration_telegram_bots.sql)
+  chat_id BIGINT,
+  token_number TEXT,
+  email TEXT,
+  user_id UUID,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_telegram_link_codes_hash ON public.telegram_link_codes (code_hash);
+
+CREATE TABLE IF NOT EXISTS public.telegram_links (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chat_id BIGINT NOT NULL,
+  token_number TEXT,
+  email TEXT,
+  user_id UUID,
+  linked_via TEXT NOT NULL CHECK (linked_via IN ('whatsapp', 'dashboard')),
+  linked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- One active link per chat; revoked links are kept for the record
+CREATE UNIQUE INDEX IF NOT EXISTS idx_telegram_links_active_chat
+  ON public.telegram_links (chat_id) WHERE revoked_at IS NULL;
+
+ALTER TABLE public.telegram_link_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.telegram_links ENABLE ROW LEVEL SECURITY;
+
+-- The backend uses the anon key, like the rest of the app
+CREATE POLICY "Allow all on telegram_link_codes" ON public.telegram_link_codes
+  FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all on telegram_links" ON public.telegram_links
+  FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,161 @@
+-- Migration: Proactive Telegram notifications
+-- Triggers on opd_queue, bed_queue, icu_queue and discharge_predictions write
+-- patient-facing events to notification_outbox. The backend polls the outbox,
+-- sends each event to the Telegram chats linked to the token (see
+-- migration_telegram_links.sql) that opted in to it, and marks it processed.
+-- Because events are written in the same transaction as the change, none are
+-- lost while the backend is down; they are sent when it comes back.
+-- Run this in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS public.notification_outbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_type TEXT NOT NULL CHECK (event_type IN (
+    'queue_position', 'queue_next', 'bed_assigned', 'icu_transfer', 'discharge_prediction', 'cancellation'
+  )),
+  token_number TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  processed_at TIMESTAMP WITH TIME ZONE,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_pending
+  ON public.notification_outbox (created_at) WHERE processed_at IS NULL;
+
+-- Which events each chat receives. A chat gets nothing until it opts in
+-- with /notify.
+CREATE TABLE IF NOT EXISTS public.telegram_notification_settings (
+  chat_id BIGINT PRIMARY KEY,
+  events TEXT[] NOT NULL DEFAULT '{}',
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.notification_outbox ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.telegram_notification_settings ENABLE ROW LEVEL SECURITY;
+
+-- The backend uses the anon key, like the rest of the app
+CREATE POLICY "Allow all on notification_outbox" ON public.notification_outbox
+  FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all on telegram_notification_settings" ON public.telegram_notification_settings
+  FOR ALL USING (true) WITH CHECK (true);
+
+CREATE OR REPLACE FUNCTION public.enqueue_notification(p_event_type TEXT, p_token_number TEXT, p_payload JSONB)
+RETURNS VOID AS $$
+BEGIN
+  IF p_token_number IS NOT NULL THEN
+    INSERT INTO public.notification_outbox (event_type, token_number, payload)
+    VALUES (p_event_type, p_token_number, p_payload);
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- OPD queue: cancellation, and a new place in line for everyone behind a
+-- patient who leaves the waiting list. queue_position is handed out in
+-- booking order and never renumbered, so the place in line is the number of
+-- patients still waiting ahead for the same doctor, plus one.
+CREATE OR REPLACE FUNCTION public.notify_opd_queue_change()
+RETURNS TRIGGER AS $$
+DECLARE
+  waiting RECORD;
+BEGIN
+  IF NEW.status = 'cancelled' AND OLD.status IS DISTINCT FROM 'cancelled' THEN
+    PERFORM public.enqueue_notification('cancellation', NEW.token_number,
+      jsonb_build_object('queue', 'opd'));
+  END IF;
+
+  IF OLD.status = 'waiting' AND NEW.status <> 'waiting' THEN
+    FOR waiting IN
+      SELECT token_number, estimated_wait_minutes,
+        (SELECT COUNT(*) FROM opd_queue ahead
+          WHERE ahead.status = 'waiting'
+            AND ahead.doctor_id IS NOT DISTINCT FROM q.doctor_id
+            AND ahead.queue_position < q.queue_position) + 1 AS place
+      FROM opd_queue q
+      WHERE q.status = 'waiting'
+        AND q.doctor_id IS NOT DISTINCT FROM OLD.doctor_id
+        AND q.queue_position > OLD.queue_position
+    LOOP
+      PERFORM public.enqueue_notification(
+        CASE WHEN waiting.place = 1 THEN 'queue_next' ELSE 'queue_position' END,
+        waiting.token_number,
+        jsonb_build_object('position', waiting.place, 'estimated_wait_minutes', waiting.estimated_wait_minutes));
+    END LOOP;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notify_opd_queue_change ON opd_queue;
+CREATE TRIGGER notify_opd_queue_change
+  AFTER UPDATE ON opd_queue
+  FOR EACH ROW EXECUTE FUNCTION public.notify_opd_queue_change();
+
+-- Bed queue: a bed is assigned. assign_bed() sets bed_id and moves the
+-- entry straight to 'admitted'; either change counts, once per update.
+CREATE OR REPLACE FUNCTION public.notify_bed_queue_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.bed_id IS NOT NULL AND NEW.bed_id IS DISTINCT FROM OLD.bed_id)
+    OR (NEW.status IN ('bed_assigned', 'admitted')
+      AND COALESCE(OLD.status, '') NOT IN ('bed_assigned', 'admitted')) THEN
+    PERFORM public.enqueue_notification('bed_assigned', NEW.token_number,
+      jsonb_build_object(
+        'bed_type', NEW.bed_type,
+        'bed_number', (SELECT bed_number FROM beds WHERE bed_id = NEW.bed_id)
+      ));
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notify_bed_queue_change ON bed_queue;
+CREATE TRIGGER notify_bed_queue_change
+  AFTER UPDATE ON bed_queue
+  FOR EACH ROW EXECUTE FUNCTION public.notify_bed_queue_change();
+
+-- ICU queue: shifted to the ICU queue, given an ICU bed, cancelled
+CREATE OR REPLACE FUNCTION public.notify_icu_queue_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM public.enqueue_notification('icu_transfer', NEW.patient_token,
+      jsonb_build_object('status', NEW.status, 'bed_label', NEW.assigned_bed_label));
+  ELSIF NEW.status IN ('assigned', 'admitted') AND OLD.status NOT IN ('assigned', 'admitted') THEN
+    PERFORM public.enqueue_notification('icu_transfer', NEW.patient_token,
+      jsonb_build_object('status', NEW.status, 'bed_label', NEW.assigned_bed_label));
+  ELSIF NEW.status = 'cancelled' AND OLD.status IS DISTINCT FROM 'cancelled' THEN
+    PERFORM public.enqueue_notification('cancellation', NEW.patient_token,
+      jsonb_build_object('queue', 'icu'));
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notify_icu_queue_change ON icu_queue;
+CREATE TRIGGER notify_icu_queue_change
+  AFTER INSERT OR UPDATE ON icu_queue
+  FOR EACH ROW EXECUTE FUNCTION public.notify_icu_queue_change();
+
+-- Discharge predictions: a new prediction after a daily round
+CREATE OR REPLACE FUNCTION public.notify_discharge_prediction()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM public.enqueue_notification('discharge_prediction',
+    COALESCE(
+      (SELECT token_number FROM bed_queue WHERE id = NEW.bed_queue_id),
+      (SELECT patient_token FROM icu_queue WHERE id = NEW.icu_queue_id)
+    ),
+    jsonb_build_object(
+      'predicted_discharge_date', NEW.predicted_discharge_date,
+      'remaining_days', NEW.remaining_days,
+      'confidence', NEW.confidence
+    ));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notify_discharge_prediction ON discharge_predictions;
+CREATE TRIGGER notify_discharge_prediction
+  AFTER INSERT ON discharge_predictions
+  FOR EACH ROW EXECUTE FUNCTION public.notify_discharge_prediction();
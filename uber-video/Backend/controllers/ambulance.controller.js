@@ -1,5 +1,6 @@
 const ambulanceDriverModel = require('../models/ambulanceDriver.model');
 const ambulanceService = require('../services/ambulance.service');
+const phoneService = require('../services/phone.service');
 const blackListTokenModel = require('../models/blackListToken.model');
 const { validationResult } = require('express-validator');
 
@@ -12,6 +13,7 @@ module.exports.registerAmbulanceDriver = async (req, res, next) => {
     }
 
     const { fullname, email, password, ambulance } = req.body;
+    const phone = await phoneService.toE164(req.body.phone);
 
     const isAmbulanceDriverAlreadyExist = await ambulanceDriverModel.findOne({ email });
 
@@ -26,6 +28,7 @@ module.exports.registerAmbulanceDriver = async (req, res, next) => {
         firstname: fullname.firstname,
         lastname: fullname.lastname,
         email,
+        phone,
         password: hashedPassword,
         color: ambulance.color,
         plate: ambulance.plate,
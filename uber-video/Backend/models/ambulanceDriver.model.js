@@ -21,6 +21,12 @@ const ambulanceDriverSchema = new mongoose.Schema({
         lowercase: true,
         match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
     },
+    // E.164, e.g. +919876543210 (see services/phone.service.js)
+    phone: {
+        type: String,
+        required: true,
+        match: [/^\+[1-9]\d{6,14}$/, 'Phone number must be in international format, e.g. +919876543210']
+    },
     password: {
         type: String,
         required: true,
@@ -3,12 +3,14 @@ const express = require('express');
 const router = express.Router();
 const { body } = require("express-validator")
 const authMiddleware = require('../middlewares/auth.middleware');
+const phoneService = require('../services/phone.service');
 
 
 router.post('/register', [
     body('email').isEmail().withMessage('Invalid Email'),
     body('fullname.firstname').isLength({ min: 3 }).withMessage('First name must be at least 3 characters long'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+    body('phone').custom((value) => phoneService.toE164(value)),
     body('ambulance.color').isLength({ min: 3 }).withMessage('Color must be at least 3 characters long'),
     body('ambulance.plate').isLength({ min: 3 }).withMessage('Plate must be at least 3 characters long'),
     body('ambulance.capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
@@ -2,9 +2,9 @@ const ambulanceDriverModel = require('../models/ambulanceDriver.model');
 
 
 module.exports.createAmbulanceDriver = async ({
-    firstname, lastname, email, password, color, plate, capacity, ambulanceType
+    firstname, lastname, email, phone, password, color, plate, capacity, ambulanceType
 }) => {
-    if (!firstname || !email || !password || !color || !plate || !capacity || !ambulanceType) {
+    if (!firstname || !email || !phone || !password || !color || !plate || !capacity || !ambulanceType) {
         throw new Error('All fields are required');
     }
     const ambulanceDriver = ambulanceDriverModel.create({
@@ -13,6 +13,7 @@ module.exports.createAmbulanceDriver = async ({
             lastname
         },
         email,
+        phone,
         password,
         ambulance: {
             color,
@@ -0,0 +1,11 @@
+// Phone numbers are checked with the main hospital backend's phone module
+// (backend/utils/phone.js), so drivers' numbers are stored in the same E.164
+// form as patients'. It is an ES module, hence import().
+const loadPhoneModule = () => import('../../../backend/utils/phone.js');
+
+// E.164 form of a phone number ("+919876543210"). Throws a PhoneError saying
+// what is wrong with the number.
+module.exports.toE164 = async (raw) => {
+    const { toE164 } = await loadPhoneModule();
+    return toE164(raw);
+}
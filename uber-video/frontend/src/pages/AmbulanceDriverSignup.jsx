@@ -9,6 +9,7 @@ const AmbulanceDriverSignup = () => {
     const navigate = useNavigate()
 
     const [email, setEmail] = useState('')
+    const [phone, setPhone] = useState('')
     const [password, setPassword] = useState('')
     const [firstName, setFirstName] = useState('')
     const [lastName, setLastName] = useState('')
@@ -30,6 +31,7 @@ const AmbulanceDriverSignup = () => {
                 lastname: lastName
             },
             email: email,
+            phone: phone,
             password: password,
             ambulance: {
                 color: ambulanceColor,
@@ -49,6 +51,7 @@ const AmbulanceDriverSignup = () => {
         }
 
         setEmail('')
+        setPhone('')
         setFirstName('')
         setLastName('')
         setPassword('')
@@ -107,6 +110,18 @@ const AmbulanceDriverSignup = () => {
                         placeholder='email@example.com'
                     />
 
+                    <h3 className='text-lg font-medium mb-2'>What's our Driver's phone number</h3>
+                    <input
+                        required
+                        value={phone}
+                        onChange={(e) => {
+                            setPhone(e.target.value)
+                        }}
+                        className='bg-[#eeeeee] mb-7 rounded-lg px-4 py-2 border w-full text-lg placeholder:text-base'
+                        type="tel"
+                        placeholder='+91 98765 43210'
+                    />
+
                     <h3 className='text-lg font-medium mb-2'>Enter Password</h3>
 
                     <input